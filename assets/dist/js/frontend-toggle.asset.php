@@ -0,0 +1 @@
+<?php return array('dependencies' => array(), 'version' => '40dcf5852f67e21427bf');
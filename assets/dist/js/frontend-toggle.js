@@ -0,0 +1 @@
+(()=>{"use strict";!function(){const t={isToggling:!1,countTimer:null,errorDuration:4e3,init:function(){this.item=document.getElementById("wp-admin-bar-qala-notice-toggle"),this.item&&"undefined"!=typeof qalaFrontendToggle&&(this.selector=qalaFrontendToggle.selectors.join(", "),this.item.addEventListener("click",this.handleClick.bind(this)),this.updateCount(),this.selector&&new MutationObserver(this.handleMutations.bind(this)).observe(document.body,{childList:!0,subtree:!0}))},handleClick:function(t){t.target.closest(".ab-item")&&(t.preventDefault(),this.isToggling||this.toggleNoticeVisibility())},toggleNoticeVisibility:function(){const t=this.getTitle(),e=t.querySelector(".qala-toggle-state"),n=e.textContent;this.isToggling=!0,t.classList.add("qala-loading"),e.textContent=qalaFrontendToggle.strings.loading,fetch(qalaFrontendToggle.restUrl,{method:"POST",credentials:"same-origin",headers:{"X-WP-Nonce":qalaFrontendToggle.nonce}}).then(function(t){return t.json().then(function(e){if(!t.ok)throw e;return e})}).then(t=>{this.handleSuccess(t)}).catch(t=>{this.handleError(t,n)}).then(()=>{this.isToggling=!1})},handleSuccess:function(t){t.new_title&&(this.getTitle().outerHTML=t.new_title),document.body.classList.toggle("qala-notices-visible",t.showing),document.body.classList.toggle("qala-notices-hidden",!t.showing),this.updateCount()},handleError:function(t,e){const n=this.getTitle(),i=n.querySelector(".qala-toggle-state"),o=t&&t.code&&t.message?t.message:qalaFrontendToggle.strings.error;n.classList.remove("qala-loading"),i.textContent=o,setTimeout(function(){i.isConnected&&(i.textContent=e)},this.errorDuration)},getTitle:function(){return this.item.querySelector(".qala-notice-toggle-wrapper")},handleMutations:function(t){t.some(t=>!this.item.contains(t.target))&&(clearTimeout(this.countTimer),this.countTimer=setTimeout(this.updateCount.bind(this),100))},updateCount:function(){const t=this.item.querySelector(".qala-hidden-count");if(!t)return;const e=document.body.classList.contains("qala-notices-hidden")?this.countHidden():0;t.textContent=e,t.hidden=0===e},countHidden:function(){if(!this.selector)return 0;let t;try{t=document.querySelectorAll(this.selector)}catch(t){return 0}return Array.prototype.filter.call(t,t=>{const e=t.parentElement;return!(""===t.textContent.trim()||e&&e.closest(this.selector)||t.closest("#wpadminbar"))}).length}};"loading"===document.readyState?document.addEventListener("DOMContentLoaded",function(){t.init()}):t.init()}()})();
\ No newline at end of file
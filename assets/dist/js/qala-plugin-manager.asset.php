@@ -1 +1 @@
-<?php return array('dependencies' => array(), 'version' => '566dc87880b1f7538466');
+<?php return array('dependencies' => array(), 'version' => 'f09d22ecef9cfefe9cf1');
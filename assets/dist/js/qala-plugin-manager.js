@@ -1 +1 @@
-(()=>{var e={750:()=>{window.QalaPluginManager=window.QalaPluginManager||{},window.QalaPluginManager.hasFullAccess=function(){return document.body.classList.contains("qala-has-full-access")},window.QalaPluginManager.noticesHidden=function(){return document.body.classList.contains("qala-notices-hidden")},window.QalaPluginManager.noticesVisible=function(){return document.body.classList.contains("qala-notices-visible")},function(){"use strict";const e={init:function(){window.QalaPluginManager.noticesHidden()?"undefined"!=typeof qalaAllowlistPatterns&&qalaAllowlistPatterns.patterns?(console.log("Qala Content Matcher: Initializing with",qalaAllowlistPatterns.patterns.length,"patterns"),this.processNotices()):console.log("Qala Content Matcher: No allowlist patterns defined"):console.log("Qala Content Matcher: Notices not hidden - skipping")},processNotices:function(){const e=document.querySelectorAll([".notice",".updated",".update-nag",".error",'div[id^="message"]','div[class*="-notice"]',"#ajax-response .notice","#ajax-response > div"].join(", "));console.log("Qala Content Matcher: Found",e.length,"notice elements");let a=0,t=0;e.forEach(e=>{if(e.hasAttribute("data-qala-processed"))return void t++;e.setAttribute("data-qala-processed","true");const n=this.getNoticeText(e);n&&n.trim()&&console.log("Qala Content Matcher: Checking notice -",n.substring(0,80)),this.matchesAnyPattern(n)&&(e.setAttribute("data-qala-show","true"),a++,console.log("Qala Content Matcher: ✓ MATCHED -",n.substring(0,80)))}),t>0&&console.log("Qala Content Matcher: Skipped",t,"already processed notices"),console.log("Qala Content Matcher: Matched",a,"new notices")},getNoticeText:function(e){return e.textContent||e.innerText||""},matchesAnyPattern:function(e){if(!e)return!1;for(let a=0;a<qalaAllowlistPatterns.patterns.length;a++){const t=qalaAllowlistPatterns.patterns[a];console.log("Qala Content Matcher: Testing pattern",t.value,"type:",t.type,"against text:",e.substring(0,80));const n=this.matchesPattern(e,t.value,t.type);if(console.log("Qala Content Matcher: Pattern match result:",n),n)return console.log("Qala Content Matcher: Pattern MATCHED!"),!0}return!1},matchesPattern:function(e,a,t){switch(t){case"exact":return e===a;case"wildcard":return this.matchesWildcard(e,a);case"regex":return this.matchesRegex(e,a);default:return!1}},matchesWildcard:function(e,a){const t=a.replace(/[.+?^${}()|[\]\\]/g,"\\$&");return new RegExp("^"+t.replace(/\*/g,".*")+"$","i").test(e)},matchesRegex:function(e,a){try{let t=a,n="i";console.log("Qala Content Matcher: matchesRegex - Original pattern:",a);const o=a.match(/^\/(.*)\/([gimsuvy]*)$/);if(o){t=o[1];const e=o[2];console.log("Qala Content Matcher: Extracted pattern body:",t),console.log("Qala Content Matcher: Extracted flags:",e),n=[...new Set((e+"i").split(""))].join(""),console.log("Qala Content Matcher: Combined flags:",n)}else console.log("Qala Content Matcher: No delimiters found, using pattern as-is");const s=new RegExp(t,n);console.log("Qala Content Matcher: Created regex:",s);const l=s.test(e);return console.log("Qala Content Matcher: Regex test result:",l),l}catch(e){return console.error("Qala Content Matcher: Invalid regex pattern",a,e),!1}},startObserver:function(){if(!window.QalaPluginManager.noticesHidden())return;if("undefined"==typeof qalaAllowlistPatterns||!qalaAllowlistPatterns.patterns)return;const e=new MutationObserver(e=>{let a=!1;e.forEach(e=>{e.addedNodes.length>0&&e.addedNodes.forEach(e=>{if(1===e.nodeType){const t=e.classList&&(e.classList.contains("notice")||e.classList.contains("updated")||e.classList.contains("error")||"ajax-response"===e.id),n=e.querySelector&&(e.querySelector(".notice")||e.querySelector(".updated")||e.querySelector(".error")||e.querySelector('[class*="-notice"]'));(t||n)&&(a=!0)}})}),a&&(console.log("Qala Content Matcher: New notices detected via MutationObserver"),setTimeout(()=>{this.processNotices()},100))});e.observe(document.body,{childList:!0,subtree:!0}),console.log("Qala Content Matcher: MutationObserver started - watching for AJAX notices"),this.observer=e},stopObserver:function(){this.observer&&(this.observer.disconnect(),console.log("Qala Content Matcher: MutationObserver stopped"))}};"loading"===document.readyState?document.addEventListener("DOMContentLoaded",function(){e.init(),e.startObserver()}):(e.init(),e.startObserver()),setTimeout(function(){e.processNotices()},500),setTimeout(function(){e.processNotices()},1500),setTimeout(function(){e.processNotices()},3e3),window.QalaPluginManager.NoticeContentMatcher=e}(),function(e){"use strict";const a={init:function(){this.bindEvents()},bindEvents:function(){e("#wp-admin-bar-qala-notice-toggle a").on("click",this.handleClick.bind(this))},handleClick:function(e){e.preventDefault(),this.isToggling||this.toggleNoticeVisibility()},toggleNoticeVisibility:function(){const a=this,t=e("#wp-admin-bar-qala-notice-toggle").find(".qala-notice-toggle-wrapper"),n=t.html();this.isToggling=!0,this.setLoadingState(t),e.ajax({url:qalaAdminBarToggle.ajaxUrl,type:"POST",data:{action:qalaAdminBarToggle.action,nonce:qalaAdminBarToggle.nonce},dataType:"json",success:function(e){e.success?a.handleSuccess(e.data,t):a.handleError(e.data,t,n)},error:function(e,o,s){a.handleError({message:qalaAdminBarToggle.strings.error},t,n)},complete:function(){a.isToggling=!1}})},setLoadingState:function(e){e.addClass("qala-loading"),e.find(".qala-toggle-state").text(qalaAdminBarToggle.strings.loading)},handleSuccess:function(e,a){e.new_title&&a.html(e.new_title),this.showNotice(e.message,"success"),setTimeout(function(){window.location.reload()},500)},handleError:function(e,a,t){a.removeClass("qala-loading"),a.html(t);const n=e&&e.message?e.message:qalaAdminBarToggle.strings.error;this.showNotice(n,"error")},showNotice:function(a,t){const n=e("<div>",{class:"notice qala-ajax-notice "+("success"===t?"notice-success":"notice-error")+" is-dismissible",html:"<p>"+a+"</p>"});e(".wrap").length?e(".wrap").first().prepend(n):e("#wpbody-content").prepend(n),setTimeout(function(){n.fadeOut(300,function(){e(this).remove()})},3e3)},isToggling:!1};e(document).ready(function(){e("#wp-admin-bar-qala-notice-toggle").length&&a.init()})}(jQuery),function(e){"use strict";const a={init:function(){this.bindEvents()},bindEvents:function(){console.log("Qala Admin Page: Binding events..."),e("#qala-add-pattern-btn").on("click",this.handleAddPattern.bind(this)),console.log("Qala Admin Page: Bound click handler to #qala-add-pattern-btn"),e("#qala-new-pattern").on("keypress",function(e){13===e.which&&(e.preventDefault(),a.handleAddPattern())}),e(document).on("click",".qala-add-to-allowlist",this.handleAddFromLog.bind(this)),e(document).on("click",".qala-remove-from-allowlist",this.handleRemovePattern.bind(this)),e("#qala-clear-all-patterns-btn").on("click",this.handleClearAllPatterns.bind(this)),console.log("Qala Admin Page: All events bound")},handleAddPattern:function(t){console.log("Qala Admin Page: handleAddPattern called",t),t&&t.preventDefault();const n=e("#qala-new-pattern").val().trim(),o=e("#qala-pattern-type").val(),s=e("#qala-add-pattern-btn"),l=e("#qala-add-pattern-message");if(console.log("Qala Admin Page: Pattern:",n,"Type:",o),!n)return console.log("Qala Admin Page: Empty pattern - showing error"),void this.showMessage(l,qalaAdminPage.strings.emptyPattern,"error");s.prop("disabled",!0).addClass("qala-loading"),l.hide(),e.ajax({url:qalaAdminPage.ajaxUrl,type:"POST",data:{action:"qala_add_allowlist_pattern",nonce:qalaAdminPage.nonces.addPattern,pattern:n,pattern_type:o},success:function(t){if(t.success)a.showMessage(l,qalaAdminPage.strings.addSuccess,"success"),e("#qala-new-pattern").val(""),setTimeout(function(){location.reload()},1e3);else{const e=t.data&&t.data.message?t.data.message:qalaAdminPage.strings.addError;a.showMessage(l,e,"error")}},error:function(e,t,n){console.error("AJAX error:",n),a.showMessage(l,qalaAdminPage.strings.addError,"error")},complete:function(){s.prop("disabled",!1).removeClass("qala-loading")}})},handleAddFromLog:function(a){a.preventDefault();const t=e(a.currentTarget),n=t.data("pattern"),o=t.data("pattern-type")||"exact",s=t.closest("tr");t.prop("disabled",!0).addClass("qala-loading"),e.ajax({url:qalaAdminPage.ajaxUrl,type:"POST",data:{action:"qala_add_allowlist_pattern",nonce:qalaAdminPage.nonces.addPattern,pattern:n,pattern_type:o},success:function(e){if(e.success)s.css("background-color","#d4edda"),setTimeout(function(){location.reload()},1e3);else{const a=e.data&&e.data.message?e.data.message:qalaAdminPage.strings.addError;alert(a),t.prop("disabled",!1).removeClass("qala-loading")}},error:function(e,a,n){console.error("AJAX error:",n),alert(qalaAdminPage.strings.addError),t.prop("disabled",!1).removeClass("qala-loading")}})},handleRemovePattern:function(a){a.preventDefault();const t=e(a.currentTarget),n=t.data("pattern"),o=t.closest("tr");confirm(qalaAdminPage.strings.confirmRemove)&&(t.prop("disabled",!0).addClass("qala-loading"),e.ajax({url:qalaAdminPage.ajaxUrl,type:"POST",data:{action:"qala_remove_allowlist_pattern",nonce:qalaAdminPage.nonces.removePattern,pattern:n},success:function(a){if(a.success)o.fadeOut(300,function(){e(this).remove(),0===o.closest("tbody").find("tr").length&&location.reload()});else{const e=a.data&&a.data.message?a.data.message:qalaAdminPage.strings.removeError;alert(e),t.prop("disabled",!1).removeClass("qala-loading")}},error:function(e,a,n){console.error("AJAX error:",n),alert(qalaAdminPage.strings.removeError),t.prop("disabled",!1).removeClass("qala-loading")}}))},handleClearAllPatterns:function(a){a.preventDefault();const t=e(a.currentTarget);confirm(qalaAdminPage.strings.confirmClearAll)&&(t.prop("disabled",!0).addClass("qala-loading"),e.ajax({url:qalaAdminPage.ajaxUrl,type:"POST",data:{action:"qala_clear_all_patterns",nonce:qalaAdminPage.nonces.clearAllPatterns},success:function(e){if(e.success)location.reload();else{const a=e.data&&e.data.message?e.data.message:qalaAdminPage.strings.clearAllError;alert(a),t.prop("disabled",!1).removeClass("qala-loading")}},error:function(e,a,n){console.error("AJAX error:",n),alert(qalaAdminPage.strings.clearAllError),t.prop("disabled",!1).removeClass("qala-loading")}}))},showMessage:function(e,a,t){e.removeClass("success error info").addClass(t).html(a).fadeIn(200),"success"===t&&setTimeout(function(){e.fadeOut(200)},5e3)}};e(document).ready(function(){console.log("Qala Admin Page: Document ready"),console.log("Qala Admin Page: qalaAdminPage defined?","undefined"!=typeof qalaAdminPage),console.log("Qala Admin Page: Add button exists?",e("#qala-add-pattern-btn").length>0),"undefined"!=typeof qalaAdminPage?(console.log("Qala Admin Page: Initializing..."),a.init(),console.log("Qala Admin Page: Initialized successfully")):console.log("Qala Admin Page: qalaAdminPage not defined - skipping initialization")})}(jQuery)}},a={};function t(n){var o=a[n];if(void 0!==o)return o.exports;var s=a[n]={exports:{}};return e[n](s,s.exports,t),s.exports}(()=>{"use strict";t(750)})()})();
\ No newline at end of file
+(()=>{var e={750(){window.QalaPluginManager=window.QalaPluginManager||{},window.QalaPluginManager.hasFullAccess=function(){return document.body.classList.contains("qala-has-full-access")},window.QalaPluginManager.noticesHidden=function(){return document.body.classList.contains("qala-notices-hidden")},window.QalaPluginManager.noticesVisible=function(){return document.body.classList.contains("qala-notices-visible")},window.QalaPluginManager.alwaysShowErrors=function(){return document.body.classList.contains("qala-show-errors")},window.QalaPluginManager.debugEnabled=function(){return!!document.body&&document.body.classList.contains("qala-debug")},function(){"use strict";const e=["error","warn","info","debug"];window.QalaPluginManager.log={level:null,getLevel:function(){return this.level?this.level:window.QalaPluginManager.debugEnabled()?"debug":"warn"},isEnabled:function(t){return e.indexOf(t)<=e.indexOf(this.getLevel())},write:function(e,t){this.isEnabled(e)&&console["debug"===e?"log":e].apply(console,t)},error:function(){this.write("error",arguments)},warn:function(){this.write("warn",arguments)},info:function(){this.write("info",arguments)},debug:function(){this.write("debug",arguments)}}}(),function(){"use strict";window.QalaPluginManager.api={request:function(e,t,a){const n={path:"/qala-plugin-manager/v1"+e,method:t};return a&&(n.data=a),window.wp.apiFetch(n)},getPatterns:function(e){return this.request("/patterns"+(e?"?include_inactive=1":""),"GET")},createPattern:function(e){return this.request("/patterns","POST",e)},updatePattern:function(e,t){return this.request("/patterns/"+parseInt(e,10),"PATCH",t)},deletePattern:function(e){return this.request("/patterns/"+parseInt(e,10),"DELETE")},importPatterns:function(e){return this.request("/patterns/import","POST",e)},restorePatterns:function(e){return this.importPatterns({patterns:e,replace_conflicts:!0})},clearPatterns:function(){return this.request("/patterns","DELETE")},lintPattern:function(e){return this.request("/patterns/lint","POST",e)},analysePatterns:function(){return this.request("/patterns/analysis","GET")},reportPatternTimeout:function(e){return this.request("/patterns/"+parseInt(e,10)+"/timeout","POST")},clearPatternTimeout:function(e){return this.request("/patterns/"+parseInt(e,10)+"/timeout","DELETE")},getMyPatterns:function(){return this.request("/my-patterns","GET")},createMyPattern:function(e){return this.request("/my-patterns","POST",e)},removeMyPattern:function(e){return this.request("/my-patterns/"+parseInt(e,10),"DELETE")},setNoticesEnabled:function(e){return this.request("/toggle","POST",{enabled:e?"yes":"no"})},toggleVisibility:function(){return this.request("/visibility","POST")},setDebugMode:function(e){return this.request("/debug","POST",{enabled:!!e})},snoozeNotice:function(e){return this.request("/snoozes","POST",e)},wakeNotice:function(e){return this.request("/snoozes/"+encodeURIComponent(e),"DELETE")},logNotices:function(e,t){return this.request("/notices/captured","POST",{notices:JSON.stringify(e),screen:t})},getLog:function(e){return this.request("/log?"+this.buildQuery(e),"GET")},getLogGroups:function(e){return this.request("/log/groups?"+this.buildQuery(e),"GET")},buildQuery:function(e){const t=new URLSearchParams;return Object.keys(e||{}).forEach(function(a){""!==e[a]&&null!==e[a]&&void 0!==e[a]&&t.append(a,e[a])}),t.toString()},getStatistics:function(e){return this.request("/statistics?days="+parseInt(e,10),"GET")},countLogMatches:function(e){return this.request("/log/matches","POST",{patterns:e})},getErrorMessage:function(e,t){return e&&e.message?e.message:t}}}(),function(){"use strict";const e="qala-ui-styles",t=[".qala-toast-region{position:fixed;right:20px;bottom:20px;z-index:160000;display:flex;flex-direction:column;gap:8px;max-width:360px;pointer-events:none}",".qala-toast{display:flex;align-items:flex-start;gap:10px;padding:10px 12px;background:#fff;border-left:4px solid #72aee6;border-radius:3px;box-shadow:0 3px 12px rgba(0,0,0,.2);color:#1d2327;font-size:13px;line-height:1.5;pointer-events:auto}",".qala-toast-success{border-left-color:#00a32a}",".qala-toast-failure{border-left-color:#d63638}",".qala-toast-message{flex:1;margin:0}",".qala-toast-action,.qala-toast-dismiss{padding:0;background:none;border:0;color:#2271b1;cursor:pointer;font-size:13px;text-decoration:underline}",".qala-toast-dismiss{text-decoration:none;font-size:16px;line-height:1}",".qala-dialog-backdrop{position:fixed;inset:0;z-index:160001;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.5)}",".qala-dialog{width:420px;max-width:calc(100% - 40px);padding:20px 24px;background:#fff;border-radius:4px;box-shadow:0 5px 20px rgba(0,0,0,.3);color:#1d2327}",".qala-dialog-title{margin:0 0 10px;font-size:16px}",".qala-dialog-message{margin:0 0 20px;white-space:pre-line}",".qala-dialog-buttons{display:flex;justify-content:flex-end;gap:8px}",".qala-dialog-destructive{background:#d63638!important;border-color:#d63638!important;color:#fff!important}",".qala-field-hint{margin:4px 0 0;color:#d63638;font-size:12px}",".qala-suggestions{margin:0 0 20px;padding:0;border:0}",".qala-suggestion{display:flex;align-items:flex-start;gap:8px;margin:0 0 8px}",".qala-suggestion input{margin-top:3px}",".qala-suggestion code{display:block;margin:2px 0;word-break:break-all}",".qala-suggestion-count{color:#646970;font-size:12px}"].join("\n");let a=0;function n(e,t){const a=window.qalaAdminBarToggle&&window.qalaAdminBarToggle.strings;return a&&a[e]?a[e]:t}function i(){if(document.getElementById(e))return;const a=document.createElement("style");a.id=e,a.textContent=t,document.head.appendChild(a)}function o(e,t,a){const n=document.createElement(e);return n.className=t,void 0!==a&&(n.textContent=a),n}window.QalaPluginManager.ui={toastDuration:5e3,getString:n,toast:function(e,t){const a=t||{},r=a.type||"info",s="error"===r,l=void 0!==a.duration?a.duration:s?0:this.toastDuration,d=o("div","qala-toast qala-toast-"+(s?"failure":r));let c=null;const u={close:function(){clearTimeout(c),d.remove()}};if(d.appendChild(o("p","qala-toast-message",String(e))),a.action){const e=o("button","qala-toast-action",a.action.label);e.type="button",e.addEventListener("click",function(){u.close(),a.action.callback()}),d.appendChild(e)}const g=o("button","qala-toast-dismiss","×");return g.type="button",g.setAttribute("aria-label",n("dismiss","Dismiss")),g.addEventListener("click",u.close),d.appendChild(g),function(e){const t="qala-toast-region-"+e;let a=document.getElementById(t);return a||(i(),a=o("div","qala-toast-region"),a.id=t,a.setAttribute("aria-live",e),a.setAttribute("aria-relevant","additions"),document.body.appendChild(a)),a}(s?"assertive":"polite").appendChild(d),l>0&&(c=setTimeout(u.close,l)),u},confirm:function(e){const t=document.activeElement;return i(),new Promise(function(i){const r=o("div","qala-dialog-backdrop"),s=o("div","qala-dialog"),l=o("p","qala-dialog-message",String(e.message)),d=o("div","qala-dialog-buttons"),c=o("button","button",e.cancelLabel||n("cancel","Cancel")),u=o("button","button button-primary"+(e.destructive?" qala-dialog-destructive":""),e.confirmLabel||n("confirm","Confirm"));if(a++,l.id="qala-dialog-message-"+a,s.setAttribute("role",e.destructive?"alertdialog":"dialog"),s.setAttribute("aria-modal","true"),s.setAttribute("aria-describedby",l.id),e.title){const t=o("h2","qala-dialog-title",String(e.title));t.id="qala-dialog-title-"+a,s.setAttribute("aria-labelledby",t.id),s.appendChild(t)}else s.setAttribute("aria-label",String(e.message));function g(e){document.removeEventListener("keydown",p,!0),r.remove(),t&&"function"==typeof t.focus&&document.contains(t)&&t.focus(),i(e)}function p(e){if("Escape"===e.key)return e.preventDefault(),e.stopPropagation(),void g(!1);if("Tab"!==e.key)return;const t=s.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'),a=t[0],n=t[t.length-1];s.contains(document.activeElement)?e.shiftKey&&document.activeElement===a?(e.preventDefault(),n.focus()):e.shiftKey||document.activeElement!==n||(e.preventDefault(),a.focus()):(e.preventDefault(),a.focus())}c.type="button",u.type="button",d.appendChild(c),d.appendChild(u),s.appendChild(l),e.content&&s.appendChild(e.content),s.appendChild(d),r.appendChild(s),c.addEventListener("click",function(){g(!1)}),u.addEventListener("click",function(){g(!0)}),r.addEventListener("mousedown",function(e){e.target===r&&g(!1)}),document.addEventListener("keydown",p,!0),document.body.appendChild(r),(e.destructive?c:u).focus()})},fieldError:function(e,t,n){const r=e&&e.jquery?e[0]:e,s=n&&n.jquery?n[0]:n;if(!r)return;i();let l=r.qalaFieldHint;l||(a++,l=o("p","qala-field-hint"),l.id="qala-field-hint-"+a,l.setAttribute("role","alert"),r.qalaFieldHint=l),l.textContent=String(t),s?s.appendChild(l):r.insertAdjacentElement("afterend",l);const d=(r.getAttribute("aria-describedby")||"").split(" ").filter(Boolean);-1===d.indexOf(l.id)&&d.push(l.id),r.setAttribute("aria-describedby",d.join(" ")),r.setAttribute("aria-invalid","true")},clearFieldError:function(e){const t=e&&e.jquery?e[0]:e;if(!t)return;t.removeAttribute("aria-invalid");const a=t.qalaFieldHint;if(!a)return;const n=(t.getAttribute("aria-describedby")||"").split(" ").filter(function(e){return e&&e!==a.id});n.length?t.setAttribute("aria-describedby",n.join(" ")):t.removeAttribute("aria-describedby"),a.remove(),t.qalaFieldHint=null}}}(),function(){"use strict";const e="#2271b1";function t(e,t){const a=document.createElementNS("http://www.w3.org/2000/svg",e);return Object.keys(t||{}).forEach(function(e){a.setAttribute(e,t[e])}),a}function a(e){const a=t("title");return a.textContent=e,a}function n(e,t){const a=document.createElement("p");a.className="qala-chart-empty",a.textContent=t,e.replaceChildren(a)}window.QalaPluginManager.charts={columns:function(i,o,r){const s=Math.max.apply(null,o.map(function(e){return e.value}).concat(0));if(0===s)return void n(i,r.empty);const l=10*o.length,d=100,c=t("svg",{class:"qala-chart-columns",viewBox:"0 0 "+l+" "+d,preserveAspectRatio:"none",role:"img","aria-label":r.label});o.forEach(function(n,i){const o=Math.max(n.value?1:0,n.value/s*d),r=t("rect",{x:10*i+1,y:d-o,width:8,height:o,fill:e});r.appendChild(a(n.title)),c.appendChild(r)}),c.appendChild(t("line",{x1:0,y1:d,x2:l,y2:d,stroke:"#c3c4c7","vector-effect":"non-scaling-stroke"}));const u=document.createElement("div");u.className="qala-chart-axis",[o[0].label,r.max,o[o.length-1].label].forEach(function(e){const t=document.createElement("span");t.textContent=e,u.appendChild(t)}),i.replaceChildren(c,u)},bars:function(i,o,r){if(0===o.length)return void n(i,r.empty);const s=Math.max.apply(null,o.map(function(e){return e.value})),l=t("svg",{class:"qala-chart-bars",width:"100%",height:32*o.length,role:"list","aria-label":r.label});o.forEach(function(n,i){const o=32*i,r=t("g",{role:"listitem"}),d=t("text",{x:0,y:o+12,"font-size":12,fill:"#1d2327"});d.textContent=n.label,r.appendChild(a(n.title)),r.appendChild(d),r.appendChild(t("rect",{x:0,y:o+17,width:"100%",height:8,rx:2,fill:"#f0f0f1"})),r.appendChild(t("rect",{x:0,y:o+17,width:(s>0?Math.max(.5,n.value/s*100):0)+"%",height:8,rx:2,fill:e})),l.appendChild(r)}),i.replaceChildren(l)}}}(),function(){"use strict";function e(){self.onmessage=function(e){const t=e.data;for(let e=t.from;e<t.rules.length;e++){self.postMessage({batch:t.batch,type:"start",rule:e});const a=[];let n=null;try{n=new RegExp(t.rules[e].source,t.rules[e].flags)}catch(e){n=null}n&&t.texts.forEach(function(e,t){n.lastIndex=0,n.test(e)&&a.push(t)}),self.postMessage({batch:t.batch,type:"result",rule:e,matches:a})}}}const t={budget:200,maxTimeouts:2,worker:null,url:null,unavailable:!1,queue:[],current:null,batchCount:0,timer:null,timeouts:new Map,disabled:new Set,isEnabled:function(){return!this.unavailable&&"function"==typeof window.Worker&&"function"==typeof window.Blob&&!!window.URL&&"function"==typeof window.URL.createObjectURL},match:function(e,t){return new Promise(a=>{this.queue.push({id:0,texts:e,rules:t.filter(e=>!this.disabled.has(e.key)),next:0,results:e.map(()=>[]),resolve:a}),this.run()})},run:function(){for(;!this.current&&this.queue.length;){const e=this.queue.shift();if(e.next>=e.rules.length){e.resolve(e.results);continue}const t=this.getWorker();t?(e.id=++this.batchCount,this.current=e,t.postMessage({batch:e.id,texts:e.texts,rules:e.rules.map(e=>({source:e.regex.source,flags:e.regex.flags})),from:e.next})):this.runOnMainThread(e)}},getWorker:function(){if(this.worker||!this.isEnabled())return this.worker;try{if(!this.url){const t="("+e.toString()+")();";this.url=window.URL.createObjectURL(new Blob([t],{type:"text/javascript"}))}this.worker=new Worker(this.url)}catch(e){return window.QalaPluginManager.log.warn("Qala Match Worker: Workers unavailable, matching on the main thread",e),this.unavailable=!0,null}return this.worker.onmessage=this.handleMessage.bind(this),this.worker.onerror=this.handleError.bind(this),this.worker},handleMessage:function(e){const t=e.data,a=this.current;if(!a||t.batch!==a.id)return;if(clearTimeout(this.timer),"start"===t.type)return void(this.timer=setTimeout(this.handleTimeout.bind(this),this.budget));const n=a.rules[t.rule];t.matches.forEach(function(e){a.results[e].push(n)}),a.next=t.rule+1,a.next>=a.rules.length&&(this.current=null,a.resolve(a.results),this.run())},handleTimeout:function(){const e=this.current,t=e.rules[e.next],a=(this.timeouts.get(t.key)||0)+1;this.stopWorker(),this.current=null,this.timeouts.set(t.key,a),window.QalaPluginManager.log.warn("Qala Match Worker: Pattern exceeded its",this.budget,"ms budget",t.pattern.value),a>=this.maxTimeouts&&(this.disabled.add(t.key),this.report(t),e.next++),this.queue.unshift(e),this.run()},handleError:function(e){window.QalaPluginManager.log.warn("Qala Match Worker: Worker failed, matching on the main thread",e.message||"");const t=this.current;this.stopWorker(),this.current=null,this.unavailable=!0,t&&this.queue.unshift(t),this.run()},stopWorker:function(){clearTimeout(this.timer),this.worker&&(this.worker.terminate(),this.worker=null)},runOnMainThread:function(e){e.rules.slice(e.next).forEach(function(t){t.unsafe?window.QalaPluginManager.log.warn("Qala Match Worker: Skipping regex with nested repetition on the main thread",t.pattern.value):e.texts.forEach(function(a,n){t.regex.lastIndex=0,t.regex.test(a)&&e.results[n].push(t)})}),e.next=e.rules.length,e.resolve(e.results)},report:function(e){document.dispatchEvent(new CustomEvent("qala:pattern-disabled",{detail:{pattern:e.pattern}})),e.pattern.id&&"personal"!==e.pattern.source&&window.wp&&window.wp.apiFetch&&"undefined"!=typeof qalaAllowlistPatterns&&qalaAllowlistPatterns.canManage&&window.QalaPluginManager.api.reportPatternTimeout(e.pattern.id).catch(function(e){window.QalaPluginManager.log.error("Qala Match Worker: Could not report pattern timeout",e)})}};window.QalaPluginManager.MatchWorker=t}(),function(){"use strict";const e={selectors:[".notice",".updated",".update-nag",".error",'div[id^="message"]','div[class*="-notice"]',"#ajax-response .notice","#ajax-response > div"],hiddenNotices:[],captureQueue:[],captured:new Set,captureTimer:null,captureBound:!1,captureDelay:2e3,decisions:new Map,compiled:null,pendingRoots:new Set,scanTimer:null,scanQueuedAt:0,scanDelay:50,maxScanDelay:250,init:function(){this.isActive()?(this.isMatchingEnabled()&&(this.compilePatterns(),window.QalaPluginManager.log.debug("Qala Content Matcher: Initializing with",this.compiled.rules.length,"patterns for this screen")),this.processNotices()):window.QalaPluginManager.log.debug("Qala Content Matcher: Notices not hidden and nothing to snooze - skipping")},isMatchingEnabled:function(){return window.QalaPluginManager.noticesHidden()&&"undefined"!=typeof qalaAllowlistPatterns&&!!qalaAllowlistPatterns.patterns},isSnoozeEnabled:function(){return"undefined"!=typeof qalaSnoozedNotices},isActive:function(){return this.isMatchingEnabled()||this.isSnoozeEnabled()||window.QalaPluginManager.debugEnabled()},processNotices:function(e){const t=this.selectors.join(", "),a=e?this.findNotices(e,t):document.querySelectorAll(t),n=this.isMatchingEnabled(),i=n&&window.QalaPluginManager.MatchWorker.isEnabled(),o=[];let r=0,s=0,l=0;if(a.forEach(e=>{if(e.hasAttribute("data-qala-processed"))return;e.setAttribute("data-qala-processed","true"),l++;const a=this.getNoticeText(e);if(this.isSnoozed(e,a))return this.setSnoozed(e,!0),this.setDecision(e,a,"snoozed"),void s++;if(!n)return void this.setDecision(e,a,"visible");if(this.isAlwaysShown(e))return e.setAttribute("data-qala-show","true"),this.setDecision(e,a,"errors"),void r++;const d=this.findMatchingRule(a,e,i);d?(this.showMatch(e,a,d.pattern),r++):(this.registerHidden(e,a,t),this.setDecision(e,a,"hidden"),i&&a&&this.getRegexRules(e).length&&o.push({element:e,text:a}))}),o.length&&this.matchInWorker(o,this.getCompiledPatterns().filter(e=>e.regex)),l>0)window.QalaPluginManager.log.debug("Qala Content Matcher: Processed",l,"new notices, matched",r,"snoozed",s);else if(e)return;document.dispatchEvent(new CustomEvent("qala:notices-processed",{detail:{hidden:this.getHiddenNotices()}}))},findNotices:function(e,t){const a=[];return e.forEach(function(e){e.matches(t)&&a.push(e),e.querySelectorAll(t).forEach(function(e){a.push(e)})}),a},refresh:function(){const e=this.selectors.join(", ");document.querySelectorAll(e).forEach(function(e){e.removeAttribute("data-qala-processed"),e.removeAttribute("data-qala-show"),e.removeAttribute("data-qala-source")}),this.hiddenNotices=[],this.decisions.clear(),this.pendingRoots.clear(),this.processNotices()},registerHidden:function(e,t,a){if(!window.QalaPluginManager.noticesHidden()||!t)return;if(!this.isTopLevelNotice(e,a))return;const n={element:e,text:t,severity:this.getNoticeSeverity(e)};this.hiddenNotices.push(n),this.queueCapture(n)},isTopLevelNotice:function(e,t){return!(e.closest("#wpadminbar")||e.parentElement&&e.parentElement.closest(t))},getNoticeElements:function(){const e=this.selectors.join(", ");return Array.prototype.filter.call(document.querySelectorAll(e),t=>this.isTopLevelNotice(t,e))},getHiddenNotices:function(){return this.hiddenNotices=this.hiddenNotices.filter(function(e){return document.body.contains(e.element)&&"true"!==e.element.getAttribute("data-qala-show")}),this.hiddenNotices},isCaptureEnabled:function(){return window.QalaPluginManager.noticesHidden()&&"undefined"!=typeof qalaAllowlistPatterns&&!!qalaAllowlistPatterns.capture&&"function"==typeof navigator.sendBeacon},queueCapture:function(e){this.isCaptureEnabled()&&!this.captured.has(this.getFingerprint(e.text))&&(this.captureQueue.push(e),this.captureBound||(this.captureBound=!0,window.addEventListener("pagehide",this.flushCapture.bind(this))),clearTimeout(this.captureTimer),this.captureTimer=setTimeout(this.flushCapture.bind(this),this.captureDelay))},flushCapture:function(){clearTimeout(this.captureTimer),this.captureTimer=null;const e=[];if(this.captureQueue.forEach(t=>{const a=this.getFingerprint(t.text);!this.captured.has(a)&&document.body.contains(t.element)&&"true"!==t.element.getAttribute("data-qala-show")&&(this.captured.add(a),e.push({text:t.text.substring(0,1e3),severity:t.severity}))}),this.captureQueue=[],!e.length)return;const t=qalaAllowlistPatterns.capture,a=new URLSearchParams;a.append("_wpnonce",t.nonce),a.append("screen",qalaAllowlistPatterns.screen||""),a.append("notices",JSON.stringify(e));const n=navigator.sendBeacon(t.url,a);window.QalaPluginManager.log.debug("Qala Content Matcher: Reported",e.length,"hidden notices to the log",n?"":"(beacon refused)")},getFingerprint:function(e){return this.hashText(e.toLowerCase().replace(/\d+([.,]\d+)*/g,"#"))},setDecision:function(e,t,a,n){window.QalaPluginManager.debugEnabled()&&t&&this.isTopLevelNotice(e,this.selectors.join(", "))&&(this.decisions.set(e,{element:e,text:t,severity:this.getNoticeSeverity(e),reason:a,pattern:n||null}),window.QalaPluginManager.log.debug("Qala Content Matcher:",a,n?n.value:"","-",t.substring(0,80)))},getDecisions:function(){const e=[];return this.decisions.forEach((t,a)=>{a.isConnected?e.push(t):this.decisions.delete(a)}),e},showMatch:function(e,t,a){e.setAttribute("data-qala-show","true"),e.setAttribute("data-qala-source",a.source||"site"),this.setDecision(e,t,"pattern",a)},revealNotice:function(e){e.setAttribute("data-qala-show","true"),this.setDecision(e,this.getNoticeText(e),"revealed"),document.dispatchEvent(new CustomEvent("qala:notices-processed",{detail:{hidden:this.getHiddenNotices()}}))},applyPattern:function(e,t,a){const n={value:e,type:t,severity:a||"",source:"site"};if(qalaAllowlistPatterns.patterns.push(n),"regex"===t&&window.QalaPluginManager.MatchWorker.isEnabled()){const e=this.compileRule(n);return void(e&&this.matchInWorker(this.getHiddenNotices(),[e]))}this.getHiddenNotices().forEach(e=>{this.matchesRule(n,e.text,e.element)&&this.showMatch(e.element,e.text,n)}),document.dispatchEvent(new CustomEvent("qala:notices-processed",{detail:{hidden:this.getHiddenNotices()}}))},getNoticeKey:function(e,t){return e.id&&!/^message\d*$/.test(e.id)&&/^[A-Za-z0-9_\-:.]+$/.test(e.id)?"id:"+e.id:"text:"+this.hashText(t)},hashText:function(e){let t=2166136261;for(let a=0;a<e.length;a++)t^=e.charCodeAt(a),t=Math.imul(t,16777619);return("0000000"+(t>>>0).toString(16)).slice(-8)},getSnooze:function(e){if(!this.isSnoozeEnabled())return null;const t=qalaSnoozedNotices.snoozed[e];return t&&1e3*t.until>Date.now()?t:null},isSnoozed:function(e,t){return!(!t||!this.isSnoozeEnabled())&&null!==this.getSnooze(this.getNoticeKey(e,t))},getSnoozedNotices:function(){return this.isSnoozeEnabled()?Object.keys(qalaSnoozedNotices.snoozed).map(e=>{const t=this.getSnooze(e);return t?{key:e,until:t.until,text:t.text}:null}).filter(Boolean).sort(function(e,t){return e.until-t.until}):[]},snoozeNotice:function(e,t,a){qalaSnoozedNotices.snoozed[t]=a,this.setSnoozed(e,!0),e.removeAttribute("data-qala-show"),this.setDecision(e,this.getNoticeText(e),"snoozed"),document.dispatchEvent(new CustomEvent("qala:notices-processed",{detail:{hidden:this.getHiddenNotices()}}))},wakeNotice:function(e){delete qalaSnoozedNotices.snoozed[e],document.querySelectorAll('[data-qala-snoozed="true"]').forEach(t=>{this.getNoticeKey(t,this.getNoticeText(t))===e&&(this.setSnoozed(t,!1),t.removeAttribute("data-qala-processed"))}),this.processNotices()},setSnoozed:function(e,t){t?(e.setAttribute("data-qala-snoozed","true"),e.style.setProperty("display","none","important")):(e.removeAttribute("data-qala-snoozed"),e.style.removeProperty("display"))},getNoticeText:function(e){const t=".notice-dismiss, .qala-snooze, .qala-debug-badge";let a=e;return e.querySelector&&e.querySelector(t)&&(a=e.cloneNode(!0),a.querySelectorAll(t).forEach(function(e){e.remove()})),(a.textContent||a.innerText||"").replace(/\s+/g," ").trim()},getNoticeSeverity:function(e){const t=e.classList;return t.contains("notice-error")||t.contains("error")?"error":t.contains("notice-warning")||t.contains("update-nag")?"warning":t.contains("notice-success")||t.contains("updated")?"success":"info"},isAlwaysShown:function(e){return window.QalaPluginManager.alwaysShowErrors()&&"error"===this.getNoticeSeverity(e)},matchesSeverity:function(e,t){return!t||!!e&&this.getNoticeSeverity(e)===t},buildContentPattern:function(e){let t=e;if(t.length>60){t=t.substring(0,60);const e=t.lastIndexOf(" ");e>0&&(t=t.substring(0,e))}return"*"+t.trim()+"*"},escapeRegExp:function(e){return e.replace(/[.*+?^${}()|[\]\\]/g,"\\$&")},buildSelector:function(e){if(e.id&&!/^message\d*$/.test(e.id))return"#"+CSS.escape(e.id);const t=/^(notice|notice-(error|warning|success|info|alt|large)|is-dismissible|inline|below-h2|updated|error|hidden|fade|qala-.*)$/,a=Array.prototype.filter.call(e.classList,function(e){return!t.test(e)});return a.length?(e.classList.contains("notice")?".notice":"")+a.map(function(e){return"."+CSS.escape(e)}).join(""):this.selectors.find(function(t){return e.matches(t)})||e.tagName.toLowerCase()},proposePatterns:function(e,t){const a=this.buildContentPattern(e).slice(1,-1);return{exact:e,wildcard:"*"+a+"*",regex:this.escapeRegExp(a).replace(/\d+/g,"\\d+"),selector:t?this.buildSelector(t):""}},generalizeText:function(e){const t="(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)",a="\\d{1,2}(?:st|nd|rd|th)?";return e.replace(/"[^"]*"|\u201c[^\u201d]*\u201d|\u2018[^\u2019]*\u2019|\u00ab[^\u00bb]*\u00bb|(^|[\s(])'[^'\s][^']*'(?=[\s.,;:!?)]|$)/g,function(e,t){return(t||"")+"*"}).replace(/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{1,2}:\d{2}(?::\d{2})?)?\b/g,"*").replace(/\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b/g,"*").replace(new RegExp("\\b(?:"+a+"\\s+"+t+"|"+t+"\\s+"+a+"),?(?:\\s+\\d{4})?\\b","gi"),"*").replace(/\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]m\b)?/gi,"*").replace(/\d+(?:[.,]\d+)*/g,"*").replace(/\*(?:\s*\*)+/g,"*")},suggestPatterns:function(e,t){const a=[],n=function(e,t,n){const i=e.replace(/[\s*\\_:.,;!?'"()-]/g,"");!a.some(function(a){return a.pattern===e&&a.type===t})&&("exact"===t||i.length>=3)&&a.push({pattern:e,type:t,kind:n})};if("content"===t)return n(this.buildContentPattern(e),"wildcard","excerpt"),n(this.buildContentPattern(this.generalizeText(e)).replace(/\*+/g,"*"),"wildcard","general"),a;if(n(e,"exact","exact"),!e||"Closure"===e||"Unknown"===e)return a;const i=e.split("::"),o=i[0].replace(/^\\+/,"");return/\d/.test(e)&&n(e.replace(/\d+/g,"*"),"wildcard","numbers"),i.length>1&&n(i[0]+"::*","wildcard","class"),-1!==o.indexOf("\\")?n(o.substring(0,o.indexOf("\\")+1)+"*","wildcard","prefix"):o.indexOf("_")>0&&n(o.substring(0,o.indexOf("_")+1)+"*","wildcard","prefix"),a},matchesAnyPattern:function(e,t){return null!==this.findMatchingRule(e,t)},findMatchingRule:function(e,t,a){return(e||t)&&this.getCompiledPatterns().find(n=>(!a||!n.regex)&&this.matchesSeverity(t,n.severity)&&n.test(e,t))||null},getRegexRules:function(e){return this.getCompiledPatterns().filter(t=>t.regex&&this.matchesSeverity(e,t.severity))},matchInWorker:function(e,t){const a=window.QalaPluginManager.MatchWorker,n=e.map(function(e){return e.text});a.match(n,t).then(t=>{let a=0;t.forEach((t,n)=>{const i=e[n].element,o=t.find(e=>this.matchesSeverity(i,e.severity));o&&i.isConnected&&"true"!==i.getAttribute("data-qala-snoozed")&&(this.showMatch(i,e[n].text,o.pattern),a++)}),a&&(window.QalaPluginManager.log.debug("Qala Content Matcher: Matched",a,"notices in the Match Worker"),document.dispatchEvent(new CustomEvent("qala:notices-processed",{detail:{hidden:this.getHiddenNotices()}})))})},getCompiledPatterns:function(){const e=qalaAllowlistPatterns.patterns;return this.compiled&&this.compiled.source===e&&this.compiled.count===e.length||this.compilePatterns(),this.compiled.rules},compilePatterns:function(){const e=qalaAllowlistPatterns.patterns;this.compiled={source:e,count:e.length,rules:e.map(e=>this.compileRule(e)).filter(Boolean)}},compileRule:function(e){if(!this.matchesScope(e.screens))return null;let t;switch(e.type){case"exact":t=function(t){return t===e.value};break;case"wildcard":{const a=this.compileWildcard(e.value);t=function(e){return a.test(e)};break}case"regex":{let a;try{a=this.compileRegex(e.value)}catch(t){return window.QalaPluginManager.log.error("Qala Content Matcher: Invalid regex pattern",e.value,t),null}const n=this.isUnsafeRegex(a.source);return n&&window.QalaPluginManager.log.warn("Qala Content Matcher: Regex with nested repetition only runs in the Match Worker",e.value),t=function(e){return!n&&(a.lastIndex=0,a.test(e))},{pattern:e,severity:e.severity||"",test:t,regex:a,unsafe:n,key:e.id?("personal"===e.source?"personal:":"id:")+e.id:"regex:"+e.value}}case"selector":{const a=this.validatePattern(e.value,"selector");if(a)return window.QalaPluginManager.log.error("Qala Content Matcher: Invalid selector pattern",e.value,a),null;t=function(t,a){return!!a&&a.matches(e.value)};break}default:return null}return{pattern:e,severity:e.severity||"",test:t}},matchesRule:function(e,t,a){return this.matchesScope(e.screens)&&this.matchesSeverity(a,e.severity)&&this.matchesPattern(t,e.value,e.type,a)},matchesScope:function(e){return!e||!e.length||e.some(e=>this.matchesScreen(e))},matchesScreen:function(e){if(e===("undefined"!=typeof qalaAllowlistPatterns&&qalaAllowlistPatterns.screen||window.pagenow||""))return!0;const t=e.split("?"),a=window.location.pathname.split("/").pop()||"index.php";if(t[0]!==a)return!1;const n=new URLSearchParams(window.location.search),i=new URLSearchParams(t[1]||"");for(const[e,t]of i)if(n.get(e)!==t)return!1;return!0},matchesPattern:function(e,t,a,n){switch(a){case"exact":return e===t;case"wildcard":return this.matchesWildcard(e,t);case"regex":return this.matchesRegex(e,t);case"selector":return!!n&&this.matchesSelector(n,t);default:return!1}},matchesSelector:function(e,t){try{return e.matches(t)}catch(e){return window.QalaPluginManager.log.error("Qala Content Matcher: Invalid selector pattern",t,e),!1}},matchesWildcard:function(e,t){return this.compileWildcard(t).test(e)},compileWildcard:function(e){const t=e.replace(/[.+?^${}()|[\]\\]/g,"\\$&");return new RegExp("^"+t.replace(/\*/g,".*")+"$","i")},matchesRegex:function(e,t){try{const a=this.compileRegex(t);return!this.isUnsafeRegex(a.source)&&a.test(e)}catch(e){return window.QalaPluginManager.log.error("Qala Content Matcher: Invalid regex pattern",t,e),!1}},compileRegex:function(e){let t=e,a="i";const n=e.match(/^\/(.*)\/([gimsuvy]*)$/);return n&&(t=n[1],a=[...new Set((n[2]+"i").split(""))].join("")),new RegExp(t,a)},isUnsafeRegex:function(e){const t=[".","\\S","[\\s\\S]","[\\w\\W]","[\\d\\D]","[^]"],a=[{start:0,branches:[],repeats:!1}];let n=0;const i=function(){const t=/^(?:([*+])|\?|\{\d+(,?)(\d*)\})[?+]?/.exec(e.slice(n));return t?(n+=t[0].length,!!t[1]||","===t[2]&&""===t[3]):null};for(;n<e.length;){const o=e[n],r=a[a.length-1];if("("===o){const t=/^\?(?:[:=!>|]|<[=!]|P?<[^>]*>|'[^']*'|[a-zA-Z-]*:?)/.exec(e.slice(n+1));n+=1+(t?t[0].length:0),a.push({start:n,branches:[],repeats:!1});continue}if("|"!==o){if(")"===o){if(a.length<2)return!1;a.pop(),r.branches.push(e.slice(r.start,n)),n++;const o=i(),s=r.branches.length>1&&(new Set(r.branches).size<r.branches.length||r.branches.some(e=>t.includes(e)));if(o&&(r.repeats||s))return!0;(o||r.repeats)&&(a[a.length-1].repeats=!0);continue}if("\\"===o)n+=2;else if("["===o){for(n+="^"===e[n+1]?2:1,"]"===e[n]&&n++;n<e.length&&"]"!==e[n];)n+="\\"===e[n]?2:1;n++}else n++;i()&&(r.repeats=!0)}else r.branches.push(e.slice(r.start,n)),r.start=++n}return!1},validatePattern:function(e,t){try{return"regex"===t?this.compileRegex(e):"selector"===t&&document.createDocumentFragment().querySelector(e),""}catch(e){return e.message}},getMatchRanges:function(e,t,a,n){switch(a){case"exact":return e===t?[[0,e.length]]:null;case"selector":return this.matchesPattern(e,t,a,n)?[[0,e.length]]:null;case"wildcard":{const a=t.split("*").map(this.escapeRegExp),n=new RegExp("^("+a.join(")(.*)(")+")$","i").exec(e);if(!n)return null;const i=[];let o=0;for(let e=1;e<n.length;e++)e%2==1&&n[e].length&&i.push([o,o+n[e].length]),o+=n[e].length;return i}case"regex":{let a;try{a=this.compileRegex(t)}catch(e){return null}if(this.isUnsafeRegex(a.source))return null;const n=new RegExp(a.source,a.flags.replace("g","")).exec(e);return n?n[0].length?[[n.index,n.index+n[0].length]]:[]:null}default:return null}},startObserver:function(){if(!this.isActive())return;if(this.observer)return;const e=new MutationObserver(e=>{e.forEach(e=>{e.addedNodes.forEach(e=>{1===e.nodeType&&this.pendingRoots.add(e)})}),this.pendingRoots.size&&this.scheduleScan()});e.observe(document.body,{childList:!0,subtree:!0}),window.QalaPluginManager.log.debug("Qala Content Matcher: MutationObserver started - watching for AJAX notices"),this.observer=e},scheduleScan:function(){const e=Date.now();this.scanQueuedAt||(this.scanQueuedAt=e),clearTimeout(this.scanTimer),this.scanTimer=setTimeout(()=>this.scanPending(),Math.max(0,Math.min(this.scanDelay,this.scanQueuedAt+this.maxScanDelay-e)))},scanPending:function(){const e=this.pendingRoots,t=[];this.pendingRoots=new Set,this.scanTimer=null,this.scanQueuedAt=0,e.forEach(function(a){if(a.isConnected){for(let t=a.parentElement;t;t=t.parentElement)if(e.has(t))return;t.push(a)}}),t.length&&this.processNotices(t)},stopObserver:function(){clearTimeout(this.scanTimer),this.scanTimer=null,this.scanQueuedAt=0,this.pendingRoots.clear(),this.observer&&(this.observer.disconnect(),this.observer=null,window.QalaPluginManager.log.debug("Qala Content Matcher: MutationObserver stopped"))}};"loading"===document.readyState?document.addEventListener("DOMContentLoaded",function(){e.init(),e.startObserver()}):(e.init(),e.startObserver()),window.QalaPluginManager.NoticeContentMatcher=e}(),function(){"use strict";const e=window.QalaPluginManager.ui.getString;window.QalaPluginManager.suggestions={choose:function(t,a){const n=window.QalaPluginManager.NoticeContentMatcher.suggestPatterns(String(t),a),i=document.createElement("fieldset"),o=document.createElement("legend"),r=[];return i.className="qala-suggestions",o.className="screen-reader-text",o.textContent=e("suggestTitle","Add to allowlist"),i.appendChild(o),n.forEach(function(t,a){const n=function(t,a){const n=e("suggestions",{}),i=document.createElement("label"),o=document.createElement("input"),r=document.createElement("span"),s=document.createElement("code"),l=document.createElement("span");return i.className="qala-suggestion",o.type="radio",o.name="qala-suggestion",o.value=String(a),o.checked=0===a,r.textContent=n[t.kind]||t.kind,s.textContent=t.pattern,l.className="qala-suggestion-count",l.textContent=e("suggestLoading","Counting logged notices..."),r.appendChild(s),r.appendChild(l),i.appendChild(o),i.appendChild(r),{option:i,count:l}}(t,a);i.appendChild(n.option),r.push(n.count)}),window.QalaPluginManager.api.countLogMatches(n.map(function(e){return{pattern:e.pattern,type:e.type}})).then(function(t){r.forEach(function(a,n){a.textContent=e("suggestMatches","Matches %1$d of %2$d logged notices").replace("%1$d",t.matches[n]).replace("%2$d",t.total)})}).catch(function(t){window.QalaPluginManager.log.warn("Qala Suggestions: Could not count log matches",t),r.forEach(function(t){t.textContent=e("suggestCountError","Could not count logged notices.")})}),window.QalaPluginManager.ui.confirm({title:e("suggestTitle","Add to allowlist"),message:e("suggestMessage","Choose how widely the pattern should match. Wider patterns also keep similar notices visible."),content:i,confirmLabel:e("suggestSave","Add pattern")}).then(function(e){if(!e)return null;const t=i.querySelector("input:checked"),a=n[t?parseInt(t.value,10):0];return{pattern:a.pattern,type:a.type}})}}}(),function(){"use strict";const e={store:"core/notices",seen:new Set,removed:[],logged:new Set,lastNotices:null,init:function(){const e=window.wp&&window.wp.data;e&&document.body.classList.contains("block-editor-page")&&e.select(this.store)&&(this.matcher=window.QalaPluginManager.NoticeContentMatcher,this.matcher.isActive()?(this.check(),e.subscribe(this.check.bind(this)),document.addEventListener("qala:notices-processed",()=>{window.QalaPluginManager.noticesHidden()||this.restoreAll()}),window.QalaPluginManager.log.debug("Qala Block Editor Notices: Watching the",this.store,"store")):window.QalaPluginManager.log.debug("Qala Block Editor Notices: Notices not hidden and nothing to snooze - skipping"))},check:function(){const e=window.wp.data.select(this.store).getNotices();e!==this.lastNotices&&(this.lastNotices=e,e.forEach(e=>{this.seen.has(e.id)||(this.seen.add(e.id),this.process(e))}))},process:function(e){const t=this.matcher,a=this.getText(e),n=this.getSeverity(e);if(!a)return;if(t.getSnooze("text:"+t.hashText(a)))return this.remove(e,a,"snoozed"),void this.log(a,n);if(!t.isMatchingEnabled()||"error"===n&&window.QalaPluginManager.alwaysShowErrors())return;const i=window.QalaPluginManager.MatchWorker,o=i.isEnabled(),r=this.findRule(a,n,o);if(r)return void window.QalaPluginManager.log.debug("Qala Block Editor Notices: Shown by pattern",r.pattern.value,"-",a);const s=this.remove(e,a,"not_allowlisted"),l=o?this.getRegexRules(n):[];l.length?i.match([a],l).then(e=>{e[0].length?(window.QalaPluginManager.log.debug("Qala Block Editor Notices: Shown by pattern",e[0][0].pattern.value,"-",a),window.QalaPluginManager.noticesHidden()&&this.restore(s)):this.log(a,n)}):this.log(a,n)},getText:function(e){return"string"!=typeof e.content?"":((e.__unstableHTML?(new DOMParser).parseFromString(e.content,"text/html").body.textContent:e.content)||"").replace(/\s+/g," ").trim()},getSeverity:function(e){return-1!==["error","warning","success"].indexOf(e.status)?e.status:"info"},findRule:function(e,t,a){return this.matcher.getCompiledPatterns().find(function(n){return(!a||!n.regex)&&(!n.severity||n.severity===t)&&n.test(e,null)})||null},getRegexRules:function(e){return this.matcher.getCompiledPatterns().filter(function(t){return t.regex&&(!t.severity||t.severity===e)})},remove:function(e,t,a){const n={notice:e,text:t,reason:a};return this.removed.push(n),window.wp.data.dispatch(this.store).removeNotice(e.id),window.QalaPluginManager.log.debug("Qala Block Editor Notices: Removed ("+a+") -",t),n},restore:function(e){const t=e.notice;this.removed=this.removed.filter(function(t){return t!==e}),window.wp.data.dispatch(this.store).createNotice(t.status,t.content,{id:t.id,type:t.type,isDismissible:t.isDismissible,explicitDismiss:t.explicitDismiss,actions:t.actions,icon:t.icon,onDismiss:t.onDismiss,__unstableHTML:t.__unstableHTML,speak:!1})},restoreAll:function(){this.removed.filter(function(e){return"snoozed"!==e.reason}).forEach(e=>{this.restore(e)})},log:function(e,t){if(this.logged.has(e))return;this.logged.add(e);const a="undefined"!=typeof qalaAllowlistPatterns&&qalaAllowlistPatterns.screen||"";window.QalaPluginManager.api.logNotices([{text:e.substring(0,1e3),severity:t}],a).catch(function(e){window.QalaPluginManager.log.warn("Qala Block Editor Notices: Could not log notice",e)})}};"loading"===document.readyState?document.addEventListener("DOMContentLoaded",function(){e.init()}):e.init(),window.QalaPluginManager.BlockEditorNotices=e}(),function(){"use strict";const e="qala-debug-styles",t=['.qala-debug-badge{display:inline-block;margin:6px 8px 0 0;padding:1px 6px;border-radius:3px;background:#2271b1;color:#fff;font:600 11px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;vertical-align:middle}','.qala-debug-badge[data-reason="hidden"],.qala-debug-badge[data-reason="snoozed"]{background:#d63638}','.qala-debug-badge[data-reason="pattern"]{background:#00a32a}',"[data-qala-debug-ghost]{opacity:.6;outline:2px dashed #d63638;outline-offset:-2px}",".qala-debug-panel{position:fixed;left:20px;bottom:20px;z-index:99990;width:340px;max-height:50vh;overflow:auto;background:#fff;border:1px solid #c3c4c7;border-radius:4px;box-shadow:0 3px 12px rgba(0,0,0,.2);color:#1d2327;font-size:12px;line-height:1.5}",".qala-debug-panel-header{display:flex;align-items:center;gap:8px;padding:8px 12px;border-bottom:1px solid #dcdcde;background:#f6f7f7}",".qala-debug-panel-title{flex:1;margin:0;font-size:13px}",".qala-debug-panel-body{padding:4px 12px 10px}",".qala-debug-panel-body[hidden]{display:none}",".qala-debug-group-title{margin:8px 0 4px;font-size:12px}",".qala-debug-group-list{margin:0;padding:0;list-style:none}",".qala-debug-entry{margin:0 0 4px}",".qala-debug-entry button{padding:0;background:none;border:0;color:#2271b1;cursor:pointer;font-size:12px;text-align:left;text-decoration:underline}",".qala-debug-entry-pattern{display:block;color:#646970}"].join("\n"),a=["hidden","snoozed","pattern","errors","visible","revealed"],n={signature:null,panel:null,body:null,init:function(){if(this.matcher=window.QalaPluginManager.NoticeContentMatcher,this.strings=qalaDebugOverlay.strings,!document.getElementById(e)){const a=document.createElement("style");a.id=e,a.textContent=t,document.head.appendChild(a)}this.render(),document.addEventListener("qala:notices-processed",()=>{this.render()})},render:function(){const e=this.matcher.getDecisions();e.forEach(e=>{this.renderBadge(e)});const t=e.map(function(e){return e.reason+":"+(e.pattern?e.pattern.value:"")}).join("|");t!==this.signature&&(this.signature=t,this.renderPanel(e))},describe:function(e){const t=e.pattern&&"personal"===e.pattern.source?"personal":e.reason,a=this.strings.reasons[t]||e.reason;return e.pattern?a.replace("%s",e.pattern.value+" ("+e.pattern.type+")"):a},renderBadge:function(e){const t=e.element,a=this.describe(e);let n=t.querySelector(":scope > .qala-debug-badge");n||(n=document.createElement("span"),n.className="qala-debug-badge",t.insertBefore(n,t.firstChild)),n.textContent!==a&&(n.textContent=a),n.setAttribute("data-reason",e.reason),"hidden"===e.reason?(t.setAttribute("data-qala-debug-ghost","true"),t.style.setProperty("display","block","important")):t.hasAttribute("data-qala-debug-ghost")&&(t.removeAttribute("data-qala-debug-ghost"),"snoozed"!==e.reason&&t.style.removeProperty("display"))},createPanel:function(){const e=window.sessionStorage&&"yes"===sessionStorage.getItem("qalaDebugPanelCollapsed"),t=document.createElement("div"),a=document.createElement("h2"),n=document.createElement("button");this.panel=document.createElement("div"),this.panel.id="qala-debug-panel",this.panel.className="qala-debug-panel",this.panel.setAttribute("role","region"),this.panel.setAttribute("aria-label",this.strings.title),t.className="qala-debug-panel-header",a.className="qala-debug-panel-title",a.textContent=this.strings.title,n.type="button",n.className="button button-small",n.setAttribute("aria-controls","qala-debug-panel-body"),n.addEventListener("click",()=>{this.setCollapsed(!this.body.hidden,n)}),this.body=document.createElement("div"),this.body.id="qala-debug-panel-body",this.body.className="qala-debug-panel-body",t.appendChild(a),t.appendChild(n),this.panel.appendChild(t),this.panel.appendChild(this.body),document.body.appendChild(this.panel),this.setCollapsed(e,n)},setCollapsed:function(e,t){this.body.hidden=e,t.textContent=e?this.strings.expand:this.strings.collapse,t.setAttribute("aria-expanded",e?"false":"true"),window.sessionStorage&&sessionStorage.setItem("qalaDebugPanelCollapsed",e?"yes":"no")},renderPanel:function(e){this.panel||this.createPanel(),this.body.textContent="";const t=document.createElement("p");t.textContent=e.length?this.strings.summary.replace("%d",e.length):this.strings.empty,this.body.appendChild(t),a.forEach(t=>{const a=e.filter(function(e){return e.reason===t});if(!a.length)return;const n=document.createElement("h3");n.className="qala-debug-group-title",n.textContent=this.strings.groups[t]+" ("+a.length+")",this.body.appendChild(n);const i=document.createElement("ul");i.className="qala-debug-group-list",a.forEach(e=>{i.appendChild(this.renderEntry(e))}),this.body.appendChild(i)})},renderEntry:function(e){const t=document.createElement("li"),a=e.text.length>80?e.text.substring(0,80)+"…":e.text,n="["+e.severity+"] "+a;if(t.className="qala-debug-entry","snoozed"===e.reason)t.appendChild(document.createTextNode(n));else{const a=document.createElement("button");a.type="button",a.textContent=n,a.addEventListener("click",function(){e.element.scrollIntoView({behavior:"smooth",block:"center"})}),t.appendChild(a)}if(e.pattern){const a=document.createElement("code");a.className="qala-debug-entry-pattern",a.textContent=e.pattern.value+" ("+e.pattern.type+")",t.appendChild(a)}return t}};function i(){window.QalaPluginManager.debugEnabled()&&"undefined"!=typeof qalaDebugOverlay&&n.init()}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",i):i(),window.QalaPluginManager.DebugOverlay=n}(),function(e){"use strict";const t={excerptLength:120,init:function(){this.$inbox=e("#qala-hidden-inbox"),this.$list=this.$inbox.find(".qala-inbox-list"),this.$empty=this.$inbox.find(".qala-inbox-empty"),this.bindEvents(),this.render(window.QalaPluginManager.NoticeContentMatcher.getHiddenNotices())},bindEvents:function(){const e=this;document.addEventListener("qala:notices-processed",function(t){e.render(t.detail.hidden)}),this.$list.on("click",".qala-inbox-reveal",this.handleReveal.bind(this)),this.$list.on("click",".qala-inbox-allowlist",this.handleAllowlist.bind(this))},render:function(t){const a=this,n=qalaAdminBarToggle.strings;this.entries=t.slice(),this.$list.empty(),this.entries.forEach(function(t,i){const o=e("<li>",{class:"qala-inbox-entry qala-severity-"+t.severity,"data-index":i});e("<span>",{class:"qala-inbox-severity"}).text(n.severities[t.severity]||t.severity).appendTo(o),e("<span>",{class:"qala-inbox-excerpt",title:t.text}).text(a.getExcerpt(t.text)).appendTo(o);const r=e("<span>",{class:"qala-inbox-actions"}).appendTo(o);e("<button>",{type:"button",class:"qala-inbox-reveal"}).text(n.reveal).appendTo(r),qalaAllowlistPatterns.canManage&&e("<button>",{type:"button",class:"qala-inbox-allowlist"}).text(n.addToAllowlist).appendTo(r),a.$list.append(o)}),this.$empty.toggle(0===this.entries.length),e("#wp-admin-bar-qala-notice-toggle .qala-hidden-count").text(this.entries.length).prop("hidden",0===this.entries.length)},getExcerpt:function(e){return e.length<=this.excerptLength?e:e.substring(0,this.excerptLength).trim()+"…"},getEntry:function(t){const a=e(t.currentTarget).closest(".qala-inbox-entry").data("index");return this.entries[a]},handleReveal:function(e){e.preventDefault();const t=this.getEntry(e);t&&(window.QalaPluginManager.NoticeContentMatcher.revealNotice(t.element),t.element.scrollIntoView({behavior:"smooth",block:"center"}))},handleAllowlist:function(t){t.preventDefault();const a=this.getEntry(t);if(!a)return;const n=window.QalaPluginManager.NoticeContentMatcher,i=e(t.currentTarget);window.QalaPluginManager.suggestions.choose(a.text,"content").then(function(e){e&&(i.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.createPattern({pattern:e.pattern,pattern_type:e.type}).then(function(){n.applyPattern(e.pattern,e.type),n.revealNotice(a.element)}).catch(function(){i.prop("disabled",!1).removeClass("qala-loading").text(qalaAdminBarToggle.strings.allowlistError)}))})}};e(document).ready(function(){e("#qala-hidden-inbox").length&&"undefined"!=typeof qalaAllowlistPatterns&&t.init()})}(jQuery),function(e){"use strict";const t={init:function(){this.matcher=window.QalaPluginManager.NoticeContentMatcher,this.$section=e("#qala-hidden-inbox .qala-snoozed-section"),this.$list=this.$section.find(".qala-snoozed-list"),this.bindEvents(),this.addControls(),this.renderSnoozed()},bindEvents:function(){const t=this;document.addEventListener("qala:notices-processed",function(){t.addControls()}),e(document).on("click",".qala-snooze-toggle",this.handleToggleMenu.bind(this)),e(document).on("click",".qala-snooze-option",this.handleSnooze.bind(this)),e(document).on("keydown",".qala-snooze",this.handleKeydown.bind(this)),e(document).on("click",function(a){e(a.target).closest(".qala-snooze").length||t.closeMenus()}),this.$list.on("click",".qala-snoozed-wake",this.handleWake.bind(this))},addControls:function(){const t=this;this.matcher.getNoticeElements().forEach(function(a){const n=e(a);!n.children(".qala-snooze").length&&t.matcher.getNoticeText(a)&&(n.hasClass("qala-ajax-notice")||n.addClass("qala-has-snooze").append(t.buildControl()))})},buildControl:function(){const t=qalaSnoozedNotices.strings,a=e("<span>",{class:"qala-snooze"});e("<button>",{type:"button",class:"qala-snooze-toggle","aria-expanded":"false","aria-label":t.snoozeLabel}).text(t.snooze).appendTo(a);const n=e("<span>",{class:"qala-snooze-menu",hidden:!0}).appendTo(a);return Object.keys(t.durations).forEach(function(a){e("<button>",{type:"button",class:"qala-snooze-option","data-duration":a}).text(t.durations[a]).appendTo(n)}),a},handleToggleMenu:function(t){t.preventDefault();const a=e(t.currentTarget),n="true"!==a.attr("aria-expanded");this.closeMenus(),n&&(a.attr("aria-expanded","true"),a.siblings(".qala-snooze-menu").prop("hidden",!1).find(".qala-snooze-option").first().trigger("focus"))},handleKeydown:function(t){"Escape"===t.key&&(this.closeMenus(),e(t.currentTarget).find(".qala-snooze-toggle").trigger("focus"))},closeMenus:function(){e(".qala-snooze-toggle").attr("aria-expanded","false"),e(".qala-snooze-menu").prop("hidden",!0)},handleSnooze:function(t){t.preventDefault();const a=this,n=e(t.currentTarget),i=n.closest(".qala-snooze"),o=i.closest(".qala-has-snooze")[0],r=this.matcher.getNoticeText(o),s=this.matcher.getNoticeKey(o,r);i.find("button").prop("disabled",!0),window.QalaPluginManager.api.snoozeNotice({key:s,text:r,duration:n.data("duration")}).then(function(e){a.closeMenus(),i.find("button").prop("disabled",!1),a.matcher.snoozeNotice(o,s,e.snooze),a.renderSnoozed()}).catch(function(){a.showControlError(i)})},showControlError:function(e){this.closeMenus(),e.find("button").prop("disabled",!1),e.find(".qala-snooze-toggle").text(qalaSnoozedNotices.strings.snoozeError)},renderSnoozed:function(){const t=this,a=qalaSnoozedNotices.strings,n=this.matcher.getSnoozedNotices();this.$list.empty(),n.forEach(function(n){const i=e("<li>",{class:"qala-inbox-entry qala-snoozed-entry","data-key":n.key});e("<span>",{class:"qala-inbox-severity"}).text(a.snoozedUntil.replace("%s",t.formatTime(n.until))).appendTo(i),e("<span>",{class:"qala-inbox-excerpt",title:n.text}).text(n.text).appendTo(i);const o=e("<span>",{class:"qala-inbox-actions"}).appendTo(i);e("<button>",{type:"button",class:"qala-snoozed-wake"}).text(a.wake).appendTo(o),t.$list.append(i)}),this.$section.prop("hidden",0===n.length)},formatTime:function(e){return new Date(1e3*e).toLocaleString([],{dateStyle:"medium",timeStyle:"short"})},handleWake:function(t){t.preventDefault();const a=this,n=e(t.currentTarget),i=n.closest(".qala-snoozed-entry").data("key");n.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.wakeNotice(i).then(function(){a.matcher.wakeNotice(i),a.renderSnoozed()}).catch(function(){n.prop("disabled",!1).removeClass("qala-loading").text(qalaSnoozedNotices.strings.wakeError)})}};e(document).ready(function(){"undefined"!=typeof qalaSnoozedNotices&&t.init()})}(jQuery),function(e){"use strict";const t={isActive:!1,current:null,init:function(){this.onClick=this.handleClick.bind(this),this.onKeydown=this.handleKeydown.bind(this),e(document).on("click",".qala-inspector-start",this.handleStart.bind(this))},handleStart:function(e){e.preventDefault(),this.start()},start:function(){this.isActive||(this.isActive=!0,window.QalaPluginManager.NoticeContentMatcher.getNoticeElements().forEach(function(e){e.setAttribute("data-qala-inspect","true")}),document.body.classList.add("qala-inspecting"),this.$hint=e("<div>",{class:"qala-inspector-hint",role:"status"}).append(e("<span>").text(qalaAdminBarToggle.strings.inspectHint)).append(e("<button>",{type:"button",class:"button"}).text(qalaAdminBarToggle.strings.cancel).on("click",this.stop.bind(this))).appendTo(document.body),document.addEventListener("click",this.onClick,!0),document.addEventListener("keydown",this.onKeydown,!0))},stop:function(){this.isActive&&(this.isActive=!1,this.closeDialog(),document.querySelectorAll("[data-qala-inspect]").forEach(function(e){e.removeAttribute("data-qala-inspect")}),document.body.classList.remove("qala-inspecting"),this.$hint&&(this.$hint.remove(),this.$hint=null),document.removeEventListener("click",this.onClick,!0),document.removeEventListener("keydown",this.onKeydown,!0))},handleClick:function(t){if(e(t.target).closest(".qala-inspector-dialog, .qala-inspector-hint").length)return;const a=t.target.closest("[data-qala-inspect]");a&&(t.preventDefault(),t.stopPropagation(),this.openDialog(a))},handleKeydown:function(e){"Escape"===e.key&&(e.preventDefault(),this.current?this.closeDialog():this.stop())},openDialog:function(t){const a=this,n=window.QalaPluginManager.NoticeContentMatcher,i=qalaAdminBarToggle.strings,o=n.getNoticeText(t);if(this.closeDialog(),!o)return;this.current={element:t,text:o,proposals:n.proposePatterns(o,t)};const r=e("<div>",{class:"qala-inspector-dialog",role:"dialog","aria-modal":"true","aria-labelledby":"qala-inspector-title"});e("<h2>",{id:"qala-inspector-title"}).text(i.inspectTitle).appendTo(r),e("<blockquote>",{class:"qala-inspector-text"}).text(o).appendTo(r);const s=e("<select>",{id:"qala-inspector-type"});e.each(i.types,function(t,a){e("<option>",{value:t}).text(a).appendTo(s)}),s.val("wildcard");const l=e("<input>",{type:"text",id:"qala-inspector-pattern",class:"regular-text",val:this.current.proposals.wildcard});e("<p>").append(e("<label>",{for:"qala-inspector-type"}).text(i.typeLabel)).append(s).appendTo(r),e("<p>").append(e("<label>",{for:"qala-inspector-pattern"}).text(i.patternLabel)).append(l).appendTo(r),this.$status=e("<p>",{class:"qala-inspector-status","aria-live":"polite"}).appendTo(r);const d=e("<button>",{type:"button",class:"button button-primary"}).text(i.savePattern).on("click",this.save.bind(this)),c=e("<button>",{type:"button",class:"button"}).text(i.cancel).on("click",this.closeDialog.bind(this));e("<p>",{class:"qala-inspector-buttons"}).append(d," ",c).appendTo(r),s.on("change",function(){l.val(a.current.proposals[s.val()]),a.updateStatus()}),l.on("input",this.updateStatus.bind(this)),this.$dialog=r.appendTo(document.body),this.$type=s,this.$pattern=l,this.$save=d,t.classList.add("qala-inspect-selected"),this.updateStatus(),l.trigger("focus")},closeDialog:function(){this.current&&this.current.element.classList.remove("qala-inspect-selected"),this.$dialog&&(this.$dialog.remove(),this.$dialog=null),this.current=null},updateStatus:function(){const e=window.QalaPluginManager.NoticeContentMatcher.matchesPattern(this.current.text,this.$pattern.val(),this.$type.val(),this.current.element);this.$status.toggleClass("qala-inspector-match",e).text(e?qalaAdminBarToggle.strings.matchesNotice:qalaAdminBarToggle.strings.noMatch)},save:function(){const e=this,t=window.QalaPluginManager.NoticeContentMatcher,a=this.$pattern.val().trim(),n=this.$type.val();a&&(this.$save.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.createPattern({pattern:a,pattern_type:n}).then(function(){t.applyPattern(a,n),t.revealNotice(e.current.element),e.stop()}).catch(function(t){const a=window.QalaPluginManager.api.getErrorMessage(t,qalaAdminBarToggle.strings.allowlistError);e.$status.removeClass("qala-inspector-match").text(a),e.$save.prop("disabled",!1).removeClass("qala-loading")}))}};e(document).ready(function(){"undefined"!=typeof qalaAllowlistPatterns&&qalaAllowlistPatterns.canManage&&t.init()}),window.QalaPluginManager.NoticeInspector=t}(jQuery),function(e){"use strict";const t={init:function(){this.bindEvents()},bindEvents:function(){e("#wp-admin-bar-qala-notice-toggle > .ab-item").on("click",this.handleClick.bind(this))},handleClick:function(e){e.preventDefault(),this.isToggling||this.toggleNoticeVisibility()},toggleNoticeVisibility:function(){const t=this,a=e("#wp-admin-bar-qala-notice-toggle").find(".qala-notice-toggle-wrapper"),n=a.html();this.isToggling=!0,this.setLoadingState(a),window.QalaPluginManager.api.toggleVisibility().then(function(e){t.handleSuccess(e,a)}).catch(function(e){t.handleError({message:window.QalaPluginManager.api.getErrorMessage(e,qalaAdminBarToggle.strings.error)},a,n)}).then(function(){t.isToggling=!1})},setLoadingState:function(e){e.addClass("qala-loading"),e.find(".qala-toggle-state").text(qalaAdminBarToggle.strings.loading)},handleSuccess:function(e,t){e.new_title&&t.replaceWith(e.new_title),this.applyVisibility(e.showing),window.QalaPluginManager.ui.toast(e.message,{type:"success"})},applyVisibility:function(t){const a=window.QalaPluginManager.NoticeContentMatcher;e("body").toggleClass("qala-notices-visible",t).toggleClass("qala-notices-hidden",!t),this.toggleStylesheet(!t),a.stopObserver(),a.refresh(),a.startObserver()},toggleStylesheet:function(e){const t="qala-plugin-manager-css",a=document.getElementById(t);if(!e)return void(a&&a.remove());if(a||!qalaAdminBarToggle.stylesheetUrl)return;const n=document.createElement("link");n.id=t,n.rel="stylesheet",n.href=qalaAdminBarToggle.stylesheetUrl,document.head.appendChild(n)},handleError:function(e,t,a){t.removeClass("qala-loading"),t.html(a);const n=e&&e.message?e.message:qalaAdminBarToggle.strings.error;window.QalaPluginManager.ui.toast(n,{type:"error"})},isToggling:!1};e(document).ready(function(){e("#wp-admin-bar-qala-notice-toggle").length&&t.init()})}(jQuery),function(e){"use strict";const t={init:function(){if(this.bindEvents(),/^#[a-z-]+$/.test(location.hash)){const t=e('[role="tab"][data-hash="'+location.hash.substring(1)+'"]');t.length&&this.selectTab(t)}},bindEvents:function(){window.QalaPluginManager.log.debug("Qala Admin Page: Binding events..."),e("#qala-add-pattern-btn").on("click",this.handleAddPattern.bind(this)),window.QalaPluginManager.log.debug("Qala Admin Page: Bound click handler to #qala-add-pattern-btn"),e("#qala-new-pattern").on("keypress",function(e){13===e.which&&(e.preventDefault(),t.handleAddPattern())}),e(document).on("click",".qala-add-to-allowlist",this.handleAddFromLog.bind(this));let a=null;e("#qala-log-search").on("input",function(){clearTimeout(a),a=setTimeout(t.handleLogFilter.bind(t),300)}),e("#qala-log-hook, #qala-log-action, #qala-log-from, #qala-log-to").on("change",this.handleLogFilter.bind(this)),e("#qala-log-table").on("click",".qala-log-sort",this.handleLogSort.bind(this)),e(".qala-log-pagination").on("click",".qala-log-page",this.handleLogPage.bind(this)),e("#qala-log-group-by-plugin").on("change",this.handleLogGroupSwitch.bind(this)),e("#qala-log-groups").on("click",".qala-log-group-toggle",this.handleLogGroupToggle.bind(this)),e(document).on("click",".qala-remove-from-allowlist",this.handleRemovePattern.bind(this)),e("#qala-clear-all-patterns-btn").on("click",this.handleClearAllPatterns.bind(this)),e("#qala-analyse-patterns-btn").on("click",this.handleAnalysePatterns.bind(this)),e(document).on("click",".qala-analysis-show",this.handleShowAnalysed.bind(this)),e(document).on("click",".qala-analysis-close",this.closeAnalysis.bind(this)),e("#qala-export-patterns-btn").on("click",this.handleExport.bind(this)),e("#qala-import-file").on("change",this.handleImportFileChange.bind(this)),e("#qala-import-dropzone").on("dragenter dragover",this.handleDragOver.bind(this)).on("dragleave",this.handleDragLeave.bind(this)).on("drop",this.handleDrop.bind(this)),e(document).on("click",".qala-import-apply",this.handleApplyImport.bind(this)),e(document).on("click",".qala-import-cancel",this.resetImport.bind(this)),e(document).on("change",".qala-toggle-pattern",this.handleTogglePattern.bind(this)),e(document).on("click",".qala-enable-pattern-safety",this.handleEnablePatternSafety.bind(this)),document.addEventListener("qala:pattern-disabled",this.handlePatternDisabled.bind(this)),e("#qala-debug-mode").on("change",this.handleToggleDebugMode.bind(this)),e('.qala-page-tabs [role="tab"], .qala-allowlist-tabs [role="tab"]').on("click",this.handleTabClick.bind(this)).on("keydown",this.handleTabKeydown.bind(this)),e("#qala-stats-days").on("change",this.loadStatistics.bind(this)),e("#qala-stats-refresh").on("click",this.loadStatistics.bind(this)),e("#qala-add-my-pattern-btn").on("click",this.handleAddMyPattern.bind(this)),e("#qala-my-pattern").on("keypress",function(e){13===e.which&&(e.preventDefault(),t.handleAddMyPattern())}),e(document).on("click",".qala-remove-my-pattern",this.handleRemoveMyPattern.bind(this)),e(document).on("click",".qala-edit-pattern",this.handleEditPattern.bind(this)),e(document).on("click",".qala-save-pattern-edit",this.handleSaveEdit.bind(this)),e(document).on("click",".qala-cancel-pattern-edit",this.handleCancelEdit.bind(this)),e(document).on("keydown",".qala-pattern-editor",this.handleEditorKeydown.bind(this));let n=null;e("#qala-new-pattern").on("input",function(){clearTimeout(n),n=setTimeout(t.updatePreview.bind(t),150)}),e("#qala-pattern-type, #qala-pattern-severity").on("change",this.updatePreview.bind(this)),window.QalaPluginManager.log.debug("Qala Admin Page: All events bound")},handleAddPattern:function(a){window.QalaPluginManager.log.debug("Qala Admin Page: handleAddPattern called",a),a&&a.preventDefault();const n=e("#qala-new-pattern").val().trim(),i=e("#qala-pattern-type").val(),o=e("#qala-pattern-severity").val(),r=e("#qala-pattern-screens").val().trim(),s=e("#qala-add-pattern-btn"),l=e("#qala-add-pattern-message");if(window.QalaPluginManager.log.debug("Qala Admin Page: Pattern:",n,"Type:",i),!n)return window.QalaPluginManager.log.debug("Qala Admin Page: Empty pattern - showing error"),window.QalaPluginManager.ui.fieldError(e("#qala-new-pattern"),qalaAdminPage.strings.emptyPattern),void e("#qala-new-pattern").trigger("focus");window.QalaPluginManager.ui.clearFieldError(e("#qala-new-pattern")),s.prop("disabled",!0).addClass("qala-loading"),l.hide();const d={pattern:n,pattern_type:i,severity:o,screens:r};this.lintPattern(d).then(function(a){if(a)return window.QalaPluginManager.api.createPattern(d).then(function(){t.showMessage(l,qalaAdminPage.strings.addSuccess,"success"),e("#qala-new-pattern").val(""),setTimeout(function(){location.reload()},1e3)})}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),t.showMessage(l,window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.addError),"error")}).then(function(){s.prop("disabled",!1).removeClass("qala-loading")})},handleTabClick:function(t){t.preventDefault(),this.selectTab(e(t.currentTarget))},handleTabKeydown:function(t){if("ArrowLeft"!==t.key&&"ArrowRight"!==t.key)return;t.preventDefault();const a=e(t.currentTarget).closest('[role="tablist"]').find('[role="tab"]'),n=(a.index(t.currentTarget)+("ArrowRight"===t.key?1:-1)+a.length)%a.length;this.selectTab(a.eq(n)).trigger("focus")},selectTab:function(t){const a=t.data("hash");return t.closest('[role="tablist"]').find('[role="tab"]').each(function(){const a=this===t[0];e(this).toggleClass("nav-tab-active",a).attr({"aria-selected":a?"true":"false",tabindex:a?null:"-1"}),e("#"+e(this).attr("aria-controls")).prop("hidden",!a)}),history.replaceState(null,"",a?"#"+a:location.pathname+location.search),"qala-tab-statistics"!==t.attr("id")||this.statisticsLoaded||this.loadStatistics(),t},statisticsLoaded:!1,loadStatistics:function(){const t=this,a=e(".qala-stats-status"),n=e("#qala-stats-refresh");this.statisticsLoaded=!0,n.prop("disabled",!0),a.text(qalaAdminPage.strings.statsLoading),window.QalaPluginManager.api.getStatistics(e("#qala-stats-days").val()).then(function(e){t.renderStatistics(e),a.text(qalaAdminPage.strings.statsUpdated.replace("%s",(new Date).toLocaleTimeString()))}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),a.text(""),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.statsError),{type:"error"})}).then(function(){n.prop("disabled",!1)})},renderStatistics:function(t){const a=window.QalaPluginManager.charts,n=qalaAdminPage.strings,i=e("#qala-stats-totals").empty(),o=function(e){return{label:e.name+" ("+e.count+")",value:e.count,title:e.name}};[[n.statsRemoved,t.totals.removed],[n.statsKept,t.totals.kept],[n.statsCallbacks,t.totals.unique_callbacks],[n.statsLogged,t.totals.logged]].forEach(function(t){e("<div>",{class:"qala-stats-total"}).append(e("<dt>").text(t[0]),e("<dd>").text(t[1])).appendTo(i)});const r=Math.max.apply(null,t.daily.map(function(e){return e.count}).concat(0));a.columns(document.getElementById("qala-stats-daily"),t.daily.map(function(e){return{label:e.date,value:e.count,title:n.statsDay.replace("%1$d",e.count).replace("%2$s",e.date)}}),{label:e("#qala-stats-daily").siblings("h2").text(),empty:n.statsEmpty,max:n.statsMax.replace("%s",r)}),a.bars(document.getElementById("qala-stats-callbacks"),t.top_callbacks.map(o),{label:e("#qala-stats-callbacks").siblings("h2").text(),empty:n.statsEmpty}),a.bars(document.getElementById("qala-stats-plugins"),t.top_plugins.map(function(e){const t=o(e);return t.title=e.name+": "+n.statsPluginCallbacks.replace("%d",e.callbacks),t}),{label:e("#qala-stats-plugins").siblings("h2").text(),empty:n.statsEmpty}),a.bars(document.getElementById("qala-stats-patterns"),t.patterns.map(function(e){return{label:e.value+" ("+e.matches+")",value:e.matches,title:e.value+" ["+e.type+"]"}}),{label:e("#qala-stats-patterns").siblings("h2").text(),empty:n.statsEmpty})},handleAddMyPattern:function(a){a&&a.preventDefault();const n=e("#qala-my-pattern"),i=n.val().trim(),o=e("#qala-add-my-pattern-btn"),r=e("#qala-add-my-pattern-message");if(!i)return window.QalaPluginManager.ui.fieldError(n,qalaAdminPage.strings.emptyPattern),void n.trigger("focus");window.QalaPluginManager.ui.clearFieldError(n),o.prop("disabled",!0).addClass("qala-loading"),r.hide(),window.QalaPluginManager.api.createMyPattern({pattern:i,pattern_type:e("#qala-my-pattern-type").val(),severity:e("#qala-my-pattern-severity").val(),screens:e("#qala-my-pattern-screens").val().trim()}).then(function(){t.showMessage(r,qalaAdminPage.strings.myPatternAdded,"success"),n.val(""),setTimeout(function(){location.reload()},1e3)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),t.showMessage(r,window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.myPatternError),"error")}).then(function(){o.prop("disabled",!1).removeClass("qala-loading")})},handleRemoveMyPattern:function(t){t.preventDefault();const a=e(t.currentTarget),n=a.closest(".qala-my-pattern-row");a.prop("disabled",!0),window.QalaPluginManager.api.removeMyPattern(n.data("pattern-id")).then(function(){n.remove();const t=e(".qala-my-pattern-row").length;e("#qala-tab-mine .qala-tab-count").text("("+t+")"),e(".qala-my-patterns-table").prop("hidden",0===t),e(".qala-my-patterns-empty").prop("hidden",t>0),window.QalaPluginManager.ui.toast(qalaAdminPage.strings.myPatternRemoved,{type:"success"})}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),a.prop("disabled",!1),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.myPatternError),{type:"error"})})},handleAddFromLog:function(t){t.preventDefault();const a=this,n=e(t.currentTarget),i=n.attr("data-source");i?window.QalaPluginManager.suggestions.choose(n.attr("data-value"),i).then(function(e){e&&a.addFromLog(n,e.pattern,e.type)}):this.addFromLog(n,n.data("pattern"),n.data("pattern-type")||"exact")},addFromLog:function(e,t,a){const n=e.closest("tr");e.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.createPattern({pattern:t,pattern_type:a}).then(function(){n.css("background-color","#d4edda"),setTimeout(function(){location.reload()},1e3)}).catch(function(t){window.QalaPluginManager.log.error("REST error:",t),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(t,qalaAdminPage.strings.addError),{type:"error"}),e.prop("disabled",!1).removeClass("qala-loading")})},logQuery:{orderby:"last_seen",order:"desc",page:1},logRequest:0,handleLogFilter:function(){this.logQuery.page=1,this.logGrouped?this.loadLogGroups():this.loadLog()},handleLogSort:function(t){const a=e(t.currentTarget).closest("th").data("orderby");this.logQuery.orderby===a?this.logQuery.order="asc"===this.logQuery.order?"desc":"asc":(this.logQuery.orderby=a,this.logQuery.order="last_seen"===a?"desc":"asc"),this.logQuery.page=1,this.loadLog()},handleLogPage:function(t){this.logQuery.page+="next"===e(t.currentTarget).data("page")?1:-1,this.loadLog()},getLogFilters:function(){return{search:e("#qala-log-search").val().trim(),hook:e("#qala-log-hook").val(),action:e("#qala-log-action").val(),date_from:e("#qala-log-from").val(),date_to:e("#qala-log-to").val()}},loadLog:function(){const t=this,a=++this.logRequest,n=e("#qala-log-table");n.attr("aria-busy","true"),window.QalaPluginManager.api.getLog(e.extend(this.getLogFilters(),{orderby:this.logQuery.orderby,order:this.logQuery.order,page:this.logQuery.page,per_page:qalaAdminPage.logPerPage})).then(function(e){a===t.logRequest&&t.renderLog(e)}).catch(function(e){a===t.logRequest&&(window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.logError),{type:"error"}))}).then(function(){a===t.logRequest&&n.removeAttr("aria-busy")})},renderLog:function(t){const a=this,n=e("#qala-log-rows").empty(),i=Math.max(1,t.total_pages);0===t.items.length&&e("<tr>").append(e("<td>",{colspan:5,class:"qala-log-empty"}).text(qalaAdminPage.strings.logEmpty)).appendTo(n),t.items.forEach(function(e){n.append(a.renderLogRow(e))}),e("#qala-log-table th[data-orderby]").each(function(){const t=e(this);t.data("orderby")===a.logQuery.orderby?t.attr("aria-sort","asc"===a.logQuery.order?"ascending":"descending"):t.removeAttr("aria-sort")}),this.logQuery.page=t.page,e(".qala-log-status").text(qalaAdminPage.strings.logPage.replace("%1$d",t.page).replace("%2$d",i).replace("%3$d",t.total)),e('.qala-log-page[data-page="prev"]').prop("disabled",t.page<=1),e('.qala-log-page[data-page="next"]').prop("disabled",t.page>=i),this.updatePreview()},renderLogRow:function(t){const a=window.QalaPluginManager.NoticeContentMatcher,n="content"===t.source,i=e("<tr>",{class:n?"qala-log-content":"qala-log-callback"});return n?(e("<td>").append(e("<span>",{class:"qala-log-text"}).text(t.callback_name)," ",e("<span>",{class:"qala-log-source"}).text(qalaAdminPage.strings.logContentSource.replace("%s",t.severity||"info"))).appendTo(i),e("<td>").text(t.screen).appendTo(i)):(e("<td>").append(e("<code>").text(t.callback_name)).appendTo(i),e("<td>").text(t.hook_name).appendTo(i)),e("<td>").text(qalaAdminPage.logActions[t.action]||t.action).appendTo(i),e("<td>").text(t.last_seen).appendTo(i),e("<td>").append(e("<button>",{type:"button",class:"button qala-add-to-allowlist","data-pattern":n?a.buildContentPattern(t.callback_name):t.callback_name,"data-pattern-type":n?"wildcard":"exact","data-value":t.callback_name,"data-source":n?"content":"callback"}).text(qalaAdminPage.strings.addToAllowlist)).appendTo(i),i},logGrouped:!1,logGroupsExpanded:new Set,handleLogGroupSwitch:function(t){this.logGrouped=t.currentTarget.checked,e("#qala-log-table, .qala-log-pagination").prop("hidden",this.logGrouped),e("#qala-log-groups").prop("hidden",!this.logGrouped),this.logGrouped?this.loadLogGroups():this.loadLog()},handleLogGroupToggle:function(t){const a=e(t.currentTarget),n="true"!==a.attr("aria-expanded"),i=a.closest(".qala-log-group").data("group");a.attr("aria-expanded",n?"true":"false"),e("#"+a.attr("aria-controls")).prop("hidden",!n),n?this.logGroupsExpanded.add(i):this.logGroupsExpanded.delete(i)},loadLogGroups:function(){const t=this,a=++this.logRequest,n=e("#qala-log-groups");n.attr("aria-busy","true"),window.QalaPluginManager.api.getLogGroups(this.getLogFilters()).then(function(e){a===t.logRequest&&t.renderLogGroups(e.groups)}).catch(function(e){a===t.logRequest&&(window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.logGroupsError),{type:"error"}))}).then(function(){a===t.logRequest&&n.removeAttr("aria-busy")})},renderLogGroups:function(t){const a=this,n=qalaAdminPage.strings,i=e("#qala-log-groups").empty();0!==t.length?t.forEach(function(t,o){const r="qala-log-group-"+o,s=a.logGroupsExpanded.has(t.key),l=e("<section>",{class:"qala-log-group","data-group":t.key}),d=e("<div>",{class:"qala-log-group-header"}).appendTo(l),c=e("<tbody>");e("<h3>").append(e("<button>",{type:"button",class:"qala-log-group-toggle","aria-expanded":s?"true":"false","aria-controls":r}).append(e("<span>",{class:"qala-log-group-name"}).text(t.name)," ",e("<span>",{class:"qala-log-group-type"}).text(qalaAdminPage.logGroupTypes[t.type]||"")," ",e("<span>",{class:"qala-log-group-count"}).text(n.logGroupEntries.replace("%d",t.count)))).appendTo(d),t.pattern?e("<button>",{type:"button",class:"button qala-add-to-allowlist qala-log-group-allow","data-pattern":t.pattern.value,"data-pattern-type":t.pattern.type,title:n.logGroupAllowTitle.replace("%s",t.pattern.value)}).text(n.logGroupAllow).appendTo(d):e("<span>",{class:"description"}).text(n.logGroupNoPattern).appendTo(d),t.items.forEach(function(e){c.append(a.renderLogRow(e))}),e("<table>",{id:r,class:"wp-list-table widefat fixed striped qala-log-group-entries"}).prop("hidden",!s).append(c).appendTo(l),i.append(l)}):e("<p>",{class:"qala-log-empty"}).text(n.logEmpty).appendTo(i)},undoTimeout:8e3,undo:null,handleRemovePattern:function(t){t.preventDefault();const a=this,n=e(t.currentTarget),i=n.data("pattern-id"),o=n.closest("tr");n.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.deletePattern(i).then(function(t){o.fadeOut(300,function(){e(this).remove()}),a.showUndo([t.previous])}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.removeError),{type:"error"}),n.prop("disabled",!1).removeClass("qala-loading")})},handleClearAllPatterns:function(t){t.preventDefault();const a=this,n=e(t.currentTarget);n.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.clearPatterns().then(function(t){e(".qala-patterns-table").fadeOut(300),a.showUndo(t.previous)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.clearAllError),{type:"error"}),n.prop("disabled",!1).removeClass("qala-loading")})},showUndo:function(t){const a=this,n=qalaAdminPage.strings;this.undo&&(clearTimeout(this.undo.timer),t=this.undo.patterns.concat(t));let i=e("#qala-undo-bar");i.length||(i=e("<div>",{id:"qala-undo-bar",class:"qala-undo-bar",role:"status"}).insertAfter(".qala-allowlist .qala-section-header")),i.empty(),e("<span>").text(1===t.length?n.patternRemoved:n.patternsRemoved.replace("%d",t.length)).appendTo(i),e("<button>",{type:"button",class:"button button-small qala-undo-button"}).text(n.undo).on("click",this.handleUndo.bind(this)).appendTo(i),this.undo={patterns:t,timer:setTimeout(function(){a.expireUndo()},this.undoTimeout)}},handleUndo:function(t){if(t.preventDefault(),!this.undo)return;const a=this,n=this.undo.patterns;clearTimeout(this.undo.timer),e(t.currentTarget).prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.restorePatterns(n).then(function(){location.reload()}).catch(function(t){window.QalaPluginManager.log.error("REST error:",t),a.undo=null,e("#qala-undo-bar").remove(),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(t,qalaAdminPage.strings.undoError),{type:"error"})})},expireUndo:function(){this.undo=null,e("#qala-undo-bar").fadeOut(200,function(){e(this).remove()}),0===e(".qala-patterns-table tbody tr:visible").length&&location.reload()},handleTogglePattern:function(t){const a=t.currentTarget,n=e(a).closest(".qala-pattern-row"),i=a.checked;a.disabled=!0,window.QalaPluginManager.api.updatePattern(n.data("pattern-id"),{active:i}).then(function(e){n.toggleClass("qala-pattern-inactive",!e.active)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),a.checked=!i,window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.toggleError),{type:"error"})}).then(function(){a.disabled=!1})},handleEnablePatternSafety:function(t){const a=e(t.currentTarget),n=a.closest(".qala-pattern-row");a.prop("disabled",!0),window.QalaPluginManager.api.clearPatternTimeout(n.data("pattern-id")).then(function(){n.removeClass("qala-pattern-unsafe"),n.find(".qala-pattern-safety").remove(),n.find(".qala-edit-pattern").trigger("focus"),a.remove(),window.QalaPluginManager.ui.toast(qalaAdminPage.strings.safetyEnabled,{type:"success"})}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),a.prop("disabled",!1),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.safetyError),{type:"error"})})},handlePatternDisabled:function(t){const a=t.detail.pattern;a.id&&e('.qala-pattern-row[data-pattern-id="'+parseInt(a.id,10)+'"]').addClass("qala-pattern-unsafe"),window.QalaPluginManager.ui.toast(qalaAdminPage.strings.safetyDisabled.replace("%s",a.value),{type:"error",action:{label:qalaAdminPage.strings.reload,callback:function(){location.reload()}}})},handleToggleDebugMode:function(e){const t=e.currentTarget,a=t.checked;t.disabled=!0,window.QalaPluginManager.api.setDebugMode(a).then(function(e){window.QalaPluginManager.ui.toast(e.message,{type:"success",action:{label:qalaAdminPage.strings.reload,callback:function(){location.reload()}}})}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),t.checked=!a,window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.debugError),{type:"error"})}).then(function(){t.disabled=!1})},handleEditPattern:function(t){t.preventDefault();const a=e(t.currentTarget).closest(".qala-pattern-row");if(a.hasClass("qala-pattern-editing"))return;const n=qalaAdminPage.strings,i=a.find(".qala-pattern-value"),o=e("<div>",{class:"qala-pattern-editor"});e("<input>",{type:"text",class:"qala-edit-pattern-value","aria-label":n.editLabel}).val(i.text()).appendTo(o),e("<select>",{class:"qala-edit-pattern-type","aria-label":n.typeLabel}).append(e("#qala-pattern-type option").clone().prop("selected",!1)).val(a.data("pattern-type")).appendTo(o),e("<button>",{type:"button",class:"button button-primary button-small qala-save-pattern-edit"}).text(n.save).appendTo(o),e("<button>",{type:"button",class:"button button-small qala-cancel-pattern-edit"}).text(n.cancel).appendTo(o),i.prop("hidden",!0),a.addClass("qala-pattern-editing"),a.find(".qala-pattern-value-cell").append(o),o.find(".qala-edit-pattern-value").trigger("focus")},handleSaveEdit:function(t){t.preventDefault();const a=this,n=window.QalaPluginManager.NoticeContentMatcher,i=e(t.currentTarget).closest(".qala-pattern-row"),o=i.find(".qala-pattern-editor"),r=o.find(".qala-edit-pattern-value"),s=r.val().trim(),l=o.find(".qala-edit-pattern-type").val();if(!s)return void this.showEditorError(o,qalaAdminPage.strings.emptyPattern);const d=n.validatePattern(s,l);if(d)return void this.showEditorError(o,("selector"===l?qalaAdminPage.strings.invalidSelector:qalaAdminPage.strings.invalidRegex).replace("%s",d));const c=i.data("pattern-id"),u={pattern:s,pattern_type:l};o.find("input, select, button").prop("disabled",!0),this.lintPattern(e.extend({id:c},u)).then(function(e){return e?window.QalaPluginManager.api.updatePattern(c,u).then(function(e){a.renderPatternRow(i,e),a.closeEditor(i)}):(o.find("input, select, button").prop("disabled",!1),void r.trigger("focus"))}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),o.find("input, select, button").prop("disabled",!1),a.showEditorError(o,window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.editError))})},lintPattern:function(e){const t=qalaAdminPage.strings;return window.QalaPluginManager.api.lintPattern(e).catch(function(e){return window.QalaPluginManager.log.warn("Qala Admin Page: Pattern lint failed",e),{issues:[]}}).then(function(e){const a=e.issues||[];return!a.length||window.QalaPluginManager.ui.confirm({title:t.lintTitle,message:a.map(function(e){return e.message}).join("\n"),confirmLabel:t.lintSaveAnyway,cancelLabel:t.cancel,destructive:a.some(function(e){return"error"===e.level})})})},handleAnalysePatterns:function(t){t.preventDefault();const a=this,n=e(t.currentTarget);n.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.analysePatterns().then(function(e){a.renderAnalysis(e)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.analyseError),{type:"error"})}).then(function(){n.prop("disabled",!1).removeClass("qala-loading")})},renderAnalysis:function(t){const a=qalaAdminPage.strings,n=e("#qala-pattern-analysis").empty();e(".qala-pattern-row").removeClass("qala-pattern-flagged"),e("<p>",{class:"qala-analysis-summary"}).text(t.patterns.length?a.analyseSummary.replace("%1$d",t.patterns.length).replace("%2$d",t.checked):a.analyseClean.replace("%d",t.checked)).appendTo(n);const i=e("<ul>",{class:"qala-analysis-list"});t.patterns.forEach(function(t){const n=e("<li>",{class:"qala-analysis-item"}),o=e("<ul>",{class:"qala-analysis-issues"});e("<code>").text(t.pattern.value).appendTo(n),e("<span>",{class:"qala-pattern-type qala-type-"+t.pattern.type}).text(t.pattern.type.charAt(0).toUpperCase()+t.pattern.type.slice(1)).appendTo(n),e("<button>",{type:"button",class:"button-link qala-analysis-show","data-pattern-id":t.pattern.id}).text(a.analyseShow).appendTo(n),t.issues.forEach(function(t){e("<li>",{class:"qala-analysis-issue qala-analysis-"+t.level}).text(t.message).appendTo(o)}),n.append(o).appendTo(i),e('.qala-pattern-row[data-pattern-id="'+parseInt(t.pattern.id,10)+'"]').addClass("qala-pattern-flagged")}),t.patterns.length&&n.append(i),e("<button>",{type:"button",class:"button button-small qala-analysis-close"}).text(a.close).appendTo(n),n.prop("hidden",!1)},handleShowAnalysed:function(t){t.preventDefault();const a=parseInt(e(t.currentTarget).data("pattern-id"),10),n=e('.qala-pattern-row[data-pattern-id="'+a+'"]');n.length&&(n[0].scrollIntoView({behavior:"smooth",block:"center"}),n.find(".qala-edit-pattern").trigger("focus"))},closeAnalysis:function(t){t.preventDefault(),e("#qala-pattern-analysis").prop("hidden",!0).empty(),e(".qala-pattern-row").removeClass("qala-pattern-flagged"),e("#qala-analyse-patterns-btn").trigger("focus")},handleCancelEdit:function(t){t.preventDefault(),this.closeEditor(e(t.currentTarget).closest(".qala-pattern-row"))},handleEditorKeydown:function(t){const a=e(t.currentTarget);"Enter"===t.key&&e(t.target).is("input")?(t.preventDefault(),a.find(".qala-save-pattern-edit").trigger("click")):"Escape"===t.key&&(t.preventDefault(),this.closeEditor(a.closest(".qala-pattern-row")))},showEditorError:function(e,t){window.QalaPluginManager.ui.fieldError(e.find(".qala-edit-pattern-value"),t,e)},closeEditor:function(e){e.find(".qala-pattern-editor").remove(),e.find(".qala-pattern-value").prop("hidden",!1),e.removeClass("qala-pattern-editing"),e.find(".qala-edit-pattern").trigger("focus")},renderPatternRow:function(e,t){e.data("pattern-type",t.type).attr("data-pattern-type",t.type),e.find(".qala-pattern-value").text(t.value),e.find(".qala-remove-from-allowlist").data("pattern",t.value),e.find(".qala-pattern-type").attr("class","qala-pattern-type qala-type-"+t.type).text(t.type.charAt(0).toUpperCase()+t.type.slice(1))},handleExport:function(t){t.preventDefault();const a=e(t.currentTarget);a.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.getPatterns(!0).then(function(t){const a={format:"qala-allowlist",version:1,exported:(new Date).toISOString(),site:window.location.hostname,patterns:t.map(function(e){return{value:e.value,type:e.type,severity:e.severity,screens:e.screens,active:e.active}})},n=new Blob([JSON.stringify(a,null,"\t")],{type:"application/json"}),i=URL.createObjectURL(n);e("<a>",{href:i,download:"qala-allowlist-"+window.location.hostname+"-"+a.exported.slice(0,10)+".json"}).appendTo("body")[0].click(),setTimeout(function(){URL.revokeObjectURL(i),e('a[href="'+i+'"]').remove()},0)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),window.QalaPluginManager.ui.toast(window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.exportError),{type:"error"})}).then(function(){a.prop("disabled",!1).removeClass("qala-loading")})},handleImportFileChange:function(e){e.currentTarget.files.length&&this.readImportFile(e.currentTarget.files[0]),e.currentTarget.value=""},handleDragOver:function(t){t.preventDefault(),e(t.currentTarget).addClass("qala-dragover")},handleDragLeave:function(t){e(t.currentTarget).removeClass("qala-dragover")},handleDrop:function(t){t.preventDefault(),e(t.currentTarget).removeClass("qala-dragover");const a=t.originalEvent.dataTransfer.files;a.length&&this.readImportFile(a[0])},readImportFile:function(t){const a=this,n=e("#qala-import-message"),i=new FileReader;this.resetImport(),i.onload=function(){let e=null;try{const t=JSON.parse(i.result);e=Array.isArray(t)?t:t.patterns}catch(t){e=null}Array.isArray(e)&&0!==e.length?window.QalaPluginManager.api.importPatterns({patterns:e,dry_run:!0}).then(function(t){a.pendingImport=e,a.renderImportPreview(t)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),a.showMessage(n,window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.importError),"error")}):a.showMessage(n,qalaAdminPage.strings.importInvalidFile,"error")},i.onerror=function(){a.showMessage(n,qalaAdminPage.strings.importInvalidFile,"error")},i.readAsText(t)},renderImportPreview:function(t){const a=qalaAdminPage.strings,n=e("#qala-import-preview").empty().prop("hidden",!1),i=function(e){return[e.type,e.severity,e.active?"":a.inactive].filter(Boolean).join(", ")},o=function(t,a,i,o){if(!i.length)return;e("<h4>").text(a.replace("%d",i.length)).appendTo(n);const r=e("<ul>",{class:"qala-import-list "+t}).appendTo(n);i.forEach(function(t){o(e("<li>").appendTo(r),t)})},r=function(t,a){e("<code>").text(a.value).appendTo(t),e("<span>",{class:"qala-import-details"}).text(i(a)).appendTo(t)};o("qala-import-added",a.importAdded,t.added,r),o("qala-import-conflicts",a.importConflicts,t.conflicts,function(t,n){r(t,n.pattern),e("<span>",{class:"qala-import-current"}).text(a.importCurrent.replace("%s",i(n.existing))).appendTo(t)}),o("qala-import-duplicates",a.importDuplicates,t.duplicates,r),t.invalid&&e("<p>",{class:"qala-import-invalid"}).text(a.importInvalid.replace("%d",t.invalid)).appendTo(n),t.added.length||t.conflicts.length||e("<p>").text(a.importNothing).appendTo(n);const s=e("<p>",{class:"qala-import-actions"}).appendTo(n);t.conflicts.length&&e("<label>",{class:"qala-import-replace"}).append(e("<input>",{type:"checkbox",id:"qala-import-replace","data-conflicts":t.conflicts.length})).append(document.createTextNode(" "+a.importReplace)).appendTo(s),e("<button>",{type:"button",class:"button button-primary qala-import-apply"}).text(a.importApply).prop("disabled",!t.added.length&&!t.conflicts.length).appendTo(s),e("<button>",{type:"button",class:"button qala-import-cancel"}).text(a.cancel).appendTo(s)},handleApplyImport:function(t){t.preventDefault();const a=this,n=qalaAdminPage.strings,i=e(t.currentTarget),o=e("#qala-import-replace"),r=o.is(":checked");this.pendingImport&&(r?window.QalaPluginManager.ui.confirm({title:n.importReplaceTitle,message:n.importReplaceConfirm.replace("%d",o.data("conflicts")),confirmLabel:n.importReplaceButton,destructive:!0}).then(function(e){e&&a.applyImport(i,!0)}):this.applyImport(i,!1))},applyImport:function(t,a){const n=this,i=e("#qala-import-message");t.prop("disabled",!0).addClass("qala-loading"),window.QalaPluginManager.api.importPatterns({patterns:this.pendingImport,replace_conflicts:a}).then(function(e){n.resetImport(),n.showMessage(i,e.message,"success"),setTimeout(function(){location.reload()},1e3)}).catch(function(e){window.QalaPluginManager.log.error("REST error:",e),t.prop("disabled",!1).removeClass("qala-loading"),n.showMessage(i,window.QalaPluginManager.api.getErrorMessage(e,qalaAdminPage.strings.importError),"error")})},resetImport:function(t){t&&t.preventDefault(),this.pendingImport=null,e("#qala-import-preview").empty().prop("hidden",!0),e("#qala-import-message").hide()},updatePreview:function(){const t=window.QalaPluginManager.NoticeContentMatcher,a=e("#qala-new-pattern").val().trim(),n=e("#qala-pattern-type").val(),i=e("#qala-pattern-severity").val(),o=e("#qala-new-pattern"),r=e("#qala-pattern-preview");if(r.empty(),window.QalaPluginManager.ui.clearFieldError(o),!a)return o.removeAttr("aria-invalid"),void r.prop("hidden",!0);r.prop("hidden",!1);const s=t.validatePattern(a,n);if(s)return o.attr("aria-invalid","true"),void e("<p>",{class:"qala-preview-invalid"}).text(("selector"===n?qalaAdminPage.strings.invalidSelector:qalaAdminPage.strings.invalidRegex).replace("%s",s)).appendTo(r);o.removeAttr("aria-invalid");const l=this.getPreviewSources(),d={value:a,type:n,severity:i};this.renderPreviewGroup(r,qalaAdminPage.strings.previewLog,l.log,d),this.renderPreviewGroup(r,qalaAdminPage.strings.previewNotices,l.notices,d)},getPreviewSources:function(){const t=window.QalaPluginManager.NoticeContentMatcher,a=function(e){const t=new Set;return e.filter(function(e){return!(!e.text||t.has(e.text)||(t.add(e.text),0))})},n=e("#qala-log-rows .qala-add-to-allowlist").map(function(){return{text:e(this).attr("data-value")||"",element:null}}).get(),i=t.getNoticeElements().filter(function(e){return!e.closest(".qala-section")}).map(function(e){return{text:t.getNoticeText(e),element:e}});return{log:a(n),notices:a(i)}},renderPreviewGroup:function(a,n,i,o){const r=window.QalaPluginManager.NoticeContentMatcher,s=e("<ul>",{class:"qala-preview-list"});let l=0;i.forEach(function(a){if(!r.matchesSeverity(a.element,o.severity))return;const n=r.getMatchRanges(a.text,o.value,o.type,a.element);n&&(l++,e("<li>").append(t.highlight(a.text,n)).appendTo(s))}),e("<h4>").text(n+" ("+qalaAdminPage.strings.previewMatches.replace("%d",l)+")").appendTo(a),0!==l?s.appendTo(a):e("<p>",{class:"description"}).text(qalaAdminPage.strings.previewNoMatches).appendTo(a)},highlight:function(e,t){const a=[];let n=0;return t.forEach(function(t){t[0]>n&&a.push(document.createTextNode(e.substring(n,t[0])));const i=document.createElement("mark");i.textContent=e.substring(t[0],t[1]),a.push(i),n=t[1]}),n<e.length&&a.push(document.createTextNode(e.substring(n))),a},showMessage:function(e,t,a){e.removeClass("qala-message-success qala-message-failure qala-message-info").addClass("qala-message-"+("error"===a?"failure":a)).text(t).fadeIn(200),"success"===a&&setTimeout(function(){e.fadeOut(200)},5e3)}};e(document).ready(function(){window.QalaPluginManager.log.debug("Qala Admin Page: Document ready"),window.QalaPluginManager.log.debug("Qala Admin Page: qalaAdminPage defined?","undefined"!=typeof qalaAdminPage),window.QalaPluginManager.log.debug("Qala Admin Page: Add button exists?",e("#qala-add-pattern-btn").length>0),"undefined"!=typeof qalaAdminPage?(window.QalaPluginManager.log.debug("Qala Admin Page: Initializing..."),t.init(),window.QalaPluginManager.log.debug("Qala Admin Page: Initialized successfully")):window.QalaPluginManager.log.debug("Qala Admin Page: qalaAdminPage not defined - skipping initialization")})}(jQuery)}};const t={};function a(n){const i=t[n];if(void 0!==i)return i.exports;const o=t[n]={exports:{}};return e[n](o,o.exports,a),o.exports}(()=>{"use strict";a(750)})()})();
\ No newline at end of file
@@ -52,803 +52,6822 @@ window.QalaPluginManager.noticesVisible = function() {
 	return document.body.classList.contains('qala-notices-visible');
 };
 
-/* ===== Notice Content Matching (Allowlist) ===== */
+/**
+ * Check if error notices must never be hidden
+ *
+ * @return {boolean} True if the "Always Show Errors" setting is enabled
+ */
+window.QalaPluginManager.alwaysShowErrors = function() {
+	return document.body.classList.contains('qala-show-errors');
+};
 
 /**
- * Notice Content Matcher
+ * Check if debug mode is on for the current user
  *
- * This module checks notice text content against allowlist patterns and shows
- * matching notices even when they're hidden by CSS.
+ * @return {boolean} True if notice decisions should be explained (see DebugMode)
+ */
+window.QalaPluginManager.debugEnabled = function() {
+	return !!document.body && document.body.classList.contains('qala-debug');
+};
+
+/* ===== Logger ===== */
+
+/**
+ * Levelled logger
  *
- * Problem:
- * - Allowlist patterns match PHP callback names (e.g., "my_plugin_notice")
- * - Users want to match notice TEXT content (e.g., "Category added")
- * - Hook-based filtering can't match content, only callback names
+ * Every script logs through this instead of calling console directly.
+ * Errors and warnings are always written; info and debug output only
+ * while debug mode is on, so normal page loads stay quiet.
  *
- * Solution:
- * - JavaScript checks actual notice DOM text against patterns
- * - Adds data-qala-show="true" attribute to matching notices
- * - CSS already has rules to show notices with this attribute
+ * The level can be forced from the browser console for one page load:
+ *     QalaPluginManager.log.level = 'debug';
  *
  * @package QalaPluginManager
  */
 (function() {
 	'use strict';
 
-	const NoticeContentMatcher = {
+	const LEVELS = ['error', 'warn', 'info', 'debug'];
 
+	window.QalaPluginManager.log = {
 		/**
-		 * Initialize content matching
+		 * Forced level, or null to follow debug mode
 		 */
-		init: function() {
-			// Only run if notices are hidden
-			if (!window.QalaPluginManager.noticesHidden()) {
-				console.log('Qala Content Matcher: Notices not hidden - skipping');
-				return;
-			}
+		level: null,
 
-			// Only run if allowlist patterns are available
-			if (typeof qalaAllowlistPatterns === 'undefined' || !qalaAllowlistPatterns.patterns) {
-				console.log('Qala Content Matcher: No allowlist patterns defined');
-				return;
+		/**
+		 * Get the most verbose level that is written
+		 *
+		 * @return {string} 'debug' in debug mode, 'warn' otherwise
+		 */
+		getLevel: function() {
+			if (this.level) {
+				return this.level;
 			}
 
-			console.log('Qala Content Matcher: Initializing with', qalaAllowlistPatterns.patterns.length, 'patterns');
-			this.processNotices();
+			return window.QalaPluginManager.debugEnabled() ? 'debug' : 'warn';
+		},
+
+		/**
+		 * Check if messages of a level are written
+		 *
+		 * @param {string} level 'error', 'warn', 'info' or 'debug'
+		 * @return {boolean} True if the level is enabled
+		 */
+		isEnabled: function(level) {
+			return LEVELS.indexOf(level) <= LEVELS.indexOf(this.getLevel());
 		},
 
 		/**
-		 * Process all hidden notices and show matching ones
+		 * Write a message at a level
+		 *
+		 * Debug output goes to console.log, since browsers hide
+		 * console.debug unless verbose output is turned on.
+		 *
+		 * @param {string} level Level
+		 * @param {Array} args Values to log
 		 */
-		processNotices: function() {
-			const selectors = [
-				'.notice',
-				'.updated',
-				'.update-nag',
-				'.error',
-				'div[id^="message"]',
-				'div[class*="-notice"]',
-				'#ajax-response .notice',
-				'#ajax-response > div'
-			];
+		write: function(level, args) {
+			if (!this.isEnabled(level)) {
+				return;
+			}
 
-			const notices = document.querySelectorAll(selectors.join(', '));
-			console.log('Qala Content Matcher: Found', notices.length, 'notice elements');
+			console[level === 'debug' ? 'log' : level].apply(console, args);
+		},
 
-			let matchedCount = 0;
-			let alreadyProcessed = 0;
+		error: function() {
+			this.write('error', arguments);
+		},
 
-			notices.forEach((notice) => {
-				// Skip if already processed
-				if (notice.hasAttribute('data-qala-processed')) {
-					alreadyProcessed++;
-					return;
-				}
+		warn: function() {
+			this.write('warn', arguments);
+		},
 
-				// Mark as processed to avoid reprocessing
-				notice.setAttribute('data-qala-processed', 'true');
+		info: function() {
+			this.write('info', arguments);
+		},
 
-				const text = this.getNoticeText(notice);
+		debug: function() {
+			this.write('debug', arguments);
+		}
+	};
+})();
 
-				// Only log non-empty text
-				if (text && text.trim()) {
-					console.log('Qala Content Matcher: Checking notice -', text.substring(0, 80));
-				}
+/* ===== API Client ===== */
 
-				if (this.matchesAnyPattern(text)) {
-					notice.setAttribute('data-qala-show', 'true');
-					matchedCount++;
-					console.log('Qala Content Matcher: ✓ MATCHED -', text.substring(0, 80));
-				}
-			});
+/**
+ * REST API client
+ *
+ * Single entry point for every request the UI makes to the server.
+ * Wraps wp.apiFetch, which adds the REST nonce and root URL, so callers
+ * only deal with promises of the decoded JSON response.
+ *
+ * Routes live under the qala-plugin-manager/v1 namespace (see RestController).
+ * Failed requests reject with the WP_Error response ({ code, message, data }).
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const NAMESPACE = '/qala-plugin-manager/v1';
+
+	window.QalaPluginManager.api = {
+		/**
+		 * Send a request to the plugin namespace
+		 *
+		 * @param {string} path Route path, relative to the namespace
+		 * @param {string} method HTTP method
+		 * @param {Object} [data] Request body
+		 * @return {Promise} Resolves with the response data
+		 */
+		request: function(path, method, data) {
+			const options = {
+				path: NAMESPACE + path,
+				method: method
+			};
 
-			if (alreadyProcessed > 0) {
-				console.log('Qala Content Matcher: Skipped', alreadyProcessed, 'already processed notices');
+			if (data) {
+				options.data = data;
 			}
-			console.log('Qala Content Matcher: Matched', matchedCount, 'new notices');
+
+			return window.wp.apiFetch(options);
 		},
 
 		/**
-		 * Get text content from notice element
+		 * List allowlist patterns
+		 *
+		 * @param {boolean} [includeInactive] Also list deactivated patterns
+		 * @return {Promise} Resolves with an array of patterns
 		 */
-		getNoticeText: function(element) {
-			return element.textContent || element.innerText || '';
+		getPatterns: function(includeInactive) {
+			return this.request('/patterns' + (includeInactive ? '?include_inactive=1' : ''), 'GET');
 		},
 
 		/**
-		 * Check if text matches any allowlist pattern
+		 * Create an allowlist pattern
+		 *
+		 * @param {Object} data Pattern fields: pattern, pattern_type, severity, screens
+		 * @return {Promise} Resolves with the created pattern
 		 */
-		matchesAnyPattern: function(text) {
-			if (!text) {
-				return false;
-			}
+		createPattern: function(data) {
+			return this.request('/patterns', 'POST', data);
+		},
 
-			for (let i = 0; i < qalaAllowlistPatterns.patterns.length; i++) {
-				const pattern = qalaAllowlistPatterns.patterns[i];
-				console.log('Qala Content Matcher: Testing pattern', pattern.value, 'type:', pattern.type, 'against text:', text.substring(0, 80));
-				const result = this.matchesPattern(text, pattern.value, pattern.type);
-				console.log('Qala Content Matcher: Pattern match result:', result);
-				if (result) {
-					console.log('Qala Content Matcher: Pattern MATCHED!');
-					return true;
-				}
-			}
+		/**
+		 * Update an allowlist pattern
+		 *
+		 * @param {number} id Pattern ID
+		 * @param {Object} data Changed fields: pattern, pattern_type, severity, screens, active
+		 * @return {Promise} Resolves with the updated pattern
+		 */
+		updatePattern: function(id, data) {
+			return this.request('/patterns/' + parseInt(id, 10), 'PATCH', data);
+		},
 
-			return false;
+		/**
+		 * Remove an allowlist pattern
+		 *
+		 * @param {number} id Pattern ID
+		 * @return {Promise} Resolves with { deleted, previous }
+		 */
+		deletePattern: function(id) {
+			return this.request('/patterns/' + parseInt(id, 10), 'DELETE');
 		},
 
 		/**
-		 * Check if text matches a specific pattern
+		 * Preview or apply an import of exported patterns
+		 *
+		 * @param {Object} data Import fields: patterns, dry_run, replace_conflicts
+		 * @return {Promise} Resolves with the preview ({ added, duplicates, conflicts, invalid })
+		 *                   or the import counts ({ added, updated, skipped, failed, invalid, message })
 		 */
-		matchesPattern: function(text, patternValue, patternType) {
-			switch (patternType) {
-				case 'exact':
-					return text === patternValue;
+		importPatterns: function(data) {
+			return this.request('/patterns/import', 'POST', data);
+		},
 
-				case 'wildcard':
-					return this.matchesWildcard(text, patternValue);
+		/**
+		 * Restore removed patterns
+		 *
+		 * Re-creates patterns returned by deletePattern or clearPatterns,
+		 * overwriting any pattern added with the same value in the meantime.
+		 *
+		 * @param {Array} patterns Removed patterns
+		 * @return {Promise} Resolves with the import counts
+		 */
+		restorePatterns: function(patterns) {
+			return this.importPatterns({ patterns: patterns, replace_conflicts: true });
+		},
 
-				case 'regex':
-					return this.matchesRegex(text, patternValue);
+		/**
+		 * Remove all allowlist patterns
+		 *
+		 * @return {Promise} Resolves with { deleted, previous }
+		 */
+		clearPatterns: function() {
+			return this.request('/patterns', 'DELETE');
+		},
 
-				default:
-					return false;
-			}
+		/**
+		 * Check a pattern for problems before saving it
+		 *
+		 * @param {Object} data Pattern fields: pattern, pattern_type, severity, screens, and id when editing
+		 * @return {Promise} Resolves with { issues }
+		 */
+		lintPattern: function(data) {
+			return this.request('/patterns/lint', 'POST', data);
 		},
 
 		/**
-		 * Check if text matches wildcard pattern
+		 * Check every saved pattern for problems
 		 *
-		 * Converts wildcard pattern to regex.
-		 * Example: "*Category added*" becomes /^.*Category added.*$/
+		 * @return {Promise} Resolves with { checked, patterns } where each entry is { pattern, issues }
 		 */
-		matchesWildcard: function(text, pattern) {
-			// Escape special regex characters except asterisk
-			const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+		analysePatterns: function() {
+			return this.request('/patterns/analysis', 'GET');
+		},
 
-			// Convert asterisk to .*
-			const regex = new RegExp('^' + escaped.replace(/\*/g, '.*') + '$', 'i');
+		/**
+		 * Report a regex pattern that keeps exceeding its time budget
+		 *
+		 * @param {number} id Pattern id
+		 * @return {Promise} Resolves with { id, disabled_for_safety }
+		 */
+		reportPatternTimeout: function(id) {
+			return this.request('/patterns/' + parseInt(id, 10) + '/timeout', 'POST');
+		},
 
-			return regex.test(text);
+		/**
+		 * Re-enable a pattern that was disabled for safety
+		 *
+		 * @param {number} id Pattern id
+		 * @return {Promise} Resolves with { id, disabled_for_safety }
+		 */
+		clearPatternTimeout: function(id) {
+			return this.request('/patterns/' + parseInt(id, 10) + '/timeout', 'DELETE');
 		},
 
 		/**
-		 * Check if text matches regex pattern
+		 * List the current user's personal patterns
 		 *
-		 * Handles patterns with or without delimiters:
-		 * - With delimiters: /pattern/flags (e.g., /\b(added)\b/i)
-		 * - Without delimiters: pattern (e.g., \b(added)\b)
+		 * @return {Promise} Resolves with an array of patterns
 		 */
-		matchesRegex: function(text, pattern) {
-			try {
-				let regexPattern = pattern;
-				let flags = 'i'; // Default to case-insensitive
+		getMyPatterns: function() {
+			return this.request('/my-patterns', 'GET');
+		},
 
-				console.log('Qala Content Matcher: matchesRegex - Original pattern:', pattern);
+		/**
+		 * Add a personal pattern for the current user
+		 *
+		 * @param {Object} data Pattern fields: pattern, pattern_type, severity, screens
+		 * @return {Promise} Resolves with the created pattern
+		 */
+		createMyPattern: function(data) {
+			return this.request('/my-patterns', 'POST', data);
+		},
 
-				// Check if pattern has regex delimiters (starts and ends with /)
-				const delimiterMatch = pattern.match(/^\/(.*)\/([gimsuvy]*)$/);
+		/**
+		 * Remove one of the current user's personal patterns
+		 *
+		 * @param {number} id Pattern ID
+		 * @return {Promise} Resolves with { deleted, previous }
+		 */
+		removeMyPattern: function(id) {
+			return this.request('/my-patterns/' + parseInt(id, 10), 'DELETE');
+		},
 
-				if (delimiterMatch) {
-					// Pattern has delimiters: extract pattern body and flags
-					regexPattern = delimiterMatch[1];
-					const patternFlags = delimiterMatch[2];
+		/**
+		 * Set the global notice hiding toggle
+		 *
+		 * @param {boolean} enabled Whether notice hiding is enabled
+		 * @return {Promise} Resolves with { message, enabled }
+		 */
+		setNoticesEnabled: function(enabled) {
+			return this.request('/toggle', 'POST', { enabled: enabled ? 'yes' : 'no' });
+		},
 
-					console.log('Qala Content Matcher: Extracted pattern body:', regexPattern);
-					console.log('Qala Content Matcher: Extracted flags:', patternFlags);
+		/**
+		 * Toggle the current user's notice visibility
+		 *
+		 * @return {Promise} Resolves with { showing, message, new_title }
+		 */
+		toggleVisibility: function() {
+			return this.request('/visibility', 'POST');
+		},
 
-					// Combine user flags with default 'i' flag (case-insensitive)
-					// Remove duplicates by converting to Set
-					const combinedFlags = [...new Set((patternFlags + 'i').split(''))].join('');
-					flags = combinedFlags;
-					console.log('Qala Content Matcher: Combined flags:', flags);
-				} else {
-					console.log('Qala Content Matcher: No delimiters found, using pattern as-is');
-				}
+		/**
+		 * Switch debug mode on or off for the current user
+		 *
+		 * @param {boolean} enabled Whether debug mode should be on
+		 * @return {Promise} Resolves with { enabled, message }
+		 */
+		setDebugMode: function(enabled) {
+			return this.request('/debug', 'POST', { enabled: !!enabled });
+		},
 
-				const regex = new RegExp(regexPattern, flags);
-				console.log('Qala Content Matcher: Created regex:', regex);
-				const result = regex.test(text);
-				console.log('Qala Content Matcher: Regex test result:', result);
-				return result;
-			} catch (e) {
-				console.error('Qala Content Matcher: Invalid regex pattern', pattern, e);
-				return false;
-			}
+		/**
+		 * Snooze a notice for the current user
+		 *
+		 * @param {Object} data Snooze fields: key, text, duration
+		 * @return {Promise} Resolves with { key, snooze }
+		 */
+		snoozeNotice: function(data) {
+			return this.request('/snoozes', 'POST', data);
 		},
 
 		/**
-		 * Start MutationObserver to watch for new notices
+		 * Wake a snoozed notice
 		 *
-		 * Uses MutationObserver API to detect when new notices are added to the DOM.
-		 * This is the proper way to handle AJAX-injected notices in real-time.
+		 * @param {string} key Notice key
+		 * @return {Promise} Resolves with { deleted, key }
 		 */
-		startObserver: function() {
-			// Only run if notices are hidden and patterns exist
-			if (!window.QalaPluginManager.noticesHidden()) {
-				return;
-			}
+		wakeNotice: function(key) {
+			return this.request('/snoozes/' + encodeURIComponent(key), 'DELETE');
+		},
 
-			if (typeof qalaAllowlistPatterns === 'undefined' || !qalaAllowlistPatterns.patterns) {
-				return;
-			}
+		/**
+		 * Add notices hidden in the browser to the notice log
+		 *
+		 * Same route the Content Matcher sends its beacons to.
+		 *
+		 * @param {Array} notices Notices: { text, severity }
+		 * @param {string} screen Admin screen id
+		 * @return {Promise} Resolves with { logged }
+		 */
+		logNotices: function(notices, screen) {
+			return this.request('/notices/captured', 'POST', { notices: JSON.stringify(notices), screen: screen });
+		},
 
-			// Create observer instance
-			const observer = new MutationObserver((mutations) => {
-				let shouldProcess = false;
+		/**
+		 * Search, filter, sort and page the Hidden Notices Log
+		 *
+		 * @param {Object} params Query: search, hook, action, date_from, date_to, orderby, order, page, per_page
+		 * @return {Promise} Resolves with { items, total, page, per_page, total_pages }
+		 */
+		getLog: function(params) {
+			return this.request('/log?' + this.buildQuery(params), 'GET');
+		},
 
-				// Check if any mutation added notice-related elements
-				mutations.forEach((mutation) => {
-					if (mutation.addedNodes.length > 0) {
-						mutation.addedNodes.forEach((node) => {
-							// Check if added node is a notice or contains notices
-							if (node.nodeType === 1) { // Element node
-								const isNotice = node.classList && (
-									node.classList.contains('notice') ||
-									node.classList.contains('updated') ||
-									node.classList.contains('error') ||
-									node.id === 'ajax-response'
-								);
-
-								const hasNotices = node.querySelector && (
-									node.querySelector('.notice') ||
-									node.querySelector('.updated') ||
-									node.querySelector('.error') ||
-									node.querySelector('[class*="-notice"]')
-								);
-
-								if (isNotice || hasNotices) {
-									shouldProcess = true;
-								}
-							}
-						});
-					}
-				});
+		/**
+		 * Get the Hidden Notices Log grouped by plugin
+		 *
+		 * @param {Object} params Filters: search, hook, action, date_from, date_to
+		 * @return {Promise} Resolves with { groups } of { key, type, name, count, last_seen, pattern, items }
+		 */
+		getLogGroups: function(params) {
+			return this.request('/log/groups?' + this.buildQuery(params), 'GET');
+		},
+
+		/**
+		 * Build a query string, leaving out empty values
+		 *
+		 * @param {Object} params Query parameters
+		 * @return {string} Query string
+		 */
+		buildQuery: function(params) {
+			const query = new URLSearchParams();
 
-				// Process notices if we detected new ones
-				if (shouldProcess) {
-					console.log('Qala Content Matcher: New notices detected via MutationObserver');
-					// Small delay to ensure DOM is fully updated
-					setTimeout(() => {
-						this.processNotices();
-					}, 100);
+			Object.keys(params || {}).forEach(function(key) {
+				if (params[key] !== '' && params[key] !== null && params[key] !== undefined) {
+					query.append(key, params[key]);
 				}
 			});
 
-			// Start observing the document body for child list changes
-			observer.observe(document.body, {
-				childList: true,
-				subtree: true
-			});
+			return query.toString();
+		},
 
-			console.log('Qala Content Matcher: MutationObserver started - watching for AJAX notices');
+		/**
+		 * Get notice statistics for the Statistics tab
+		 *
+		 * @param {number} days Number of days, including today
+		 * @return {Promise} Resolves with { days, totals, daily, top_callbacks, top_plugins, patterns }
+		 */
+		getStatistics: function(days) {
+			return this.request('/statistics?days=' + parseInt(days, 10), 'GET');
+		},
 
-			// Store observer for potential cleanup
-			this.observer = observer;
+		/**
+		 * Count the logged notices each of a few patterns would match
+		 *
+		 * @param {Array} patterns Patterns to count: { pattern, type }
+		 * @return {Promise} Resolves with { total, matches } where matches has one count per pattern
+		 */
+		countLogMatches: function(patterns) {
+			return this.request('/log/matches', 'POST', { patterns: patterns });
 		},
 
 		/**
-		 * Stop the MutationObserver
+		 * Get a displayable message from a failed request
+		 *
+		 * @param {Object} error Rejection value from a request
+		 * @param {string} fallback Message to use when the error has none
+		 * @return {string} Error message
 		 */
-		stopObserver: function() {
-			if (this.observer) {
-				this.observer.disconnect();
-				console.log('Qala Content Matcher: MutationObserver stopped');
-			}
+		getErrorMessage: function(error, fallback) {
+			return (error && error.message) ? error.message : fallback;
 		}
 	};
-
-	// Initialize when DOM is ready
-	if (document.readyState === 'loading') {
-		document.addEventListener('DOMContentLoaded', function() {
-			NoticeContentMatcher.init();
-			NoticeContentMatcher.startObserver();
-		});
-	} else {
-		// DOM already loaded
-		NoticeContentMatcher.init();
-		NoticeContentMatcher.startObserver();
-	}
-
-	// Also run after delays to catch AJAX-injected notices
-	setTimeout(function() {
-		NoticeContentMatcher.processNotices();
-	}, 500);
-
-	setTimeout(function() {
-		NoticeContentMatcher.processNotices();
-	}, 1500);
-
-	setTimeout(function() {
-		NoticeContentMatcher.processNotices();
-	}, 3000);
-
-	// Expose for manual triggering if needed
-	window.QalaPluginManager.NoticeContentMatcher = NoticeContentMatcher;
-
 })();
 
-/* ===== Admin Bar Toggle ===== */
+/* ===== UI Components ===== */
 
 /**
- * Admin Bar Toggle - AJAX Handler
+ * Shared UI layer
  *
- * Handles the admin bar notice visibility toggle functionality.
- * Provides smooth AJAX toggling with visual feedback and error handling.
+ * Toasts, confirmation dialogs and inline field errors for every part of
+ * the plugin, replacing alert(), confirm() and injected .notice elements.
  *
- * Features:
- * - Click handler for admin bar menu item
- * - AJAX request to toggle endpoint
- * - Loading state indicator
- * - Success/error feedback
- * - Automatic title update on success
- * - Page reload after successful toggle
+ * - Toasts are announced through aria-live regions (polite, or assertive
+ *   for failures) and never steal focus
+ * - Dialogs are modal: focus is trapped inside, Escape cancels and focus
+ *   returns to the element that opened them
+ * - Field errors are linked to their input with aria-describedby
+ *
+ * All messages are set as text, never as HTML. Class names stay clear of
+ * the notice hider's selectors (.notice, .error, .updated, *-notice...),
+ * and the rules ship with the script because the bundled stylesheet is
+ * only loaded while notices are hidden (see NoticeFilter).
  *
  * @package QalaPluginManager
- * @since 1.0.0
  */
-
-(function ($) {
+(function() {
 	'use strict';
 
+	const STYLE_ID = 'qala-ui-styles';
+
+	const STYLES = [
+		'.qala-toast-region{position:fixed;right:20px;bottom:20px;z-index:160000;display:flex;flex-direction:column;gap:8px;max-width:360px;pointer-events:none}',
+		'.qala-toast{display:flex;align-items:flex-start;gap:10px;padding:10px 12px;background:#fff;border-left:4px solid #72aee6;border-radius:3px;box-shadow:0 3px 12px rgba(0,0,0,.2);color:#1d2327;font-size:13px;line-height:1.5;pointer-events:auto}',
+		'.qala-toast-success{border-left-color:#00a32a}',
+		'.qala-toast-failure{border-left-color:#d63638}',
+		'.qala-toast-message{flex:1;margin:0}',
+		'.qala-toast-action,.qala-toast-dismiss{padding:0;background:none;border:0;color:#2271b1;cursor:pointer;font-size:13px;text-decoration:underline}',
+		'.qala-toast-dismiss{text-decoration:none;font-size:16px;line-height:1}',
+		'.qala-dialog-backdrop{position:fixed;inset:0;z-index:160001;display:flex;align-items:center;justify-content:center;background:rgba(0,0,0,.5)}',
+		'.qala-dialog{width:420px;max-width:calc(100% - 40px);padding:20px 24px;background:#fff;border-radius:4px;box-shadow:0 5px 20px rgba(0,0,0,.3);color:#1d2327}',
+		'.qala-dialog-title{margin:0 0 10px;font-size:16px}',
+		'.qala-dialog-message{margin:0 0 20px;white-space:pre-line}',
+		'.qala-dialog-buttons{display:flex;justify-content:flex-end;gap:8px}',
+		'.qala-dialog-destructive{background:#d63638!important;border-color:#d63638!important;color:#fff!important}',
+		'.qala-field-hint{margin:4px 0 0;color:#d63638;font-size:12px}',
+		'.qala-suggestions{margin:0 0 20px;padding:0;border:0}',
+		'.qala-suggestion{display:flex;align-items:flex-start;gap:8px;margin:0 0 8px}',
+		'.qala-suggestion input{margin-top:3px}',
+		'.qala-suggestion code{display:block;margin:2px 0;word-break:break-all}',
+		'.qala-suggestion-count{color:#646970;font-size:12px}'
+	].join('\n');
+
+	const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+	let fieldCounter = 0;
+
 	/**
-	 * AdminBarToggle object
+	 * Get a translated string
 	 *
-	 * Encapsulates all toggle functionality
+	 * Strings are localized with the admin bar script (qalaAdminBarToggle),
+	 * which is loaded wherever this file is.
+	 *
+	 * @param {string} key String key
+	 * @param {*} fallback English fallback
+	 * @return {*} String, or a group of strings such as types
 	 */
-	const AdminBarToggle = {
+	function getString(key, fallback) {
+		const strings = window.qalaAdminBarToggle && window.qalaAdminBarToggle.strings;
+		return (strings && strings[key]) ? strings[key] : fallback;
+	}
+
+	/**
+	 * Add the UI stylesheet once
+	 */
+	function ensureStyles() {
+		if (document.getElementById(STYLE_ID)) {
+			return;
+		}
+
+		const style = document.createElement('style');
+		style.id = STYLE_ID;
+		style.textContent = STYLES;
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Create an element with a class and optional text
+	 *
+	 * @param {string} tag Tag name
+	 * @param {string} className Class attribute
+	 * @param {string} [text] Text content
+	 * @return {Element} Element
+	 */
+	function createElement(tag, className, text) {
+		const element = document.createElement(tag);
+		element.className = className;
+
+		if (text !== undefined) {
+			element.textContent = text;
+		}
+
+		return element;
+	}
+
+	/**
+	 * Get (or create) the live region for a politeness level
+	 *
+	 * Regions exist before any message is added to them, so screen readers
+	 * pick up the first toast too.
+	 *
+	 * @param {string} politeness 'polite' or 'assertive'
+	 * @return {Element} Live region
+	 */
+	function getRegion(politeness) {
+		const id = 'qala-toast-region-' + politeness;
+		let region = document.getElementById(id);
+
+		if (!region) {
+			ensureStyles();
+			region = createElement('div', 'qala-toast-region');
+			region.id = id;
+			region.setAttribute('aria-live', politeness);
+			region.setAttribute('aria-relevant', 'additions');
+			document.body.appendChild(region);
+		}
+
+		return region;
+	}
+
+	window.QalaPluginManager.ui = {
+		/**
+		 * Default toast duration in milliseconds
+		 */
+		toastDuration: 5000,
+
+		/**
+		 * Get a string localized with the admin bar script, for other modules
+		 */
+		getString: getString,
+
+		/**
+		 * Show a toast message
+		 *
+		 * Failures stay until dismissed and are announced assertively.
+		 *
+		 * @param {string} message Message text
+		 * @param {Object} [options] Toast options
+		 * @param {string} [options.type] 'success', 'info' or 'error'
+		 * @param {number} [options.duration] Milliseconds before the toast closes, 0 to keep it
+		 * @param {Object} [options.action] Button in the toast: { label, callback }
+		 * @return {Object} Handle with a close() method
+		 */
+		toast: function(message, options) {
+			const settings = options || {};
+			const type = settings.type || 'info';
+			const failed = type === 'error';
+			const duration = settings.duration !== undefined
+				? settings.duration
+				: (failed ? 0 : this.toastDuration);
+			const toast = createElement('div', 'qala-toast qala-toast-' + (failed ? 'failure' : type));
+			let timer = null;
+
+			const handle = {
+				close: function() {
+					clearTimeout(timer);
+					toast.remove();
+				}
+			};
+
+			toast.appendChild(createElement('p', 'qala-toast-message', String(message)));
+
+			if (settings.action) {
+				const action = createElement('button', 'qala-toast-action', settings.action.label);
+				action.type = 'button';
+				action.addEventListener('click', function() {
+					handle.close();
+					settings.action.callback();
+				});
+				toast.appendChild(action);
+			}
+
+			const dismiss = createElement('button', 'qala-toast-dismiss', '×');
+			dismiss.type = 'button';
+			dismiss.setAttribute('aria-label', getString('dismiss', 'Dismiss'));
+			dismiss.addEventListener('click', handle.close);
+			toast.appendChild(dismiss);
+
+			getRegion(failed ? 'assertive' : 'polite').appendChild(toast);
+
+			if (duration > 0) {
+				timer = setTimeout(handle.close, duration);
+			}
+
+			return handle;
+		},
+
+		/**
+		 * Ask for confirmation in a modal dialog
+		 *
+		 * @param {Object} options Dialog options
+		 * @param {string} options.message Question to ask
+		 * @param {string} [options.title] Dialog title
+		 * @param {string} [options.confirmLabel] Confirm button label
+		 * @param {string} [options.cancelLabel] Cancel button label
+		 * @param {boolean} [options.destructive] Style the confirm button as destructive
+		 * @param {Element} [options.content] Extra content shown below the message, such as form fields
+		 * @return {Promise<boolean>} Resolves with true when confirmed
+		 */
+		confirm: function(options) {
+			const opener = document.activeElement;
+
+			ensureStyles();
+
+			return new Promise(function(resolve) {
+				const backdrop = createElement('div', 'qala-dialog-backdrop');
+				const dialog = createElement('div', 'qala-dialog');
+				const message = createElement('p', 'qala-dialog-message', String(options.message));
+				const buttons = createElement('div', 'qala-dialog-buttons');
+				const cancel = createElement('button', 'button', options.cancelLabel || getString('cancel', 'Cancel'));
+				const confirm = createElement(
+					'button',
+					'button button-primary' + (options.destructive ? ' qala-dialog-destructive' : ''),
+					options.confirmLabel || getString('confirm', 'Confirm')
+				);
+
+				fieldCounter++;
+				message.id = 'qala-dialog-message-' + fieldCounter;
+
+				dialog.setAttribute('role', options.destructive ? 'alertdialog' : 'dialog');
+				dialog.setAttribute('aria-modal', 'true');
+				dialog.setAttribute('aria-describedby', message.id);
+
+				if (options.title) {
+					const title = createElement('h2', 'qala-dialog-title', String(options.title));
+					title.id = 'qala-dialog-title-' + fieldCounter;
+					dialog.setAttribute('aria-labelledby', title.id);
+					dialog.appendChild(title);
+				} else {
+					dialog.setAttribute('aria-label', String(options.message));
+				}
+
+				cancel.type = 'button';
+				confirm.type = 'button';
+				buttons.appendChild(cancel);
+				buttons.appendChild(confirm);
+				dialog.appendChild(message);
+				if (options.content) {
+					dialog.appendChild(options.content);
+				}
+				dialog.appendChild(buttons);
+				backdrop.appendChild(dialog);
+
+				/**
+				 * Close the dialog and settle the promise
+				 *
+				 * @param {boolean} confirmed Whether the action was confirmed
+				 */
+				function close(confirmed) {
+					document.removeEventListener('keydown', onKeydown, true);
+					backdrop.remove();
+
+					if (opener && typeof opener.focus === 'function' && document.contains(opener)) {
+						opener.focus();
+					}
+
+					resolve(confirmed);
+				}
+
+				/**
+				 * Cancel on Escape and keep Tab inside the dialog
+				 *
+				 * @param {KeyboardEvent} e Keydown event
+				 */
+				function onKeydown(e) {
+					if (e.key === 'Escape') {
+						e.preventDefault();
+						e.stopPropagation();
+						close(false);
+						return;
+					}
+
+					if (e.key !== 'Tab') {
+						return;
+					}
+
+					const focusable = dialog.querySelectorAll(FOCUSABLE);
+					const first = focusable[0];
+					const last = focusable[focusable.length - 1];
+
+					if (!dialog.contains(document.activeElement)) {
+						e.preventDefault();
+						first.focus();
+					} else if (e.shiftKey && document.activeElement === first) {
+						e.preventDefault();
+						last.focus();
+					} else if (!e.shiftKey && document.activeElement === last) {
+						e.preventDefault();
+						first.focus();
+					}
+				}
+
+				cancel.addEventListener('click', function() {
+					close(false);
+				});
+				confirm.addEventListener('click', function() {
+					close(true);
+				});
+				backdrop.addEventListener('mousedown', function(e) {
+					if (e.target === backdrop) {
+						close(false);
+					}
+				});
+				document.addEventListener('keydown', onKeydown, true);
+
+				document.body.appendChild(backdrop);
+
+				// Destructive actions start on the safe choice
+				(options.destructive ? cancel : confirm).focus();
+			});
+		},
+
+		/**
+		 * Show an error message for a form field
+		 *
+		 * @param {Element|jQuery} field Input, select or textarea
+		 * @param {string} message Error message
+		 * @param {Element|jQuery} [container] Where to put the message, defaults to after the field
+		 */
+		fieldError: function(field, message, container) {
+			const input = field && field.jquery ? field[0] : field;
+			const parent = container && container.jquery ? container[0] : container;
+
+			if (!input) {
+				return;
+			}
+
+			ensureStyles();
+
+			let hint = input.qalaFieldHint;
+
+			if (!hint) {
+				fieldCounter++;
+				hint = createElement('p', 'qala-field-hint');
+				hint.id = 'qala-field-hint-' + fieldCounter;
+				hint.setAttribute('role', 'alert');
+				input.qalaFieldHint = hint;
+			}
+
+			hint.textContent = String(message);
+
+			if (parent) {
+				parent.appendChild(hint);
+			} else {
+				input.insertAdjacentElement('afterend', hint);
+			}
+
+			const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+			if (describedBy.indexOf(hint.id) === -1) {
+				describedBy.push(hint.id);
+			}
+
+			input.setAttribute('aria-describedby', describedBy.join(' '));
+			input.setAttribute('aria-invalid', 'true');
+		},
+
+		/**
+		 * Remove a field's error message
+		 *
+		 * @param {Element|jQuery} field Input, select or textarea
+		 */
+		clearFieldError: function(field) {
+			const input = field && field.jquery ? field[0] : field;
+
+			if (!input) {
+				return;
+			}
+
+			input.removeAttribute('aria-invalid');
+
+			const hint = input.qalaFieldHint;
+			if (!hint) {
+				return;
+			}
+
+			const describedBy = (input.getAttribute('aria-describedby') || '').split(' ')
+				.filter(function(id) {
+					return id && id !== hint.id;
+				});
+
+			if (describedBy.length) {
+				input.setAttribute('aria-describedby', describedBy.join(' '));
+			} else {
+				input.removeAttribute('aria-describedby');
+			}
+
+			hint.remove();
+			input.qalaFieldHint = null;
+		}
+	};
+})();
+
+/* ===== Charts ===== */
+
+/**
+ * SVG charts
+ *
+ * Small dependency-free charts for the settings page Statistics tab:
+ * - columns(): one column per point, for values over time
+ * - bars(): labelled horizontal bars, for rankings
+ *
+ * Charts are drawn into a container, replacing its content, and scale
+ * with its width. Colours are set as attributes so the charts work
+ * without the bundled stylesheet. Labels are set as text, never as HTML.
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const SVG_NS = 'http://www.w3.org/2000/svg';
+
+	const COLOR = '#2271b1';
+
+	const TRACK_COLOR = '#f0f0f1';
+
+	/**
+	 * Height of one bars() row, in pixels
+	 */
+	const ROW_HEIGHT = 32;
+
+	/**
+	 * Create an SVG element
+	 *
+	 * @param {string} name Element name
+	 * @param {Object} attributes Attributes to set
+	 * @return {Element} SVG element
+	 */
+	function svgElement(name, attributes) {
+		const element = document.createElementNS(SVG_NS, name);
+
+		Object.keys(attributes || {}).forEach(function(key) {
+			element.setAttribute(key, attributes[key]);
+		});
+
+		return element;
+	}
+
+	/**
+	 * Create a <title> (tooltip and accessible name) for an SVG element
+	 *
+	 * @param {string} text Title text
+	 * @return {Element} Title element
+	 */
+	function svgTitle(text) {
+		const title = svgElement('title');
+		title.textContent = text;
+		return title;
+	}
+
+	/**
+	 * Show a message instead of a chart
+	 *
+	 * @param {Element} container Chart container
+	 * @param {string} text Message
+	 */
+	function showEmpty(container, text) {
+		const message = document.createElement('p');
+		message.className = 'qala-chart-empty';
+		message.textContent = text;
+		container.replaceChildren(message);
+	}
+
+	window.QalaPluginManager.charts = {
+		/**
+		 * Draw a column chart
+		 *
+		 * @param {Element} container Chart container
+		 * @param {Array} points Points, in order: { label, value, title }
+		 * @param {Object} options { label: chart description, empty: text when every value is 0, max: axis label for the largest value }
+		 */
+		columns: function(container, points, options) {
+			const max = Math.max.apply(null, points.map(function(point) {
+				return point.value;
+			}).concat(0));
+
+			if (max === 0) {
+				showEmpty(container, options.empty);
+				return;
+			}
+
+			const width = points.length * 10;
+			const height = 100;
+			const svg = svgElement('svg', {
+				class: 'qala-chart-columns',
+				viewBox: '0 0 ' + width + ' ' + height,
+				preserveAspectRatio: 'none',
+				role: 'img',
+				'aria-label': options.label
+			});
+
+			points.forEach(function(point, index) {
+				const columnHeight = Math.max(point.value ? 1 : 0, point.value / max * height);
+				const column = svgElement('rect', {
+					x: index * 10 + 1,
+					y: height - columnHeight,
+					width: 8,
+					height: columnHeight,
+					fill: COLOR
+				});
+
+				column.appendChild(svgTitle(point.title));
+				svg.appendChild(column);
+			});
+
+			svg.appendChild(svgElement('line', {
+				x1: 0,
+				y1: height,
+				x2: width,
+				y2: height,
+				stroke: '#c3c4c7',
+				'vector-effect': 'non-scaling-stroke'
+			}));
+
+			// Axis labels outside the SVG, so they are not stretched with it
+			const axis = document.createElement('div');
+			axis.className = 'qala-chart-axis';
+			[points[0].label, options.max, points[points.length - 1].label].forEach(function(text) {
+				const label = document.createElement('span');
+				label.textContent = text;
+				axis.appendChild(label);
+			});
+
+			container.replaceChildren(svg, axis);
+		},
+
+		/**
+		 * Draw a horizontal bar chart
+		 *
+		 * Each bar has its label above it; bar lengths are relative to the
+		 * largest value.
+		 *
+		 * @param {Element} container Chart container
+		 * @param {Array} items Bars, largest first: { label, value, title }
+		 * @param {Object} options { label: chart description, empty: text when there are no items }
+		 */
+		bars: function(container, items, options) {
+			if (items.length === 0) {
+				showEmpty(container, options.empty);
+				return;
+			}
+
+			const max = Math.max.apply(null, items.map(function(item) {
+				return item.value;
+			}));
+			const svg = svgElement('svg', {
+				class: 'qala-chart-bars',
+				width: '100%',
+				height: items.length * ROW_HEIGHT,
+				role: 'list',
+				'aria-label': options.label
+			});
+
+			items.forEach(function(item, index) {
+				const top = index * ROW_HEIGHT;
+				const row = svgElement('g', { role: 'listitem' });
+				const label = svgElement('text', {
+					x: 0,
+					y: top + 12,
+					'font-size': 12,
+					fill: '#1d2327'
+				});
+
+				label.textContent = item.label;
+
+				row.appendChild(svgTitle(item.title));
+				row.appendChild(label);
+				row.appendChild(svgElement('rect', {
+					x: 0,
+					y: top + 17,
+					width: '100%',
+					height: 8,
+					rx: 2,
+					fill: TRACK_COLOR
+				}));
+				row.appendChild(svgElement('rect', {
+					x: 0,
+					y: top + 17,
+					width: (max > 0 ? Math.max(0.5, item.value / max * 100) : 0) + '%',
+					height: 8,
+					rx: 2,
+					fill: COLOR
+				}));
+
+				svg.appendChild(row);
+			});
+
+			container.replaceChildren(svg);
+		}
+	};
+})();
+
+/* ===== Match Worker ===== */
+
+/**
+ * Match Worker
+ *
+ * Runs regex allowlist patterns against notice texts in a Web Worker, so a
+ * pattern with catastrophic backtracking cannot freeze wp-admin.
+ *
+ * - Notice texts are sent in batches, together with the regexes to run
+ * - The worker reports before and after each pattern; a pattern still
+ *   running when its time budget runs out gets the worker terminated and
+ *   the batch continues in a fresh worker
+ * - A pattern that times out again is skipped for the rest of the page and
+ *   reported (POST /patterns/{id}/timeout), which disables it for safety
+ *   until it is edited or re-enabled on the settings page
+ * - Without Worker support, or when a Content Security Policy blocks blob:
+ *   workers, patterns run on the main thread as before
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	/**
+	 * Worker body, started from a blob: URL so no separate script is needed
+	 *
+	 * Receives { batch, texts, rules: [{ source, flags }], from } and posts
+	 * { batch, type: 'start', rule } before each rule and
+	 * { batch, type: 'result', rule, matches } after it, where matches
+	 * holds the indexes of the texts the rule matched.
+	 */
+	function workerMain() {
+		self.onmessage = function(event) {
+			const data = event.data;
+
+			for (let index = data.from; index < data.rules.length; index++) {
+				self.postMessage({ batch: data.batch, type: 'start', rule: index });
+
+				const matches = [];
+				let regex = null;
+
+				try {
+					regex = new RegExp(data.rules[index].source, data.rules[index].flags);
+				} catch (e) {
+					regex = null;
+				}
+
+				if (regex) {
+					data.texts.forEach(function(text, textIndex) {
+						regex.lastIndex = 0;
+						if (regex.test(text)) {
+							matches.push(textIndex);
+						}
+					});
+				}
+
+				self.postMessage({ batch: data.batch, type: 'result', rule: index, matches: matches });
+			}
+		};
+	}
+
+	const MatchWorker = {
+
+		/**
+		 * Longest one pattern may run against one batch, in milliseconds
+		 */
+		budget: 200,
+
+		/**
+		 * Timeouts after which a pattern is skipped and reported
+		 */
+		maxTimeouts: 2,
+
+		/**
+		 * Running worker, its blob: URL, and whether workers failed to start
+		 */
+		worker: null,
+		url: null,
+		unavailable: false,
+
+		/**
+		 * Batches waiting for the worker, and the one it is running
+		 *
+		 * Each batch: { id, texts, rules, next, results, resolve }
+		 */
+		queue: [],
+		current: null,
+		batchCount: 0,
+
+		/**
+		 * Budget timer for the pattern the worker is running
+		 */
+		timer: null,
+
+		/**
+		 * Timeouts per pattern, and patterns skipped for the rest of the page
+		 */
+		timeouts: new Map(),
+		disabled: new Set(),
+
+		/**
+		 * Check if regex matching can be moved off the main thread
+		 *
+		 * @return {boolean} True until workers turn out to be unavailable
+		 */
+		isEnabled: function() {
+			return !this.unavailable
+				&& typeof window.Worker === 'function'
+				&& typeof window.Blob === 'function'
+				&& !!window.URL && typeof window.URL.createObjectURL === 'function';
+		},
+
+		/**
+		 * Find the regex rules each text matches
+		 *
+		 * @param {Array} texts Normalized notice texts
+		 * @param {Array} rules Compiled regex rules ({ pattern, severity, regex, unsafe, key })
+		 * @return {Promise} Resolves with one array of matched rules per text, in rule order
+		 */
+		match: function(texts, rules) {
+			return new Promise((resolve) => {
+				this.queue.push({
+					id: 0,
+					texts: texts,
+					rules: rules.filter((rule) => !this.disabled.has(rule.key)),
+					next: 0,
+					results: texts.map(() => []),
+					resolve: resolve
+				});
+
+				this.run();
+			});
+		},
+
+		/**
+		 * Start the next queued batch if the worker is idle
+		 */
+		run: function() {
+			while (!this.current && this.queue.length) {
+				const batch = this.queue.shift();
+
+				if (batch.next >= batch.rules.length) {
+					batch.resolve(batch.results);
+					continue;
+				}
+
+				const worker = this.getWorker();
+
+				if (!worker) {
+					this.runOnMainThread(batch);
+					continue;
+				}
+
+				batch.id = ++this.batchCount;
+				this.current = batch;
+
+				// The budget starts with each 'start' message, so a slow worker start-up is not blamed on a pattern
+				worker.postMessage({
+					batch: batch.id,
+					texts: batch.texts,
+					rules: batch.rules.map((rule) => ({ source: rule.regex.source, flags: rule.regex.flags })),
+					from: batch.next
+				});
+			}
+		},
+
+		/**
+		 * Get the worker, starting it if needed
+		 *
+		 * @return {Worker|null} Worker, or null when workers are unavailable
+		 */
+		getWorker: function() {
+			if (this.worker || !this.isEnabled()) {
+				return this.worker;
+			}
+
+			try {
+				if (!this.url) {
+					const source = '(' + workerMain.toString() + ')();';
+					this.url = window.URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+				}
+
+				this.worker = new Worker(this.url);
+			} catch (e) {
+				window.QalaPluginManager.log.warn('Qala Match Worker: Workers unavailable, matching on the main thread', e);
+				this.unavailable = true;
+				return null;
+			}
+
+			this.worker.onmessage = this.handleMessage.bind(this);
+			this.worker.onerror = this.handleError.bind(this);
+
+			return this.worker;
+		},
+
+		/**
+		 * Record progress reported by the worker
+		 *
+		 * @param {MessageEvent} event Worker message
+		 */
+		handleMessage: function(event) {
+			const data = event.data;
+			const batch = this.current;
+
+			if (!batch || data.batch !== batch.id) {
+				return;
+			}
+
+			clearTimeout(this.timer);
+
+			if (data.type === 'start') {
+				this.timer = setTimeout(this.handleTimeout.bind(this), this.budget);
+				return;
+			}
+
+			const rule = batch.rules[data.rule];
+			data.matches.forEach(function(textIndex) {
+				batch.results[textIndex].push(rule);
+			});
+
+			batch.next = data.rule + 1;
+
+			if (batch.next >= batch.rules.length) {
+				this.current = null;
+				batch.resolve(batch.results);
+				this.run();
+			}
+		},
+
+		/**
+		 * Stop a pattern that ran past its budget and carry on without it
+		 *
+		 * The first timeout is retried in a fresh worker, since a busy
+		 * machine can slow down any pattern; a pattern that times out
+		 * again is skipped for the rest of the page and reported.
+		 */
+		handleTimeout: function() {
+			const batch = this.current;
+			const rule = batch.rules[batch.next];
+			const count = (this.timeouts.get(rule.key) || 0) + 1;
+
+			this.stopWorker();
+			this.current = null;
+			this.timeouts.set(rule.key, count);
+
+			window.QalaPluginManager.log.warn('Qala Match Worker: Pattern exceeded its', this.budget, 'ms budget', rule.pattern.value);
+
+			if (count >= this.maxTimeouts) {
+				this.disabled.add(rule.key);
+				this.report(rule);
+				batch.next++;
+			}
+
+			this.queue.unshift(batch);
+			this.run();
+		},
+
+		/**
+		 * Fall back to the main thread when the worker fails
+		 *
+		 * Happens when a Content Security Policy blocks blob: workers, which
+		 * only shows up once the worker tries to load.
+		 *
+		 * @param {ErrorEvent} event Worker error
+		 */
+		handleError: function(event) {
+			window.QalaPluginManager.log.warn('Qala Match Worker: Worker failed, matching on the main thread', event.message || '');
+
+			const batch = this.current;
+
+			this.stopWorker();
+			this.current = null;
+			this.unavailable = true;
+
+			if (batch) {
+				this.queue.unshift(batch);
+			}
+
+			this.run();
+		},
+
+		/**
+		 * Terminate the worker and its budget timer
+		 */
+		stopWorker: function() {
+			clearTimeout(this.timer);
+
+			if (this.worker) {
+				this.worker.terminate();
+				this.worker = null;
+			}
+		},
+
+		/**
+		 * Run the rest of a batch synchronously
+		 *
+		 * Unsafe regexes are skipped: without the worker nothing stops them,
+		 * and one runaway pattern would freeze the page.
+		 *
+		 * @param {Object} batch Queued batch
+		 */
+		runOnMainThread: function(batch) {
+			batch.rules.slice(batch.next).forEach(function(rule) {
+				if (rule.unsafe) {
+					window.QalaPluginManager.log.warn('Qala Match Worker: Skipping regex with nested repetition on the main thread', rule.pattern.value);
+					return;
+				}
+
+				batch.texts.forEach(function(text, textIndex) {
+					rule.regex.lastIndex = 0;
+					if (rule.regex.test(text)) {
+						batch.results[textIndex].push(rule);
+					}
+				});
+			});
+
+			batch.next = batch.rules.length;
+			batch.resolve(batch.results);
+		},
+
+		/**
+		 * Report a pattern that keeps timing out
+		 *
+		 * For users who can manage notices, saved site patterns are disabled
+		 * for safety on the server, so other pages stop loading them. For
+		 * everyone else the pattern is only skipped on this page. Listeners
+		 * get a qala:pattern-disabled event with the pattern either way.
+		 *
+		 * @param {Object} rule Compiled rule
+		 */
+		report: function(rule) {
+			document.dispatchEvent(new CustomEvent('qala:pattern-disabled', {
+				detail: { pattern: rule.pattern }
+			}));
+
+			// Personal patterns only affect their owner and are not disabled server-side
+			if (!rule.pattern.id || rule.pattern.source === 'personal' || !window.wp || !window.wp.apiFetch) {
+				return;
+			}
+
+			// One slow browser must not switch a pattern off for the whole site
+			if (typeof qalaAllowlistPatterns === 'undefined' || !qalaAllowlistPatterns.canManage) {
+				return;
+			}
+
+			window.QalaPluginManager.api.reportPatternTimeout(rule.pattern.id)
+				.catch(function(error) {
+					window.QalaPluginManager.log.error('Qala Match Worker: Could not report pattern timeout', error);
+				});
+		}
+	};
+
+	window.QalaPluginManager.MatchWorker = MatchWorker;
+})();
+
+/* ===== Notice Content Matching (Allowlist) ===== */
+
+/**
+ * Notice Content Matcher
+ *
+ * This module checks notice text content against allowlist patterns and shows
+ * matching notices even when they're hidden by CSS.
+ *
+ * Problem:
+ * - Allowlist patterns match PHP callback names (e.g., "my_plugin_notice")
+ * - Users want to match notice TEXT content (e.g., "Category added")
+ * - Hook-based filtering can't match content, only callback names
+ *
+ * Solution:
+ * - JavaScript checks actual notice DOM text against patterns
+ * - Selector patterns match the notice element itself (id, classes)
+ * - Patterns may be limited to one severity (error, warning, success, info)
+ * - Patterns may be limited to some admin screens (screen ids or admin URLs)
+ * - Adds data-qala-show="true" attribute to matching notices
+ * - CSS already has rules to show notices with this attribute
+ * - Notices the user snoozed get data-qala-snoozed="true" instead and are
+ *   hidden inline, since the stylesheet is only loaded while notices are hidden
+ * - In debug mode the reason for every decision is recorded for the
+ *   Debug Overlay (hidden, shown by which pattern, or by visibility settings)
+ * - Notices left hidden are reported to the notice log in batches
+ *   (text, severity, screen and a fingerprint), so notices no PHP callback
+ *   was removed for are logged too
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const NoticeContentMatcher = {
+
+		/**
+		 * Selectors identifying notice elements
+		 *
+		 * Mirrors the nuclear rules in notice-hider.css closely enough that
+		 * everything the CSS hides can be found (and allowlisted) here.
+		 */
+		selectors: [
+			'.notice',
+			'.updated',
+			'.update-nag',
+			'.error',
+			'div[id^="message"]',
+			'div[class*="-notice"]',
+			'#ajax-response .notice',
+			'#ajax-response > div'
+		],
+
+		/**
+		 * Notices left hidden after matching, in document order
+		 *
+		 * Each entry: { element, text, severity }
+		 */
+		hiddenNotices: [],
+
+		/**
+		 * Hidden notices waiting to be reported to the notice log
+		 *
+		 * Each entry: { element, text, severity }
+		 */
+		captureQueue: [],
+
+		/**
+		 * Fingerprints reported during this page view
+		 */
+		captured: new Set(),
+
+		/**
+		 * Pending capture timer, and whether the pagehide listener is bound
+		 */
+		captureTimer: null,
+		captureBound: false,
+
+		/**
+		 * Quiet time before hidden notices are reported, in milliseconds
+		 *
+		 * Long enough for Match Worker results to show notices first.
+		 */
+		captureDelay: 2000,
+
+		/**
+		 * Why each notice is hidden or shown, recorded in debug mode only
+		 *
+		 * Notice element => { element, text, severity, reason, pattern }
+		 */
+		decisions: new Map(),
+
+		/**
+		 * Allowlist patterns compiled for this page
+		 *
+		 * { source, count, rules } where source and count identify the
+		 * qalaAllowlistPatterns.patterns array the rules were built from.
+		 */
+		compiled: null,
+
+		/**
+		 * Elements added to the DOM since the last scan
+		 */
+		pendingRoots: new Set(),
+
+		/**
+		 * Pending scan timer and when the first pending mutation was seen
+		 */
+		scanTimer: null,
+		scanQueuedAt: 0,
+
+		/**
+		 * Quiet time after the last mutation before added elements are scanned, in milliseconds
+		 */
+		scanDelay: 50,
+
+		/**
+		 * Longest a scan waits behind a steady stream of mutations, in milliseconds
+		 */
+		maxScanDelay: 250,
+
+		/**
+		 * Initialize content matching
+		 */
+		init: function() {
+			// Only run if there is something to match, snooze or explain
+			if (!this.isActive()) {
+				window.QalaPluginManager.log.debug('Qala Content Matcher: Notices not hidden and nothing to snooze - skipping');
+				return;
+			}
+
+			if (this.isMatchingEnabled()) {
+				this.compilePatterns();
+				window.QalaPluginManager.log.debug('Qala Content Matcher: Initializing with', this.compiled.rules.length, 'patterns for this screen');
+			}
+
+			this.processNotices();
+		},
+
+		/**
+		 * Check if notices are hidden and allowlist patterns are available
+		 *
+		 * @return {boolean} True if notices should be matched against the allowlist
+		 */
+		isMatchingEnabled: function() {
+			return window.QalaPluginManager.noticesHidden()
+				&& typeof qalaAllowlistPatterns !== 'undefined'
+				&& !!qalaAllowlistPatterns.patterns;
+		},
+
+		/**
+		 * Check if snooze data was localized for the current user
+		 *
+		 * @return {boolean} True if notices can be snoozed
+		 */
+		isSnoozeEnabled: function() {
+			return typeof qalaSnoozedNotices !== 'undefined';
+		},
+
+		/**
+		 * Check if notices need processing at all on this page
+		 *
+		 * @return {boolean} True when matching, snoozing or debug mode is on
+		 */
+		isActive: function() {
+			return this.isMatchingEnabled()
+				|| this.isSnoozeEnabled()
+				|| window.QalaPluginManager.debugEnabled();
+		},
+
+		/**
+		 * Process notices: hide snoozed ones and show allowlisted ones
+		 *
+		 * Snoozed notices are hidden whether or not notices are hidden
+		 * globally, and are never matched against the allowlist.
+		 *
+		 * @param {Array} [roots] Elements to scan, with their subtrees; defaults to the whole document
+		 */
+		processNotices: function(roots) {
+			const selector = this.selectors.join(', ');
+			const notices = roots ? this.findNotices(roots, selector) : document.querySelectorAll(selector);
+			const matching = this.isMatchingEnabled();
+			const useWorker = matching && window.QalaPluginManager.MatchWorker.isEnabled();
+			const deferred = [];
+
+			let matchedCount = 0;
+			let snoozedCount = 0;
+			let newCount = 0;
+
+			notices.forEach((notice) => {
+				// Skip if already processed
+				if (notice.hasAttribute('data-qala-processed')) {
+					return;
+				}
+
+				// Mark as processed to avoid reprocessing
+				notice.setAttribute('data-qala-processed', 'true');
+				newCount++;
+
+				const text = this.getNoticeText(notice);
+
+				if (this.isSnoozed(notice, text)) {
+					this.setSnoozed(notice, true);
+					this.setDecision(notice, text, 'snoozed');
+					snoozedCount++;
+					return;
+				}
+
+				if (!matching) {
+					this.setDecision(notice, text, 'visible');
+					return;
+				}
+
+				if (this.isAlwaysShown(notice)) {
+					notice.setAttribute('data-qala-show', 'true');
+					this.setDecision(notice, text, 'errors');
+					matchedCount++;
+					return;
+				}
+
+				const rule = this.findMatchingRule(text, notice, useWorker);
+
+				if (rule) {
+					this.showMatch(notice, text, rule.pattern);
+					matchedCount++;
+				} else {
+					this.registerHidden(notice, text, selector);
+					this.setDecision(notice, text, 'hidden');
+
+					if (useWorker && text && this.getRegexRules(notice).length) {
+						deferred.push({ element: notice, text: text });
+					}
+				}
+			});
+
+			if (deferred.length) {
+				this.matchInWorker(deferred, this.getCompiledPatterns().filter((rule) => rule.regex));
+			}
+
+			if (newCount > 0) {
+				window.QalaPluginManager.log.debug('Qala Content Matcher: Processed', newCount, 'new notices, matched', matchedCount, 'snoozed', snoozedCount);
+			} else if (roots) {
+				// Nothing new in the added elements
+				return;
+			}
+
+			document.dispatchEvent(new CustomEvent('qala:notices-processed', {
+				detail: { hidden: this.getHiddenNotices() }
+			}));
+		},
+
+		/**
+		 * Find notice elements in some subtrees
+		 *
+		 * @param {Array} roots Root elements
+		 * @param {string} selector Combined notice selector
+		 * @return {Array} Notice elements, roots included
+		 */
+		findNotices: function(roots, selector) {
+			const notices = [];
+
+			roots.forEach(function(root) {
+				if (root.matches(selector)) {
+					notices.push(root);
+				}
+
+				root.querySelectorAll(selector).forEach(function(notice) {
+					notices.push(notice);
+				});
+			});
+
+			return notices;
+		},
+
+		/**
+		 * Process every notice again from scratch
+		 *
+		 * Used when notice visibility changes without a reload: notices seen
+		 * while visible were never matched, and those shown by the allowlist
+		 * or listed as hidden no longer apply once notices are visible.
+		 */
+		refresh: function() {
+			const selector = this.selectors.join(', ');
+
+			document.querySelectorAll(selector).forEach(function(notice) {
+				notice.removeAttribute('data-qala-processed');
+				notice.removeAttribute('data-qala-show');
+				notice.removeAttribute('data-qala-source');
+			});
+
+			this.hiddenNotices = [];
+			this.decisions.clear();
+			this.pendingRoots.clear();
+			this.processNotices();
+		},
+
+		/**
+		 * Remember a notice that stays hidden
+		 *
+		 * Only top-level notices with text are kept: nested matches (e.g. a
+		 * .notice inside #ajax-response > div) and anything in the admin bar
+		 * would show up twice or list our own UI.
+		 *
+		 * @param {Element} notice Notice element
+		 * @param {string} text Normalized notice text
+		 * @param {string} selector Combined notice selector
+		 */
+		registerHidden: function(notice, text, selector) {
+			if (!window.QalaPluginManager.noticesHidden() || !text) {
+				return;
+			}
+
+			if (!this.isTopLevelNotice(notice, selector)) {
+				return;
+			}
+
+			const entry = {
+				element: notice,
+				text: text,
+				severity: this.getNoticeSeverity(notice)
+			};
+
+			this.hiddenNotices.push(entry);
+			this.queueCapture(entry);
+		},
+
+		/**
+		 * Check if an element is an outermost notice outside the admin bar
+		 *
+		 * @param {Element} notice Notice element
+		 * @param {string} selector Combined notice selector
+		 * @return {boolean} True for notices worth listing on their own
+		 */
+		isTopLevelNotice: function(notice, selector) {
+			if (notice.closest('#wpadminbar')) {
+				return false;
+			}
+
+			return !(notice.parentElement && notice.parentElement.closest(selector));
+		},
+
+		/**
+		 * Get all outermost notice elements on the page, hidden or not
+		 *
+		 * @return {Array} Notice elements
+		 */
+		getNoticeElements: function() {
+			const selector = this.selectors.join(', ');
+
+			return Array.prototype.filter.call(
+				document.querySelectorAll(selector),
+				(notice) => this.isTopLevelNotice(notice, selector)
+			);
+		},
+
+		/**
+		 * Get notices that are still hidden
+		 *
+		 * Drops notices that were revealed or removed from the DOM since
+		 * they were registered.
+		 *
+		 * @return {Array} Hidden notice entries
+		 */
+		getHiddenNotices: function() {
+			this.hiddenNotices = this.hiddenNotices.filter(function(entry) {
+				return document.body.contains(entry.element)
+					&& entry.element.getAttribute('data-qala-show') !== 'true';
+			});
+
+			return this.hiddenNotices;
+		},
+
+		/**
+		 * Check if hidden notices are reported to the notice log
+		 *
+		 * The endpoint is localized whenever notices can be hidden; the body
+		 * class tells whether they are, including after an in-place toggle.
+		 *
+		 * @return {boolean} True if notices are hidden and the capture endpoint was localized
+		 */
+		isCaptureEnabled: function() {
+			return window.QalaPluginManager.noticesHidden()
+				&& typeof qalaAllowlistPatterns !== 'undefined'
+				&& !!qalaAllowlistPatterns.capture
+				&& typeof navigator.sendBeacon === 'function';
+		},
+
+		/**
+		 * Queue a hidden notice for the notice log
+		 *
+		 * The queue is sent after a quiet period, or when the page is left.
+		 *
+		 * @param {Object} entry Hidden notice: { element, text, severity }
+		 */
+		queueCapture: function(entry) {
+			if (!this.isCaptureEnabled() || this.captured.has(this.getFingerprint(entry.text))) {
+				return;
+			}
+
+			this.captureQueue.push(entry);
+
+			if (!this.captureBound) {
+				this.captureBound = true;
+				window.addEventListener('pagehide', this.flushCapture.bind(this));
+			}
+
+			clearTimeout(this.captureTimer);
+			this.captureTimer = setTimeout(this.flushCapture.bind(this), this.captureDelay);
+		},
+
+		/**
+		 * Send queued hidden notices to the notice log
+		 *
+		 * Uses navigator.sendBeacon, so the request survives navigating
+		 * away. Beacons cannot set headers: the REST nonce is sent as the
+		 * _wpnonce field. Notices shown in the meantime (by the Match Worker
+		 * or the inbox) and fingerprints already sent are left out; the
+		 * server also skips fingerprints logged earlier the same day.
+		 */
+		flushCapture: function() {
+			clearTimeout(this.captureTimer);
+			this.captureTimer = null;
+
+			const notices = [];
+
+			this.captureQueue.forEach((entry) => {
+				const fingerprint = this.getFingerprint(entry.text);
+
+				if (this.captured.has(fingerprint)
+					|| !document.body.contains(entry.element)
+					|| entry.element.getAttribute('data-qala-show') === 'true') {
+					return;
+				}
+
+				this.captured.add(fingerprint);
+				notices.push({
+					text: entry.text.substring(0, 1000),
+					severity: entry.severity
+				});
+			});
+
+			this.captureQueue = [];
+
+			if (!notices.length) {
+				return;
+			}
+
+			const capture = qalaAllowlistPatterns.capture;
+			const body = new URLSearchParams();
+
+			body.append('_wpnonce', capture.nonce);
+			body.append('screen', qalaAllowlistPatterns.screen || '');
+			body.append('notices', JSON.stringify(notices));
+
+			const queued = navigator.sendBeacon(capture.url, body);
+
+			window.QalaPluginManager.log.debug('Qala Content Matcher: Reported', notices.length, 'hidden notices to the log', queued ? '' : '(beacon refused)');
+		},
+
+		/**
+		 * Fingerprint notice text, so each notice is reported once per page
+		 *
+		 * Numbers are replaced and case is ignored, so "3 plugins need an
+		 * update" and "4 plugins need an update" count as the same notice.
+		 * The server fingerprints the text the same way (see
+		 * NoticeLogger::get_content_fingerprint()).
+		 *
+		 * @param {string} text Normalized notice text
+		 * @return {string} 8-digit hex hash
+		 */
+		getFingerprint: function(text) {
+			return this.hashText(text.toLowerCase().replace(/\d+([.,]\d+)*/g, '#'));
+		},
+
+		/**
+		 * Record why a notice is hidden or shown
+		 *
+		 * Only in debug mode, and only for notices that would be listed on
+		 * their own (see registerHidden()).
+		 *
+		 * @param {Element} element Notice element
+		 * @param {string} text Normalized notice text
+		 * @param {string} reason 'hidden', 'pattern', 'visible', 'errors', 'revealed' or 'snoozed'
+		 * @param {Object} [pattern] Allowlist entry that showed the notice
+		 */
+		setDecision: function(element, text, reason, pattern) {
+			if (!window.QalaPluginManager.debugEnabled() || !text) {
+				return;
+			}
+
+			if (!this.isTopLevelNotice(element, this.selectors.join(', '))) {
+				return;
+			}
+
+			this.decisions.set(element, {
+				element: element,
+				text: text,
+				severity: this.getNoticeSeverity(element),
+				reason: reason,
+				pattern: pattern || null
+			});
+
+			window.QalaPluginManager.log.debug('Qala Content Matcher:', reason, pattern ? pattern.value : '', '-', text.substring(0, 80));
+		},
+
+		/**
+		 * Get the recorded decisions for notices still on the page
+		 *
+		 * @return {Array} Decisions in the order notices were found
+		 */
+		getDecisions: function() {
+			const decisions = [];
+
+			this.decisions.forEach((decision, element) => {
+				if (element.isConnected) {
+					decisions.push(decision);
+				} else {
+					this.decisions.delete(element);
+				}
+			});
+
+			return decisions;
+		},
+
+		/**
+		 * Show a notice matched by an allowlist pattern
+		 *
+		 * The notice is tagged with the pattern's source, so site and
+		 * personal matches can be told apart (data-qala-source="site" or
+		 * "personal").
+		 *
+		 * @param {Element} element Notice element
+		 * @param {string} text Normalized notice text
+		 * @param {Object} pattern Entry from qalaAllowlistPatterns
+		 */
+		showMatch: function(element, text, pattern) {
+			element.setAttribute('data-qala-show', 'true');
+			element.setAttribute('data-qala-source', pattern.source || 'site');
+			this.setDecision(element, text, 'pattern', pattern);
+		},
+
+		/**
+		 * Reveal a hidden notice in place
+		 *
+		 * @param {Element} element Notice element
+		 */
+		revealNotice: function(element) {
+			element.setAttribute('data-qala-show', 'true');
+			this.setDecision(element, this.getNoticeText(element), 'revealed');
+
+			document.dispatchEvent(new CustomEvent('qala:notices-processed', {
+				detail: { hidden: this.getHiddenNotices() }
+			}));
+		},
+
+		/**
+		 * Apply a newly saved pattern to the current page
+		 *
+		 * Adds the pattern to the localized list and shows every hidden
+		 * notice it matches, so the result is visible without a reload.
+		 * Regex patterns are matched in the Match Worker.
+		 *
+		 * @param {string} value Pattern value
+		 * @param {string} type Pattern type
+		 * @param {string} severity Severity constraint (optional)
+		 */
+		applyPattern: function(value, type, severity) {
+			const pattern = { value: value, type: type, severity: severity || '', source: 'site' };
+			qalaAllowlistPatterns.patterns.push(pattern);
+
+			if (type === 'regex' && window.QalaPluginManager.MatchWorker.isEnabled()) {
+				const rule = this.compileRule(pattern);
+
+				if (rule) {
+					this.matchInWorker(this.getHiddenNotices(), [rule]);
+				}
+				return;
+			}
+
+			this.getHiddenNotices().forEach((entry) => {
+				if (this.matchesRule(pattern, entry.text, entry.element)) {
+					this.showMatch(entry.element, entry.text, pattern);
+				}
+			});
+
+			document.dispatchEvent(new CustomEvent('qala:notices-processed', {
+				detail: { hidden: this.getHiddenNotices() }
+			}));
+		},
+
+		/**
+		 * Build the key a notice is snoozed under
+		 *
+		 * Notices with a meaningful id keep their snooze when the text
+		 * changes; everything else is identified by a hash of its text.
+		 *
+		 * @param {Element} element Notice element
+		 * @param {string} text Normalized notice text
+		 * @return {string} "id:<id>" or "text:<hash>"
+		 */
+		getNoticeKey: function(element, text) {
+			if (element.id && !/^message\d*$/.test(element.id) && /^[A-Za-z0-9_\-:.]+$/.test(element.id)) {
+				return 'id:' + element.id;
+			}
+
+			return 'text:' + this.hashText(text);
+		},
+
+		/**
+		 * Hash notice text (32-bit FNV-1a)
+		 *
+		 * @param {string} text Normalized notice text
+		 * @return {string} 8-digit hex hash
+		 */
+		hashText: function(text) {
+			let hash = 0x811c9dc5;
+
+			for (let i = 0; i < text.length; i++) {
+				hash ^= text.charCodeAt(i);
+				hash = Math.imul(hash, 0x01000193);
+			}
+
+			return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+		},
+
+		/**
+		 * Get the active snooze for a notice key
+		 *
+		 * Expiry is checked here too, so a snooze that ends while the page
+		 * is open no longer hides notices added afterwards.
+		 *
+		 * @param {string} key Notice key
+		 * @return {Object|null} Snooze { until, text } or null
+		 */
+		getSnooze: function(key) {
+			if (!this.isSnoozeEnabled()) {
+				return null;
+			}
+
+			const snooze = qalaSnoozedNotices.snoozed[key];
+
+			return snooze && snooze.until * 1000 > Date.now() ? snooze : null;
+		},
+
+		/**
+		 * Check if a notice is snoozed
+		 *
+		 * @param {Element} element Notice element
+		 * @param {string} text Normalized notice text
+		 * @return {boolean} True if the notice has an active snooze
+		 */
+		isSnoozed: function(element, text) {
+			if (!text || !this.isSnoozeEnabled()) {
+				return false;
+			}
+
+			return this.getSnooze(this.getNoticeKey(element, text)) !== null;
+		},
+
+		/**
+		 * Get all active snoozes, soonest to expire first
+		 *
+		 * Includes snoozes for notices that are not on the current page.
+		 *
+		 * @return {Array} Entries: { key, until, text }
+		 */
+		getSnoozedNotices: function() {
+			if (!this.isSnoozeEnabled()) {
+				return [];
+			}
+
+			return Object.keys(qalaSnoozedNotices.snoozed)
+				.map((key) => {
+					const snooze = this.getSnooze(key);
+					return snooze ? { key: key, until: snooze.until, text: snooze.text } : null;
+				})
+				.filter(Boolean)
+				.sort(function(a, b) {
+					return a.until - b.until;
+				});
+		},
+
+		/**
+		 * Hide a notice that was just snoozed
+		 *
+		 * @param {Element} element Notice element
+		 * @param {string} key Notice key
+		 * @param {Object} snooze Stored snooze { until, text }
+		 */
+		snoozeNotice: function(element, key, snooze) {
+			qalaSnoozedNotices.snoozed[key] = snooze;
+			this.setSnoozed(element, true);
+			element.removeAttribute('data-qala-show');
+			this.setDecision(element, this.getNoticeText(element), 'snoozed');
+
+			document.dispatchEvent(new CustomEvent('qala:notices-processed', {
+				detail: { hidden: this.getHiddenNotices() }
+			}));
+		},
+
+		/**
+		 * Bring back notices whose snooze was ended early
+		 *
+		 * Woken notices are processed again, so when notices are hidden they
+		 * are matched against the allowlist like any other notice.
+		 *
+		 * @param {string} key Notice key
+		 */
+		wakeNotice: function(key) {
+			delete qalaSnoozedNotices.snoozed[key];
+
+			document.querySelectorAll('[data-qala-snoozed="true"]').forEach((notice) => {
+				if (this.getNoticeKey(notice, this.getNoticeText(notice)) === key) {
+					this.setSnoozed(notice, false);
+					notice.removeAttribute('data-qala-processed');
+				}
+			});
+
+			this.processNotices();
+		},
+
+		/**
+		 * Mark a notice as snoozed or awake
+		 *
+		 * Snoozed notices are hidden with an inline !important style rather
+		 * than CSS alone: the stylesheet is not loaded while notices are
+		 * visible, which is exactly when snoozing matters most.
+		 *
+		 * @param {Element} element Notice element
+		 * @param {boolean} snoozed Whether the notice is snoozed
+		 */
+		setSnoozed: function(element, snoozed) {
+			if (snoozed) {
+				element.setAttribute('data-qala-snoozed', 'true');
+				element.style.setProperty('display', 'none', 'important');
+			} else {
+				element.removeAttribute('data-qala-snoozed');
+				element.style.removeProperty('display');
+			}
+		},
+
+		/**
+		 * Get text content from notice element
+		 *
+		 * Whitespace is collapsed so patterns written against what the user
+		 * reads also match notices rendered across several lines. The core
+		 * "Dismiss this notice." button, our snooze control and the debug
+		 * badge are left out since they are added after the notice is printed.
+		 */
+		getNoticeText: function(element) {
+			const added = '.notice-dismiss, .qala-snooze, .qala-debug-badge';
+			let source = element;
+
+			if (element.querySelector && element.querySelector(added)) {
+				source = element.cloneNode(true);
+				source.querySelectorAll(added).forEach(function(button) {
+					button.remove();
+				});
+			}
+
+			const text = source.textContent || source.innerText || '';
+
+			return text.replace(/\s+/g, ' ').trim();
+		},
+
+		/**
+		 * Detect notice severity from its classes
+		 *
+		 * @param {Element} element Notice element
+		 * @return {string} One of 'error', 'warning', 'success' or 'info'
+		 */
+		getNoticeSeverity: function(element) {
+			const classList = element.classList;
+
+			if (classList.contains('notice-error') || classList.contains('error')) {
+				return 'error';
+			}
+
+			if (classList.contains('notice-warning') || classList.contains('update-nag')) {
+				return 'warning';
+			}
+
+			if (classList.contains('notice-success') || classList.contains('updated')) {
+				return 'success';
+			}
+
+			return 'info';
+		},
+
+		/**
+		 * Check if a notice is shown regardless of the allowlist
+		 *
+		 * Mirrors the qala-show-errors CSS rule so error notices it keeps
+		 * visible are not listed as hidden.
+		 *
+		 * @param {Element} element Notice element
+		 * @return {boolean} True if the notice must never be hidden
+		 */
+		isAlwaysShown: function(element) {
+			return window.QalaPluginManager.alwaysShowErrors()
+				&& this.getNoticeSeverity(element) === 'error';
+		},
+
+		/**
+		 * Check a notice against a pattern's severity constraint
+		 *
+		 * Patterns without a severity match any notice. Patterns with one
+		 * need the element to read the severity from.
+		 *
+		 * @param {Element} element Notice element (optional)
+		 * @param {string} severity Severity constraint
+		 * @return {boolean} True if the constraint is met
+		 */
+		matchesSeverity: function(element, severity) {
+			if (!severity) {
+				return true;
+			}
+
+			return !!element && this.getNoticeSeverity(element) === severity;
+		},
+
+		/**
+		 * Build a wildcard content pattern from notice text
+		 *
+		 * Uses the start of the text, cut at a word boundary, wrapped in
+		 * wildcards: "Category added. View it" becomes "*Category added. View it*".
+		 *
+		 * @param {string} text Normalized notice text
+		 * @return {string} Wildcard pattern
+		 */
+		buildContentPattern: function(text) {
+			const maxLength = 60;
+			let excerpt = text;
+
+			if (excerpt.length > maxLength) {
+				excerpt = excerpt.substring(0, maxLength);
+				const lastSpace = excerpt.lastIndexOf(' ');
+				if (lastSpace > 0) {
+					excerpt = excerpt.substring(0, lastSpace);
+				}
+			}
+
+			return '*' + excerpt.trim() + '*';
+		},
+
+		/**
+		 * Escape regex special characters in a string
+		 *
+		 * @param {string} value Raw string
+		 * @return {string} String safe to embed in a RegExp
+		 */
+		escapeRegExp: function(value) {
+			return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		},
+
+		/**
+		 * Build a CSS selector identifying a notice by its markup
+		 *
+		 * Prefers the element id. Otherwise uses the classes that are not
+		 * shared by every notice of the same severity, e.g.
+		 * ".notice.woocommerce-message". Falls back to the first
+		 * notice selector the element matches.
+		 *
+		 * @param {Element} element Notice element
+		 * @return {string} CSS selector
+		 */
+		buildSelector: function(element) {
+			if (element.id && !/^message\d*$/.test(element.id)) {
+				return '#' + CSS.escape(element.id);
+			}
+
+			const generic = /^(notice|notice-(error|warning|success|info|alt|large)|is-dismissible|inline|below-h2|updated|error|hidden|fade|qala-.*)$/;
+			const classes = Array.prototype.filter.call(element.classList, function(className) {
+				return !generic.test(className);
+			});
+
+			if (classes.length) {
+				const base = element.classList.contains('notice') ? '.notice' : '';
+				return base + classes.map(function(className) {
+					return '.' + CSS.escape(className);
+				}).join('');
+			}
+
+			return this.selectors.find(function(selector) {
+				return element.matches(selector);
+			}) || element.tagName.toLowerCase();
+		},
+
+		/**
+		 * Propose a pattern of each type for a notice
+		 *
+		 * - exact: the full normalized text
+		 * - wildcard: the start of the text wrapped in wildcards
+		 * - regex: the same excerpt escaped, with numbers generalized to \d+
+		 * - selector: the notice id or distinctive classes (needs the element)
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {Element} element Notice element (optional)
+		 * @return {Object} Patterns keyed by type
+		 */
+		proposePatterns: function(text, element) {
+			const excerpt = this.buildContentPattern(text).slice(1, -1);
+
+			return {
+				exact: text,
+				wildcard: '*' + excerpt + '*',
+				regex: this.escapeRegExp(excerpt).replace(/\d+/g, '\\d+'),
+				selector: element ? this.buildSelector(element) : ''
+			};
+		},
+
+		/**
+		 * Replace the changing parts of notice text with wildcards
+		 *
+		 * Quoted names, dates, times and numbers become "*", so
+		 * 'Plugin "Hello Dolly" was updated to 1.7.2 on 12 March 2026'
+		 * becomes 'Plugin * was updated to * on *'. Apostrophes inside
+		 * words are left alone.
+		 *
+		 * @param {string} text Normalized notice text
+		 * @return {string} Text with wildcards
+		 */
+		generalizeText: function(text) {
+			const month = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+			const day = '\\d{1,2}(?:st|nd|rd|th)?';
+
+			return text
+				.replace(/"[^"]*"|\u201c[^\u201d]*\u201d|\u2018[^\u2019]*\u2019|\u00ab[^\u00bb]*\u00bb|(^|[\s(])'[^'\s][^']*'(?=[\s.,;:!?)]|$)/g, function(match, before) {
+					return (before || '') + '*';
+				})
+				.replace(/\b\d{4}-\d{2}-\d{2}(?:[T ]\d{1,2}:\d{2}(?::\d{2})?)?\b/g, '*')
+				.replace(/\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b/g, '*')
+				.replace(new RegExp('\\b(?:' + day + '\\s+' + month + '|' + month + '\\s+' + day + '),?(?:\\s+\\d{4})?\\b', 'gi'), '*')
+				.replace(/\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]m\b)?/gi, '*')
+				.replace(/\d+(?:[.,]\d+)*/g, '*')
+				.replace(/\*(?:\s*\*)+/g, '*');
+		},
+
+		/**
+		 * Suggest allowlist patterns for a logged or hidden notice
+		 *
+		 * From narrow to wide. The first suggestion is the pattern that was
+		 * saved before suggestions existed.
+		 *
+		 * - callback: the exact name, numbers replaced ("wp_notice_*"), the
+		 *   class ("Class::*") and the namespace or prefix ("Yoast\*",
+		 *   "rocket_*", as NoticeIdentifier::get_callback_source() finds it)
+		 * - content: the start of the text, then the same with quoted names,
+		 *   dates and numbers replaced (see generalizeText())
+		 *
+		 * Patterns that would match almost anything are left out.
+		 *
+		 * @param {string} value Callback name, or notice text for content
+		 * @param {string} source 'callback' or 'content'
+		 * @return {Array} Suggestions: { pattern, type, kind }
+		 */
+		suggestPatterns: function(value, source) {
+			const suggestions = [];
+			const add = function(pattern, type, kind) {
+				const literal = pattern.replace(/[\s*\\_:.,;!?'"()-]/g, '');
+				const duplicate = suggestions.some(function(suggestion) {
+					return suggestion.pattern === pattern && suggestion.type === type;
+				});
+
+				if (!duplicate && (type === 'exact' || literal.length >= 3)) {
+					suggestions.push({ pattern: pattern, type: type, kind: kind });
+				}
+			};
+
+			if (source === 'content') {
+				add(this.buildContentPattern(value), 'wildcard', 'excerpt');
+				add(this.buildContentPattern(this.generalizeText(value)).replace(/\*+/g, '*'), 'wildcard', 'general');
+				return suggestions;
+			}
+
+			add(value, 'exact', 'exact');
+
+			if (!value || value === 'Closure' || value === 'Unknown') {
+				return suggestions;
+			}
+
+			const parts = value.split('::');
+			const name = parts[0].replace(/^\\+/, '');
+
+			if (/\d/.test(value)) {
+				add(value.replace(/\d+/g, '*'), 'wildcard', 'numbers');
+			}
+
+			if (parts.length > 1) {
+				add(parts[0] + '::*', 'wildcard', 'class');
+			}
+
+			if (name.indexOf('\\') !== -1) {
+				add(name.substring(0, name.indexOf('\\') + 1) + '*', 'wildcard', 'prefix');
+			} else if (name.indexOf('_') > 0) {
+				add(name.substring(0, name.indexOf('_') + 1) + '*', 'wildcard', 'prefix');
+			}
+
+			return suggestions;
+		},
+
+		/**
+		 * Check if a notice matches any allowlist pattern
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {Element} element Notice element, for selector patterns
+		 */
+		matchesAnyPattern: function(text, element) {
+			return this.findMatchingRule(text, element) !== null;
+		},
+
+		/**
+		 * Find the first allowlist pattern a notice matches
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {Element} element Notice element, for selector patterns
+		 * @param {boolean} [skipRegex] Leave regex patterns to the Match Worker
+		 * @return {Object|null} Compiled rule ({ pattern, severity, test }), or null
+		 */
+		findMatchingRule: function(text, element, skipRegex) {
+			if (!text && !element) {
+				return null;
+			}
+
+			return this.getCompiledPatterns().find((rule) => {
+				if (skipRegex && rule.regex) {
+					return false;
+				}
+
+				return this.matchesSeverity(element, rule.severity) && rule.test(text, element);
+			}) || null;
+		},
+
+		/**
+		 * Get the regex rules that could still show a notice
+		 *
+		 * @param {Element} element Notice element
+		 * @return {Array} Compiled regex rules whose severity matches
+		 */
+		getRegexRules: function(element) {
+			return this.getCompiledPatterns().filter((rule) => {
+				return rule.regex && this.matchesSeverity(element, rule.severity);
+			});
+		},
+
+		/**
+		 * Match hidden notices against regex patterns in the Match Worker
+		 *
+		 * Notices stay hidden until the worker answers; those matched by a
+		 * pattern (the first in allowlist order) are shown then.
+		 *
+		 * @param {Array} entries Notices: { element, text }
+		 * @param {Array} rules Compiled regex rules
+		 */
+		matchInWorker: function(entries, rules) {
+			const worker = window.QalaPluginManager.MatchWorker;
+			const texts = entries.map(function(entry) {
+				return entry.text;
+			});
+
+			worker.match(texts, rules).then((results) => {
+				let matchedCount = 0;
+
+				results.forEach((matched, index) => {
+					const element = entries[index].element;
+					const rule = matched.find((candidate) => this.matchesSeverity(element, candidate.severity));
+
+					if (!rule || !element.isConnected || element.getAttribute('data-qala-snoozed') === 'true') {
+						return;
+					}
+
+					this.showMatch(element, entries[index].text, rule.pattern);
+					matchedCount++;
+				});
+
+				if (!matchedCount) {
+					return;
+				}
+
+				window.QalaPluginManager.log.debug('Qala Content Matcher: Matched', matchedCount, 'notices in the Match Worker');
+
+				document.dispatchEvent(new CustomEvent('qala:notices-processed', {
+					detail: { hidden: this.getHiddenNotices() }
+				}));
+			});
+		},
+
+		/**
+		 * Get the allowlist patterns compiled for this page
+		 *
+		 * Compiles again when patterns were added to or replaced in
+		 * qalaAllowlistPatterns since the last call (see applyPattern()).
+		 *
+		 * @return {Array} Compiled rules
+		 */
+		getCompiledPatterns: function() {
+			const patterns = qalaAllowlistPatterns.patterns;
+
+			if (!this.compiled || this.compiled.source !== patterns || this.compiled.count !== patterns.length) {
+				this.compilePatterns();
+			}
+
+			return this.compiled.rules;
+		},
+
+		/**
+		 * Compile every allowlist pattern that applies to this screen
+		 */
+		compilePatterns: function() {
+			const patterns = qalaAllowlistPatterns.patterns;
+
+			this.compiled = {
+				source: patterns,
+				count: patterns.length,
+				rules: patterns.map((pattern) => this.compileRule(pattern)).filter(Boolean)
+			};
+		},
+
+		/**
+		 * Compile an allowlist entry into a reusable test
+		 *
+		 * Screen scope is resolved here since it cannot change without a
+		 * reload. Invalid regex and selector patterns are reported once and
+		 * left out instead of failing on every notice. Regexes that could
+		 * freeze the page (see isUnsafeRegex) only run in the Match Worker,
+		 * which stops them after a time budget; they match nothing on the
+		 * main thread.
+		 *
+		 * Regex rules also carry the compiled regex and a key identifying the
+		 * pattern, so the Match Worker can run them off the main thread.
+		 *
+		 * @param {Object} pattern Entry from qalaAllowlistPatterns: { id, value, type, severity, screens }
+		 * @return {Object|null} { pattern, severity, test( text, element ) }, or null if it never applies here
+		 */
+		compileRule: function(pattern) {
+			if (!this.matchesScope(pattern.screens)) {
+				return null;
+			}
+
+			let test;
+
+			switch (pattern.type) {
+				case 'exact':
+					test = function(text) {
+						return text === pattern.value;
+					};
+					break;
+
+				case 'wildcard': {
+					const regex = this.compileWildcard(pattern.value);
+					test = function(text) {
+						return regex.test(text);
+					};
+					break;
+				}
+
+				case 'regex': {
+					let regex;
+					try {
+						regex = this.compileRegex(pattern.value);
+					} catch (e) {
+						window.QalaPluginManager.log.error('Qala Content Matcher: Invalid regex pattern', pattern.value, e);
+						return null;
+					}
+					const unsafe = this.isUnsafeRegex(regex.source);
+					if (unsafe) {
+						window.QalaPluginManager.log.warn('Qala Content Matcher: Regex with nested repetition only runs in the Match Worker', pattern.value);
+					}
+					test = function(text) {
+						if (unsafe) {
+							return false;
+						}
+						// Global and sticky regexes keep state between calls
+						regex.lastIndex = 0;
+						return regex.test(text);
+					};
+					return {
+						pattern: pattern,
+						severity: pattern.severity || '',
+						test: test,
+						regex: regex,
+						unsafe: unsafe,
+						// Personal pattern ids are per user and can overlap site ids
+						key: pattern.id ? (pattern.source === 'personal' ? 'personal:' : 'id:') + pattern.id : 'regex:' + pattern.value
+					};
+				}
+
+				case 'selector': {
+					const error = this.validatePattern(pattern.value, 'selector');
+					if (error) {
+						window.QalaPluginManager.log.error('Qala Content Matcher: Invalid selector pattern', pattern.value, error);
+						return null;
+					}
+					test = function(text, element) {
+						return !!element && element.matches(pattern.value);
+					};
+					break;
+				}
+
+				default:
+					return null;
+			}
+
+			return { pattern: pattern, severity: pattern.severity || '', test: test };
+		},
+
+		/**
+		 * Check if a notice matches an allowlist entry
+		 *
+		 * @param {Object} pattern Entry from qalaAllowlistPatterns: { value, type, severity }
+		 * @param {string} text Normalized notice text
+		 * @param {Element} element Notice element (optional)
+		 * @return {boolean} True if severity and pattern both match
+		 */
+		matchesRule: function(pattern, text, element) {
+			return this.matchesScope(pattern.screens)
+				&& this.matchesSeverity(element, pattern.severity)
+				&& this.matchesPattern(text, pattern.value, pattern.type, element);
+		},
+
+		/**
+		 * Check if the current screen is within a pattern's scope
+		 *
+		 * @param {Array} screens Screen ids or admin URLs; empty for all screens
+		 * @return {boolean} True if the pattern applies on this screen
+		 */
+		matchesScope: function(screens) {
+			if (!screens || !screens.length) {
+				return true;
+			}
+
+			return screens.some((screen) => this.matchesScreen(screen));
+		},
+
+		/**
+		 * Check one scope entry against the current screen
+		 *
+		 * Screen ids ("edit-product") are compared with the current screen
+		 * id. Admin URLs ("edit.php?post_type=product") match when the file
+		 * is the same and every query argument they list has the same value.
+		 *
+		 * @param {string} screen Scope entry
+		 * @return {boolean} True if the entry matches
+		 */
+		matchesScreen: function(screen) {
+			const screenId = (typeof qalaAllowlistPatterns !== 'undefined' && qalaAllowlistPatterns.screen)
+				|| window.pagenow
+				|| '';
+
+			if (screen === screenId) {
+				return true;
+			}
+
+			const parts = screen.split('?');
+			const file = window.location.pathname.split('/').pop() || 'index.php';
+
+			if (parts[0] !== file) {
+				return false;
+			}
+
+			const current = new URLSearchParams(window.location.search);
+			const required = new URLSearchParams(parts[1] || '');
+
+			for (const [key, value] of required) {
+				if (current.get(key) !== value) {
+					return false;
+				}
+			}
+
+			return true;
+		},
+
+		/**
+		 * Check if a notice matches a specific pattern
+		 *
+		 * Text patterns test the notice text; selector patterns test the
+		 * element and never match when no element is given.
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {string} patternValue Pattern value
+		 * @param {string} patternType Pattern type
+		 * @param {Element} element Notice element (optional)
+		 */
+		matchesPattern: function(text, patternValue, patternType, element) {
+			switch (patternType) {
+				case 'exact':
+					return text === patternValue;
+
+				case 'wildcard':
+					return this.matchesWildcard(text, patternValue);
+
+				case 'regex':
+					return this.matchesRegex(text, patternValue);
+
+				case 'selector':
+					return element ? this.matchesSelector(element, patternValue) : false;
+
+				default:
+					return false;
+			}
+		},
+
+		/**
+		 * Check if a notice element matches a CSS selector pattern
+		 *
+		 * Example: ".notice.woocommerce-message" or "#yoast-indexation-warning"
+		 */
+		matchesSelector: function(element, selector) {
+			try {
+				return element.matches(selector);
+			} catch (e) {
+				window.QalaPluginManager.log.error('Qala Content Matcher: Invalid selector pattern', selector, e);
+				return false;
+			}
+		},
+
+		/**
+		 * Check if text matches wildcard pattern
+		 *
+		 * Converts wildcard pattern to regex.
+		 * Example: "*Category added*" becomes /^.*Category added.*$/
+		 */
+		matchesWildcard: function(text, pattern) {
+			return this.compileWildcard(pattern).test(text);
+		},
+
+		/**
+		 * Compile a wildcard pattern to a case-insensitive, anchored RegExp
+		 *
+		 * @param {string} pattern Wildcard pattern
+		 * @return {RegExp} Compiled regex
+		 */
+		compileWildcard: function(pattern) {
+			// Escape special regex characters except asterisk
+			const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+			// Convert asterisk to .*
+			return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$', 'i');
+		},
+
+		/**
+		 * Check if text matches regex pattern
+		 *
+		 * Handles patterns with or without delimiters:
+		 * - With delimiters: /pattern/flags (e.g., /\b(added)\b/i)
+		 * - Without delimiters: pattern (e.g., \b(added)\b)
+		 */
+		matchesRegex: function(text, pattern) {
+			try {
+				const regex = this.compileRegex(pattern);
+				// Nothing would stop a runaway regex here
+				return !this.isUnsafeRegex(regex.source) && regex.test(text);
+			} catch (e) {
+				window.QalaPluginManager.log.error('Qala Content Matcher: Invalid regex pattern', pattern, e);
+				return false;
+			}
+		},
+
+		/**
+		 * Compile a regex pattern the way the matcher uses it
+		 *
+		 * Delimited patterns keep their flags; 'i' is always added so
+		 * matching is case-insensitive by default.
+		 *
+		 * @param {string} pattern Regex pattern, with or without delimiters
+		 * @return {RegExp} Compiled regex
+		 * @throws {SyntaxError} If the pattern is not a valid regex
+		 */
+		compileRegex: function(pattern) {
+			let regexPattern = pattern;
+			let flags = 'i'; // Default to case-insensitive
+
+			// Check if pattern has regex delimiters (starts and ends with /)
+			const delimiterMatch = pattern.match(/^\/(.*)\/([gimsuvy]*)$/);
+
+			if (delimiterMatch) {
+				// Pattern has delimiters: extract pattern body and flags
+				regexPattern = delimiterMatch[1];
+
+				// Combine user flags with default 'i' flag (case-insensitive)
+				// Remove duplicates by converting to Set
+				flags = [...new Set((delimiterMatch[2] + 'i').split(''))].join('');
+			}
+
+			return new RegExp(regexPattern, flags);
+		},
+
+		/**
+		 * Check whether a regex has a catastrophic-backtracking shape
+		 *
+		 * Same heuristic as PatternLinter::is_unsafe_regex() on the server:
+		 * unbounded repetition of a group that itself repeats, like (a+)+,
+		 * or of an alternation whose branches overlap, like (.|\s)*.
+		 *
+		 * @param {string} source Regex source, without delimiters
+		 * @return {boolean} True if the regex may take exponential time
+		 */
+		isUnsafeRegex: function(source) {
+			const matchAny = ['.', '\\S', '[\\s\\S]', '[\\w\\W]', '[\\d\\D]', '[^]'];
+			const groups = [{ start: 0, branches: [], repeats: false }];
+			let i = 0;
+
+			// Returns null without a quantifier, otherwise whether it is unbounded
+			const readQuantifier = function() {
+				const match = /^(?:([*+])|\?|\{\d+(,?)(\d*)\})[?+]?/.exec(source.slice(i));
+
+				if (!match) {
+					return null;
+				}
+
+				i += match[0].length;
+				return !!match[1] || (match[2] === ',' && match[3] === '');
+			};
+
+			while (i < source.length) {
+				const char = source[i];
+				const top = groups[groups.length - 1];
+
+				if (char === '(') {
+					// Skip (?:, (?=, (?<name> and inline flags
+					const prefix = /^\?(?:[:=!>|]|<[=!]|P?<[^>]*>|'[^']*'|[a-zA-Z-]*:?)/.exec(source.slice(i + 1));
+					i += 1 + (prefix ? prefix[0].length : 0);
+					groups.push({ start: i, branches: [], repeats: false });
+					continue;
+				}
+
+				if (char === '|') {
+					top.branches.push(source.slice(top.start, i));
+					top.start = ++i;
+					continue;
+				}
+
+				if (char === ')') {
+					if (groups.length < 2) {
+						return false;
+					}
+
+					groups.pop();
+					top.branches.push(source.slice(top.start, i));
+					i++;
+
+					const unbounded = readQuantifier();
+					const overlapping = top.branches.length > 1 && (
+						new Set(top.branches).size < top.branches.length
+						|| top.branches.some((branch) => matchAny.includes(branch))
+					);
+
+					if (unbounded && (top.repeats || overlapping)) {
+						return true;
+					}
+
+					if (unbounded || top.repeats) {
+						groups[groups.length - 1].repeats = true;
+					}
+					continue;
+				}
+
+				if (char === '\\') {
+					i += 2;
+				} else if (char === '[') {
+					i += source[i + 1] === '^' ? 2 : 1;
+					// A leading ] is a literal
+					if (source[i] === ']') {
+						i++;
+					}
+					while (i < source.length && source[i] !== ']') {
+						i += source[i] === '\\' ? 2 : 1;
+					}
+					i++;
+				} else {
+					i++;
+				}
+
+				if (readQuantifier()) {
+					top.repeats = true;
+				}
+			}
+
+			return false;
+		},
+
+		/**
+		 * Validate a pattern before it is used
+		 *
+		 * @param {string} patternValue Pattern value
+		 * @param {string} patternType Pattern type
+		 * @return {string} Error message, or an empty string if valid
+		 */
+		validatePattern: function(patternValue, patternType) {
+			try {
+				if (patternType === 'regex') {
+					this.compileRegex(patternValue);
+				} else if (patternType === 'selector') {
+					// Throws a SyntaxError for invalid selectors
+					document.createDocumentFragment().querySelector(patternValue);
+				}
+				return '';
+			} catch (e) {
+				return e.message;
+			}
+		},
+
+		/**
+		 * Get the parts of a text matched by a pattern
+		 *
+		 * Uses the same semantics as matchesPattern(), so a non-null result
+		 * means matchesPattern() would return true. Wildcard matches return
+		 * the literal parts of the pattern; '*' spans are not highlighted.
+		 * Exact and selector matches cover the whole text.
+		 *
+		 * @param {string} text Text to test
+		 * @param {string} patternValue Pattern value
+		 * @param {string} patternType Pattern type
+		 * @param {Element} element Notice element (optional, for selectors)
+		 * @return {Array|null} [start, end] ranges, or null if no match
+		 */
+		getMatchRanges: function(text, patternValue, patternType, element) {
+			switch (patternType) {
+				case 'exact':
+					return text === patternValue ? [[0, text.length]] : null;
+
+				case 'selector':
+					return this.matchesPattern(text, patternValue, patternType, element) ? [[0, text.length]] : null;
+
+				case 'wildcard': {
+					// Capture every literal and every '*' span so offsets can be summed
+					const parts = patternValue.split('*').map(this.escapeRegExp);
+					const regex = new RegExp('^(' + parts.join(')(.*)(') + ')$', 'i');
+					const match = regex.exec(text);
+
+					if (!match) {
+						return null;
+					}
+
+					const ranges = [];
+					let offset = 0;
+					for (let i = 1; i < match.length; i++) {
+						const isLiteral = i % 2 === 1;
+						if (isLiteral && match[i].length) {
+							ranges.push([offset, offset + match[i].length]);
+						}
+						offset += match[i].length;
+					}
+					return ranges;
+				}
+
+				case 'regex': {
+					let regex;
+					try {
+						regex = this.compileRegex(patternValue);
+					} catch (e) {
+						return null;
+					}
+
+					if (this.isUnsafeRegex(regex.source)) {
+						return null;
+					}
+
+					const match = new RegExp(regex.source, regex.flags.replace('g', '')).exec(text);
+					if (!match) {
+						return null;
+					}
+
+					return match[0].length ? [[match.index, match.index + match[0].length]] : [];
+				}
+
+				default:
+					return null;
+			}
+		},
+
+		/**
+		 * Start MutationObserver to watch for new notices
+		 *
+		 * Added elements are collected and scanned together once the DOM
+		 * has been quiet for scanDelay, so a burst of mutations (an AJAX
+		 * table refresh, a block editor render) costs one scan of just the
+		 * new subtrees rather than one scan of the whole document per batch.
+		 */
+		startObserver: function() {
+			// Only run if there is something to match, snooze or explain
+			if (!this.isActive()) {
+				return;
+			}
+
+			// Already watching
+			if (this.observer) {
+				return;
+			}
+
+			const observer = new MutationObserver((mutations) => {
+				mutations.forEach((mutation) => {
+					mutation.addedNodes.forEach((node) => {
+						if (node.nodeType === 1) { // Element node
+							this.pendingRoots.add(node);
+						}
+					});
+				});
+
+				if (this.pendingRoots.size) {
+					this.scheduleScan();
+				}
+			});
+
+			// Start observing the document body for child list changes
+			observer.observe(document.body, {
+				childList: true,
+				subtree: true
+			});
+
+			window.QalaPluginManager.log.debug('Qala Content Matcher: MutationObserver started - watching for AJAX notices');
+
+			// Store observer for potential cleanup
+			this.observer = observer;
+		},
+
+		/**
+		 * Scan added elements after the DOM has been quiet for a moment
+		 *
+		 * Every call pushes the scan back by scanDelay, but never more than
+		 * maxScanDelay after the first pending mutation.
+		 */
+		scheduleScan: function() {
+			const now = Date.now();
+
+			if (!this.scanQueuedAt) {
+				this.scanQueuedAt = now;
+			}
+
+			clearTimeout(this.scanTimer);
+			this.scanTimer = setTimeout(
+				() => this.scanPending(),
+				Math.max(0, Math.min(this.scanDelay, this.scanQueuedAt + this.maxScanDelay - now))
+			);
+		},
+
+		/**
+		 * Scan the elements added since the last scan
+		 *
+		 * Elements that were removed again, or that sit inside another
+		 * pending element, are skipped so every subtree is scanned once.
+		 */
+		scanPending: function() {
+			const pending = this.pendingRoots;
+			const roots = [];
+
+			this.pendingRoots = new Set();
+			this.scanTimer = null;
+			this.scanQueuedAt = 0;
+
+			pending.forEach(function(node) {
+				if (!node.isConnected) {
+					return;
+				}
+
+				for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+					if (pending.has(parent)) {
+						return;
+					}
+				}
+
+				roots.push(node);
+			});
+
+			if (roots.length) {
+				this.processNotices(roots);
+			}
+		},
+
+		/**
+		 * Stop the MutationObserver
+		 *
+		 * Pending elements are dropped; refresh() rescans the whole page.
+		 */
+		stopObserver: function() {
+			clearTimeout(this.scanTimer);
+			this.scanTimer = null;
+			this.scanQueuedAt = 0;
+			this.pendingRoots.clear();
+
+			if (this.observer) {
+				this.observer.disconnect();
+				this.observer = null;
+				window.QalaPluginManager.log.debug('Qala Content Matcher: MutationObserver stopped');
+			}
+		}
+	};
+
+	// Initialize when DOM is ready
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', function() {
+			NoticeContentMatcher.init();
+			NoticeContentMatcher.startObserver();
+		});
+	} else {
+		// DOM already loaded
+		NoticeContentMatcher.init();
+		NoticeContentMatcher.startObserver();
+	}
+
+	// Expose for manual triggering if needed
+	window.QalaPluginManager.NoticeContentMatcher = NoticeContentMatcher;
+
+})();
+
+/* ===== Pattern Suggestions ===== */
+
+/**
+ * Pattern suggestions
+ *
+ * When a notice is allowlisted from the Hidden Notices Log or the hidden
+ * notice inbox, offers a few patterns of growing reach (see
+ * NoticeContentMatcher.suggestPatterns()) and shows how many logged
+ * notices each would match before one is saved.
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const getString = window.QalaPluginManager.ui.getString;
+
+	/**
+	 * Build a radio option for a suggestion
+	 *
+	 * @param {Object} suggestion Suggestion: { pattern, type, kind }
+	 * @param {number} index Position in the list
+	 * @return {Object} { option, count } elements
+	 */
+	function buildOption(suggestion, index) {
+		const labels = getString('suggestions', {});
+		const option = document.createElement('label');
+		const radio = document.createElement('input');
+		const text = document.createElement('span');
+		const pattern = document.createElement('code');
+		const count = document.createElement('span');
+
+		option.className = 'qala-suggestion';
+		radio.type = 'radio';
+		radio.name = 'qala-suggestion';
+		radio.value = String(index);
+		radio.checked = index === 0;
+		text.textContent = labels[suggestion.kind] || suggestion.kind;
+		pattern.textContent = suggestion.pattern;
+		count.className = 'qala-suggestion-count';
+		count.textContent = getString('suggestLoading', 'Counting logged notices...');
+
+		text.appendChild(pattern);
+		text.appendChild(count);
+		option.appendChild(radio);
+		option.appendChild(text);
+
+		return { option: option, count: count };
+	}
+
+	window.QalaPluginManager.suggestions = {
+		/**
+		 * Let the user choose one of the suggested patterns
+		 *
+		 * @param {string} value Callback name, or notice text for content
+		 * @param {string} source 'callback' or 'content'
+		 * @return {Promise<Object|null>} Resolves with the chosen { pattern, type }, or null when cancelled
+		 */
+		choose: function(value, source) {
+			const suggestions = window.QalaPluginManager.NoticeContentMatcher.suggestPatterns(String(value), source);
+			const list = document.createElement('fieldset');
+			const legend = document.createElement('legend');
+			const counts = [];
+
+			list.className = 'qala-suggestions';
+			legend.className = 'screen-reader-text';
+			legend.textContent = getString('suggestTitle', 'Add to allowlist');
+			list.appendChild(legend);
+
+			suggestions.forEach(function(suggestion, index) {
+				const built = buildOption(suggestion, index);
+				list.appendChild(built.option);
+				counts.push(built.count);
+			});
+
+			window.QalaPluginManager.api.countLogMatches(suggestions.map(function(suggestion) {
+				return { pattern: suggestion.pattern, type: suggestion.type };
+			})).then(function(data) {
+				counts.forEach(function(count, index) {
+					count.textContent = getString('suggestMatches', 'Matches %1$d of %2$d logged notices')
+						.replace('%1$d', data.matches[index])
+						.replace('%2$d', data.total);
+				});
+			}).catch(function(error) {
+				window.QalaPluginManager.log.warn('Qala Suggestions: Could not count log matches', error);
+				counts.forEach(function(count) {
+					count.textContent = getString('suggestCountError', 'Could not count logged notices.');
+				});
+			});
+
+			return window.QalaPluginManager.ui.confirm({
+				title: getString('suggestTitle', 'Add to allowlist'),
+				message: getString('suggestMessage', 'Choose how widely the pattern should match. Wider patterns also keep similar notices visible.'),
+				content: list,
+				confirmLabel: getString('suggestSave', 'Add pattern')
+			}).then(function(confirmed) {
+				if (!confirmed) {
+					return null;
+				}
+
+				const checked = list.querySelector('input:checked');
+				const suggestion = suggestions[checked ? parseInt(checked.value, 10) : 0];
+
+				return { pattern: suggestion.pattern, type: suggestion.type };
+			});
+		}
+	};
+})();
+
+/* ===== Block Editor Notices ===== */
+
+/**
+ * Block Editor Notices
+ *
+ * The block editor renders notices from the core/notices data store as
+ * snackbars and components-notice elements rather than .notice divs, so
+ * notice-hider.css and the Content Matcher only catch some of them. This
+ * module subscribes to the store instead:
+ *
+ * - Snoozed notices are removed from the store whether or not notices are
+ *   hidden (keyed by text, like notices without an id in wp-admin)
+ * - While notices are hidden, every new notice is matched against the
+ *   allowlist, with its status as severity, and removed from the store
+ *   unless a pattern matches. Selector patterns need an element and never
+ *   match here
+ * - Error notices stay when Always Show Errors is on
+ * - Regex patterns run in the Match Worker; the notice is removed in the
+ *   meantime and created again if one of them matches
+ * - Removed notices go to the notice log as page content entries (POST
+ *   /notices/captured) and come back when notices are shown again from
+ *   the admin bar
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const BlockEditorNotices = {
+
+		/**
+		 * Data store holding the editor's notices
+		 */
+		store: 'core/notices',
+
+		/**
+		 * Ids of the notices already processed
+		 */
+		seen: new Set(),
+
+		/**
+		 * Notices removed from the store
+		 *
+		 * Each entry: { notice, text, reason }
+		 */
+		removed: [],
+
+		/**
+		 * Notice texts sent to the notice log during this page view
+		 */
+		logged: new Set(),
+
+		/**
+		 * Notice list the store returned last, to skip unrelated store updates
+		 */
+		lastNotices: null,
+
+		/**
+		 * Initialize the store subscription on block editor screens
+		 */
+		init: function() {
+			const data = window.wp && window.wp.data;
+
+			if (!data || !document.body.classList.contains('block-editor-page') || !data.select(this.store)) {
+				return;
+			}
+
+			this.matcher = window.QalaPluginManager.NoticeContentMatcher;
+
+			if (!this.matcher.isActive()) {
+				window.QalaPluginManager.log.debug('Qala Block Editor Notices: Notices not hidden and nothing to snooze - skipping');
+				return;
+			}
+
+			this.check();
+			data.subscribe(this.check.bind(this));
+
+			// Bring removed notices back when the admin bar toggle shows notices
+			document.addEventListener('qala:notices-processed', () => {
+				if (!window.QalaPluginManager.noticesHidden()) {
+					this.restoreAll();
+				}
+			});
+
+			window.QalaPluginManager.log.debug('Qala Block Editor Notices: Watching the', this.store, 'store');
+		},
+
+		/**
+		 * Process notices added to the store since the last call
+		 *
+		 * Runs on every store update of the editor, so it returns early
+		 * unless the notice list changed.
+		 */
+		check: function() {
+			const notices = window.wp.data.select(this.store).getNotices();
+
+			if (notices === this.lastNotices) {
+				return;
+			}
+
+			this.lastNotices = notices;
+
+			notices.forEach((notice) => {
+				if (this.seen.has(notice.id)) {
+					return;
+				}
+
+				this.seen.add(notice.id);
+				this.process(notice);
+			});
+		},
+
+		/**
+		 * Remove a notice from the store unless it may be shown
+		 *
+		 * @param {Object} notice Notice from the core/notices store
+		 */
+		process: function(notice) {
+			const matcher = this.matcher;
+			const text = this.getText(notice);
+			const severity = this.getSeverity(notice);
+
+			if (!text) {
+				return;
+			}
+
+			if (matcher.getSnooze('text:' + matcher.hashText(text))) {
+				this.remove(notice, text, 'snoozed');
+				this.log(text, severity);
+				return;
+			}
+
+			if (!matcher.isMatchingEnabled()
+				|| (severity === 'error' && window.QalaPluginManager.alwaysShowErrors())) {
+				return;
+			}
+
+			const worker = window.QalaPluginManager.MatchWorker;
+			const useWorker = worker.isEnabled();
+			const rule = this.findRule(text, severity, useWorker);
+
+			if (rule) {
+				window.QalaPluginManager.log.debug('Qala Block Editor Notices: Shown by pattern', rule.pattern.value, '-', text);
+				return;
+			}
+
+			const entry = this.remove(notice, text, 'not_allowlisted');
+			const regexRules = useWorker ? this.getRegexRules(severity) : [];
+
+			if (!regexRules.length) {
+				this.log(text, severity);
+				return;
+			}
+
+			worker.match([text], regexRules).then((results) => {
+				if (!results[0].length) {
+					this.log(text, severity);
+					return;
+				}
+
+				window.QalaPluginManager.log.debug('Qala Block Editor Notices: Shown by pattern', results[0][0].pattern.value, '-', text);
+
+				if (window.QalaPluginManager.noticesHidden()) {
+					this.restore(entry);
+				}
+			});
+		},
+
+		/**
+		 * Get the normalized text of a notice
+		 *
+		 * Notices created with __unstableHTML carry markup, which is parsed
+		 * into an inert document (no scripts or event handlers run) to read
+		 * its text. Action button labels are not part of the text.
+		 *
+		 * @param {Object} notice Notice from the core/notices store
+		 * @return {string} Text with whitespace collapsed
+		 */
+		getText: function(notice) {
+			if (typeof notice.content !== 'string') {
+				return '';
+			}
+
+			const text = notice.__unstableHTML
+				? new DOMParser().parseFromString(notice.content, 'text/html').body.textContent
+				: notice.content;
+
+			return (text || '').replace(/\s+/g, ' ').trim();
+		},
+
+		/**
+		 * Get a notice's severity from its status
+		 *
+		 * @param {Object} notice Notice from the core/notices store
+		 * @return {string} One of 'error', 'warning', 'success' or 'info'
+		 */
+		getSeverity: function(notice) {
+			return ['error', 'warning', 'success'].indexOf(notice.status) !== -1 ? notice.status : 'info';
+		},
+
+		/**
+		 * Find the first allowlist pattern matching a notice's text
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {string} severity Notice severity
+		 * @param {boolean} skipRegex Leave regex patterns to the Match Worker
+		 * @return {Object|null} Compiled rule, or null
+		 */
+		findRule: function(text, severity, skipRegex) {
+			return this.matcher.getCompiledPatterns().find(function(rule) {
+				if (skipRegex && rule.regex) {
+					return false;
+				}
+
+				return (!rule.severity || rule.severity === severity) && rule.test(text, null);
+			}) || null;
+		},
+
+		/**
+		 * Get the regex rules that could still show a notice
+		 *
+		 * @param {string} severity Notice severity
+		 * @return {Array} Compiled regex rules whose severity matches
+		 */
+		getRegexRules: function(severity) {
+			return this.matcher.getCompiledPatterns().filter(function(rule) {
+				return rule.regex && (!rule.severity || rule.severity === severity);
+			});
+		},
+
+		/**
+		 * Remove a notice from the store and remember it
+		 *
+		 * @param {Object} notice Notice from the core/notices store
+		 * @param {string} text Normalized notice text
+		 * @param {string} reason 'snoozed' or 'not_allowlisted'
+		 * @return {Object} Entry: { notice, text, reason }
+		 */
+		remove: function(notice, text, reason) {
+			const entry = { notice: notice, text: text, reason: reason };
+
+			this.removed.push(entry);
+			window.wp.data.dispatch(this.store).removeNotice(notice.id);
+
+			window.QalaPluginManager.log.debug('Qala Block Editor Notices: Removed (' + reason + ') -', text);
+
+			return entry;
+		},
+
+		/**
+		 * Put a removed notice back into the store
+		 *
+		 * The notice keeps its id, so check() does not process it again.
+		 *
+		 * @param {Object} entry Entry from remove()
+		 */
+		restore: function(entry) {
+			const notice = entry.notice;
+
+			this.removed = this.removed.filter(function(other) {
+				return other !== entry;
+			});
+
+			window.wp.data.dispatch(this.store).createNotice(notice.status, notice.content, {
+				id: notice.id,
+				type: notice.type,
+				isDismissible: notice.isDismissible,
+				explicitDismiss: notice.explicitDismiss,
+				actions: notice.actions,
+				icon: notice.icon,
+				onDismiss: notice.onDismiss,
+				__unstableHTML: notice.__unstableHTML,
+				speak: false
+			});
+		},
+
+		/**
+		 * Put back every notice removed because notices were hidden
+		 *
+		 * Snoozed notices stay removed.
+		 */
+		restoreAll: function() {
+			this.removed.filter(function(entry) {
+				return entry.reason !== 'snoozed';
+			}).forEach((entry) => {
+				this.restore(entry);
+			});
+		},
+
+		/**
+		 * Add a removed notice to the notice log, once per page view
+		 *
+		 * Logged like the notices the Content Matcher reports: the server
+		 * fingerprints the text and skips notices already logged today.
+		 *
+		 * @param {string} text Normalized notice text
+		 * @param {string} severity Notice severity
+		 */
+		log: function(text, severity) {
+			if (this.logged.has(text)) {
+				return;
+			}
+
+			this.logged.add(text);
+
+			const screen = typeof qalaAllowlistPatterns !== 'undefined' ? qalaAllowlistPatterns.screen || '' : '';
+
+			window.QalaPluginManager.api.logNotices([{ text: text.substring(0, 1000), severity: severity }], screen)
+				.catch(function(error) {
+					window.QalaPluginManager.log.warn('Qala Block Editor Notices: Could not log notice', error);
+				});
+		}
+	};
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', function() {
+			BlockEditorNotices.init();
+		});
+	} else {
+		BlockEditorNotices.init();
+	}
+
+	window.QalaPluginManager.BlockEditorNotices = BlockEditorNotices;
+
+})();
+
+/* ===== Debug Overlay ===== */
+
+/**
+ * Debug Overlay
+ *
+ * Explains, while debug mode is on, why each notice is hidden or shown.
+ * Every notice the NoticeContentMatcher records a decision for gets a
+ * badge, and a panel in the corner summarises the decisions for the page.
+ *
+ * Hidden notices are drawn faded with a dashed outline instead of being
+ * left out, so their badge can be read. Snoozed notices stay hidden and
+ * are only listed in the panel.
+ *
+ * Like the shared UI layer, the overlay carries its own styles: the
+ * bundled stylesheet is only loaded while notices are hidden.
+ *
+ * @package QalaPluginManager
+ */
+(function() {
+	'use strict';
+
+	const STYLE_ID = 'qala-debug-styles';
+
+	const STYLES = [
+		'.qala-debug-badge{display:inline-block;margin:6px 8px 0 0;padding:1px 6px;border-radius:3px;background:#2271b1;color:#fff;font:600 11px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;vertical-align:middle}',
+		'.qala-debug-badge[data-reason="hidden"],.qala-debug-badge[data-reason="snoozed"]{background:#d63638}',
+		'.qala-debug-badge[data-reason="pattern"]{background:#00a32a}',
+		'[data-qala-debug-ghost]{opacity:.6;outline:2px dashed #d63638;outline-offset:-2px}',
+		'.qala-debug-panel{position:fixed;left:20px;bottom:20px;z-index:99990;width:340px;max-height:50vh;overflow:auto;background:#fff;border:1px solid #c3c4c7;border-radius:4px;box-shadow:0 3px 12px rgba(0,0,0,.2);color:#1d2327;font-size:12px;line-height:1.5}',
+		'.qala-debug-panel-header{display:flex;align-items:center;gap:8px;padding:8px 12px;border-bottom:1px solid #dcdcde;background:#f6f7f7}',
+		'.qala-debug-panel-title{flex:1;margin:0;font-size:13px}',
+		'.qala-debug-panel-body{padding:4px 12px 10px}',
+		'.qala-debug-panel-body[hidden]{display:none}',
+		'.qala-debug-group-title{margin:8px 0 4px;font-size:12px}',
+		'.qala-debug-group-list{margin:0;padding:0;list-style:none}',
+		'.qala-debug-entry{margin:0 0 4px}',
+		'.qala-debug-entry button{padding:0;background:none;border:0;color:#2271b1;cursor:pointer;font-size:12px;text-align:left;text-decoration:underline}',
+		'.qala-debug-entry-pattern{display:block;color:#646970}'
+	].join('\n');
+
+	const REASONS = ['hidden', 'snoozed', 'pattern', 'errors', 'visible', 'revealed'];
+
+	const DebugOverlay = {
+		/**
+		 * Signature of the decisions the panel shows, to skip redundant renders
+		 */
+		signature: null,
+
+		/**
+		 * Panel elements
+		 */
+		panel: null,
+		body: null,
+
+		/**
+		 * Initialize the overlay
+		 */
+		init: function() {
+			this.matcher = window.QalaPluginManager.NoticeContentMatcher;
+			this.strings = qalaDebugOverlay.strings;
+
+			if (!document.getElementById(STYLE_ID)) {
+				const style = document.createElement('style');
+				style.id = STYLE_ID;
+				style.textContent = STYLES;
+				document.head.appendChild(style);
+			}
+
+			this.render();
+
+			document.addEventListener('qala:notices-processed', () => {
+				this.render();
+			});
+		},
+
+		/**
+		 * Update badges and the panel with the current decisions
+		 *
+		 * Only touches the DOM when something changed: the matcher's
+		 * observer sees the badges and the panel as added elements.
+		 */
+		render: function() {
+			const decisions = this.matcher.getDecisions();
+
+			decisions.forEach((decision) => {
+				this.renderBadge(decision);
+			});
+
+			const signature = decisions.map(function(decision) {
+				return decision.reason + ':' + (decision.pattern ? decision.pattern.value : '');
+			}).join('|');
+
+			if (signature !== this.signature) {
+				this.signature = signature;
+				this.renderPanel(decisions);
+			}
+		},
+
+		/**
+		 * Describe a decision in one line
+		 *
+		 * Matches by a personal pattern are labelled as such, since they
+		 * only show the notice for the current user.
+		 *
+		 * @param {Object} decision Decision from the matcher
+		 * @return {string} Badge text
+		 */
+		describe: function(decision) {
+			const reason = decision.pattern && decision.pattern.source === 'personal' ? 'personal' : decision.reason;
+			const label = this.strings.reasons[reason] || decision.reason;
+
+			return decision.pattern
+				? label.replace('%s', decision.pattern.value + ' (' + decision.pattern.type + ')')
+				: label;
+		},
+
+		/**
+		 * Add or update the badge of a notice
+		 *
+		 * @param {Object} decision Decision from the matcher
+		 */
+		renderBadge: function(decision) {
+			const element = decision.element;
+			const text = this.describe(decision);
+			let badge = element.querySelector(':scope > .qala-debug-badge');
+
+			if (!badge) {
+				badge = document.createElement('span');
+				badge.className = 'qala-debug-badge';
+				element.insertBefore(badge, element.firstChild);
+			}
+
+			if (badge.textContent !== text) {
+				badge.textContent = text;
+			}
+
+			badge.setAttribute('data-reason', decision.reason);
+
+			if (decision.reason === 'hidden') {
+				element.setAttribute('data-qala-debug-ghost', 'true');
+				element.style.setProperty('display', 'block', 'important');
+			} else if (element.hasAttribute('data-qala-debug-ghost')) {
+				element.removeAttribute('data-qala-debug-ghost');
+
+				// Snoozed notices keep the inline style that hides them
+				if (decision.reason !== 'snoozed') {
+					element.style.removeProperty('display');
+				}
+			}
+		},
+
+		/**
+		 * Create the panel
+		 */
+		createPanel: function() {
+			const collapsed = window.sessionStorage && sessionStorage.getItem('qalaDebugPanelCollapsed') === 'yes';
+			const header = document.createElement('div');
+			const title = document.createElement('h2');
+			const toggle = document.createElement('button');
+
+			this.panel = document.createElement('div');
+			this.panel.id = 'qala-debug-panel';
+			this.panel.className = 'qala-debug-panel';
+			this.panel.setAttribute('role', 'region');
+			this.panel.setAttribute('aria-label', this.strings.title);
+
+			header.className = 'qala-debug-panel-header';
+			title.className = 'qala-debug-panel-title';
+			title.textContent = this.strings.title;
+
+			toggle.type = 'button';
+			toggle.className = 'button button-small';
+			toggle.setAttribute('aria-controls', 'qala-debug-panel-body');
+			toggle.addEventListener('click', () => {
+				this.setCollapsed(!this.body.hidden, toggle);
+			});
+
+			this.body = document.createElement('div');
+			this.body.id = 'qala-debug-panel-body';
+			this.body.className = 'qala-debug-panel-body';
+
+			header.appendChild(title);
+			header.appendChild(toggle);
+			this.panel.appendChild(header);
+			this.panel.appendChild(this.body);
+			document.body.appendChild(this.panel);
+
+			this.setCollapsed(collapsed, toggle);
+		},
+
+		/**
+		 * Collapse or expand the panel, remembered for the browser session
+		 *
+		 * @param {boolean} collapsed Whether the panel body is hidden
+		 * @param {Element} toggle Collapse button
+		 */
+		setCollapsed: function(collapsed, toggle) {
+			this.body.hidden = collapsed;
+			toggle.textContent = collapsed ? this.strings.expand : this.strings.collapse;
+			toggle.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+
+			if (window.sessionStorage) {
+				sessionStorage.setItem('qalaDebugPanelCollapsed', collapsed ? 'yes' : 'no');
+			}
+		},
+
+		/**
+		 * Summarise the decisions in the panel, grouped by reason
+		 *
+		 * @param {Array} decisions Decisions from the matcher
+		 */
+		renderPanel: function(decisions) {
+			if (!this.panel) {
+				this.createPanel();
+			}
+
+			this.body.textContent = '';
+
+			const summary = document.createElement('p');
+			summary.textContent = decisions.length
+				? this.strings.summary.replace('%d', decisions.length)
+				: this.strings.empty;
+			this.body.appendChild(summary);
+
+			REASONS.forEach((reason) => {
+				const group = decisions.filter(function(decision) {
+					return decision.reason === reason;
+				});
+
+				if (!group.length) {
+					return;
+				}
+
+				const title = document.createElement('h3');
+				title.className = 'qala-debug-group-title';
+				title.textContent = this.strings.groups[reason] + ' (' + group.length + ')';
+				this.body.appendChild(title);
+
+				const list = document.createElement('ul');
+				list.className = 'qala-debug-group-list';
+				group.forEach((decision) => {
+					list.appendChild(this.renderEntry(decision));
+				});
+				this.body.appendChild(list);
+			});
+		},
+
+		/**
+		 * Render one notice in the panel
+		 *
+		 * The notice text is a button that scrolls to the notice, unless
+		 * the notice is snoozed and so not on screen.
+		 *
+		 * @param {Object} decision Decision from the matcher
+		 * @return {Element} List item
+		 */
+		renderEntry: function(decision) {
+			const item = document.createElement('li');
+			const excerpt = decision.text.length > 80 ? decision.text.substring(0, 80) + '…' : decision.text;
+			const label = '[' + decision.severity + '] ' + excerpt;
+
+			item.className = 'qala-debug-entry';
+
+			if (decision.reason === 'snoozed') {
+				item.appendChild(document.createTextNode(label));
+			} else {
+				const button = document.createElement('button');
+				button.type = 'button';
+				button.textContent = label;
+				button.addEventListener('click', function() {
+					decision.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+				});
+				item.appendChild(button);
+			}
+
+			if (decision.pattern) {
+				const pattern = document.createElement('code');
+				pattern.className = 'qala-debug-entry-pattern';
+				pattern.textContent = decision.pattern.value + ' (' + decision.pattern.type + ')';
+				item.appendChild(pattern);
+			}
+
+			return item;
+		}
+	};
+
+	/**
+	 * Initialize after the matcher has processed the page
+	 */
+	function init() {
+		if (window.QalaPluginManager.debugEnabled() && typeof qalaDebugOverlay !== 'undefined') {
+			DebugOverlay.init();
+		}
+	}
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', init);
+	} else {
+		init();
+	}
+
+	window.QalaPluginManager.DebugOverlay = DebugOverlay;
+
+})();
+
+/* ===== Hidden Notice Inbox ===== */
+
+/**
+ * Hidden Notice Inbox
+ *
+ * Fills the dropdown under the admin bar toggle with every notice the
+ * NoticeContentMatcher left hidden on the current page, so editors can see
+ * what they are missing without turning on full visibility.
+ *
+ * Each entry shows the severity and a text excerpt, with actions to reveal
+ * the notice in place or add a content pattern for it to the allowlist.
+ *
+ * @package QalaPluginManager
+ */
+
+(function ($) {
+	'use strict';
+
+	/**
+	 * HiddenNoticeInbox object
+	 */
+	const HiddenNoticeInbox = {
+
+		/**
+		 * Maximum excerpt length shown per entry
+		 */
+		excerptLength: 120,
+
+		/**
+		 * Initialize the inbox
+		 */
+		init: function () {
+			this.$inbox = $('#qala-hidden-inbox');
+			this.$list = this.$inbox.find('.qala-inbox-list');
+			this.$empty = this.$inbox.find('.qala-inbox-empty');
+
+			this.bindEvents();
+
+			// Render whatever the matcher found before we were ready
+			this.render(window.QalaPluginManager.NoticeContentMatcher.getHiddenNotices());
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function () {
+			const self = this;
+
+			document.addEventListener('qala:notices-processed', function (e) {
+				self.render(e.detail.hidden);
+			});
+
+			this.$list.on('click', '.qala-inbox-reveal', this.handleReveal.bind(this));
+			this.$list.on('click', '.qala-inbox-allowlist', this.handleAllowlist.bind(this));
+		},
+
+		/**
+		 * Render the list of hidden notices
+		 *
+		 * All notice text is inserted with .text() so notice markup is never
+		 * interpreted inside the admin bar.
+		 *
+		 * @param {Array} hidden Hidden notice entries from NoticeContentMatcher
+		 */
+		render: function (hidden) {
+			const self = this;
+			const strings = qalaAdminBarToggle.strings;
+
+			this.entries = hidden.slice();
+			this.$list.empty();
+
+			this.entries.forEach(function (entry, index) {
+				const $item = $('<li>', {
+					class: 'qala-inbox-entry qala-severity-' + entry.severity,
+					'data-index': index
+				});
+
+				$('<span>', { class: 'qala-inbox-severity' })
+					.text(strings.severities[entry.severity] || entry.severity)
+					.appendTo($item);
+
+				$('<span>', { class: 'qala-inbox-excerpt', title: entry.text })
+					.text(self.getExcerpt(entry.text))
+					.appendTo($item);
+
+				const $actions = $('<span>', { class: 'qala-inbox-actions' }).appendTo($item);
+
+				$('<button>', { type: 'button', class: 'qala-inbox-reveal' })
+					.text(strings.reveal)
+					.appendTo($actions);
+
+				// Adding patterns is only offered to users who manage notices
+				if (qalaAllowlistPatterns.canManage) {
+					$('<button>', { type: 'button', class: 'qala-inbox-allowlist' })
+						.text(strings.addToAllowlist)
+						.appendTo($actions);
+				}
+
+				self.$list.append($item);
+			});
+
+			// Looked up each time: the toggle replaces the title it lives in
+			this.$empty.toggle(this.entries.length === 0);
+			$('#wp-admin-bar-qala-notice-toggle .qala-hidden-count')
+				.text(this.entries.length)
+				.prop('hidden', this.entries.length === 0);
+		},
+
+		/**
+		 * Shorten notice text for display
+		 *
+		 * @param {string} text Notice text
+		 * @return {string} Excerpt
+		 */
+		getExcerpt: function (text) {
+			if (text.length <= this.excerptLength) {
+				return text;
+			}
+
+			return text.substring(0, this.excerptLength).trim() + '…';
+		},
+
+		/**
+		 * Get the inbox entry for a clicked action button
+		 *
+		 * @param {Event} e Click event
+		 * @return {Object|undefined} Hidden notice entry
+		 */
+		getEntry: function (e) {
+			const index = $(e.currentTarget).closest('.qala-inbox-entry').data('index');
+			return this.entries[index];
+		},
+
+		/**
+		 * Reveal a notice in place and scroll to it
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleReveal: function (e) {
+			e.preventDefault();
+
+			const entry = this.getEntry(e);
+			if (!entry) {
+				return;
+			}
+
+			window.QalaPluginManager.NoticeContentMatcher.revealNotice(entry.element);
+			entry.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+		},
+
+		/**
+		 * Add a content pattern for a notice to the allowlist
+		 *
+		 * The user picks one of the suggested patterns first. On success the
+		 * pattern is also applied on the current page, so every other hidden
+		 * notice it matches is revealed straight away.
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleAllowlist: function (e) {
+			e.preventDefault();
+
+			const entry = this.getEntry(e);
+			if (!entry) {
+				return;
+			}
+
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const $button = $(e.currentTarget);
+
+			window.QalaPluginManager.suggestions.choose(entry.text, 'content')
+				.then(function (choice) {
+					if (!choice) {
+						return;
+					}
+
+					$button.prop('disabled', true).addClass('qala-loading');
+
+					window.QalaPluginManager.api.createPattern({
+						pattern: choice.pattern,
+						pattern_type: choice.type
+					})
+						.then(function () {
+							matcher.applyPattern(choice.pattern, choice.type);
+							matcher.revealNotice(entry.element);
+						})
+						.catch(function () {
+							$button.prop('disabled', false).removeClass('qala-loading')
+								.text(qalaAdminBarToggle.strings.allowlistError);
+						});
+				});
+		}
+	};
+
+	/**
+	 * Initialize on document ready
+	 */
+	$(document).ready(function () {
+		// Only initialize if the inbox was rendered and the matcher is running
+		if ($('#qala-hidden-inbox').length && typeof qalaAllowlistPatterns !== 'undefined') {
+			HiddenNoticeInbox.init();
+		}
+	});
+
+})(jQuery);
+
+/* ===== Notice Snooze ===== */
+
+/**
+ * Notice Snooze
+ *
+ * Adds a "Snooze" control next to the dismiss button of every notice, with
+ * a choice of 1 day, 1 week or 30 days. Snoozes are stored per user on the
+ * server; the NoticeContentMatcher hides snoozed notices as it finds them.
+ *
+ * Active snoozes are listed in the admin bar inbox, where they can be woken
+ * before they expire.
+ *
+ * @package QalaPluginManager
+ */
+
+(function ($) {
+	'use strict';
+
+	/**
+	 * NoticeSnooze object
+	 */
+	const NoticeSnooze = {
+
+		/**
+		 * Initialize snooze controls and the snoozed list
+		 */
+		init: function () {
+			this.matcher = window.QalaPluginManager.NoticeContentMatcher;
+			this.$section = $('#qala-hidden-inbox .qala-snoozed-section');
+			this.$list = this.$section.find('.qala-snoozed-list');
+
+			this.bindEvents();
+			this.addControls();
+			this.renderSnoozed();
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function () {
+			const self = this;
+
+			// The matcher runs again whenever notices are added to the page
+			document.addEventListener('qala:notices-processed', function () {
+				self.addControls();
+			});
+
+			$(document).on('click', '.qala-snooze-toggle', this.handleToggleMenu.bind(this));
+			$(document).on('click', '.qala-snooze-option', this.handleSnooze.bind(this));
+			$(document).on('keydown', '.qala-snooze', this.handleKeydown.bind(this));
+
+			// Close open menus on any click outside a snooze control
+			$(document).on('click', function (e) {
+				if (!$(e.target).closest('.qala-snooze').length) {
+					self.closeMenus();
+				}
+			});
+
+			this.$list.on('click', '.qala-snoozed-wake', this.handleWake.bind(this));
+		},
+
+		/**
+		 * Add a snooze control to every notice that has none yet
+		 */
+		addControls: function () {
+			const self = this;
+
+			this.matcher.getNoticeElements().forEach(function (notice) {
+				const $notice = $(notice);
+
+				if ($notice.children('.qala-snooze').length || !self.matcher.getNoticeText(notice)) {
+					return;
+				}
+
+				// Our own short-lived feedback notices are not worth snoozing
+				if ($notice.hasClass('qala-ajax-notice')) {
+					return;
+				}
+
+				$notice.addClass('qala-has-snooze').append(self.buildControl());
+			});
+		},
+
+		/**
+		 * Build the snooze control markup
+		 *
+		 * @return {jQuery} Control element
+		 */
+		buildControl: function () {
+			const strings = qalaSnoozedNotices.strings;
+			const $control = $('<span>', { class: 'qala-snooze' });
+
+			$('<button>', {
+				type: 'button',
+				class: 'qala-snooze-toggle',
+				'aria-expanded': 'false',
+				'aria-label': strings.snoozeLabel
+			})
+				.text(strings.snooze)
+				.appendTo($control);
+
+			const $menu = $('<span>', { class: 'qala-snooze-menu', hidden: true }).appendTo($control);
+
+			Object.keys(strings.durations).forEach(function (duration) {
+				$('<button>', { type: 'button', class: 'qala-snooze-option', 'data-duration': duration })
+					.text(strings.durations[duration])
+					.appendTo($menu);
+			});
+
+			return $control;
+		},
+
+		/**
+		 * Open or close the duration menu
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleToggleMenu: function (e) {
+			e.preventDefault();
+
+			const $toggle = $(e.currentTarget);
+			const open = $toggle.attr('aria-expanded') !== 'true';
+
+			this.closeMenus();
+
+			if (open) {
+				$toggle.attr('aria-expanded', 'true');
+				$toggle.siblings('.qala-snooze-menu').prop('hidden', false)
+					.find('.qala-snooze-option').first().trigger('focus');
+			}
+		},
+
+		/**
+		 * Close the duration menu on Escape
+		 *
+		 * @param {Event} e Keydown event
+		 */
+		handleKeydown: function (e) {
+			if (e.key !== 'Escape') {
+				return;
+			}
+
+			this.closeMenus();
+			$(e.currentTarget).find('.qala-snooze-toggle').trigger('focus');
+		},
+
+		/**
+		 * Close every open duration menu
+		 */
+		closeMenus: function () {
+			$('.qala-snooze-toggle').attr('aria-expanded', 'false');
+			$('.qala-snooze-menu').prop('hidden', true);
+		},
+
+		/**
+		 * Snooze a notice for the chosen duration
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleSnooze: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $option = $(e.currentTarget);
+			const $control = $option.closest('.qala-snooze');
+			const notice = $control.closest('.qala-has-snooze')[0];
+			const text = this.matcher.getNoticeText(notice);
+			const key = this.matcher.getNoticeKey(notice, text);
+
+			$control.find('button').prop('disabled', true);
+
+			window.QalaPluginManager.api.snoozeNotice({
+				key: key,
+				text: text,
+				duration: $option.data('duration')
+			})
+				.then(function (response) {
+					self.closeMenus();
+					$control.find('button').prop('disabled', false);
+					self.matcher.snoozeNotice(notice, key, response.snooze);
+					self.renderSnoozed();
+				})
+				.catch(function () {
+					self.showControlError($control);
+				});
+		},
+
+		/**
+		 * Show a failed snooze on the control itself
+		 *
+		 * @param {jQuery} $control Snooze control
+		 */
+		showControlError: function ($control) {
+			this.closeMenus();
+			$control.find('button').prop('disabled', false);
+			$control.find('.qala-snooze-toggle').text(qalaSnoozedNotices.strings.snoozeError);
+		},
+
+		/**
+		 * Render active snoozes in the admin bar inbox
+		 *
+		 * Notice text is inserted with .text() so it is never interpreted
+		 * as markup.
+		 */
+		renderSnoozed: function () {
+			const self = this;
+			const strings = qalaSnoozedNotices.strings;
+			const entries = this.matcher.getSnoozedNotices();
+
+			this.$list.empty();
+
+			entries.forEach(function (entry) {
+				const $item = $('<li>', { class: 'qala-inbox-entry qala-snoozed-entry', 'data-key': entry.key });
+
+				$('<span>', { class: 'qala-inbox-severity' })
+					.text(strings.snoozedUntil.replace('%s', self.formatTime(entry.until)))
+					.appendTo($item);
+
+				$('<span>', { class: 'qala-inbox-excerpt', title: entry.text })
+					.text(entry.text)
+					.appendTo($item);
+
+				const $actions = $('<span>', { class: 'qala-inbox-actions' }).appendTo($item);
+
+				$('<button>', { type: 'button', class: 'qala-snoozed-wake' })
+					.text(strings.wake)
+					.appendTo($actions);
+
+				self.$list.append($item);
+			});
+
+			this.$section.prop('hidden', entries.length === 0);
+		},
+
+		/**
+		 * Format a snooze expiry for display
+		 *
+		 * @param {number} until Unix timestamp in seconds
+		 * @return {string} Localized date and time
+		 */
+		formatTime: function (until) {
+			return new Date(until * 1000).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+		},
+
+		/**
+		 * Wake a snoozed notice early
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleWake: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $button = $(e.currentTarget);
+			const key = $button.closest('.qala-snoozed-entry').data('key');
+
+			$button.prop('disabled', true).addClass('qala-loading');
+
+			window.QalaPluginManager.api.wakeNotice(key)
+				.then(function () {
+					self.matcher.wakeNotice(key);
+					self.renderSnoozed();
+				})
+				.catch(function () {
+					$button.prop('disabled', false).removeClass('qala-loading')
+						.text(qalaSnoozedNotices.strings.wakeError);
+				});
+		}
+	};
+
+	/**
+	 * Initialize on document ready
+	 */
+	$(document).ready(function () {
+		if (typeof qalaSnoozedNotices !== 'undefined') {
+			NoticeSnooze.init();
+		}
+	});
+
+})(jQuery);
+
+/* ===== Notice Inspector ===== */
+
+/**
+ * Notice Inspector - "Pick a notice" mode
+ *
+ * Started from the admin bar inbox. Outlines every notice found by the
+ * NoticeContentMatcher selectors, including hidden ones, and lets the user
+ * click one to build a content pattern for it. The pattern is proposed from
+ * the notice text (exact, wildcard or regex), can be edited, and is saved
+ * through the REST API (POST /patterns).
+ *
+ * @package QalaPluginManager
+ */
+
+(function ($) {
+	'use strict';
+
+	/**
+	 * NoticeInspector object
+	 */
+	const NoticeInspector = {
+
+		/**
+		 * Flag indicating if inspect mode is active
+		 */
+		isActive: false,
+
+		/**
+		 * Notice currently being allowlisted in the dialog
+		 */
+		current: null,
+
+		/**
+		 * Initialize the inspector
+		 */
+		init: function () {
+			this.onClick = this.handleClick.bind(this);
+			this.onKeydown = this.handleKeydown.bind(this);
+
+			$(document).on('click', '.qala-inspector-start', this.handleStart.bind(this));
+		},
+
+		/**
+		 * Handle click on the "Pick a notice" button
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleStart: function (e) {
+			e.preventDefault();
+			this.start();
+		},
+
+		/**
+		 * Enter inspect mode
+		 *
+		 * Click handling runs in the capture phase so links and buttons
+		 * inside notices don't fire while picking.
+		 */
+		start: function () {
+			if (this.isActive) {
+				return;
+			}
+
+			this.isActive = true;
+
+			window.QalaPluginManager.NoticeContentMatcher.getNoticeElements().forEach(function (notice) {
+				notice.setAttribute('data-qala-inspect', 'true');
+			});
+
+			document.body.classList.add('qala-inspecting');
+
+			this.$hint = $('<div>', { class: 'qala-inspector-hint', role: 'status' })
+				.append($('<span>').text(qalaAdminBarToggle.strings.inspectHint))
+				.append(
+					$('<button>', { type: 'button', class: 'button' })
+						.text(qalaAdminBarToggle.strings.cancel)
+						.on('click', this.stop.bind(this))
+				)
+				.appendTo(document.body);
+
+			document.addEventListener('click', this.onClick, true);
+			document.addEventListener('keydown', this.onKeydown, true);
+		},
+
+		/**
+		 * Leave inspect mode and remove all outlines
+		 */
+		stop: function () {
+			if (!this.isActive) {
+				return;
+			}
+
+			this.isActive = false;
+			this.closeDialog();
+
+			document.querySelectorAll('[data-qala-inspect]').forEach(function (notice) {
+				notice.removeAttribute('data-qala-inspect');
+			});
+
+			document.body.classList.remove('qala-inspecting');
+
+			if (this.$hint) {
+				this.$hint.remove();
+				this.$hint = null;
+			}
+
+			document.removeEventListener('click', this.onClick, true);
+			document.removeEventListener('keydown', this.onKeydown, true);
+		},
+
+		/**
+		 * Handle clicks while inspecting
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleClick: function (e) {
+			// Let the dialog and hint bar work normally
+			if ($(e.target).closest('.qala-inspector-dialog, .qala-inspector-hint').length) {
+				return;
+			}
+
+			const notice = e.target.closest('[data-qala-inspect]');
+			if (!notice) {
+				return;
+			}
+
+			e.preventDefault();
+			e.stopPropagation();
+
+			this.openDialog(notice);
+		},
+
+		/**
+		 * Handle Escape: close the dialog first, then leave inspect mode
+		 *
+		 * @param {KeyboardEvent} e Keydown event
+		 */
+		handleKeydown: function (e) {
+			if (e.key !== 'Escape') {
+				return;
+			}
+
+			e.preventDefault();
+
+			if (this.current) {
+				this.closeDialog();
+			} else {
+				this.stop();
+			}
+		},
+
+		/**
+		 * Open the pattern dialog for a picked notice
+		 *
+		 * @param {Element} notice Notice element
+		 */
+		openDialog: function (notice) {
+			const self = this;
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const strings = qalaAdminBarToggle.strings;
+			const text = matcher.getNoticeText(notice);
+
+			this.closeDialog();
+
+			if (!text) {
+				return;
+			}
+
+			this.current = {
+				element: notice,
+				text: text,
+				proposals: matcher.proposePatterns(text, notice)
+			};
+
+			const $dialog = $('<div>', {
+				class: 'qala-inspector-dialog',
+				role: 'dialog',
+				'aria-modal': 'true',
+				'aria-labelledby': 'qala-inspector-title'
+			});
+
+			$('<h2>', { id: 'qala-inspector-title' }).text(strings.inspectTitle).appendTo($dialog);
+			$('<blockquote>', { class: 'qala-inspector-text' }).text(text).appendTo($dialog);
+
+			const $type = $('<select>', { id: 'qala-inspector-type' });
+			$.each(strings.types, function (value, label) {
+				$('<option>', { value: value }).text(label).appendTo($type);
+			});
+			$type.val('wildcard');
+
+			const $pattern = $('<input>', {
+				type: 'text',
+				id: 'qala-inspector-pattern',
+				class: 'regular-text',
+				val: this.current.proposals.wildcard
+			});
+
+			$('<p>')
+				.append($('<label>', { for: 'qala-inspector-type' }).text(strings.typeLabel))
+				.append($type)
+				.appendTo($dialog);
+
+			$('<p>')
+				.append($('<label>', { for: 'qala-inspector-pattern' }).text(strings.patternLabel))
+				.append($pattern)
+				.appendTo($dialog);
+
+			this.$status = $('<p>', { class: 'qala-inspector-status', 'aria-live': 'polite' }).appendTo($dialog);
+
+			const $save = $('<button>', { type: 'button', class: 'button button-primary' })
+				.text(strings.savePattern)
+				.on('click', this.save.bind(this));
+
+			const $cancel = $('<button>', { type: 'button', class: 'button' })
+				.text(strings.cancel)
+				.on('click', this.closeDialog.bind(this));
+
+			$('<p>', { class: 'qala-inspector-buttons' }).append($save, ' ', $cancel).appendTo($dialog);
+
+			$type.on('change', function () {
+				$pattern.val(self.current.proposals[$type.val()]);
+				self.updateStatus();
+			});
+			$pattern.on('input', this.updateStatus.bind(this));
+
+			this.$dialog = $dialog.appendTo(document.body);
+			this.$type = $type;
+			this.$pattern = $pattern;
+			this.$save = $save;
+
+			notice.classList.add('qala-inspect-selected');
+			this.updateStatus();
+			$pattern.trigger('focus');
+		},
+
+		/**
+		 * Close the pattern dialog, staying in inspect mode
+		 */
+		closeDialog: function () {
+			if (this.current) {
+				this.current.element.classList.remove('qala-inspect-selected');
+			}
+
+			if (this.$dialog) {
+				this.$dialog.remove();
+				this.$dialog = null;
+			}
+
+			this.current = null;
+		},
+
+		/**
+		 * Show whether the edited pattern still matches the picked notice
+		 */
+		updateStatus: function () {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const matches = matcher.matchesPattern(this.current.text, this.$pattern.val(), this.$type.val(), this.current.element);
+
+			this.$status
+				.toggleClass('qala-inspector-match', matches)
+				.text(matches ? qalaAdminBarToggle.strings.matchesNotice : qalaAdminBarToggle.strings.noMatch);
+		},
+
+		/**
+		 * Save the pattern to the allowlist
+		 *
+		 * On success the pattern is applied to the current page straight
+		 * away, so matching notices show without a reload.
+		 */
+		save: function () {
+			const self = this;
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const pattern = this.$pattern.val().trim();
+			const patternType = this.$type.val();
+
+			if (!pattern) {
+				return;
+			}
+
+			this.$save.prop('disabled', true).addClass('qala-loading');
+
+			window.QalaPluginManager.api.createPattern({
+				pattern: pattern,
+				pattern_type: patternType
+			})
+				.then(function () {
+					matcher.applyPattern(pattern, patternType);
+					matcher.revealNotice(self.current.element);
+					self.stop();
+				})
+				.catch(function (error) {
+					const errorMessage = window.QalaPluginManager.api.getErrorMessage(
+						error,
+						qalaAdminBarToggle.strings.allowlistError
+					);
+					self.$status.removeClass('qala-inspector-match').text(errorMessage);
+					self.$save.prop('disabled', false).removeClass('qala-loading');
+				});
+		}
+	};
+
+	/**
+	 * Initialize on document ready
+	 */
+	$(document).ready(function () {
+		// Picking is only offered to users who manage notices
+		if (typeof qalaAllowlistPatterns !== 'undefined' && qalaAllowlistPatterns.canManage) {
+			NoticeInspector.init();
+		}
+	});
+
+	// Expose for the admin bar inbox and manual triggering
+	window.QalaPluginManager.NoticeInspector = NoticeInspector;
+
+})(jQuery);
+
+/* ===== Admin Bar Toggle ===== */
+
+/**
+ * Admin Bar Toggle - Visibility Handler
+ *
+ * Handles the admin bar notice visibility toggle functionality.
+ * Provides smooth in-place toggling with visual feedback and error handling.
+ *
+ * Features:
+ * - Click handler for admin bar menu item
+ * - REST request to the visibility endpoint
+ * - Loading state indicator
+ * - Success/error feedback
+ * - Automatic title update on success
+ * - Visibility switched in place: body classes, notice hider stylesheet
+ *   and content matcher are updated without reloading the page
+ *
+ * @package QalaPluginManager
+ * @since 1.0.0
+ */
+
+(function ($) {
+	'use strict';
+
+	/**
+	 * AdminBarToggle object
+	 *
+	 * Encapsulates all toggle functionality
+	 */
+	const AdminBarToggle = {
+		/**
+		 * Initialize the toggle functionality
+		 */
+		init: function () {
+			this.bindEvents();
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function () {
+			// Handle click on admin bar toggle item (not on links inside the inbox dropdown)
+			$('#wp-admin-bar-qala-notice-toggle > .ab-item').on('click', this.handleClick.bind(this));
+		},
+
+		/**
+		 * Handle click on toggle item
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleClick: function (e) {
+			e.preventDefault();
+
+			// Don't allow multiple simultaneous toggles
+			if (this.isToggling) {
+				return;
+			}
+
+			this.toggleNoticeVisibility();
+		},
+
+		/**
+		 * Toggle notice visibility via the REST API
+		 */
+		toggleNoticeVisibility: function () {
+			const self = this;
+			const $menuItem = $('#wp-admin-bar-qala-notice-toggle');
+			const $title = $menuItem.find('.qala-notice-toggle-wrapper');
+			const originalTitle = $title.html();
+
+			// Set loading state
+			this.isToggling = true;
+			this.setLoadingState($title);
+
+			window.QalaPluginManager.api.toggleVisibility()
+				.then(function (data) {
+					self.handleSuccess(data, $title);
+				})
+				.catch(function (error) {
+					self.handleError(
+						{ message: window.QalaPluginManager.api.getErrorMessage(error, qalaAdminBarToggle.strings.error) },
+						$title,
+						originalTitle
+					);
+				})
+				.then(function () {
+					self.isToggling = false;
+				});
+		},
+
+		/**
+		 * Set loading state on menu item
+		 *
+		 * @param {jQuery} $title Title element
+		 */
+		setLoadingState: function ($title) {
+			$title.addClass('qala-loading');
+			$title.find('.qala-toggle-state').text(qalaAdminBarToggle.strings.loading);
+		},
+
+		/**
+		 * Handle successful toggle
+		 *
+		 * @param {Object} data Response data
+		 * @param {jQuery} $title Title element
+		 */
+		handleSuccess: function (data, $title) {
+			// Swap in the title for the new state (includes the hidden count badge)
+			if (data.new_title) {
+				$title.replaceWith(data.new_title);
+			}
+
+			this.applyVisibility(data.showing);
+
+			// Show success message briefly
+			window.QalaPluginManager.ui.toast(data.message, { type: 'success' });
+		},
+
+		/**
+		 * Switch notice visibility on the current page
+		 *
+		 * Never reloads, so unsaved form state (post editor, order screens)
+		 * survives the toggle.
+		 *
+		 * @param {boolean} showing True if notices are now visible
+		 */
+		applyVisibility: function (showing) {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+
+			$('body')
+				.toggleClass('qala-notices-visible', showing)
+				.toggleClass('qala-notices-hidden', !showing);
+
+			this.toggleStylesheet(!showing);
+
+			// The matcher decides per state whether it needs to observe at all
+			matcher.stopObserver();
+			matcher.refresh();
+			matcher.startObserver();
+		},
+
+		/**
+		 * Load or remove the notice hider stylesheet
+		 *
+		 * NoticeFilter only enqueues it while notices are hidden, and its
+		 * rules hide notices regardless of body classes.
+		 *
+		 * @param {boolean} load True to load the stylesheet, false to remove it
+		 */
+		toggleStylesheet: function (load) {
+			const id = 'qala-plugin-manager-css';
+			const existing = document.getElementById(id);
+
+			if (!load) {
+				if (existing) {
+					existing.remove();
+				}
+				return;
+			}
+
+			if (existing || !qalaAdminBarToggle.stylesheetUrl) {
+				return;
+			}
+
+			const link = document.createElement('link');
+			link.id = id;
+			link.rel = 'stylesheet';
+			link.href = qalaAdminBarToggle.stylesheetUrl;
+			document.head.appendChild(link);
+		},
+
+		/**
+		 * Handle toggle error
+		 *
+		 * @param {Object} data Error data
+		 * @param {jQuery} $title Title element
+		 * @param {string} originalTitle Original title HTML
+		 */
+		handleError: function (data, $title, originalTitle) {
+			// Remove loading state
+			$title.removeClass('qala-loading');
+
+			// Restore original title
+			$title.html(originalTitle);
+
+			// Show error message
+			const errorMessage = data && data.message
+				? data.message
+				: qalaAdminBarToggle.strings.error;
+
+			window.QalaPluginManager.ui.toast(errorMessage, { type: 'error' });
+		},
+
+		/**
+		 * Flag indicating if toggle is in progress
+		 */
+		isToggling: false
+	};
+
+	/**
+	 * Initialize on document ready
+	 */
+	$(document).ready(function () {
+		// Only initialize if admin bar toggle exists
+		if ($('#wp-admin-bar-qala-notice-toggle').length) {
+			AdminBarToggle.init();
+		}
+	});
+
+})(jQuery);
+
+/* ===== Admin Page ===== */
+
+/**
+ * Qala Admin Page JavaScript
+ *
+ * Handles REST API interactions for the Hide Notices settings page.
+ * Features:
+ * - Add pattern to allowlist
+ * - Remove pattern from allowlist
+ * - Hidden Notices Log search, filters, sorting and paging (GET /log)
+ * - Live pattern preview against the notice log
+ * - Site and personal ("My patterns") allowlist tabs
+ * - Statistics tab, with charts loaded from GET /statistics
+ * - Loading states
+ * - Error handling
+ * - Success messages
+ *
+ * @package QalaPluginManager
+ */
+
+(function ($) {
+	'use strict';
+
+	/**
+	 * Main admin page object
+	 */
+	const QalaAdminPage = {
+
+		/**
+		 * Initialize
+		 */
+		init: function () {
+			this.bindEvents();
+
+			// Tabs kept in the URL hash (#my-patterns, #statistics)
+			if (/^#[a-z-]+$/.test(location.hash)) {
+				const $tab = $('[role="tab"][data-hash="' + location.hash.substring(1) + '"]');
+
+				if ($tab.length) {
+					this.selectTab($tab);
+				}
+			}
+		},
+
+		/**
+		 * Bind event handlers
+		 */
+		bindEvents: function () {
+			window.QalaPluginManager.log.debug('Qala Admin Page: Binding events...');
+
+			// Add pattern button click
+			$('#qala-add-pattern-btn').on('click', this.handleAddPattern.bind(this));
+			window.QalaPluginManager.log.debug('Qala Admin Page: Bound click handler to #qala-add-pattern-btn');
+
+			// Add pattern on Enter key
+			$('#qala-new-pattern').on('keypress', function (e) {
+				if (e.which === 13) {
+					e.preventDefault();
+					QalaAdminPage.handleAddPattern();
+				}
+			});
+
+			// Add to allowlist from notice log
+			$(document).on('click', '.qala-add-to-allowlist', this.handleAddFromLog.bind(this));
+
+			// Search, filter, sort and page the notice log
+			let logTimer = null;
+			$('#qala-log-search').on('input', function () {
+				clearTimeout(logTimer);
+				logTimer = setTimeout(QalaAdminPage.handleLogFilter.bind(QalaAdminPage), 300);
+			});
+			$('#qala-log-hook, #qala-log-action, #qala-log-from, #qala-log-to').on('change', this.handleLogFilter.bind(this));
+			$('#qala-log-table').on('click', '.qala-log-sort', this.handleLogSort.bind(this));
+			$('.qala-log-pagination').on('click', '.qala-log-page', this.handleLogPage.bind(this));
+
+			// Group the notice log by plugin
+			$('#qala-log-group-by-plugin').on('change', this.handleLogGroupSwitch.bind(this));
+			$('#qala-log-groups').on('click', '.qala-log-group-toggle', this.handleLogGroupToggle.bind(this));
+
+			// Remove from allowlist
+			$(document).on('click', '.qala-remove-from-allowlist', this.handleRemovePattern.bind(this));
+
+			// Clear all patterns
+			$('#qala-clear-all-patterns-btn').on('click', this.handleClearAllPatterns.bind(this));
+
+			// Analyse the saved allowlist
+			$('#qala-analyse-patterns-btn').on('click', this.handleAnalysePatterns.bind(this));
+			$(document).on('click', '.qala-analysis-show', this.handleShowAnalysed.bind(this));
+			$(document).on('click', '.qala-analysis-close', this.closeAnalysis.bind(this));
+
+			// Export and import
+			$('#qala-export-patterns-btn').on('click', this.handleExport.bind(this));
+			$('#qala-import-file').on('change', this.handleImportFileChange.bind(this));
+			$('#qala-import-dropzone')
+				.on('dragenter dragover', this.handleDragOver.bind(this))
+				.on('dragleave', this.handleDragLeave.bind(this))
+				.on('drop', this.handleDrop.bind(this));
+			$(document).on('click', '.qala-import-apply', this.handleApplyImport.bind(this));
+			$(document).on('click', '.qala-import-cancel', this.resetImport.bind(this));
+
+			// Switch patterns on and off
+			$(document).on('change', '.qala-toggle-pattern', this.handleTogglePattern.bind(this));
+
+			// Patterns disabled for safety by the Match Worker
+			$(document).on('click', '.qala-enable-pattern-safety', this.handleEnablePatternSafety.bind(this));
+			document.addEventListener('qala:pattern-disabled', this.handlePatternDisabled.bind(this));
+
+			// Per-user debug mode
+			$('#qala-debug-mode').on('change', this.handleToggleDebugMode.bind(this));
+
+			// Settings and Statistics tabs, and the site and personal allowlist tabs
+			$('.qala-page-tabs [role="tab"], .qala-allowlist-tabs [role="tab"]')
+				.on('click', this.handleTabClick.bind(this))
+				.on('keydown', this.handleTabKeydown.bind(this));
+
+			// Statistics period and refresh
+			$('#qala-stats-days').on('change', this.loadStatistics.bind(this));
+			$('#qala-stats-refresh').on('click', this.loadStatistics.bind(this));
+
+			// Personal patterns
+			$('#qala-add-my-pattern-btn').on('click', this.handleAddMyPattern.bind(this));
+			$('#qala-my-pattern').on('keypress', function (e) {
+				if (e.which === 13) {
+					e.preventDefault();
+					QalaAdminPage.handleAddMyPattern();
+				}
+			});
+			$(document).on('click', '.qala-remove-my-pattern', this.handleRemoveMyPattern.bind(this));
+
+			// Inline pattern editing
+			$(document).on('click', '.qala-edit-pattern', this.handleEditPattern.bind(this));
+			$(document).on('click', '.qala-save-pattern-edit', this.handleSaveEdit.bind(this));
+			$(document).on('click', '.qala-cancel-pattern-edit', this.handleCancelEdit.bind(this));
+			$(document).on('keydown', '.qala-pattern-editor', this.handleEditorKeydown.bind(this));
+
+			// Live pattern preview
+			let previewTimer = null;
+			$('#qala-new-pattern').on('input', function () {
+				clearTimeout(previewTimer);
+				previewTimer = setTimeout(QalaAdminPage.updatePreview.bind(QalaAdminPage), 150);
+			});
+			$('#qala-pattern-type, #qala-pattern-severity').on('change', this.updatePreview.bind(this));
+
+			window.QalaPluginManager.log.debug('Qala Admin Page: All events bound');
+		},
+
+		/**
+		 * Handle add pattern button click
+		 *
+		 * The pattern is linted first; problems have to be confirmed
+		 * before it is saved.
+		 */
+		handleAddPattern: function (e) {
+			window.QalaPluginManager.log.debug('Qala Admin Page: handleAddPattern called', e);
+
+			if (e) {
+				e.preventDefault();
+			}
+
+			const pattern = $('#qala-new-pattern').val().trim();
+			const patternType = $('#qala-pattern-type').val();
+			const severity = $('#qala-pattern-severity').val();
+			const screens = $('#qala-pattern-screens').val().trim();
+			const $button = $('#qala-add-pattern-btn');
+			const $message = $('#qala-add-pattern-message');
+
+			window.QalaPluginManager.log.debug('Qala Admin Page: Pattern:', pattern, 'Type:', patternType);
+
+			// Validate input
+			if (!pattern) {
+				window.QalaPluginManager.log.debug('Qala Admin Page: Empty pattern - showing error');
+				window.QalaPluginManager.ui.fieldError($('#qala-new-pattern'), qalaAdminPage.strings.emptyPattern);
+				$('#qala-new-pattern').trigger('focus');
+				return;
+			}
+
+			window.QalaPluginManager.ui.clearFieldError($('#qala-new-pattern'));
+
+			// Disable button and show loading state
+			$button.prop('disabled', true).addClass('qala-loading');
+			$message.hide();
+
+			const data = {
+				pattern: pattern,
+				pattern_type: patternType,
+				severity: severity,
+				screens: screens
+			};
+
+			// Send REST request
+			this.lintPattern(data)
+				.then(function (confirmed) {
+					if (!confirmed) {
+						return;
+					}
+
+					return window.QalaPluginManager.api.createPattern(data).then(function () {
+						QalaAdminPage.showMessage($message, qalaAdminPage.strings.addSuccess, 'success');
+						$('#qala-new-pattern').val('');
+
+						// Reload page after short delay to show updated list
+						setTimeout(function () {
+							location.reload();
+						}, 1000);
+					});
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					QalaAdminPage.showMessage(
+						$message,
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.addError),
+						'error'
+					);
+				})
+				.then(function () {
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Switch allowlist tabs on click
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleTabClick: function (e) {
+			e.preventDefault();
+			this.selectTab($(e.currentTarget));
+		},
+
+		/**
+		 * Move between tabs with the arrow keys
+		 *
+		 * @param {Event} e Keydown event
+		 */
+		handleTabKeydown: function (e) {
+			if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') {
+				return;
+			}
+
+			e.preventDefault();
+
+			const $tabs = $(e.currentTarget).closest('[role="tablist"]').find('[role="tab"]');
+			const index = $tabs.index(e.currentTarget);
+			const next = (index + (e.key === 'ArrowRight' ? 1 : -1) + $tabs.length) % $tabs.length;
+
+			this.selectTab($tabs.eq(next)).trigger('focus');
+		},
+
+		/**
+		 * Show one tab and hide the others in its tab list
+		 *
+		 * Tabs with a data-hash ("My patterns", Statistics) are kept in the
+		 * URL hash, so they stay open when the page reloads after adding
+		 * a pattern. Statistics are loaded when their tab is first shown.
+		 *
+		 * @param {jQuery} $tab Tab button
+		 * @return {jQuery} The selected tab
+		 */
+		selectTab: function ($tab) {
+			const hash = $tab.data('hash');
+
+			$tab.closest('[role="tablist"]').find('[role="tab"]').each(function () {
+				const selected = this === $tab[0];
+
+				$(this)
+					.toggleClass('nav-tab-active', selected)
+					.attr({ 'aria-selected': selected ? 'true' : 'false', tabindex: selected ? null : '-1' });
+				$('#' + $(this).attr('aria-controls')).prop('hidden', !selected);
+			});
+
+			history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+
+			if ($tab.attr('id') === 'qala-tab-statistics' && !this.statisticsLoaded) {
+				this.loadStatistics();
+			}
+
+			return $tab;
+		},
+
+		/**
+		 * Whether the statistics were loaded since the page loaded
+		 */
+		statisticsLoaded: false,
+
+		/**
+		 * Load statistics for the selected period and draw the charts
+		 */
+		loadStatistics: function () {
+			const self = this;
+			const $status = $('.qala-stats-status');
+			const $refresh = $('#qala-stats-refresh');
+
+			this.statisticsLoaded = true;
+			$refresh.prop('disabled', true);
+			$status.text(qalaAdminPage.strings.statsLoading);
+
+			window.QalaPluginManager.api.getStatistics($('#qala-stats-days').val())
+				.then(function (data) {
+					self.renderStatistics(data);
+					$status.text(qalaAdminPage.strings.statsUpdated.replace('%s', new Date().toLocaleTimeString()));
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					$status.text('');
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.statsError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					$refresh.prop('disabled', false);
+				});
+		},
+
+		/**
+		 * Draw the statistics
+		 *
+		 * @param {Object} data Response from GET /statistics
+		 */
+		renderStatistics: function (data) {
+			const charts = window.QalaPluginManager.charts;
+			const strings = qalaAdminPage.strings;
+			const $totals = $('#qala-stats-totals').empty();
+			const toBar = function (entry) {
+				return {
+					label: entry.name + ' (' + entry.count + ')',
+					value: entry.count,
+					title: entry.name
+				};
+			};
+
+			[
+				[strings.statsRemoved, data.totals.removed],
+				[strings.statsKept, data.totals.kept],
+				[strings.statsCallbacks, data.totals.unique_callbacks],
+				[strings.statsLogged, data.totals.logged]
+			].forEach(function (total) {
+				$('<div>', { class: 'qala-stats-total' })
+					.append($('<dt>').text(total[0]), $('<dd>').text(total[1]))
+					.appendTo($totals);
+			});
+
+			const busiest = Math.max.apply(null, data.daily.map(function (day) {
+				return day.count;
+			}).concat(0));
+
+			charts.columns(
+				document.getElementById('qala-stats-daily'),
+				data.daily.map(function (day) {
+					return {
+						label: day.date,
+						value: day.count,
+						title: strings.statsDay.replace('%1$d', day.count).replace('%2$s', day.date)
+					};
+				}),
+				{
+					label: $('#qala-stats-daily').siblings('h2').text(),
+					empty: strings.statsEmpty,
+					max: strings.statsMax.replace('%s', busiest)
+				}
+			);
+
+			charts.bars(document.getElementById('qala-stats-callbacks'), data.top_callbacks.map(toBar), {
+				label: $('#qala-stats-callbacks').siblings('h2').text(),
+				empty: strings.statsEmpty
+			});
+
+			charts.bars(
+				document.getElementById('qala-stats-plugins'),
+				data.top_plugins.map(function (plugin) {
+					const bar = toBar(plugin);
+					bar.title = plugin.name + ': ' + strings.statsPluginCallbacks.replace('%d', plugin.callbacks);
+					return bar;
+				}),
+				{
+					label: $('#qala-stats-plugins').siblings('h2').text(),
+					empty: strings.statsEmpty
+				}
+			);
+
+			charts.bars(
+				document.getElementById('qala-stats-patterns'),
+				data.patterns.map(function (pattern) {
+					return {
+						label: pattern.value + ' (' + pattern.matches + ')',
+						value: pattern.matches,
+						title: pattern.value + ' [' + pattern.type + ']'
+					};
+				}),
+				{
+					label: $('#qala-stats-patterns').siblings('h2').text(),
+					empty: strings.statsEmpty
+				}
+			);
+		},
+
+		/**
+		 * Add a personal pattern for the current user
+		 *
+		 * Personal patterns are not linted: they only affect the current
+		 * user, and catch-alls are a valid choice for one person.
+		 */
+		handleAddMyPattern: function (e) {
+			if (e) {
+				e.preventDefault();
+			}
+
+			const $input = $('#qala-my-pattern');
+			const pattern = $input.val().trim();
+			const $button = $('#qala-add-my-pattern-btn');
+			const $message = $('#qala-add-my-pattern-message');
+
+			if (!pattern) {
+				window.QalaPluginManager.ui.fieldError($input, qalaAdminPage.strings.emptyPattern);
+				$input.trigger('focus');
+				return;
+			}
+
+			window.QalaPluginManager.ui.clearFieldError($input);
+
+			$button.prop('disabled', true).addClass('qala-loading');
+			$message.hide();
+
+			window.QalaPluginManager.api.createMyPattern({
+				pattern: pattern,
+				pattern_type: $('#qala-my-pattern-type').val(),
+				severity: $('#qala-my-pattern-severity').val(),
+				screens: $('#qala-my-pattern-screens').val().trim()
+			})
+				.then(function () {
+					QalaAdminPage.showMessage($message, qalaAdminPage.strings.myPatternAdded, 'success');
+					$input.val('');
+
+					// Reload page after short delay to show updated list
+					setTimeout(function () {
+						location.reload();
+					}, 1000);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					QalaAdminPage.showMessage(
+						$message,
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.myPatternError),
+						'error'
+					);
+				})
+				.then(function () {
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Remove one of the current user's personal patterns
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleRemoveMyPattern: function (e) {
+			e.preventDefault();
+
+			const $button = $(e.currentTarget);
+			const $row = $button.closest('.qala-my-pattern-row');
+
+			$button.prop('disabled', true);
+
+			window.QalaPluginManager.api.removeMyPattern($row.data('pattern-id'))
+				.then(function () {
+					$row.remove();
+
+					const remaining = $('.qala-my-pattern-row').length;
+					$('#qala-tab-mine .qala-tab-count').text('(' + remaining + ')');
+					$('.qala-my-patterns-table').prop('hidden', remaining === 0);
+					$('.qala-my-patterns-empty').prop('hidden', remaining > 0);
+
+					window.QalaPluginManager.ui.toast(qalaAdminPage.strings.myPatternRemoved, { type: 'success' });
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					$button.prop('disabled', false);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.myPatternError),
+						{ type: 'error' }
+					);
+				});
+		},
+
+		/**
+		 * Handle add to allowlist from notice log
+		 *
+		 * Log rows (data-source) offer a few suggested patterns with their
+		 * log match counts first; the plugin group buttons add their
+		 * pattern straight away.
+		 */
+		handleAddFromLog: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $link = $(e.currentTarget);
+			const source = $link.attr('data-source');
+
+			if (!source) {
+				this.addFromLog($link, $link.data('pattern'), $link.data('pattern-type') || 'exact');
+				return;
+			}
+
+			window.QalaPluginManager.suggestions.choose($link.attr('data-value'), source)
+				.then(function (choice) {
+					if (choice) {
+						self.addFromLog($link, choice.pattern, choice.type);
+					}
+				});
+		},
+
+		/**
+		 * Add a pattern from the notice log and reload the page
+		 *
+		 * @param {jQuery} $link Button that was clicked
+		 * @param {string} pattern Pattern value
+		 * @param {string} patternType Pattern type
+		 */
+		addFromLog: function ($link, pattern, patternType) {
+			const $row = $link.closest('tr');
+
+			// Disable link and show loading state
+			$link.prop('disabled', true).addClass('qala-loading');
+
+			// Send REST request
+			window.QalaPluginManager.api.createPattern({
+				pattern: pattern,
+				pattern_type: patternType
+			})
+				.then(function () {
+					// Highlight row and reload after delay
+					$row.css('background-color', '#d4edda');
+					setTimeout(function () {
+						location.reload();
+					}, 1000);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.addError),
+						{ type: 'error' }
+					);
+					$link.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Current Hidden Notices Log query
+		 *
+		 * The first page is rendered by AdminPage::render_page(), sorted
+		 * by last seen, newest first.
+		 */
+		logQuery: {
+			orderby: 'last_seen',
+			order: 'desc',
+			page: 1
+		},
+
+		/**
+		 * Number of the latest log request; older responses are ignored
+		 */
+		logRequest: 0,
+
+		/**
+		 * Handle a change to the log search or filters
+		 *
+		 * Filtering starts again from the first page.
+		 */
+		handleLogFilter: function () {
+			this.logQuery.page = 1;
+
+			if (this.logGrouped) {
+				this.loadLogGroups();
+			} else {
+				this.loadLog();
+			}
+		},
+
+		/**
+		 * Handle click on a sortable log column heading
+		 *
+		 * The first click sorts the column ascending, except for last seen
+		 * (newest first); clicking the sorted column reverses the order.
+		 */
+		handleLogSort: function (e) {
+			const orderby = $(e.currentTarget).closest('th').data('orderby');
+
+			if (this.logQuery.orderby === orderby) {
+				this.logQuery.order = this.logQuery.order === 'asc' ? 'desc' : 'asc';
+			} else {
+				this.logQuery.orderby = orderby;
+				this.logQuery.order = orderby === 'last_seen' ? 'desc' : 'asc';
+			}
+
+			this.logQuery.page = 1;
+			this.loadLog();
+		},
+
+		/**
+		 * Handle click on the previous and next page buttons
+		 */
+		handleLogPage: function (e) {
+			this.logQuery.page += $(e.currentTarget).data('page') === 'next' ? 1 : -1;
+			this.loadLog();
+		},
+
+		/**
+		 * Get the current log search and filters
+		 *
+		 * @return {Object} { search, hook, action, date_from, date_to }
+		 */
+		getLogFilters: function () {
+			return {
+				search: $('#qala-log-search').val().trim(),
+				hook: $('#qala-log-hook').val(),
+				action: $('#qala-log-action').val(),
+				date_from: $('#qala-log-from').val(),
+				date_to: $('#qala-log-to').val()
+			};
+		},
+
+		/**
+		 * Load the current log page from the REST API
+		 */
+		loadLog: function () {
+			const self = this;
+			const request = ++this.logRequest;
+			const $table = $('#qala-log-table');
+
+			$table.attr('aria-busy', 'true');
+
+			window.QalaPluginManager.api.getLog($.extend(this.getLogFilters(), {
+				orderby: this.logQuery.orderby,
+				order: this.logQuery.order,
+				page: this.logQuery.page,
+				per_page: qalaAdminPage.logPerPage
+			}))
+				.then(function (data) {
+					if (request === self.logRequest) {
+						self.renderLog(data);
+					}
+				})
+				.catch(function (error) {
+					if (request !== self.logRequest) {
+						return;
+					}
+
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.logError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					if (request === self.logRequest) {
+						$table.removeAttr('aria-busy');
+					}
+				});
+		},
+
+		/**
+		 * Render a page of log entries
+		 *
+		 * @param {Object} data Response from GET /log: { items, total, page, total_pages }
+		 */
+		renderLog: function (data) {
+			const self = this;
+			const $rows = $('#qala-log-rows').empty();
+			const pages = Math.max(1, data.total_pages);
+
+			if (data.items.length === 0) {
+				$('<tr>').append(
+					$('<td>', { colspan: 5, class: 'qala-log-empty' }).text(qalaAdminPage.strings.logEmpty)
+				).appendTo($rows);
+			}
+
+			data.items.forEach(function (entry) {
+				$rows.append(self.renderLogRow(entry));
+			});
+
+			// Sort indicators
+			$('#qala-log-table th[data-orderby]').each(function () {
+				const $th = $(this);
+
+				if ($th.data('orderby') === self.logQuery.orderby) {
+					$th.attr('aria-sort', self.logQuery.order === 'asc' ? 'ascending' : 'descending');
+				} else {
+					$th.removeAttr('aria-sort');
+				}
+			});
+
+			this.logQuery.page = data.page;
+
+			$('.qala-log-status').text(
+				qalaAdminPage.strings.logPage
+					.replace('%1$d', data.page)
+					.replace('%2$d', pages)
+					.replace('%3$d', data.total)
+			);
+			$('.qala-log-page[data-page="prev"]').prop('disabled', data.page <= 1);
+			$('.qala-log-page[data-page="next"]').prop('disabled', data.page >= pages);
+
+			// The live preview tests patterns against the entries shown
+			this.updatePreview();
+		},
+
+		/**
+		 * Build one log row
+		 *
+		 * Same markup as AdminPage::render_log_row().
+		 *
+		 * @param {Object} entry Log entry from GET /log
+		 * @return {jQuery} Table row
+		 */
+		renderLogRow: function (entry) {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const isContent = entry.source === 'content';
+			const $row = $('<tr>', { class: isContent ? 'qala-log-content' : 'qala-log-callback' });
+
+			if (isContent) {
+				$('<td>').append(
+					$('<span>', { class: 'qala-log-text' }).text(entry.callback_name),
+					' ',
+					$('<span>', { class: 'qala-log-source' }).text(
+						qalaAdminPage.strings.logContentSource.replace('%s', entry.severity || 'info')
+					)
+				).appendTo($row);
+				$('<td>').text(entry.screen).appendTo($row);
+			} else {
+				$('<td>').append($('<code>').text(entry.callback_name)).appendTo($row);
+				$('<td>').text(entry.hook_name).appendTo($row);
+			}
+
+			$('<td>').text(qalaAdminPage.logActions[entry.action] || entry.action).appendTo($row);
+			$('<td>').text(entry.last_seen).appendTo($row);
+			$('<td>').append(
+				$('<button>', {
+					type: 'button',
+					class: 'button qala-add-to-allowlist',
+					'data-pattern': isContent ? matcher.buildContentPattern(entry.callback_name) : entry.callback_name,
+					'data-pattern-type': isContent ? 'wildcard' : 'exact',
+					'data-value': entry.callback_name,
+					'data-source': isContent ? 'content' : 'callback'
+				}).text(qalaAdminPage.strings.addToAllowlist)
+			).appendTo($row);
+
+			return $row;
+		},
+
+		/**
+		 * Whether the log is grouped by plugin
+		 */
+		logGrouped: false,
+
+		/**
+		 * Keys of the plugin groups the user expanded, kept across reloads
+		 */
+		logGroupsExpanded: new Set(),
+
+		/**
+		 * Handle the "Group by plugin" switch
+		 *
+		 * The grouped view replaces the table and its paging; the filters
+		 * apply to both.
+		 */
+		handleLogGroupSwitch: function (e) {
+			this.logGrouped = e.currentTarget.checked;
+
+			$('#qala-log-table, .qala-log-pagination').prop('hidden', this.logGrouped);
+			$('#qala-log-groups').prop('hidden', !this.logGrouped);
+
+			if (this.logGrouped) {
+				this.loadLogGroups();
+			} else {
+				this.loadLog();
+			}
+		},
+
+		/**
+		 * Handle click on a plugin group heading: expand or collapse it
+		 */
+		handleLogGroupToggle: function (e) {
+			const $toggle = $(e.currentTarget);
+			const expanded = $toggle.attr('aria-expanded') !== 'true';
+			const key = $toggle.closest('.qala-log-group').data('group');
+
+			$toggle.attr('aria-expanded', expanded ? 'true' : 'false');
+			$('#' + $toggle.attr('aria-controls')).prop('hidden', !expanded);
+
+			if (expanded) {
+				this.logGroupsExpanded.add(key);
+			} else {
+				this.logGroupsExpanded.delete(key);
+			}
+		},
+
+		/**
+		 * Load the log grouped by plugin from the REST API
+		 *
+		 * Shares the request counter with loadLog(), so switching views
+		 * drops the response of the other one.
+		 */
+		loadLogGroups: function () {
+			const self = this;
+			const request = ++this.logRequest;
+			const $groups = $('#qala-log-groups');
+
+			$groups.attr('aria-busy', 'true');
+
+			window.QalaPluginManager.api.getLogGroups(this.getLogFilters())
+				.then(function (data) {
+					if (request === self.logRequest) {
+						self.renderLogGroups(data.groups);
+					}
+				})
+				.catch(function (error) {
+					if (request !== self.logRequest) {
+						return;
+					}
+
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.logGroupsError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					if (request === self.logRequest) {
+						$groups.removeAttr('aria-busy');
+					}
+				});
+		},
+
+		/**
+		 * Render the log grouped by plugin
+		 *
+		 * Each group is a collapsible section with the group's entries and
+		 * a button that adds the pattern allowlisting the whole plugin
+		 * (handled by handleAddFromLog like the per-entry buttons).
+		 *
+		 * @param {Array} groups Groups from GET /log/groups
+		 */
+		renderLogGroups: function (groups) {
+			const self = this;
+			const strings = qalaAdminPage.strings;
+			const $groups = $('#qala-log-groups').empty();
+
+			if (groups.length === 0) {
+				$('<p>', { class: 'qala-log-empty' }).text(strings.logEmpty).appendTo($groups);
+				return;
+			}
+
+			groups.forEach(function (group, index) {
+				const id = 'qala-log-group-' + index;
+				const expanded = self.logGroupsExpanded.has(group.key);
+				const $group = $('<section>', { class: 'qala-log-group', 'data-group': group.key });
+				const $header = $('<div>', { class: 'qala-log-group-header' }).appendTo($group);
+				const $rows = $('<tbody>');
+
+				$('<h3>').append(
+					$('<button>', {
+						type: 'button',
+						class: 'qala-log-group-toggle',
+						'aria-expanded': expanded ? 'true' : 'false',
+						'aria-controls': id
+					}).append(
+						$('<span>', { class: 'qala-log-group-name' }).text(group.name),
+						' ',
+						$('<span>', { class: 'qala-log-group-type' }).text(qalaAdminPage.logGroupTypes[group.type] || ''),
+						' ',
+						$('<span>', { class: 'qala-log-group-count' }).text(strings.logGroupEntries.replace('%d', group.count))
+					)
+				).appendTo($header);
+
+				if (group.pattern) {
+					$('<button>', {
+						type: 'button',
+						class: 'button qala-add-to-allowlist qala-log-group-allow',
+						'data-pattern': group.pattern.value,
+						'data-pattern-type': group.pattern.type,
+						title: strings.logGroupAllowTitle.replace('%s', group.pattern.value)
+					}).text(strings.logGroupAllow).appendTo($header);
+				} else {
+					$('<span>', { class: 'description' }).text(strings.logGroupNoPattern).appendTo($header);
+				}
+
+				group.items.forEach(function (entry) {
+					$rows.append(self.renderLogRow(entry));
+				});
+
+				$('<table>', { id: id, class: 'wp-list-table widefat fixed striped qala-log-group-entries' })
+					.prop('hidden', !expanded)
+					.append($rows)
+					.appendTo($group);
+
+				$groups.append($group);
+			});
+		},
+
+		/**
+		 * How long the undo action stays available, in milliseconds
+		 */
+		undoTimeout: 8000,
+
+		/**
+		 * Pending undo: removed patterns and the expiry timer
+		 */
+		undo: null,
+
+		/**
+		 * Handle remove pattern from allowlist
+		 *
+		 * Removes straight away, without asking; an undo action is shown
+		 * instead (see showUndo).
+		 */
+		handleRemovePattern: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $button = $(e.currentTarget);
+			const patternId = $button.data('pattern-id');
+			const $row = $button.closest('tr');
+
+			// Disable button and show loading state
+			$button.prop('disabled', true).addClass('qala-loading');
+
+			// Send REST request
+			window.QalaPluginManager.api.deletePattern(patternId)
+				.then(function (response) {
+					// Fade out row and remove it
+					$row.fadeOut(300, function () {
+						$(this).remove();
+					});
+
+					self.showUndo([response.previous]);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.removeError),
+						{ type: 'error' }
+					);
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Handle clear all patterns from allowlist
+		 *
+		 * Like single removals, this offers undo instead of a confirmation.
+		 */
+		handleClearAllPatterns: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $button = $(e.currentTarget);
+
+			// Disable button and show loading state
+			$button.prop('disabled', true).addClass('qala-loading');
+
+			// Send REST request
+			window.QalaPluginManager.api.clearPatterns()
+				.then(function (response) {
+					$('.qala-patterns-table').fadeOut(300);
+					self.showUndo(response.previous);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.clearAllError),
+						{ type: 'error' }
+					);
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Offer to restore removed patterns for a few seconds
+		 *
+		 * Removals made while the undo action is still showing are added
+		 * to it, so one undo restores all of them. Once it expires the page
+		 * reloads if the pattern list was emptied, to show the empty state.
+		 *
+		 * @param {Array} patterns Removed patterns from the REST API
+		 */
+		showUndo: function (patterns) {
+			const self = this;
+			const strings = qalaAdminPage.strings;
+
+			if (this.undo) {
+				clearTimeout(this.undo.timer);
+				patterns = this.undo.patterns.concat(patterns);
+			}
+
+			let $bar = $('#qala-undo-bar');
+			if (!$bar.length) {
+				$bar = $('<div>', { id: 'qala-undo-bar', class: 'qala-undo-bar', role: 'status' })
+					.insertAfter('.qala-allowlist .qala-section-header');
+			}
+
+			$bar.empty();
+			$('<span>')
+				.text(patterns.length === 1 ? strings.patternRemoved : strings.patternsRemoved.replace('%d', patterns.length))
+				.appendTo($bar);
+			$('<button>', { type: 'button', class: 'button button-small qala-undo-button' })
+				.text(strings.undo)
+				.on('click', this.handleUndo.bind(this))
+				.appendTo($bar);
+
+			this.undo = {
+				patterns: patterns,
+				timer: setTimeout(function () {
+					self.expireUndo();
+				}, this.undoTimeout)
+			};
+		},
+
+		/**
+		 * Restore the removed patterns with their type, scope and active state
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleUndo: function (e) {
+			e.preventDefault();
+
+			if (!this.undo) {
+				return;
+			}
+
+			const self = this;
+			const patterns = this.undo.patterns;
+
+			clearTimeout(this.undo.timer);
+			$(e.currentTarget).prop('disabled', true).addClass('qala-loading');
+
+			window.QalaPluginManager.api.restorePatterns(patterns)
+				.then(function () {
+					// Restored patterns get new ids, so reload to show the list
+					location.reload();
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					self.undo = null;
+					$('#qala-undo-bar').remove();
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.undoError),
+						{ type: 'error' }
+					);
+				});
+		},
+
+		/**
+		 * Remove the undo action once its time is up
+		 */
+		expireUndo: function () {
+			this.undo = null;
+			$('#qala-undo-bar').fadeOut(200, function () {
+				$(this).remove();
+			});
+
+			// Show empty state if no more patterns
+			if ($('.qala-patterns-table tbody tr:visible').length === 0) {
+				location.reload();
+			}
+		},
+
+		/**
+		 * Activate or deactivate a pattern from its switch
+		 *
+		 * Saves straight away; the switch is put back if saving fails.
+		 *
+		 * @param {Event} e Change event
+		 */
+		handleTogglePattern: function (e) {
+			const checkbox = e.currentTarget;
+			const $row = $(checkbox).closest('.qala-pattern-row');
+			const active = checkbox.checked;
+
+			checkbox.disabled = true;
+
+			window.QalaPluginManager.api.updatePattern($row.data('pattern-id'), { active: active })
+				.then(function (pattern) {
+					$row.toggleClass('qala-pattern-inactive', !pattern.active);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					checkbox.checked = !active;
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.toggleError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					checkbox.disabled = false;
+				});
+		},
+
+		/**
+		 * Re-enable a regex pattern that was disabled for safety
+		 *
+		 * The pattern is loaded on every page again, and is disabled again
+		 * if it keeps timing out in the Match Worker.
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleEnablePatternSafety: function (e) {
+			const $button = $(e.currentTarget);
+			const $row = $button.closest('.qala-pattern-row');
+
+			$button.prop('disabled', true);
+
+			window.QalaPluginManager.api.clearPatternTimeout($row.data('pattern-id'))
+				.then(function () {
+					$row.removeClass('qala-pattern-unsafe');
+					$row.find('.qala-pattern-safety').remove();
+					$row.find('.qala-edit-pattern').trigger('focus');
+					$button.remove();
+					window.QalaPluginManager.ui.toast(qalaAdminPage.strings.safetyEnabled, { type: 'success' });
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					$button.prop('disabled', false);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.safetyError),
+						{ type: 'error' }
+					);
+				});
+		},
+
+		/**
+		 * Tell the user a pattern timed out while matching this page's notices
+		 *
+		 * @param {CustomEvent} e qala:pattern-disabled event
+		 */
+		handlePatternDisabled: function (e) {
+			const pattern = e.detail.pattern;
+
+			if (pattern.id) {
+				$('.qala-pattern-row[data-pattern-id="' + parseInt(pattern.id, 10) + '"]').addClass('qala-pattern-unsafe');
+			}
+
+			window.QalaPluginManager.ui.toast(qalaAdminPage.strings.safetyDisabled.replace('%s', pattern.value), {
+				type: 'error',
+				action: {
+					label: qalaAdminPage.strings.reload,
+					callback: function () {
+						location.reload();
+					}
+				}
+			});
+		},
+
+		/**
+		 * Switch debug mode on or off for the current user
+		 *
+		 * Saves straight away; the overlay appears on the next page load.
+		 *
+		 * @param {Event} e Change event
+		 */
+		handleToggleDebugMode: function (e) {
+			const checkbox = e.currentTarget;
+			const enabled = checkbox.checked;
+
+			checkbox.disabled = true;
+
+			window.QalaPluginManager.api.setDebugMode(enabled)
+				.then(function (data) {
+					window.QalaPluginManager.ui.toast(data.message, {
+						type: 'success',
+						action: {
+							label: qalaAdminPage.strings.reload,
+							callback: function () {
+								location.reload();
+							}
+						}
+					});
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					checkbox.checked = !enabled;
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.debugError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					checkbox.disabled = false;
+				});
+		},
+
+		/**
+		 * Open the inline editor for a pattern row
+		 *
+		 * The type options are copied from the add pattern form so both
+		 * offer the same types and labels.
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleEditPattern: function (e) {
+			e.preventDefault();
+
+			const $row = $(e.currentTarget).closest('.qala-pattern-row');
+			if ($row.hasClass('qala-pattern-editing')) {
+				return;
+			}
+
+			const strings = qalaAdminPage.strings;
+			const $value = $row.find('.qala-pattern-value');
+			const $editor = $('<div>', { class: 'qala-pattern-editor' });
+
+			$('<input>', { type: 'text', class: 'qala-edit-pattern-value', 'aria-label': strings.editLabel })
+				.val($value.text())
+				.appendTo($editor);
+
+			$('<select>', { class: 'qala-edit-pattern-type', 'aria-label': strings.typeLabel })
+				.append($('#qala-pattern-type option').clone().prop('selected', false))
+				.val($row.data('pattern-type'))
+				.appendTo($editor);
+
+			$('<button>', { type: 'button', class: 'button button-primary button-small qala-save-pattern-edit' })
+				.text(strings.save)
+				.appendTo($editor);
+
+			$('<button>', { type: 'button', class: 'button button-small qala-cancel-pattern-edit' })
+				.text(strings.cancel)
+				.appendTo($editor);
+
+			$value.prop('hidden', true);
+			$row.addClass('qala-pattern-editing');
+			$row.find('.qala-pattern-value-cell').append($editor);
+			$editor.find('.qala-edit-pattern-value').trigger('focus');
+		},
+
+		/**
+		 * Save the inline editor of a pattern row
+		 *
+		 * Patterns are validated here first, with the same checks as the
+		 * live preview, so typos are caught without a request.
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleSaveEdit: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const $row = $(e.currentTarget).closest('.qala-pattern-row');
+			const $editor = $row.find('.qala-pattern-editor');
+			const $input = $editor.find('.qala-edit-pattern-value');
+			const pattern = $input.val().trim();
+			const patternType = $editor.find('.qala-edit-pattern-type').val();
+
+			if (!pattern) {
+				this.showEditorError($editor, qalaAdminPage.strings.emptyPattern);
+				return;
+			}
+
+			const error = matcher.validatePattern(pattern, patternType);
+			if (error) {
+				this.showEditorError(
+					$editor,
+					(patternType === 'selector' ? qalaAdminPage.strings.invalidSelector : qalaAdminPage.strings.invalidRegex).replace('%s', error)
+				);
+				return;
+			}
+
+			const id = $row.data('pattern-id');
+			const data = {
+				pattern: pattern,
+				pattern_type: patternType
+			};
+
+			$editor.find('input, select, button').prop('disabled', true);
+
+			this.lintPattern($.extend({ id: id }, data))
+				.then(function (confirmed) {
+					if (!confirmed) {
+						$editor.find('input, select, button').prop('disabled', false);
+						$input.trigger('focus');
+						return;
+					}
+
+					return window.QalaPluginManager.api.updatePattern(id, data).then(function (updated) {
+						self.renderPatternRow($row, updated);
+						self.closeEditor($row);
+					});
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					$editor.find('input, select, button').prop('disabled', false);
+					self.showEditorError(
+						$editor,
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.editError)
+					);
+				});
+		},
+
+		/**
+		 * Check a pattern for problems and ask to confirm any that are found
+		 *
+		 * The check is advisory: if it fails, saving goes ahead.
+		 *
+		 * @param {Object} data Pattern fields: pattern, pattern_type, severity, screens, and id when editing
+		 * @return {Promise<boolean>} Resolves with true when the pattern should be saved
+		 */
+		lintPattern: function (data) {
+			const strings = qalaAdminPage.strings;
+
+			return window.QalaPluginManager.api.lintPattern(data)
+				.catch(function (error) {
+					window.QalaPluginManager.log.warn('Qala Admin Page: Pattern lint failed', error);
+					return { issues: [] };
+				})
+				.then(function (result) {
+					const issues = result.issues || [];
+
+					if (!issues.length) {
+						return true;
+					}
+
+					return window.QalaPluginManager.ui.confirm({
+						title: strings.lintTitle,
+						message: issues.map(function (issue) {
+							return issue.message;
+						}).join('\n'),
+						confirmLabel: strings.lintSaveAnyway,
+						cancelLabel: strings.cancel,
+						destructive: issues.some(function (issue) {
+							return issue.level === 'error';
+						})
+					});
+				});
+		},
+
+		/**
+		 * Run the lint checks on every saved pattern and list the results
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleAnalysePatterns: function (e) {
+			e.preventDefault();
+
+			const self = this;
+			const $button = $(e.currentTarget);
+
+			$button.prop('disabled', true).addClass('qala-loading');
+
+			window.QalaPluginManager.api.analysePatterns()
+				.then(function (analysis) {
+					self.renderAnalysis(analysis);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.analyseError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
+		},
+
+		/**
+		 * Show the allowlist analysis and mark the flagged rows
+		 *
+		 * @param {Object} analysis Response of the analysis endpoint: { checked, patterns }
+		 */
+		renderAnalysis: function (analysis) {
+			const strings = qalaAdminPage.strings;
+			const $analysis = $('#qala-pattern-analysis').empty();
+
+			$('.qala-pattern-row').removeClass('qala-pattern-flagged');
+
+			$('<p>', { class: 'qala-analysis-summary' })
+				.text(
+					analysis.patterns.length
+						? strings.analyseSummary.replace('%1$d', analysis.patterns.length).replace('%2$d', analysis.checked)
+						: strings.analyseClean.replace('%d', analysis.checked)
+				)
+				.appendTo($analysis);
+
+			const $list = $('<ul>', { class: 'qala-analysis-list' });
+
+			analysis.patterns.forEach(function (entry) {
+				const $item = $('<li>', { class: 'qala-analysis-item' });
+				const $issues = $('<ul>', { class: 'qala-analysis-issues' });
+
+				$('<code>').text(entry.pattern.value).appendTo($item);
+				$('<span>', { class: 'qala-pattern-type qala-type-' + entry.pattern.type })
+					.text(entry.pattern.type.charAt(0).toUpperCase() + entry.pattern.type.slice(1))
+					.appendTo($item);
+				$('<button>', { type: 'button', class: 'button-link qala-analysis-show', 'data-pattern-id': entry.pattern.id })
+					.text(strings.analyseShow)
+					.appendTo($item);
+
+				entry.issues.forEach(function (issue) {
+					$('<li>', { class: 'qala-analysis-issue qala-analysis-' + issue.level })
+						.text(issue.message)
+						.appendTo($issues);
+				});
+
+				$item.append($issues).appendTo($list);
+				$('.qala-pattern-row[data-pattern-id="' + parseInt(entry.pattern.id, 10) + '"]').addClass('qala-pattern-flagged');
+			});
+
+			if (analysis.patterns.length) {
+				$analysis.append($list);
+			}
+
+			$('<button>', { type: 'button', class: 'button button-small qala-analysis-close' })
+				.text(strings.close)
+				.appendTo($analysis);
+
+			$analysis.prop('hidden', false);
+		},
+
+		/**
+		 * Scroll to a flagged pattern's row
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleShowAnalysed: function (e) {
+			e.preventDefault();
+
+			const id = parseInt($(e.currentTarget).data('pattern-id'), 10);
+			const $row = $('.qala-pattern-row[data-pattern-id="' + id + '"]');
+
+			if (!$row.length) {
+				return;
+			}
+
+			$row[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+			$row.find('.qala-edit-pattern').trigger('focus');
+		},
+
+		/**
+		 * Hide the allowlist analysis
+		 *
+		 * @param {Event} e Click event
+		 */
+		closeAnalysis: function (e) {
+			e.preventDefault();
+
+			$('#qala-pattern-analysis').prop('hidden', true).empty();
+			$('.qala-pattern-row').removeClass('qala-pattern-flagged');
+			$('#qala-analyse-patterns-btn').trigger('focus');
+		},
+
+		/**
+		 * Close the inline editor without saving
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleCancelEdit: function (e) {
+			e.preventDefault();
+			this.closeEditor($(e.currentTarget).closest('.qala-pattern-row'));
+		},
+
+		/**
+		 * Save on Enter and cancel on Escape inside the inline editor
+		 *
+		 * @param {Event} e Keydown event
+		 */
+		handleEditorKeydown: function (e) {
+			const $editor = $(e.currentTarget);
+
+			if (e.key === 'Enter' && $(e.target).is('input')) {
+				e.preventDefault();
+				$editor.find('.qala-save-pattern-edit').trigger('click');
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeEditor($editor.closest('.qala-pattern-row'));
+			}
+		},
+
+		/**
+		 * Show an error below the inline editor
+		 *
+		 * @param {jQuery} $editor Inline editor
+		 * @param {string} message Error message
+		 */
+		showEditorError: function ($editor, message) {
+			window.QalaPluginManager.ui.fieldError($editor.find('.qala-edit-pattern-value'), message, $editor);
+		},
+
 		/**
-		 * Initialize the toggle functionality
+		 * Remove the inline editor and show the pattern again
+		 *
+		 * @param {jQuery} $row Pattern row
 		 */
-		init: function () {
-			this.bindEvents();
+		closeEditor: function ($row) {
+			$row.find('.qala-pattern-editor').remove();
+			$row.find('.qala-pattern-value').prop('hidden', false);
+			$row.removeClass('qala-pattern-editing');
+			$row.find('.qala-edit-pattern').trigger('focus');
 		},
 
 		/**
-		 * Bind event handlers
+		 * Show a saved pattern's value and type in its row
+		 *
+		 * @param {jQuery} $row Pattern row
+		 * @param {Object} pattern Pattern from the REST API
 		 */
-		bindEvents: function () {
-			// Handle click on admin bar toggle item
-			$('#wp-admin-bar-qala-notice-toggle a').on('click', this.handleClick.bind(this));
+		renderPatternRow: function ($row, pattern) {
+			$row.data('pattern-type', pattern.type).attr('data-pattern-type', pattern.type);
+			$row.find('.qala-pattern-value').text(pattern.value);
+			$row.find('.qala-remove-from-allowlist').data('pattern', pattern.value);
+			$row.find('.qala-pattern-type')
+				.attr('class', 'qala-pattern-type qala-type-' + pattern.type)
+				.text(pattern.type.charAt(0).toUpperCase() + pattern.type.slice(1));
 		},
 
 		/**
-		 * Handle click on toggle item
+		 * Download all patterns, including inactive ones, as a JSON file
+		 *
+		 * The file holds the patterns in the REST API shape without ids,
+		 * which is what the import expects.
 		 *
 		 * @param {Event} e Click event
 		 */
-		handleClick: function (e) {
+		handleExport: function (e) {
 			e.preventDefault();
 
-			// Don't allow multiple simultaneous toggles
-			if (this.isToggling) {
-				return;
-			}
+			const $button = $(e.currentTarget);
+			$button.prop('disabled', true).addClass('qala-loading');
 
-			this.toggleNoticeVisibility();
+			window.QalaPluginManager.api.getPatterns(true)
+				.then(function (patterns) {
+					const data = {
+						format: 'qala-allowlist',
+						version: 1,
+						exported: new Date().toISOString(),
+						site: window.location.hostname,
+						patterns: patterns.map(function (pattern) {
+							return {
+								value: pattern.value,
+								type: pattern.type,
+								severity: pattern.severity,
+								screens: pattern.screens,
+								active: pattern.active
+							};
+						})
+					};
+					const blob = new Blob([JSON.stringify(data, null, '\t')], { type: 'application/json' });
+					const url = URL.createObjectURL(blob);
+
+					$('<a>', {
+						href: url,
+						download: 'qala-allowlist-' + window.location.hostname + '-' + data.exported.slice(0, 10) + '.json'
+					}).appendTo('body')[0].click();
+
+					setTimeout(function () {
+						URL.revokeObjectURL(url);
+						$('a[href="' + url + '"]').remove();
+					}, 0);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					window.QalaPluginManager.ui.toast(
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.exportError),
+						{ type: 'error' }
+					);
+				})
+				.then(function () {
+					$button.prop('disabled', false).removeClass('qala-loading');
+				});
 		},
 
 		/**
-		 * Toggle notice visibility via AJAX
+		 * Read a file picked with the file input
+		 *
+		 * @param {Event} e Change event
 		 */
-		toggleNoticeVisibility: function () {
-			const self = this;
-			const $menuItem = $('#wp-admin-bar-qala-notice-toggle');
-			const $title = $menuItem.find('.qala-notice-toggle-wrapper');
-			const originalTitle = $title.html();
-
-			// Set loading state
-			this.isToggling = true;
-			this.setLoadingState($title);
+		handleImportFileChange: function (e) {
+			if (e.currentTarget.files.length) {
+				this.readImportFile(e.currentTarget.files[0]);
+			}
 
-			// Send AJAX request
-			$.ajax({
-				url: qalaAdminBarToggle.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: qalaAdminBarToggle.action,
-					nonce: qalaAdminBarToggle.nonce
-				},
-				dataType: 'json',
-				success: function (response) {
-					if (response.success) {
-						self.handleSuccess(response.data, $title);
-					} else {
-						self.handleError(response.data, $title, originalTitle);
-					}
-				},
-				error: function (xhr, status, error) {
-					self.handleError(
-						{ message: qalaAdminBarToggle.strings.error },
-						$title,
-						originalTitle
-					);
-				},
-				complete: function () {
-					self.isToggling = false;
-				}
-			});
+			// Allow picking the same file again after cancelling
+			e.currentTarget.value = '';
 		},
 
 		/**
-		 * Set loading state on menu item
+		 * Highlight the drop zone while a file is dragged over it
 		 *
-		 * @param {jQuery} $title Title element
+		 * @param {Event} e Drag event
 		 */
-		setLoadingState: function ($title) {
-			$title.addClass('qala-loading');
-			$title.find('.qala-toggle-state').text(qalaAdminBarToggle.strings.loading);
+		handleDragOver: function (e) {
+			e.preventDefault();
+			$(e.currentTarget).addClass('qala-dragover');
 		},
 
 		/**
-		 * Handle successful toggle
+		 * Remove the drop zone highlight
 		 *
-		 * @param {Object} data Response data
-		 * @param {jQuery} $title Title element
+		 * @param {Event} e Drag event
 		 */
-		handleSuccess: function (data, $title) {
-			// Update title with new state
-			if (data.new_title) {
-				$title.html(data.new_title);
-			}
-
-			// Show success message briefly
-			this.showNotice(data.message, 'success');
-
-			// Reload page after short delay to reflect new state
-			setTimeout(function () {
-				window.location.reload();
-			}, 500);
+		handleDragLeave: function (e) {
+			$(e.currentTarget).removeClass('qala-dragover');
 		},
 
 		/**
-		 * Handle toggle error
+		 * Read a file dropped on the drop zone
 		 *
-		 * @param {Object} data Error data
-		 * @param {jQuery} $title Title element
-		 * @param {string} originalTitle Original title HTML
+		 * @param {Event} e Drop event
 		 */
-		handleError: function (data, $title, originalTitle) {
-			// Remove loading state
-			$title.removeClass('qala-loading');
-
-			// Restore original title
-			$title.html(originalTitle);
-
-			// Show error message
-			const errorMessage = data && data.message
-				? data.message
-				: qalaAdminBarToggle.strings.error;
+		handleDrop: function (e) {
+			e.preventDefault();
+			$(e.currentTarget).removeClass('qala-dragover');
 
-			this.showNotice(errorMessage, 'error');
+			const files = e.originalEvent.dataTransfer.files;
+			if (files.length) {
+				this.readImportFile(files[0]);
+			}
 		},
 
 		/**
-		 * Show admin notice
+		 * Parse an import file and request the preview
 		 *
-		 * @param {string} message Message text
-		 * @param {string} type Notice type ('success' or 'error')
+		 * Accepts an export file or a plain array of patterns. The server
+		 * validates every entry and sorts them into new, duplicate and
+		 * conflicting patterns without changing anything yet.
+		 *
+		 * @param {File} file JSON file
 		 */
-		showNotice: function (message, type) {
-			// Create notice element
-			const noticeClass = type === 'success' ? 'notice-success' : 'notice-error';
-			const $notice = $('<div>', {
-				class: 'notice qala-ajax-notice ' + noticeClass + ' is-dismissible',
-				html: '<p>' + message + '</p>'
-			});
+		readImportFile: function (file) {
+			const self = this;
+			const $message = $('#qala-import-message');
+			const reader = new FileReader();
 
-			// Insert notice at top of page
-			if ($('.wrap').length) {
-				$('.wrap').first().prepend($notice);
-			} else {
-				$('#wpbody-content').prepend($notice);
-			}
+			this.resetImport();
 
-			// Auto-dismiss after 3 seconds
-			setTimeout(function () {
-				$notice.fadeOut(300, function () {
-					$(this).remove();
-				});
-			}, 3000);
+			reader.onload = function () {
+				let patterns = null;
+
+				try {
+					const data = JSON.parse(reader.result);
+					patterns = Array.isArray(data) ? data : data.patterns;
+				} catch (error) {
+					patterns = null;
+				}
+
+				if (!Array.isArray(patterns) || patterns.length === 0) {
+					self.showMessage($message, qalaAdminPage.strings.importInvalidFile, 'error');
+					return;
+				}
+
+				window.QalaPluginManager.api.importPatterns({ patterns: patterns, dry_run: true })
+					.then(function (preview) {
+						self.pendingImport = patterns;
+						self.renderImportPreview(preview);
+					})
+					.catch(function (error) {
+						window.QalaPluginManager.log.error('REST error:', error);
+						self.showMessage(
+							$message,
+							window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.importError),
+							'error'
+						);
+					});
+			};
+
+			reader.onerror = function () {
+				self.showMessage($message, qalaAdminPage.strings.importInvalidFile, 'error');
+			};
+
+			reader.readAsText(file);
 		},
 
 		/**
-		 * Flag indicating if toggle is in progress
+		 * Show the import preview with the apply and cancel buttons
+		 *
+		 * @param {Object} preview Preview from the REST API
 		 */
-		isToggling: false
-	};
+		renderImportPreview: function (preview) {
+			const strings = qalaAdminPage.strings;
+			const $preview = $('#qala-import-preview').empty().prop('hidden', false);
+			const describe = function (pattern) {
+				return [pattern.type, pattern.severity, pattern.active ? '' : strings.inactive]
+					.filter(Boolean)
+					.join(', ');
+			};
+			const renderGroup = function (className, title, entries, render) {
+				if (!entries.length) {
+					return;
+				}
 
-	/**
-	 * Initialize on document ready
-	 */
-	$(document).ready(function () {
-		// Only initialize if admin bar toggle exists
-		if ($('#wp-admin-bar-qala-notice-toggle').length) {
-			AdminBarToggle.init();
-		}
-	});
+				$('<h4>').text(title.replace('%d', entries.length)).appendTo($preview);
+				const $list = $('<ul>', { class: 'qala-import-list ' + className }).appendTo($preview);
+				entries.forEach(function (entry) {
+					render($('<li>').appendTo($list), entry);
+				});
+			};
+			const renderPattern = function ($item, pattern) {
+				$('<code>').text(pattern.value).appendTo($item);
+				$('<span>', { class: 'qala-import-details' }).text(describe(pattern)).appendTo($item);
+			};
 
-})(jQuery);
+			renderGroup('qala-import-added', strings.importAdded, preview.added, renderPattern);
+			renderGroup('qala-import-conflicts', strings.importConflicts, preview.conflicts, function ($item, conflict) {
+				renderPattern($item, conflict.pattern);
+				$('<span>', { class: 'qala-import-current' })
+					.text(strings.importCurrent.replace('%s', describe(conflict.existing)))
+					.appendTo($item);
+			});
+			renderGroup('qala-import-duplicates', strings.importDuplicates, preview.duplicates, renderPattern);
 
-/* ===== Admin Page ===== */
+			if (preview.invalid) {
+				$('<p>', { class: 'qala-import-invalid' })
+					.text(strings.importInvalid.replace('%d', preview.invalid))
+					.appendTo($preview);
+			}
 
-/**
- * Qala Admin Page JavaScript
- *
- * Handles AJAX interactions for the Hide Notices settings page.
- * Features:
- * - Add pattern to allowlist
- * - Remove pattern from allowlist
- * - Loading states
- * - Error handling
- * - Success messages
- *
- * @package QalaPluginManager
- */
+			if (!preview.added.length && !preview.conflicts.length) {
+				$('<p>').text(strings.importNothing).appendTo($preview);
+			}
 
-(function ($) {
-	'use strict';
+			const $actions = $('<p>', { class: 'qala-import-actions' }).appendTo($preview);
 
-	/**
-	 * Main admin page object
-	 */
-	const QalaAdminPage = {
+			if (preview.conflicts.length) {
+				$('<label>', { class: 'qala-import-replace' })
+					.append($('<input>', { type: 'checkbox', id: 'qala-import-replace', 'data-conflicts': preview.conflicts.length }))
+					.append(document.createTextNode(' ' + strings.importReplace))
+					.appendTo($actions);
+			}
 
-		/**
-		 * Initialize
-		 */
-		init: function () {
-			this.bindEvents();
+			$('<button>', { type: 'button', class: 'button button-primary qala-import-apply' })
+				.text(strings.importApply)
+				.prop('disabled', !preview.added.length && !preview.conflicts.length)
+				.appendTo($actions);
+
+			$('<button>', { type: 'button', class: 'button qala-import-cancel' })
+				.text(strings.cancel)
+				.appendTo($actions);
 		},
 
 		/**
-		 * Bind event handlers
+		 * Apply the previewed import in one request
+		 *
+		 * Overwriting existing patterns has to be confirmed first.
+		 *
+		 * @param {Event} e Click event
 		 */
-		bindEvents: function () {
-			console.log('Qala Admin Page: Binding events...');
+		handleApplyImport: function (e) {
+			e.preventDefault();
 
-			// Add pattern button click
-			$('#qala-add-pattern-btn').on('click', this.handleAddPattern.bind(this));
-			console.log('Qala Admin Page: Bound click handler to #qala-add-pattern-btn');
+			const self = this;
+			const strings = qalaAdminPage.strings;
+			const $button = $(e.currentTarget);
+			const $replace = $('#qala-import-replace');
+			const replace = $replace.is(':checked');
 
-			// Add pattern on Enter key
-			$('#qala-new-pattern').on('keypress', function (e) {
-				if (e.which === 13) {
-					e.preventDefault();
-					QalaAdminPage.handleAddPattern();
+			if (!this.pendingImport) {
+				return;
+			}
+
+			if (!replace) {
+				this.applyImport($button, false);
+				return;
+			}
+
+			window.QalaPluginManager.ui.confirm({
+				title: strings.importReplaceTitle,
+				message: strings.importReplaceConfirm.replace('%d', $replace.data('conflicts')),
+				confirmLabel: strings.importReplaceButton,
+				destructive: true
+			}).then(function (confirmed) {
+				if (confirmed) {
+					self.applyImport($button, true);
 				}
 			});
+		},
 
-			// Add to allowlist from notice log
-			$(document).on('click', '.qala-add-to-allowlist', this.handleAddFromLog.bind(this));
+		/**
+		 * Send the previewed import
+		 *
+		 * @param {jQuery} $button Apply button
+		 * @param {boolean} replace Whether conflicting patterns are overwritten
+		 */
+		applyImport: function ($button, replace) {
+			const self = this;
+			const $message = $('#qala-import-message');
 
-			// Remove from allowlist
-			$(document).on('click', '.qala-remove-from-allowlist', this.handleRemovePattern.bind(this));
+			$button.prop('disabled', true).addClass('qala-loading');
 
-			// Clear all patterns
-			$('#qala-clear-all-patterns-btn').on('click', this.handleClearAllPatterns.bind(this));
+			window.QalaPluginManager.api.importPatterns({
+				patterns: this.pendingImport,
+				replace_conflicts: replace
+			})
+				.then(function (result) {
+					self.resetImport();
+					self.showMessage($message, result.message, 'success');
 
-			console.log('Qala Admin Page: All events bound');
+					// Reload page after short delay to show updated list
+					setTimeout(function () {
+						location.reload();
+					}, 1000);
+				})
+				.catch(function (error) {
+					window.QalaPluginManager.log.error('REST error:', error);
+					$button.prop('disabled', false).removeClass('qala-loading');
+					self.showMessage(
+						$message,
+						window.QalaPluginManager.api.getErrorMessage(error, qalaAdminPage.strings.importError),
+						'error'
+					);
+				});
 		},
 
 		/**
-		 * Handle add pattern button click
+		 * Discard a previewed import
+		 *
+		 * @param {Event} [e] Click event
 		 */
-		handleAddPattern: function (e) {
-			console.log('Qala Admin Page: handleAddPattern called', e);
-
+		resetImport: function (e) {
 			if (e) {
 				e.preventDefault();
 			}
 
+			this.pendingImport = null;
+			$('#qala-import-preview').empty().prop('hidden', true);
+			$('#qala-import-message').hide();
+		},
+
+		/**
+		 * Update the live pattern preview
+		 *
+		 * Tests the pattern being typed against the Hidden Notices Log entries
+		 * shown (the current page of the log) and the notice texts captured
+		 * on this page, using the same matching
+		 * as NoticeContentMatcher so the preview is what actually happens.
+		 */
+		updatePreview: function () {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
 			const pattern = $('#qala-new-pattern').val().trim();
 			const patternType = $('#qala-pattern-type').val();
-			const $button = $('#qala-add-pattern-btn');
-			const $message = $('#qala-add-pattern-message');
+			const severity = $('#qala-pattern-severity').val();
+			const $input = $('#qala-new-pattern');
+			const $preview = $('#qala-pattern-preview');
 
-			console.log('Qala Admin Page: Pattern:', pattern, 'Type:', patternType);
+			$preview.empty();
+			window.QalaPluginManager.ui.clearFieldError($input);
 
-			// Validate input
 			if (!pattern) {
-				console.log('Qala Admin Page: Empty pattern - showing error');
-				this.showMessage($message, qalaAdminPage.strings.emptyPattern, 'error');
+				$input.removeAttr('aria-invalid');
+				$preview.prop('hidden', true);
 				return;
 			}
 
-			// Disable button and show loading state
-			$button.prop('disabled', true).addClass('qala-loading');
-			$message.hide();
+			$preview.prop('hidden', false);
 
-			// Send AJAX request
-			$.ajax({
-				url: qalaAdminPage.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'qala_add_allowlist_pattern',
-					nonce: qalaAdminPage.nonces.addPattern,
-					pattern: pattern,
-					pattern_type: patternType
-				},
-				success: function (response) {
-					if (response.success) {
-						QalaAdminPage.showMessage($message, qalaAdminPage.strings.addSuccess, 'success');
-						$('#qala-new-pattern').val('');
+			const error = matcher.validatePattern(pattern, patternType);
+			if (error) {
+				$input.attr('aria-invalid', 'true');
+				$('<p>', { class: 'qala-preview-invalid' })
+					.text((patternType === 'selector' ? qalaAdminPage.strings.invalidSelector : qalaAdminPage.strings.invalidRegex).replace('%s', error))
+					.appendTo($preview);
+				return;
+			}
 
-						// Reload page after short delay to show updated list
-						setTimeout(function () {
-							location.reload();
-						}, 1000);
-					} else {
-						const errorMessage = response.data && response.data.message
-							? response.data.message
-							: qalaAdminPage.strings.addError;
-						QalaAdminPage.showMessage($message, errorMessage, 'error');
-					}
-				},
-				error: function (xhr, status, error) {
-					console.error('AJAX error:', error);
-					QalaAdminPage.showMessage($message, qalaAdminPage.strings.addError, 'error');
-				},
-				complete: function () {
-					$button.prop('disabled', false).removeClass('qala-loading');
-				}
-			});
+			$input.removeAttr('aria-invalid');
+
+			const sources = this.getPreviewSources();
+			const rule = { value: pattern, type: patternType, severity: severity };
+			this.renderPreviewGroup($preview, qalaAdminPage.strings.previewLog, sources.log, rule);
+			this.renderPreviewGroup($preview, qalaAdminPage.strings.previewNotices, sources.notices, rule);
 		},
 
 		/**
-		 * Handle add to allowlist from notice log
+		 * Collect the entries the preview tests patterns against
+		 *
+		 * Log entries only have text, so selector and severity-limited
+		 * patterns can only match notices on this page.
+		 *
+		 * @return {Object} { log: [], notices: [] } entries of { text, element }
 		 */
-		handleAddFromLog: function (e) {
-			e.preventDefault();
+		getPreviewSources: function () {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const unique = function (entries) {
+				const seen = new Set();
+				return entries.filter(function (entry) {
+					if (!entry.text || seen.has(entry.text)) {
+						return false;
+					}
+					seen.add(entry.text);
+					return true;
+				});
+			};
 
-			const $link = $(e.currentTarget);
-			const pattern = $link.data('pattern');
-			const patternType = $link.data('pattern-type') || 'exact';
-			const $row = $link.closest('tr');
+			// The logged callback name or text; data-pattern holds a wildcard for content rows
+			const log = $('#qala-log-rows .qala-add-to-allowlist').map(function () {
+				return { text: $(this).attr('data-value') || '', element: null };
+			}).get();
 
-			// Disable link and show loading state
-			$link.prop('disabled', true).addClass('qala-loading');
+			// Skip this page's own UI (messages, preview) which uses notice-like classes
+			const notices = matcher.getNoticeElements()
+				.filter(function (notice) {
+					return !notice.closest('.qala-section');
+				})
+				.map(function (notice) {
+					return { text: matcher.getNoticeText(notice), element: notice };
+				});
 
-			// Send AJAX request
-			$.ajax({
-				url: qalaAdminPage.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'qala_add_allowlist_pattern',
-					nonce: qalaAdminPage.nonces.addPattern,
-					pattern: pattern,
-					pattern_type: patternType
-				},
-				success: function (response) {
-					if (response.success) {
-						// Highlight row and reload after delay
-						$row.css('background-color', '#d4edda');
-						setTimeout(function () {
-							location.reload();
-						}, 1000);
-					} else {
-						const errorMessage = response.data && response.data.message
-							? response.data.message
-							: qalaAdminPage.strings.addError;
-						alert(errorMessage);
-						$link.prop('disabled', false).removeClass('qala-loading');
-					}
-				},
-				error: function (xhr, status, error) {
-					console.error('AJAX error:', error);
-					alert(qalaAdminPage.strings.addError);
-					$link.prop('disabled', false).removeClass('qala-loading');
-				}
-			});
+			return {
+				log: unique(log),
+				notices: unique(notices)
+			};
 		},
 
 		/**
-		 * Handle remove pattern from allowlist
+		 * Render one group of preview results
+		 *
+		 * @param {jQuery} $preview Preview container
+		 * @param {string} heading Group heading
+		 * @param {Array} entries Entries to test ({ text, element })
+		 * @param {Object} rule Pattern being tested: { value, type, severity }
 		 */
-		handleRemovePattern: function (e) {
-			e.preventDefault();
+		renderPreviewGroup: function ($preview, heading, entries, rule) {
+			const matcher = window.QalaPluginManager.NoticeContentMatcher;
+			const $list = $('<ul>', { class: 'qala-preview-list' });
+			let count = 0;
 
-			const $button = $(e.currentTarget);
-			const pattern = $button.data('pattern');
-			const $row = $button.closest('tr');
+			entries.forEach(function (entry) {
+				if (!matcher.matchesSeverity(entry.element, rule.severity)) {
+					return;
+				}
 
-			// Confirm removal
-			if (!confirm(qalaAdminPage.strings.confirmRemove)) {
+				const ranges = matcher.getMatchRanges(entry.text, rule.value, rule.type, entry.element);
+				if (!ranges) {
+					return;
+				}
+
+				count++;
+				$('<li>').append(QalaAdminPage.highlight(entry.text, ranges)).appendTo($list);
+			});
+
+			$('<h4>')
+				.text(heading + ' (' + qalaAdminPage.strings.previewMatches.replace('%d', count) + ')')
+				.appendTo($preview);
+
+			if (count === 0) {
+				$('<p>', { class: 'description' }).text(qalaAdminPage.strings.previewNoMatches).appendTo($preview);
 				return;
 			}
 
-			// Disable button and show loading state
-			$button.prop('disabled', true).addClass('qala-loading');
-
-			// Send AJAX request
-			$.ajax({
-				url: qalaAdminPage.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'qala_remove_allowlist_pattern',
-					nonce: qalaAdminPage.nonces.removePattern,
-					pattern: pattern
-				},
-				success: function (response) {
-					if (response.success) {
-						// Fade out row and remove it
-						$row.fadeOut(300, function () {
-							$(this).remove();
-
-							// Show empty state if no more patterns
-							const $tbody = $row.closest('tbody');
-							if ($tbody.find('tr').length === 0) {
-								location.reload();
-							}
-						});
-					} else {
-						const errorMessage = response.data && response.data.message
-							? response.data.message
-							: qalaAdminPage.strings.removeError;
-						alert(errorMessage);
-						$button.prop('disabled', false).removeClass('qala-loading');
-					}
-				},
-				error: function (xhr, status, error) {
-					console.error('AJAX error:', error);
-					alert(qalaAdminPage.strings.removeError);
-					$button.prop('disabled', false).removeClass('qala-loading');
-				}
-			});
+			$list.appendTo($preview);
 		},
 
 		/**
-		 * Handle clear all patterns from allowlist
+		 * Build text nodes with the matched ranges wrapped in <mark>
+		 *
+		 * @param {string} text Full text
+		 * @param {Array} ranges [start, end] ranges in ascending order
+		 * @return {Array} Nodes to append
 		 */
-		handleClearAllPatterns: function (e) {
-			e.preventDefault();
-
-			const $button = $(e.currentTarget);
+		highlight: function (text, ranges) {
+			const nodes = [];
+			let position = 0;
 
-			// Confirm removal
-			if (!confirm(qalaAdminPage.strings.confirmClearAll)) {
-				return;
-			}
+			ranges.forEach(function (range) {
+				if (range[0] > position) {
+					nodes.push(document.createTextNode(text.substring(position, range[0])));
+				}
 
-			// Disable button and show loading state
-			$button.prop('disabled', true).addClass('qala-loading');
+				const mark = document.createElement('mark');
+				mark.textContent = text.substring(range[0], range[1]);
+				nodes.push(mark);
 
-			// Send AJAX request
-			$.ajax({
-				url: qalaAdminPage.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'qala_clear_all_patterns',
-					nonce: qalaAdminPage.nonces.clearAllPatterns
-				},
-				success: function (response) {
-					if (response.success) {
-						// Reload page to show empty state
-						location.reload();
-					} else {
-						const errorMessage = response.data && response.data.message
-							? response.data.message
-							: qalaAdminPage.strings.clearAllError;
-						alert(errorMessage);
-						$button.prop('disabled', false).removeClass('qala-loading');
-					}
-				},
-				error: function (xhr, status, error) {
-					console.error('AJAX error:', error);
-					alert(qalaAdminPage.strings.clearAllError);
-					$button.prop('disabled', false).removeClass('qala-loading');
-				}
+				position = range[1];
 			});
+
+			if (position < text.length) {
+				nodes.push(document.createTextNode(text.substring(position)));
+			}
+
+			return nodes;
 		},
 
 		/**
 		 * Show message in message container
 		 */
 		showMessage: function ($container, message, type) {
+			// 'error' is a class the notice hider hides, so failures get their own modifier
 			$container
-				.removeClass('success error info')
-				.addClass(type)
-				.html(message)
+				.removeClass('qala-message-success qala-message-failure qala-message-info')
+				.addClass('qala-message-' + (type === 'error' ? 'failure' : type))
+				.text(message)
 				.fadeIn(200);
 
 			// Auto-hide success messages after 5 seconds
@@ -865,17 +6884,17 @@ window.QalaPluginManager.noticesVisible = function() {
 	 */
 	$(document).ready(function () {
 		// Debug logging
-		console.log('Qala Admin Page: Document ready');
-		console.log('Qala Admin Page: qalaAdminPage defined?', typeof qalaAdminPage !== 'undefined');
-		console.log('Qala Admin Page: Add button exists?', $('#qala-add-pattern-btn').length > 0);
+		window.QalaPluginManager.log.debug('Qala Admin Page: Document ready');
+		window.QalaPluginManager.log.debug('Qala Admin Page: qalaAdminPage defined?', typeof qalaAdminPage !== 'undefined');
+		window.QalaPluginManager.log.debug('Qala Admin Page: Add button exists?', $('#qala-add-pattern-btn').length > 0);
 
 		// Only initialize if we're on the admin page
 		if (typeof qalaAdminPage !== 'undefined') {
-			console.log('Qala Admin Page: Initializing...');
+			window.QalaPluginManager.log.debug('Qala Admin Page: Initializing...');
 			QalaAdminPage.init();
-			console.log('Qala Admin Page: Initialized successfully');
+			window.QalaPluginManager.log.debug('Qala Admin Page: Initialized successfully');
 		} else {
-			console.log('Qala Admin Page: qalaAdminPage not defined - skipping initialization');
+			window.QalaPluginManager.log.debug('Qala Admin Page: qalaAdminPage not defined - skipping initialization');
 		}
 	});
 
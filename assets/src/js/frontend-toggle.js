@@ -0,0 +1,250 @@
+/**
+ * Front-end Admin Bar Toggle
+ *
+ * The admin bar notice toggle on the public site, where the wp-admin
+ * script is not loaded. Has no dependencies (no jQuery, no wp-api-fetch).
+ *
+ * Features:
+ * - Click handler for the admin bar menu item
+ * - REST request to the visibility endpoint (POST /visibility), the same
+ *   per-user preference the wp-admin toggle switches
+ * - Visibility switched in place through the qala-notices-hidden body
+ *   class, which the inline rules added by AdminBarToggle hide notices under
+ * - Hidden notice count in the toggle badge, kept up to date as notices
+ *   are added (WooCommerce adds them after AJAX cart updates)
+ *
+ * Built as its own webpack entry (see webpack.config.js), so the public
+ * site does not load the wp-admin bundle.
+ *
+ * @package QalaPluginManager
+ */
+
+import '../css/frontend-toggle.css';
+
+(function() {
+	'use strict';
+
+	const FrontendToggle = {
+
+		/**
+		 * Flag indicating if toggle is in progress
+		 */
+		isToggling: false,
+
+		/**
+		 * Pending count update timer
+		 */
+		countTimer: null,
+
+		/**
+		 * How long a toggle error stays in the admin bar, in milliseconds
+		 */
+		errorDuration: 4000,
+
+		/**
+		 * Initialize the toggle
+		 */
+		init: function() {
+			this.item = document.getElementById('wp-admin-bar-qala-notice-toggle');
+
+			if (!this.item || typeof qalaFrontendToggle === 'undefined') {
+				return;
+			}
+
+			this.selector = qalaFrontendToggle.selectors.join(', ');
+
+			this.item.addEventListener('click', this.handleClick.bind(this));
+
+			this.updateCount();
+
+			if (this.selector) {
+				new MutationObserver(this.handleMutations.bind(this))
+					.observe(document.body, { childList: true, subtree: true });
+			}
+		},
+
+		/**
+		 * Handle click on toggle item
+		 *
+		 * @param {Event} e Click event
+		 */
+		handleClick: function(e) {
+			if (!e.target.closest('.ab-item')) {
+				return;
+			}
+
+			e.preventDefault();
+
+			// Don't allow multiple simultaneous toggles
+			if (this.isToggling) {
+				return;
+			}
+
+			this.toggleNoticeVisibility();
+		},
+
+		/**
+		 * Toggle notice visibility via the REST API
+		 */
+		toggleNoticeVisibility: function() {
+			const title = this.getTitle();
+			const state = title.querySelector('.qala-toggle-state');
+			const originalState = state.textContent;
+
+			this.isToggling = true;
+			title.classList.add('qala-loading');
+			state.textContent = qalaFrontendToggle.strings.loading;
+
+			fetch(qalaFrontendToggle.restUrl, {
+				method: 'POST',
+				credentials: 'same-origin',
+				headers: { 'X-WP-Nonce': qalaFrontendToggle.nonce }
+			})
+				.then(function(response) {
+					return response.json().then(function(data) {
+						if (!response.ok) {
+							throw data;
+						}
+
+						return data;
+					});
+				})
+				.then((data) => {
+					this.handleSuccess(data);
+				})
+				.catch((error) => {
+					this.handleError(error, originalState);
+				})
+				.then(() => {
+					this.isToggling = false;
+				});
+		},
+
+		/**
+		 * Handle successful toggle
+		 *
+		 * @param {Object} data Response data: { showing, message, new_title }
+		 */
+		handleSuccess: function(data) {
+			// Swap in the title for the new state (includes the hidden count badge)
+			if (data.new_title) {
+				this.getTitle().outerHTML = data.new_title;
+			}
+
+			document.body.classList.toggle('qala-notices-visible', data.showing);
+			document.body.classList.toggle('qala-notices-hidden', !data.showing);
+
+			this.updateCount();
+		},
+
+		/**
+		 * Handle toggle error
+		 *
+		 * The error replaces the state text for a few seconds, since the
+		 * front end has no toast container.
+		 *
+		 * @param {Object} error Rejection value: WP_Error response or fetch error
+		 * @param {string} originalState State text before the toggle
+		 */
+		handleError: function(error, originalState) {
+			const title = this.getTitle();
+			const state = title.querySelector('.qala-toggle-state');
+			const message = error && error.code && error.message
+				? error.message
+				: qalaFrontendToggle.strings.error;
+
+			title.classList.remove('qala-loading');
+			state.textContent = message;
+
+			setTimeout(function() {
+				if (state.isConnected) {
+					state.textContent = originalState;
+				}
+			}, this.errorDuration);
+		},
+
+		/**
+		 * Get the toggle title element
+		 *
+		 * Looked up each time: a successful toggle replaces it.
+		 *
+		 * @return {Element} Title wrapper
+		 */
+		getTitle: function() {
+			return this.item.querySelector('.qala-notice-toggle-wrapper');
+		},
+
+		/**
+		 * Recount hidden notices after other parts of the page changed
+		 *
+		 * @param {Array} mutations Mutation records
+		 */
+		handleMutations: function(mutations) {
+			// Badge and title updates happen inside the toggle item
+			const external = mutations.some((mutation) => !this.item.contains(mutation.target));
+
+			if (!external) {
+				return;
+			}
+
+			clearTimeout(this.countTimer);
+			this.countTimer = setTimeout(this.updateCount.bind(this), 100);
+		},
+
+		/**
+		 * Show the number of hidden notices in the toggle badge
+		 */
+		updateCount: function() {
+			const badge = this.item.querySelector('.qala-hidden-count');
+
+			if (!badge) {
+				return;
+			}
+
+			const count = document.body.classList.contains('qala-notices-hidden') ? this.countHidden() : 0;
+
+			badge.textContent = count;
+			badge.hidden = count === 0;
+		},
+
+		/**
+		 * Count the notices the hider rules cover on this page
+		 *
+		 * Nested matches (a .woocommerce-info inside a .woocommerce-message)
+		 * and empty notice wrappers are not counted.
+		 *
+		 * @return {number} Hidden notices
+		 */
+		countHidden: function() {
+			if (!this.selector) {
+				return 0;
+			}
+
+			let notices;
+
+			try {
+				notices = document.querySelectorAll(this.selector);
+			} catch (e) {
+				// A filtered-in selector the browser cannot parse
+				return 0;
+			}
+
+			return Array.prototype.filter.call(notices, (notice) => {
+				const parent = notice.parentElement;
+
+				return notice.textContent.trim() !== ''
+					&& !(parent && parent.closest(this.selector))
+					&& !notice.closest('#wpadminbar');
+			}).length;
+		}
+	};
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', function() {
+			FrontendToggle.init();
+		});
+	} else {
+		FrontendToggle.init();
+	}
+
+})();
@@ -11,6 +11,9 @@
  * - AJAX-powered toggle for smooth UX
  * - Per-user preference storage in user meta
  * - Visual feedback (state indicators, loading states)
+ * - Dropdown inbox listing notices hidden on the current page and snoozed notices
+ * - Notice picker for building content patterns by clicking a notice
+ * - Front-end toggle (dependency-free script) hiding WooCommerce and page builder notices
  * - Nonce verification for security
  * - Capability checking (qala_full_access only)
  *
@@ -31,7 +34,7 @@ use WP_Admin_Bar;
  * - Add admin bar menu item showing current notice visibility state
  * - Handle AJAX toggle requests
  * - Store and retrieve per-user notice visibility preferences
- * - Enqueue JavaScript and CSS assets
+ * - Enqueue JavaScript and CSS assets (wp-admin and front end)
  * - Provide security through nonce verification and capability checking
  *
  * User Preference Storage:
@@ -66,6 +69,22 @@ class AdminBarToggle implements WithHooksInterface {
 	 */
 	const NONCE_ACTION = 'qala_notice_toggle';
 
+	/**
+	 * Notice selectors hidden on the front end
+	 *
+	 * Only front-end notices are listed: the wp-admin hider selectors
+	 * (.error, .updated, div[class*="-notice"]) would hit theme markup.
+	 *
+	 * @var string[]
+	 */
+	const FRONTEND_SELECTORS = [
+		'.woocommerce-message',
+		'.woocommerce-info',
+		'.woocommerce-error',
+		'.wc-block-components-notice-banner',
+		'.elementor-message',
+	];
+
 	/**
 	 * Initialize hooks
 	 *
@@ -75,6 +94,8 @@ class AdminBarToggle implements WithHooksInterface {
 	 * Hooks registered:
 	 * - admin_bar_menu: Add menu item to admin bar
 	 * - admin_enqueue_scripts: Enqueue JS/CSS assets
+	 * - wp_enqueue_scripts: Enqueue the front-end toggle assets
+	 * - body_class: Add the visibility class on the front end
 	 * - wp_ajax_*: Handle AJAX toggle request
 	 *
 	 * @return void
@@ -86,7 +107,11 @@ class AdminBarToggle implements WithHooksInterface {
 		// Enqueue assets for AJAX functionality (priority 5 = early, before AdminPage localization)
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ], 5 );
 
-		// Register AJAX handler for toggle
+		// Front end: the admin bar shows there too, without the wp-admin script
+		add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_frontend_assets' ] );
+		add_filter( 'body_class', [ $this, 'add_frontend_body_class' ] );
+
+		// Legacy AJAX handler (see "Legacy AJAX Actions" in README.md)
 		add_action( 'wp_ajax_' . self::AJAX_ACTION, [ $this, 'handle_toggle_ajax' ] );
 	}
 
@@ -96,6 +121,10 @@ class AdminBarToggle implements WithHooksInterface {
 	 * Adds a menu item to the WordPress admin bar showing the current
 	 * notice visibility state. Only visible to users with qala_full_access capability.
 	 *
+	 * On the front end the node has no inbox dropdown: the inbox, snoozes
+	 * and notice picker need the wp-admin script. The title still carries
+	 * the hidden notice count.
+	 *
 	 * Menu states:
 	 * - "Notices: On" (green icon) - Notices are currently visible
 	 * - "Notices: Off" (red icon) - Notices are currently hidden
@@ -106,17 +135,63 @@ class AdminBarToggle implements WithHooksInterface {
 	 */
 	public function add_admin_bar_menu( $wp_admin_bar ): void {
 		// Only show to users with qala_full_access capability
-		if ( ! $this->user_has_capability( 'qala_full_access' ) ) {
+		if ( ! $this->can_toggle() ) {
 			return;
 		}
 
 		// Get current user preference
-		$user_preference = $this->get_user_preference();
-		$is_showing = ( $user_preference === 'yes' );
+		$is_showing = ( $this->get_user_preference() === 'yes' );
+		$title = $this->get_title_markup( $is_showing );
+
+		$meta = [
+			'class' => 'qala-notice-toggle-item',
+			'title' => __( 'Toggle admin notices visibility', 'qala-plugin-manager' ),
+		];
+
+		// The 'menupop' class lets core admin bar hover handling open the inbox dropdown
+		if ( is_admin() ) {
+			$meta['class'] .= ' menupop';
+			$meta['html'] = $this->get_inbox_markup();
+		}
+
+		// Add menu node to admin bar
+		$wp_admin_bar->add_node(
+			[
+				'id' => 'qala-notice-toggle',
+				'title' => $title,
+				'href' => '#',
+				'meta' => $meta,
+			]
+		);
+	}
+
+	/**
+	 * Check if the current user may use the toggle
+	 *
+	 * Checks the capability directly: user_has_capability() also requires
+	 * is_admin(), which is false on the front end.
+	 *
+	 * @return bool True if the user is logged in with qala_full_access
+	 */
+	private function can_toggle(): bool {
+		return is_user_logged_in() && current_user_can( 'qala_full_access' );
+	}
 
-		// Build menu title with clear action-oriented text
-		// When showing: "Click to HIDE notices"
-		// When hidden: "Click to SHOW notices"
+	/**
+	 * Get admin bar title markup for a visibility state
+	 *
+	 * Used both when the admin bar is rendered and in the AJAX toggle
+	 * response, so the title can be swapped in place without a reload.
+	 *
+	 * Uses clear action-oriented text:
+	 * - When showing: "Showing - Click to Hide"
+	 * - When hidden: "Hidden - Click to Show"
+	 *
+	 * @param bool $is_showing Whether notices are visible.
+	 *
+	 * @return string Title HTML
+	 */
+	private function get_title_markup( bool $is_showing ): string {
 		if ( $is_showing ) {
 			$state_text = __( 'Showing - Click to Hide', 'qala-plugin-manager' );
 			$state_class = 'qala-state-on';
@@ -127,28 +202,53 @@ class AdminBarToggle implements WithHooksInterface {
 			$icon_class = 'dashicons-hidden';
 		}
 
-		$title = sprintf(
+		return sprintf(
 			'<span class="qala-notice-toggle-wrapper">
 				<span class="dashicons %s qala-toggle-icon"></span>
 				<span class="qala-toggle-label">Notices: </span>
 				<span class="qala-toggle-state %s">%s</span>
+				<span class="qala-hidden-count" hidden></span>
 			</span>',
 			esc_attr( $icon_class ),
 			esc_attr( $state_class ),
 			esc_html( $state_text )
 		);
+	}
 
-		// Add menu node to admin bar
-		$wp_admin_bar->add_node(
-			[
-				'id' => 'qala-notice-toggle',
-				'title' => $title,
-				'href' => '#',
-				'meta' => [
-					'class' => 'qala-notice-toggle-item',
-					'title' => __( 'Toggle admin notices visibility', 'qala-plugin-manager' ),
-				],
-			]
+	/**
+	 * Get hidden notice inbox markup
+	 *
+	 * Returns the empty dropdown container rendered under the toggle node.
+	 * The list itself is filled client-side by the hidden notice inbox script,
+	 * since only the browser knows which notices the CSS ended up hiding.
+	 * The snoozed section is filled by the notice snooze script and stays
+	 * hidden while nothing is snoozed.
+	 *
+	 * Class names deliberately avoid "-notice" so the nuclear hider CSS
+	 * (div[class*="-notice"]) never hides the inbox itself.
+	 *
+	 * @return string Inbox HTML
+	 */
+	private function get_inbox_markup(): string {
+		return sprintf(
+			'<div class="ab-sub-wrapper qala-hidden-inbox-wrapper">
+				<div id="qala-hidden-inbox" class="qala-hidden-inbox" aria-live="polite">
+					<p class="qala-inbox-heading">%s</p>
+					<p class="qala-inbox-empty">%s</p>
+					<ul class="qala-inbox-list"></ul>
+					<div class="qala-snoozed-section" hidden>
+						<p class="qala-inbox-heading">%s</p>
+						<ul class="qala-snoozed-list"></ul>
+					</div>
+					<p class="qala-inbox-tools">
+						<button type="button" class="qala-inspector-start">%s</button>
+					</p>
+				</div>
+			</div>',
+			esc_html__( 'Hidden on this page', 'qala-plugin-manager' ),
+			esc_html__( 'No notices are hidden on this page.', 'qala-plugin-manager' ),
+			esc_html__( 'Snoozed', 'qala-plugin-manager' ),
+			esc_html__( 'Pick a notice to allowlist', 'qala-plugin-manager' )
 		);
 	}
 
@@ -163,9 +263,7 @@ class AdminBarToggle implements WithHooksInterface {
 	 * and simpler asset management.
 	 *
 	 * Also localizes the script with:
-	 * - AJAX URL
-	 * - Nonce for security
-	 * - Action name
+	 * - Notice hider stylesheet URL (for toggling without a reload)
 	 * - Translated strings
 	 *
 	 * @return void
@@ -174,23 +272,27 @@ class AdminBarToggle implements WithHooksInterface {
 		$js_path = \QalaPluginManager\Plugin::get_path() . '/assets/dist/js/qala-plugin-manager.js';
 		$js_url = \QalaPluginManager\Plugin::get_url() . '/assets/dist/js/qala-plugin-manager.js';
 
-		// Enqueue combined JavaScript
+		// Notice hider stylesheet, loaded by NoticeFilter only while notices are hidden.
+		// The toggle adds or removes it in place, so JS needs the same versioned URL.
+		$css_path = \QalaPluginManager\Plugin::get_path() . '/assets/dist/qala-plugin-manager.css';
+		$css_url = \QalaPluginManager\Plugin::get_url() . '/assets/dist/qala-plugin-manager.css';
+		$css_version = file_exists( $css_path ) ? filemtime( $css_path ) : '1.0.3';
+
+		// Enqueue combined JavaScript (wp-api-fetch backs the QalaPluginManager.api client)
 		wp_enqueue_script(
 			'qala-plugin-manager',
 			$js_url,
-			[ 'jquery' ],
+			[ 'jquery', 'wp-api-fetch' ],
 			file_exists( $js_path ) ? filemtime( $js_path ) : '1.0.3',
 			true
 		);
 
-		// Localize script with AJAX data and translations for admin bar toggle
+		// Localize script with the stylesheet URL and translations for admin bar toggle
 		wp_localize_script(
 			'qala-plugin-manager',
 			'qalaAdminBarToggle',
 			[
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce' => wp_create_nonce( self::NONCE_ACTION ),
-				'action' => self::AJAX_ACTION,
+				'stylesheetUrl' => $css_url . '?ver=' . $css_version,
 				'strings' => [
 					'noticesOn' => __( 'Notices: On', 'qala-plugin-manager' ),
 					'noticesOff' => __( 'Notices: Off', 'qala-plugin-manager' ),
@@ -198,11 +300,173 @@ class AdminBarToggle implements WithHooksInterface {
 					'toggledOff' => __( 'Notices are now hidden', 'qala-plugin-manager' ),
 					'error' => __( 'Failed to toggle notices. Please try again.', 'qala-plugin-manager' ),
 					'loading' => __( 'Toggling...', 'qala-plugin-manager' ),
+					'reveal' => __( 'Reveal', 'qala-plugin-manager' ),
+					'addToAllowlist' => __( 'Add to allowlist', 'qala-plugin-manager' ),
+					'allowlistError' => __( 'Failed to add pattern to allowlist', 'qala-plugin-manager' ),
+					'inspectHint' => __( 'Click a notice to build an allowlist pattern for it. Press Esc to cancel.', 'qala-plugin-manager' ),
+					'inspectTitle' => __( 'Allowlist this notice', 'qala-plugin-manager' ),
+					'patternLabel' => __( 'Pattern', 'qala-plugin-manager' ),
+					'typeLabel' => __( 'Type', 'qala-plugin-manager' ),
+					'types' => [
+						'exact' => __( 'Exact Match', 'qala-plugin-manager' ),
+						'wildcard' => __( 'Wildcard (*)', 'qala-plugin-manager' ),
+						'regex' => __( 'Regex', 'qala-plugin-manager' ),
+						'selector' => __( 'CSS Selector', 'qala-plugin-manager' ),
+					],
+					'matchesNotice' => __( 'Matches this notice', 'qala-plugin-manager' ),
+					'noMatch' => __( 'Does not match this notice', 'qala-plugin-manager' ),
+					'savePattern' => __( 'Save pattern', 'qala-plugin-manager' ),
+					'suggestTitle' => __( 'Add to allowlist', 'qala-plugin-manager' ),
+					'suggestMessage' => __( 'Choose how widely the pattern should match. Wider patterns also keep similar notices visible.', 'qala-plugin-manager' ),
+					'suggestSave' => __( 'Add pattern', 'qala-plugin-manager' ),
+					'suggestLoading' => __( 'Counting logged notices...', 'qala-plugin-manager' ),
+					/* translators: 1: number of logged notices the pattern matches, 2: number of logged notices */
+					'suggestMatches' => __( 'Matches %1$d of %2$d logged notices', 'qala-plugin-manager' ),
+					'suggestCountError' => __( 'Could not count logged notices.', 'qala-plugin-manager' ),
+					'suggestions' => [
+						'exact' => __( 'This callback only', 'qala-plugin-manager' ),
+						'numbers' => __( 'Any number in the name', 'qala-plugin-manager' ),
+						'class' => __( 'Every method of the class', 'qala-plugin-manager' ),
+						'prefix' => __( 'Every callback with this prefix', 'qala-plugin-manager' ),
+						'excerpt' => __( 'Notices starting with this text', 'qala-plugin-manager' ),
+						'general' => __( 'Similar notices, with names, dates and numbers left open', 'qala-plugin-manager' ),
+					],
+					'cancel' => __( 'Cancel', 'qala-plugin-manager' ),
+					'confirm' => __( 'Confirm', 'qala-plugin-manager' ),
+					'dismiss' => __( 'Dismiss', 'qala-plugin-manager' ),
+					'severities' => [
+						'error' => __( 'Error', 'qala-plugin-manager' ),
+						'warning' => __( 'Warning', 'qala-plugin-manager' ),
+						'success' => __( 'Success', 'qala-plugin-manager' ),
+						'info' => __( 'Info', 'qala-plugin-manager' ),
+					],
 				],
 			]
 		);
 	}
 
+	/**
+	 * Enqueue the front-end toggle assets
+	 *
+	 * The front-end script has no dependencies (no jQuery, no wp-api-fetch)
+	 * and talks to the REST API directly (POST /visibility). Notices are
+	 * hidden by inline rules scoped to the qala-notices-hidden body class,
+	 * so the script can switch them in place.
+	 *
+	 * Only loaded for users who see the toggle in the admin bar.
+	 *
+	 * @return void
+	 */
+	public function enqueue_frontend_assets(): void {
+		if ( ! is_admin_bar_showing() || ! $this->can_toggle() ) {
+			return;
+		}
+
+		$js_path = \QalaPluginManager\Plugin::get_path() . '/assets/dist/js/frontend-toggle.js';
+		$js_url = \QalaPluginManager\Plugin::get_url() . '/assets/dist/js/frontend-toggle.js';
+		// The frontend-toggle webpack entry: script in dist/js/, stylesheet in dist/
+		$css_path = \QalaPluginManager\Plugin::get_path() . '/assets/dist/frontend-toggle.css';
+		$css_url = \QalaPluginManager\Plugin::get_url() . '/assets/dist/frontend-toggle.css';
+		$selectors = $this->get_frontend_selectors();
+
+		wp_enqueue_style(
+			'qala-frontend-toggle',
+			$css_url,
+			[ 'admin-bar', 'dashicons' ],
+			file_exists( $css_path ) ? filemtime( $css_path ) : '1.0.3'
+		);
+
+		if ( ! empty( $selectors ) ) {
+			wp_add_inline_style( 'qala-frontend-toggle', $this->get_frontend_hider_css( $selectors ) );
+		}
+
+		wp_enqueue_script(
+			'qala-frontend-toggle',
+			$js_url,
+			[],
+			file_exists( $js_path ) ? filemtime( $js_path ) : '1.0.3',
+			true
+		);
+
+		wp_localize_script(
+			'qala-frontend-toggle',
+			'qalaFrontendToggle',
+			[
+				'restUrl' => rest_url( RestController::REST_NAMESPACE . '/visibility' ),
+				'nonce' => wp_create_nonce( 'wp_rest' ),
+				'selectors' => $selectors,
+				'strings' => [
+					'loading' => __( 'Toggling...', 'qala-plugin-manager' ),
+					'error' => __( 'Failed to toggle notices. Please try again.', 'qala-plugin-manager' ),
+				],
+			]
+		);
+	}
+
+	/**
+	 * Add the notice visibility class to the front-end body
+	 *
+	 * Same class names as BodyClassManager uses in wp-admin. Follows the
+	 * stored preference: notices are hidden unless it is 'yes'.
+	 *
+	 * @param array $classes Body classes.
+	 *
+	 * @return array Body classes
+	 */
+	public function add_frontend_body_class( array $classes ): array {
+		if ( ! is_admin_bar_showing() || ! $this->can_toggle() ) {
+			return $classes;
+		}
+
+		$classes[] = ( $this->get_user_preference() === 'yes' ) ? 'qala-notices-visible' : 'qala-notices-hidden';
+
+		return $classes;
+	}
+
+	/**
+	 * Get the notice selectors hidden on the front end
+	 *
+	 * @return string[] CSS selectors, one notice type each
+	 */
+	public function get_frontend_selectors(): array {
+		/**
+		 * Allows for filtering the notice selectors hidden on the front end.
+		 *
+		 * Use this to add notices of other plugins or page builders. Each entry
+		 * must be a single selector (no commas).
+		 *
+		 * @param array $selectors the CSS selectors, for example ".woocommerce-message".
+		 */
+		$selectors = apply_filters( 'qala_plugin_manager/filter/frontend_notice_selectors', self::FRONTEND_SELECTORS );
+
+		return array_values(
+			array_filter(
+				array_map( 'trim', array_filter( (array) $selectors, 'is_string' ) ),
+				function ( $selector ) {
+					return $selector !== '' && strpbrk( $selector, ',{}<' ) === false;
+				}
+			)
+		);
+	}
+
+	/**
+	 * Build the inline rules hiding front-end notices
+	 *
+	 * @param string[] $selectors Notice selectors.
+	 *
+	 * @return string CSS
+	 */
+	private function get_frontend_hider_css( array $selectors ): string {
+		$scoped = array_map(
+			function ( $selector ) {
+				return 'body.qala-notices-hidden ' . $selector;
+			},
+			$selectors
+		);
+
+		return implode( ",\n", $scoped ) . " {\n\tdisplay: none !important;\n}";
+	}
+
 	/**
 	 * Handle AJAX toggle request
 	 *
@@ -244,16 +508,9 @@ class AdminBarToggle implements WithHooksInterface {
 			return;
 		}
 
-		// Get current preference
-		$current_preference = $this->get_user_preference();
-
-		// Toggle: 'yes' becomes 'no', anything else becomes 'yes'
-		$new_preference = ( $current_preference === 'yes' ) ? 'no' : 'yes';
-
-		// Update user meta
-		$updated = $this->set_user_preference( $new_preference );
+		$data = $this->toggle_user_preference();
 
-		if ( ! $updated ) {
+		if ( $data === null ) {
 			wp_send_json_error(
 				[
 					'message' => __( 'Failed to update preference', 'qala-plugin-manager' ),
@@ -262,34 +519,37 @@ class AdminBarToggle implements WithHooksInterface {
 			return;
 		}
 
-		// Build response data
-		$is_showing = ( $new_preference === 'yes' );
-		$state_text = $is_showing ? __( 'On', 'qala-plugin-manager' ) : __( 'Off', 'qala-plugin-manager' );
-		$state_class = $is_showing ? 'qala-state-on' : 'qala-state-off';
+		// Send success response
+		wp_send_json_success( $data );
+	}
 
-		$new_title = sprintf(
-			'<span class="qala-notice-toggle-wrapper">
-				<span class="dashicons dashicons-visibility qala-toggle-icon"></span>
-				<span class="qala-toggle-label">%s: </span>
-				<span class="qala-toggle-state %s">%s</span>
-			</span>',
-			esc_html__( 'Notices', 'qala-plugin-manager' ),
-			esc_attr( $state_class ),
-			esc_html( $state_text )
-		);
+	/**
+	 * Toggle the current user's notice visibility preference
+	 *
+	 * Shared by the legacy AJAX handler and the REST API. Callers are
+	 * responsible for nonce and capability checks.
+	 *
+	 * @return array|null Response data (showing, message, new_title), or null if saving failed
+	 */
+	public function toggle_user_preference(): ?array {
+		// Toggle: 'yes' becomes 'no', anything else becomes 'yes'
+		$new_preference = ( $this->get_user_preference() === 'yes' ) ? 'no' : 'yes';
+
+		if ( ! $this->set_user_preference( $new_preference ) ) {
+			return null;
+		}
+
+		$is_showing = ( $new_preference === 'yes' );
 
 		$message = $is_showing
 			? __( 'Notices are now visible', 'qala-plugin-manager' )
 			: __( 'Notices are now hidden', 'qala-plugin-manager' );
 
-		// Send success response
-		wp_send_json_success(
-			[
-				'showing' => $is_showing,
-				'message' => $message,
-				'new_title' => $new_title,
-			]
-		);
+		return [
+			'showing' => $is_showing,
+			'message' => $message,
+			'new_title' => $this->get_title_markup( $is_showing ),
+		];
 	}
 
 	/**
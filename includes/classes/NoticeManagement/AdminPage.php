@@ -35,6 +35,13 @@ class AdminPage implements WithHooksInterface {
 
 	use CapabilityChecker;
 
+	/**
+	 * Hidden Notices Log entries per page
+	 *
+	 * @var int
+	 */
+	const LOG_PER_PAGE = 20;
+
 	/**
 	 * AllowlistManager instance
 	 *
@@ -49,6 +56,13 @@ class AdminPage implements WithHooksInterface {
 	 */
 	private $logger;
 
+	/**
+	 * PersonalAllowlist instance for the "My patterns" tab
+	 *
+	 * @var PersonalAllowlist
+	 */
+	private $personal;
+
 	/**
 	 * Settings page hook suffix
 	 *
@@ -59,12 +73,14 @@ class AdminPage implements WithHooksInterface {
 	/**
 	 * Constructor
 	 *
-	 * @param AllowlistManager $allowlist Allowlist manager instance.
-	 * @param NoticeLogger     $logger Notice logger instance.
+	 * @param AllowlistManager  $allowlist Allowlist manager instance.
+	 * @param NoticeLogger      $logger Notice logger instance.
+	 * @param PersonalAllowlist $personal Personal allowlist instance.
 	 */
-	public function __construct( AllowlistManager $allowlist, NoticeLogger $logger ) {
+	public function __construct( AllowlistManager $allowlist, NoticeLogger $logger, PersonalAllowlist $personal ) {
 		$this->allowlist = $allowlist;
 		$this->logger = $logger;
+		$this->personal = $personal;
 	}
 
 	/**
@@ -85,7 +101,7 @@ class AdminPage implements WithHooksInterface {
 		// Localize script for admin page (CSS/JS already loaded globally)
 		add_action( 'admin_enqueue_scripts', [ $this, 'localize_script' ] );
 
-		// AJAX handlers
+		// Legacy AJAX handlers (see "Legacy AJAX Actions" in README.md)
 		add_action( 'wp_ajax_qala_add_allowlist_pattern', [ $this, 'handle_add_pattern_ajax' ] );
 		add_action( 'wp_ajax_qala_remove_allowlist_pattern', [ $this, 'handle_remove_pattern_ajax' ] );
 		add_action( 'wp_ajax_qala_clear_all_patterns', [ $this, 'handle_clear_all_patterns_ajax' ] );
@@ -117,6 +133,7 @@ class AdminPage implements WithHooksInterface {
 	 *
 	 * Registers:
 	 * - qala_notices_enabled option (global toggle)
+	 * - qala_always_show_errors option (never hide error notices)
 	 * - Settings sections
 	 * - Settings fields
 	 *
@@ -134,6 +151,17 @@ class AdminPage implements WithHooksInterface {
 			]
 		);
 
+		// Register the always-show-errors setting
+		register_setting(
+			'qala_notices',
+			'qala_always_show_errors',
+			[
+				'type' => 'string',
+				'default' => 'no',
+				'sanitize_callback' => [ $this, 'sanitize_yes_no' ],
+			]
+		);
+
 		// Register Site Health hiding settings
 		register_setting(
 			'qala_notices',
@@ -172,6 +200,15 @@ class AdminPage implements WithHooksInterface {
 			'qala_notices_main'
 		);
 
+		// Add always-show-errors field
+		add_settings_field(
+			'qala_always_show_errors',
+			__( 'Always Show Errors', 'qala-plugin-manager' ),
+			[ $this, 'render_always_show_errors_field' ],
+			'qala-hide-notices',
+			'qala_notices_main'
+		);
+
 		// Add Site Health settings section
 		add_settings_section(
 			'qala_site_health',
@@ -236,6 +273,29 @@ class AdminPage implements WithHooksInterface {
 		<?php
 	}
 
+	/**
+	 * Render always show errors field
+	 *
+	 * @return void
+	 */
+	public function render_always_show_errors_field(): void {
+		$always_show_errors = get_option( 'qala_always_show_errors', 'no' );
+		?>
+		<label>
+			<input
+				type="checkbox"
+				name="qala_always_show_errors"
+				value="yes"
+				<?php checked( $always_show_errors, 'yes' ); ?>
+			/>
+			<?php esc_html_e( 'Always show error notices, even when notices are hidden', 'qala-plugin-manager' ); ?>
+		</label>
+		<p class="description">
+			<?php esc_html_e( 'Notices marked as errors (.notice-error) are never hidden, whatever the allowlist says.', 'qala-plugin-manager' ); ?>
+		</p>
+		<?php
+	}
+
 	/**
 	 * Render Site Health section description
 	 *
@@ -313,10 +373,13 @@ class AdminPage implements WithHooksInterface {
 	/**
 	 * Render settings page
 	 *
-	 * Main page output including:
+	 * Main page output, in a Settings and a Statistics tab:
 	 * - Settings form
-	 * - Notice log table
-	 * - Allowlist management UI
+	 * - Notice log table: the first page is rendered here, searching,
+	 *   filtering, sorting and paging load entries from GET /log
+	 * - Allowlist management UI, with the site patterns and the
+	 *   current user's personal patterns ("My patterns") in two tabs
+	 * - Statistics charts, loaded from GET /statistics when the tab is opened
 	 *
 	 * @return void
 	 */
@@ -325,203 +388,669 @@ class AdminPage implements WithHooksInterface {
 		$this->require_capability( 'qala_full_access' );
 
 		$enabled = get_option( 'qala_notices_enabled', 'yes' );
-		$unique_notices = $this->logger->get_unique_notices();
-		$allowlist_patterns = $this->allowlist->get_all_patterns();
+		$unique_notices = $this->logger->get_unique_notices( [ 'per_page' => self::LOG_PER_PAGE ] );
+		$log_total = $this->logger->count_unique_notices();
+		$log_pages = (int) ceil( $log_total / self::LOG_PER_PAGE );
+		$log_filters = $this->logger->get_log_filter_options();
+		// Deactivated patterns are listed too, so they can be switched back on
+		$allowlist_patterns = $this->allowlist->get_all_patterns( true );
+		$personal_patterns = $this->personal->get_patterns();
 		?>
 		<div class="wrap qala-admin-page">
 			<h1><?php esc_html_e( 'Hide Notices Settings', 'qala-plugin-manager' ); ?></h1>
 
-			<form method="post" action="options.php">
-				<?php
-				settings_fields( 'qala_notices' );
-				do_settings_sections( 'qala-hide-notices' );
-				submit_button();
-				?>
-			</form>
-
-			<hr>
-
-			<div class="qala-content-grid">
-				<!-- Notice Log Table -->
-				<div class="qala-section qala-notice-log">
-					<h2><?php esc_html_e( 'Hidden Notices Log', 'qala-plugin-manager' ); ?></h2>
-					<p class="description">
-						<?php esc_html_e( 'Recently hidden admin notices. Click "Add to Allowlist" to allow a specific notice.', 'qala-plugin-manager' ); ?>
-					</p>
-
-					<?php if ( empty( $unique_notices ) ) : ?>
-						<p><em><?php esc_html_e( 'No notices have been hidden yet.', 'qala-plugin-manager' ); ?></em></p>
-					<?php else : ?>
-						<table class="wp-list-table widefat fixed striped">
-							<thead>
-								<tr>
-									<th><?php esc_html_e( 'Callback Name', 'qala-plugin-manager' ); ?></th>
-									<th><?php esc_html_e( 'Hook', 'qala-plugin-manager' ); ?></th>
-									<th><?php esc_html_e( 'Last Seen', 'qala-plugin-manager' ); ?></th>
-									<th><?php esc_html_e( 'Actions', 'qala-plugin-manager' ); ?></th>
-								</tr>
-							</thead>
-							<tbody>
-								<?php foreach ( $unique_notices as $notice ) : ?>
+			<nav class="nav-tab-wrapper qala-page-tabs" role="tablist" aria-label="<?php esc_attr_e( 'Hide Notices', 'qala-plugin-manager' ); ?>">
+				<button type="button" role="tab" id="qala-tab-notices" class="nav-tab nav-tab-active" aria-controls="qala-panel-notices" aria-selected="true">
+					<?php esc_html_e( 'Settings', 'qala-plugin-manager' ); ?>
+				</button>
+				<button type="button" role="tab" id="qala-tab-statistics" class="nav-tab" aria-controls="qala-panel-statistics" aria-selected="false" tabindex="-1" data-hash="statistics">
+					<?php esc_html_e( 'Statistics', 'qala-plugin-manager' ); ?>
+				</button>
+			</nav>
+
+			<div id="qala-panel-notices" class="qala-tab-panel" role="tabpanel" aria-labelledby="qala-tab-notices">
+				<form method="post" action="options.php">
+					<?php
+					settings_fields( 'qala_notices' );
+					do_settings_sections( 'qala-hide-notices' );
+					submit_button();
+					?>
+				</form>
+
+				<hr>
+
+				<div class="qala-content-grid">
+					<!-- Notice Log Table -->
+					<div class="qala-section qala-notice-log">
+						<h2><?php esc_html_e( 'Hidden Notices Log', 'qala-plugin-manager' ); ?></h2>
+						<p class="description">
+							<?php esc_html_e( 'Recently hidden admin notices: notice callbacks removed from the hooks, and notices hidden on the page as reported by the browser. Click "Add to Allowlist" to allow a specific notice, or group the log by plugin to allow everything from one plugin.', 'qala-plugin-manager' ); ?>
+						</p>
+
+						<?php if ( empty( $unique_notices ) ) : ?>
+							<p><em><?php esc_html_e( 'No notices have been hidden yet.', 'qala-plugin-manager' ); ?></em></p>
+						<?php else : ?>
+							<div class="qala-log-filters">
+								<label class="screen-reader-text" for="qala-log-search"><?php esc_html_e( 'Search the log', 'qala-plugin-manager' ); ?></label>
+								<input type="search" id="qala-log-search" class="regular-text" placeholder="<?php esc_attr_e( 'Search callbacks and notice text...', 'qala-plugin-manager' ); ?>">
+
+								<label class="screen-reader-text" for="qala-log-hook"><?php esc_html_e( 'Hook', 'qala-plugin-manager' ); ?></label>
+								<select id="qala-log-hook">
+									<option value=""><?php esc_html_e( 'All hooks', 'qala-plugin-manager' ); ?></option>
+									<?php foreach ( $log_filters['hooks'] as $hook ) : ?>
+										<option value="<?php echo esc_attr( $hook ); ?>"><?php echo esc_html( $hook ); ?></option>
+									<?php endforeach; ?>
+								</select>
+
+								<label class="screen-reader-text" for="qala-log-action"><?php esc_html_e( 'Action taken', 'qala-plugin-manager' ); ?></label>
+								<select id="qala-log-action">
+									<option value=""><?php esc_html_e( 'All actions', 'qala-plugin-manager' ); ?></option>
+									<?php foreach ( $log_filters['actions'] as $action ) : ?>
+										<option value="<?php echo esc_attr( $action ); ?>"><?php echo esc_html( $this->get_log_action_label( $action ) ); ?></option>
+									<?php endforeach; ?>
+								</select>
+
+								<label for="qala-log-from"><?php esc_html_e( 'From', 'qala-plugin-manager' ); ?></label>
+								<input type="date" id="qala-log-from">
+								<label for="qala-log-to"><?php esc_html_e( 'To', 'qala-plugin-manager' ); ?></label>
+								<input type="date" id="qala-log-to">
+
+								<label class="qala-log-group-switch">
+									<input type="checkbox" id="qala-log-group-by-plugin">
+									<?php esc_html_e( 'Group by plugin', 'qala-plugin-manager' ); ?>
+								</label>
+							</div>
+
+							<table id="qala-log-table" class="wp-list-table widefat fixed striped">
+								<thead>
 									<tr>
-										<td><code><?php echo esc_html( $notice['callback_name'] ); ?></code></td>
-										<td><?php echo esc_html( $notice['hook_name'] ); ?></td>
-										<td><?php echo esc_html( $notice['last_seen'] ); ?></td>
-										<td>
-											<button
-												type="button"
-												class="button qala-add-to-allowlist"
-												data-pattern="<?php echo esc_attr( $notice['callback_name'] ); ?>"
-												data-pattern-type="exact"
-											>
-												<?php esc_html_e( 'Add to Allowlist', 'qala-plugin-manager' ); ?>
-											</button>
-										</td>
+										<?php
+										$log_columns = [
+											'callback_name' => __( 'Callback Name or Text', 'qala-plugin-manager' ),
+											'hook_name' => __( 'Hook or Screen', 'qala-plugin-manager' ),
+											'action' => __( 'Action', 'qala-plugin-manager' ),
+											'last_seen' => __( 'Last Seen', 'qala-plugin-manager' ),
+										];
+										?>
+										<?php foreach ( $log_columns as $orderby => $label ) : ?>
+											<th scope="col" data-orderby="<?php echo esc_attr( $orderby ); ?>"<?php echo $orderby === 'last_seen' ? ' aria-sort="descending"' : ''; ?>>
+												<button type="button" class="qala-log-sort"><?php echo esc_html( $label ); ?></button>
+											</th>
+										<?php endforeach; ?>
+										<th scope="col"><?php esc_html_e( 'Actions', 'qala-plugin-manager' ); ?></th>
 									</tr>
-								<?php endforeach; ?>
-							</tbody>
-						</table>
-					<?php endif; ?>
-				</div>
+								</thead>
+								<tbody id="qala-log-rows">
+									<?php foreach ( $unique_notices as $notice ) : ?>
+										<?php $this->render_log_row( $notice ); ?>
+									<?php endforeach; ?>
+								</tbody>
+							</table>
+
+							<div class="qala-log-pagination" data-total="<?php echo esc_attr( $log_total ); ?>">
+								<span class="qala-log-status" aria-live="polite">
+									<?php
+									echo esc_html(
+										sprintf(
+											/* translators: 1: current page, 2: number of pages, 3: number of entries */
+											__( 'Page %1$d of %2$d (%3$d entries)', 'qala-plugin-manager' ),
+											1,
+											max( 1, $log_pages ),
+											$log_total
+										)
+									);
+									?>
+								</span>
+								<button type="button" class="button qala-log-page" data-page="prev" disabled>
+									<?php esc_html_e( 'Previous', 'qala-plugin-manager' ); ?>
+								</button>
+								<button type="button" class="button qala-log-page" data-page="next"<?php echo $log_pages <= 1 ? ' disabled' : ''; ?>>
+									<?php esc_html_e( 'Next', 'qala-plugin-manager' ); ?>
+								</button>
+							</div>
 
-				<!-- Allowlist Management -->
-				<div class="qala-section qala-allowlist">
-					<div class="qala-section-header">
-						<h2><?php esc_html_e( 'Allowlist Patterns', 'qala-plugin-manager' ); ?></h2>
-						<?php if ( ! empty( $allowlist_patterns ) ) : ?>
-							<button type="button" id="qala-clear-all-patterns-btn" class="button button-secondary">
-								<?php esc_html_e( 'Clear All Patterns', 'qala-plugin-manager' ); ?>
-							</button>
+							<!-- Filled from GET /log/groups by QalaAdminPage.renderLogGroups() -->
+							<div id="qala-log-groups" class="qala-log-groups" hidden></div>
 						<?php endif; ?>
 					</div>
-					<p class="description">
-						<?php esc_html_e( 'Patterns in this list will NOT be hidden.', 'qala-plugin-manager' ); ?>
-					</p>
-
-					<!-- Add Pattern Form -->
-					<div class="qala-add-pattern-form">
-						<h3><?php esc_html_e( 'Add New Pattern', 'qala-plugin-manager' ); ?></h3>
-						<?php wp_nonce_field( 'qala_add_pattern', 'qala_add_pattern_nonce' ); ?>
-						<div class="qala-form-row">
-							<input
-								type="text"
-								id="qala-new-pattern"
-								class="regular-text"
-								placeholder="<?php esc_attr_e( 'e.g., rocket_*, *Category added*, MyClass::method', 'qala-plugin-manager' ); ?>"
-							/>
-							<select id="qala-pattern-type">
-								<option value="exact"><?php esc_html_e( 'Exact Match', 'qala-plugin-manager' ); ?></option>
-								<option value="wildcard" selected><?php esc_html_e( 'Wildcard (*)', 'qala-plugin-manager' ); ?></option>
-								<option value="regex"><?php esc_html_e( 'Regex', 'qala-plugin-manager' ); ?></option>
-							</select>
-							<button type="button" id="qala-add-pattern-btn" class="button button-primary">
-								<?php esc_html_e( 'Add Pattern', 'qala-plugin-manager' ); ?>
+
+					<!-- Allowlist Management -->
+					<div class="qala-section qala-allowlist">
+						<nav class="nav-tab-wrapper qala-allowlist-tabs" role="tablist" aria-label="<?php esc_attr_e( 'Allowlists', 'qala-plugin-manager' ); ?>">
+							<button type="button" role="tab" id="qala-tab-site" class="nav-tab nav-tab-active" aria-controls="qala-panel-site" aria-selected="true">
+								<?php esc_html_e( 'Site patterns', 'qala-plugin-manager' ); ?>
 							</button>
-						</div>
-						<div id="qala-add-pattern-message" class="qala-message" style="display: none;"></div>
-
-						<div class="qala-pattern-help">
-							<h4><?php esc_html_e( 'Pattern Types', 'qala-plugin-manager' ); ?></h4>
-
-							<div class="qala-pattern-type-help">
-								<strong><?php esc_html_e( '1. Wildcard (*)', 'qala-plugin-manager' ); ?></strong>
-								<p><?php esc_html_e( 'Use * to match any characters. Simple and recommended for most cases.', 'qala-plugin-manager' ); ?></p>
-								<p class="qala-example">
-									<?php esc_html_e( 'Examples:', 'qala-plugin-manager' ); ?>
-									<code>*Category added*</code> - <?php esc_html_e( 'matches any notice containing "Category added"', 'qala-plugin-manager' ); ?><br>
-									<code>*saved successfully*</code> - <?php esc_html_e( 'matches notices with "saved successfully"', 'qala-plugin-manager' ); ?>
-								</p>
+							<button type="button" role="tab" id="qala-tab-mine" class="nav-tab" aria-controls="qala-panel-mine" aria-selected="false" tabindex="-1" data-hash="my-patterns">
+								<?php esc_html_e( 'My patterns', 'qala-plugin-manager' ); ?>
+								<span class="qala-tab-count">(<?php echo esc_html( count( $personal_patterns ) ); ?>)</span>
+							</button>
+						</nav>
+
+						<div id="qala-panel-site" class="qala-tab-panel" role="tabpanel" aria-labelledby="qala-tab-site">
+							<div class="qala-section-header">
+								<h2><?php esc_html_e( 'Allowlist Patterns', 'qala-plugin-manager' ); ?></h2>
+								<?php if ( ! empty( $allowlist_patterns ) ) : ?>
+									<div class="qala-section-actions">
+										<button type="button" id="qala-analyse-patterns-btn" class="button button-secondary">
+											<?php esc_html_e( 'Analyse Allowlist', 'qala-plugin-manager' ); ?>
+										</button>
+										<button type="button" id="qala-export-patterns-btn" class="button button-secondary">
+											<?php esc_html_e( 'Export', 'qala-plugin-manager' ); ?>
+										</button>
+										<button type="button" id="qala-clear-all-patterns-btn" class="button button-secondary">
+											<?php esc_html_e( 'Clear All Patterns', 'qala-plugin-manager' ); ?>
+										</button>
+									</div>
+								<?php endif; ?>
 							</div>
-
-							<div class="qala-pattern-type-help">
-								<strong><?php esc_html_e( '2. Exact Match', 'qala-plugin-manager' ); ?></strong>
-								<p><?php esc_html_e( 'Matches the exact callback function name (for developers).', 'qala-plugin-manager' ); ?></p>
-								<p class="qala-example">
-									<?php esc_html_e( 'Example:', 'qala-plugin-manager' ); ?>
-									<code>MyClass::my_notice_function</code>
+							<p class="description">
+								<?php esc_html_e( 'Patterns in this list will NOT be hidden.', 'qala-plugin-manager' ); ?>
+							</p>
+							<div id="qala-pattern-analysis" class="qala-pattern-analysis" aria-live="polite" hidden></div>
+
+							<!-- Add Pattern Form -->
+							<div class="qala-add-pattern-form">
+								<h3><?php esc_html_e( 'Add New Pattern', 'qala-plugin-manager' ); ?></h3>
+								<?php wp_nonce_field( 'qala_add_pattern', 'qala_add_pattern_nonce' ); ?>
+								<div class="qala-form-row">
+									<input
+										type="text"
+										id="qala-new-pattern"
+										class="regular-text"
+										placeholder="<?php esc_attr_e( 'e.g., rocket_*, *Category added*, MyClass::method', 'qala-plugin-manager' ); ?>"
+									/>
+									<select id="qala-pattern-type">
+										<option value="exact"><?php esc_html_e( 'Exact Match', 'qala-plugin-manager' ); ?></option>
+										<option value="wildcard" selected><?php esc_html_e( 'Wildcard (*)', 'qala-plugin-manager' ); ?></option>
+										<option value="regex"><?php esc_html_e( 'Regex', 'qala-plugin-manager' ); ?></option>
+										<option value="selector"><?php esc_html_e( 'CSS Selector', 'qala-plugin-manager' ); ?></option>
+									</select>
+									<select id="qala-pattern-severity">
+										<option value=""><?php esc_html_e( 'Any severity', 'qala-plugin-manager' ); ?></option>
+										<option value="error"><?php esc_html_e( 'Errors only', 'qala-plugin-manager' ); ?></option>
+										<option value="warning"><?php esc_html_e( 'Warnings only', 'qala-plugin-manager' ); ?></option>
+										<option value="success"><?php esc_html_e( 'Success only', 'qala-plugin-manager' ); ?></option>
+										<option value="info"><?php esc_html_e( 'Info only', 'qala-plugin-manager' ); ?></option>
+									</select>
+									<button type="button" id="qala-add-pattern-btn" class="button button-primary">
+										<?php esc_html_e( 'Add Pattern', 'qala-plugin-manager' ); ?>
+									</button>
+								</div>
+								<div class="qala-form-row qala-scope-row">
+									<label for="qala-pattern-screens"><?php esc_html_e( 'Screens', 'qala-plugin-manager' ); ?></label>
+									<input
+										type="text"
+										id="qala-pattern-screens"
+										class="regular-text"
+										list="qala-screen-suggestions"
+										placeholder="<?php esc_attr_e( 'All screens', 'qala-plugin-manager' ); ?>"
+									/>
+									<datalist id="qala-screen-suggestions">
+										<?php foreach ( $this->get_screen_suggestions() as $screen ) : ?>
+											<option value="<?php echo esc_attr( $screen ); ?>"></option>
+										<?php endforeach; ?>
+									</datalist>
+								</div>
+								<p class="description qala-scope-help">
+									<?php esc_html_e( 'Optional. Comma-separated screen ids or admin URLs, e.g. plugins.php, edit.php?post_type=product. Leave empty to apply everywhere.', 'qala-plugin-manager' ); ?>
 								</p>
+								<div id="qala-add-pattern-message" class="qala-message" style="display: none;"></div>
+								<div id="qala-pattern-preview" class="qala-pattern-preview" aria-live="polite" hidden></div>
+
+								<div class="qala-pattern-help">
+									<h4><?php esc_html_e( 'Pattern Types', 'qala-plugin-manager' ); ?></h4>
+
+									<div class="qala-pattern-type-help">
+										<strong><?php esc_html_e( '1. Wildcard (*)', 'qala-plugin-manager' ); ?></strong>
+										<p><?php esc_html_e( 'Use * to match any characters. Simple and recommended for most cases.', 'qala-plugin-manager' ); ?></p>
+										<p class="qala-example">
+											<?php esc_html_e( 'Examples:', 'qala-plugin-manager' ); ?>
+											<code>*Category added*</code> - <?php esc_html_e( 'matches any notice containing "Category added"', 'qala-plugin-manager' ); ?><br>
+											<code>*saved successfully*</code> - <?php esc_html_e( 'matches notices with "saved successfully"', 'qala-plugin-manager' ); ?>
+										</p>
+									</div>
+
+									<div class="qala-pattern-type-help">
+										<strong><?php esc_html_e( '2. Exact Match', 'qala-plugin-manager' ); ?></strong>
+										<p><?php esc_html_e( 'Matches the exact callback function name (for developers).', 'qala-plugin-manager' ); ?></p>
+										<p class="qala-example">
+											<?php esc_html_e( 'Example:', 'qala-plugin-manager' ); ?>
+											<code>MyClass::my_notice_function</code>
+										</p>
+									</div>
+
+									<div class="qala-pattern-type-help qala-regex-help">
+										<strong><?php esc_html_e( '3. Regex (Advanced)', 'qala-plugin-manager' ); ?></strong>
+										<p><?php esc_html_e( 'Advanced pattern matching using regular expressions. Matches against notice TEXT CONTENT only (not HTML).', 'qala-plugin-manager' ); ?></p>
+
+										<div class="qala-regex-details">
+											<p><strong><?php esc_html_e( 'How it works:', 'qala-plugin-manager' ); ?></strong></p>
+											<ul>
+												<li><?php esc_html_e( 'Delimiters (/) are optional - automatically added if missing', 'qala-plugin-manager' ); ?></li>
+												<li><?php esc_html_e( 'Case-insensitive by default', 'qala-plugin-manager' ); ?></li>
+												<li><?php esc_html_e( 'Matches against TEXT CONTENT (HTML tags are already removed)', 'qala-plugin-manager' ); ?></li>
+											</ul>
+
+											<p><strong><?php esc_html_e( 'Working Examples:', 'qala-plugin-manager' ); ?></strong></p>
+											<p class="qala-example qala-example-good">
+												<code>(added|updated|created)</code> - <?php esc_html_e( 'Match notices with these words', 'qala-plugin-manager' ); ?><br>
+												<code>\b(success|error|warning)\b</code> - <?php esc_html_e( 'Match complete words only', 'qala-plugin-manager' ); ?><br>
+												<code>post.*published</code> - <?php esc_html_e( 'Match "post" followed by "published"', 'qala-plugin-manager' ); ?><br>
+												<code>^Settings saved</code> - <?php esc_html_e( 'Match notices starting with "Settings saved"', 'qala-plugin-manager' ); ?>
+											</p>
+
+											<p><strong><?php esc_html_e( 'Common Mistakes (Don\'t do this):', 'qala-plugin-manager' ); ?></strong></p>
+											<p class="qala-example qala-example-bad">
+												<code>&lt;p&gt;text&lt;/p&gt;</code> - <?php esc_html_e( 'Don\'t use HTML tags (matcher works on text only)', 'qala-plugin-manager' ); ?><br>
+												<code>&lt;\/p&gt;</code> - <?php esc_html_e( 'Don\'t escape forward slashes (causes JavaScript errors)', 'qala-plugin-manager' ); ?><br>
+												<code>/pattern/i</code> - <?php esc_html_e( 'Don\'t add delimiters manually (added automatically)', 'qala-plugin-manager' ); ?>
+											</p>
+
+											<p><strong><?php esc_html_e( 'Tip:', 'qala-plugin-manager' ); ?></strong>
+												<?php esc_html_e( 'If you\'re not familiar with regex, use Wildcard (*) instead - it\'s simpler and works for most cases!', 'qala-plugin-manager' ); ?>
+											</p>
+										</div>
+									</div>
+
+									<div class="qala-pattern-type-help">
+										<strong><?php esc_html_e( '4. CSS Selector', 'qala-plugin-manager' ); ?></strong>
+										<p><?php esc_html_e( 'Matches the notice element by its id or classes instead of its text. Useful when the text is translated or changes.', 'qala-plugin-manager' ); ?></p>
+										<p class="qala-example">
+											<?php esc_html_e( 'Examples:', 'qala-plugin-manager' ); ?>
+											<code>.notice.woocommerce-message</code> - <?php esc_html_e( 'matches notices with the woocommerce-message class', 'qala-plugin-manager' ); ?><br>
+											<code>#yoast-indexation-warning</code> - <?php esc_html_e( 'matches the notice with this id', 'qala-plugin-manager' ); ?>
+										</p>
+									</div>
+								</div>
 							</div>
 
-							<div class="qala-pattern-type-help qala-regex-help">
-								<strong><?php esc_html_e( '3. Regex (Advanced)', 'qala-plugin-manager' ); ?></strong>
-								<p><?php esc_html_e( 'Advanced pattern matching using regular expressions. Matches against notice TEXT CONTENT only (not HTML).', 'qala-plugin-manager' ); ?></p>
-
-								<div class="qala-regex-details">
-									<p><strong><?php esc_html_e( 'How it works:', 'qala-plugin-manager' ); ?></strong></p>
-									<ul>
-										<li><?php esc_html_e( 'Delimiters (/) are optional - automatically added if missing', 'qala-plugin-manager' ); ?></li>
-										<li><?php esc_html_e( 'Case-insensitive by default', 'qala-plugin-manager' ); ?></li>
-										<li><?php esc_html_e( 'Matches against TEXT CONTENT (HTML tags are already removed)', 'qala-plugin-manager' ); ?></li>
-									</ul>
-
-									<p><strong><?php esc_html_e( 'Working Examples:', 'qala-plugin-manager' ); ?></strong></p>
-									<p class="qala-example qala-example-good">
-										<code>(added|updated|created)</code> - <?php esc_html_e( 'Match notices with these words', 'qala-plugin-manager' ); ?><br>
-										<code>\b(success|error|warning)\b</code> - <?php esc_html_e( 'Match complete words only', 'qala-plugin-manager' ); ?><br>
-										<code>post.*published</code> - <?php esc_html_e( 'Match "post" followed by "published"', 'qala-plugin-manager' ); ?><br>
-										<code>^Settings saved</code> - <?php esc_html_e( 'Match notices starting with "Settings saved"', 'qala-plugin-manager' ); ?>
-									</p>
-
-									<p><strong><?php esc_html_e( 'Common Mistakes (Don\'t do this):', 'qala-plugin-manager' ); ?></strong></p>
-									<p class="qala-example qala-example-bad">
-										<code>&lt;p&gt;text&lt;/p&gt;</code> - <?php esc_html_e( 'Don\'t use HTML tags (matcher works on text only)', 'qala-plugin-manager' ); ?><br>
-										<code>&lt;\/p&gt;</code> - <?php esc_html_e( 'Don\'t escape forward slashes (causes JavaScript errors)', 'qala-plugin-manager' ); ?><br>
-										<code>/pattern/i</code> - <?php esc_html_e( 'Don\'t add delimiters manually (added automatically)', 'qala-plugin-manager' ); ?>
-									</p>
-
-									<p><strong><?php esc_html_e( 'Tip:', 'qala-plugin-manager' ); ?></strong>
-										<?php esc_html_e( 'If you\'re not familiar with regex, use Wildcard (*) instead - it\'s simpler and works for most cases!', 'qala-plugin-manager' ); ?>
+							<!-- Import Patterns -->
+							<div class="qala-import-patterns">
+								<h3><?php esc_html_e( 'Import Patterns', 'qala-plugin-manager' ); ?></h3>
+								<div id="qala-import-dropzone" class="qala-import-dropzone">
+									<p>
+										<?php esc_html_e( 'Drop an exported JSON file here, or', 'qala-plugin-manager' ); ?>
+										<label for="qala-import-file" class="qala-import-choose"><?php esc_html_e( 'choose a file', 'qala-plugin-manager' ); ?></label>
 									</p>
+									<input type="file" id="qala-import-file" class="screen-reader-text" accept=".json,application/json" />
 								</div>
+								<div id="qala-import-message" class="qala-message" style="display: none;"></div>
+								<div id="qala-import-preview" class="qala-import-preview" aria-live="polite" hidden></div>
 							</div>
+
+							<!-- Existing Patterns List -->
+							<?php if ( empty( $allowlist_patterns ) ) : ?>
+								<p><em><?php esc_html_e( 'No allowlist patterns configured.', 'qala-plugin-manager' ); ?></em></p>
+							<?php else : ?>
+								<table class="wp-list-table widefat fixed striped qala-patterns-table">
+									<thead>
+										<tr>
+											<th class="qala-pattern-active-column"><?php esc_html_e( 'Active', 'qala-plugin-manager' ); ?></th>
+											<th><?php esc_html_e( 'Pattern', 'qala-plugin-manager' ); ?></th>
+											<th><?php esc_html_e( 'Type', 'qala-plugin-manager' ); ?></th>
+											<th><?php esc_html_e( 'Screens', 'qala-plugin-manager' ); ?></th>
+											<th><?php esc_html_e( 'Actions', 'qala-plugin-manager' ); ?></th>
+										</tr>
+									</thead>
+									<tbody>
+										<?php foreach ( $allowlist_patterns as $pattern ) : ?>
+											<?php
+											$is_active = ! empty( $pattern['is_active'] );
+											// Only regex patterns can time out in the Match Worker
+											$is_unsafe = 'regex' === $pattern['pattern_type'] && $this->allowlist->is_disabled_for_safety( $pattern );
+											?>
+											<tr
+												class="qala-pattern-row<?php echo $is_active ? '' : ' qala-pattern-inactive'; ?><?php echo $is_unsafe ? ' qala-pattern-unsafe' : ''; ?>"
+												data-pattern-id="<?php echo esc_attr( $pattern['id'] ); ?>"
+												data-pattern-type="<?php echo esc_attr( $pattern['pattern_type'] ); ?>"
+											>
+												<td class="qala-pattern-active-column">
+													<label class="qala-pattern-switch">
+														<input
+															type="checkbox"
+															class="qala-toggle-pattern"
+															<?php checked( $is_active ); ?>
+														/>
+														<span class="screen-reader-text">
+															<?php
+															/* translators: %s: allowlist pattern */
+															echo esc_html( sprintf( __( 'Pattern active: %s', 'qala-plugin-manager' ), $pattern['pattern_value'] ) );
+															?>
+														</span>
+													</label>
+												</td>
+												<td class="qala-pattern-value-cell">
+													<code class="qala-pattern-value"><?php echo esc_html( $pattern['pattern_value'] ); ?></code>
+												</td>
+												<td class="qala-pattern-type-cell">
+													<span class="qala-pattern-type qala-type-<?php echo esc_attr( $pattern['pattern_type'] ); ?>">
+														<?php echo esc_html( ucfirst( $pattern['pattern_type'] ) ); ?>
+													</span>
+													<?php if ( ! empty( $pattern['severity'] ) ) : ?>
+														<span class="qala-pattern-severity qala-severity-<?php echo esc_attr( $pattern['severity'] ); ?>">
+															<?php echo esc_html( ucfirst( $pattern['severity'] ) ); ?>
+														</span>
+													<?php endif; ?>
+													<?php if ( $is_unsafe ) : ?>
+														<span class="qala-pattern-safety" title="<?php esc_attr_e( 'This regex kept exceeding its time budget while matching notices, so it is skipped until it is edited or re-enabled.', 'qala-plugin-manager' ); ?>">
+															<?php esc_html_e( 'Disabled for safety', 'qala-plugin-manager' ); ?>
+														</span>
+													<?php endif; ?>
+												</td>
+												<td class="qala-pattern-screens">
+													<?php if ( empty( $pattern['screens'] ) ) : ?>
+														<em><?php esc_html_e( 'All screens', 'qala-plugin-manager' ); ?></em>
+													<?php else : ?>
+														<?php foreach ( explode( ',', $pattern['screens'] ) as $screen ) : ?>
+															<code><?php echo esc_html( $screen ); ?></code>
+														<?php endforeach; ?>
+													<?php endif; ?>
+												</td>
+												<td class="qala-pattern-actions">
+													<?php if ( $is_unsafe ) : ?>
+														<button type="button" class="button qala-enable-pattern-safety">
+															<?php esc_html_e( 'Re-enable', 'qala-plugin-manager' ); ?>
+														</button>
+													<?php endif; ?>
+													<button type="button" class="button qala-edit-pattern">
+														<?php esc_html_e( 'Edit', 'qala-plugin-manager' ); ?>
+													</button>
+													<button
+														type="button"
+														class="button qala-remove-from-allowlist"
+														data-pattern-id="<?php echo esc_attr( $pattern['id'] ); ?>"
+														data-pattern="<?php echo esc_attr( $pattern['pattern_value'] ); ?>"
+													>
+														<?php esc_html_e( 'Remove', 'qala-plugin-manager' ); ?>
+													</button>
+												</td>
+											</tr>
+										<?php endforeach; ?>
+									</tbody>
+								</table>
+							<?php endif; ?>
+						</div>
+
+						<div id="qala-panel-mine" class="qala-tab-panel" role="tabpanel" aria-labelledby="qala-tab-mine" hidden>
+							<?php $this->render_personal_patterns( $personal_patterns ); ?>
 						</div>
 					</div>
+				</div>
+			</div>
 
-					<!-- Existing Patterns List -->
-					<?php if ( empty( $allowlist_patterns ) ) : ?>
-						<p><em><?php esc_html_e( 'No allowlist patterns configured.', 'qala-plugin-manager' ); ?></em></p>
-					<?php else : ?>
-						<table class="wp-list-table widefat fixed striped qala-patterns-table">
-							<thead>
-								<tr>
-									<th><?php esc_html_e( 'Pattern', 'qala-plugin-manager' ); ?></th>
-									<th><?php esc_html_e( 'Type', 'qala-plugin-manager' ); ?></th>
-									<th><?php esc_html_e( 'Actions', 'qala-plugin-manager' ); ?></th>
-								</tr>
-							</thead>
-							<tbody>
-								<?php foreach ( $allowlist_patterns as $pattern ) : ?>
-									<tr>
-										<td><code><?php echo esc_html( $pattern['pattern_value'] ); ?></code></td>
-										<td>
-											<span class="qala-pattern-type qala-type-<?php echo esc_attr( $pattern['pattern_type'] ); ?>">
-												<?php echo esc_html( ucfirst( $pattern['pattern_type'] ) ); ?>
-											</span>
-										</td>
-										<td>
-											<button
-												type="button"
-												class="button qala-remove-from-allowlist"
-												data-pattern="<?php echo esc_attr( $pattern['pattern_value'] ); ?>"
-											>
-												<?php esc_html_e( 'Remove', 'qala-plugin-manager' ); ?>
-											</button>
-										</td>
-									</tr>
-								<?php endforeach; ?>
-							</tbody>
-						</table>
-					<?php endif; ?>
+			<div id="qala-panel-statistics" class="qala-tab-panel" role="tabpanel" aria-labelledby="qala-tab-statistics" hidden>
+				<?php $this->render_statistics(); ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the Statistics tab
+	 *
+	 * Only the period picker and chart containers: the numbers are loaded
+	 * from GET /statistics and drawn by QalaAdminPage.renderStatistics().
+	 *
+	 * @return void
+	 */
+	private function render_statistics(): void {
+		$charts = [
+			'daily' => [
+				__( 'Hidden notices per day', 'qala-plugin-manager' ),
+				__( 'Different notices hidden each day (each notice is logged once a day).', 'qala-plugin-manager' ),
+			],
+			'callbacks' => [
+				__( 'Top callbacks', 'qala-plugin-manager' ),
+				__( 'Notice callbacks removed on the most days.', 'qala-plugin-manager' ),
+			],
+			'plugins' => [
+				__( 'Top plugins', 'qala-plugin-manager' ),
+				__( 'Removed callbacks grouped by namespace or prefix.', 'qala-plugin-manager' ),
+			],
+			'patterns' => [
+				__( 'Allowlist pattern matches', 'qala-plugin-manager' ),
+				__( 'Days each pattern kept a notice callback. Matches in the browser (notice text and selectors) are not logged.', 'qala-plugin-manager' ),
+			],
+		];
+		?>
+		<div class="qala-stats-toolbar">
+			<label for="qala-stats-days"><?php esc_html_e( 'Period', 'qala-plugin-manager' ); ?></label>
+			<select id="qala-stats-days">
+				<option value="7"><?php esc_html_e( 'Last 7 days', 'qala-plugin-manager' ); ?></option>
+				<option value="30" selected><?php esc_html_e( 'Last 30 days', 'qala-plugin-manager' ); ?></option>
+				<option value="90"><?php esc_html_e( 'Last 90 days', 'qala-plugin-manager' ); ?></option>
+			</select>
+			<button type="button" id="qala-stats-refresh" class="button">
+				<?php esc_html_e( 'Refresh', 'qala-plugin-manager' ); ?>
+			</button>
+			<span class="qala-stats-status" aria-live="polite"></span>
+		</div>
+
+		<dl id="qala-stats-totals" class="qala-stats-totals"></dl>
+
+		<div class="qala-stats-grid">
+			<?php foreach ( $charts as $chart => $text ) : ?>
+				<div class="qala-section qala-stats-card">
+					<h2><?php echo esc_html( $text[0] ); ?></h2>
+					<p class="description"><?php echo esc_html( $text[1] ); ?></p>
+					<div id="<?php echo esc_attr( 'qala-stats-' . $chart ); ?>" class="qala-stats-chart"></div>
 				</div>
+			<?php endforeach; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render one Hidden Notices Log row
+	 *
+	 * QalaAdminPage.renderLogRow() builds the same markup for entries
+	 * loaded from GET /log.
+	 *
+	 * @param array $notice Entry from NoticeLogger::get_unique_notices().
+	 *
+	 * @return void
+	 */
+	private function render_log_row( array $notice ): void {
+		$is_content = ( $notice['source'] ?? 'callback' ) === 'content';
+		?>
+		<tr class="<?php echo $is_content ? 'qala-log-content' : 'qala-log-callback'; ?>">
+			<?php if ( $is_content ) : ?>
+				<td>
+					<span class="qala-log-text"><?php echo esc_html( $notice['callback_name'] ); ?></span>
+					<span class="qala-log-source">
+						<?php
+						echo esc_html(
+							sprintf(
+								/* translators: %s: notice severity (error, warning, success, info) */
+								__( 'Page content, %s', 'qala-plugin-manager' ),
+								$notice['severity'] ?: 'info'
+							)
+						);
+						?>
+					</span>
+				</td>
+				<td><?php echo esc_html( $notice['screen'] ?? '' ); ?></td>
+			<?php else : ?>
+				<td><code><?php echo esc_html( $notice['callback_name'] ); ?></code></td>
+				<td><?php echo esc_html( $notice['hook_name'] ); ?></td>
+			<?php endif; ?>
+			<td><?php echo esc_html( $this->get_log_action_label( $notice['action'] ?? 'removed' ) ); ?></td>
+			<td><?php echo esc_html( $notice['last_seen'] ); ?></td>
+			<td>
+				<button
+					type="button"
+					class="button qala-add-to-allowlist"
+					data-pattern="<?php echo esc_attr( $is_content ? $this->build_content_pattern( $notice['callback_name'] ) : $notice['callback_name'] ); ?>"
+					data-pattern-type="<?php echo $is_content ? 'wildcard' : 'exact'; ?>"
+					data-value="<?php echo esc_attr( $notice['callback_name'] ); ?>"
+					data-source="<?php echo $is_content ? 'content' : 'callback'; ?>"
+				>
+					<?php esc_html_e( 'Add to Allowlist', 'qala-plugin-manager' ); ?>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Get the label for an action taken in the log
+	 *
+	 * @param string $action Action (removed, kept_allowlisted, etc).
+	 *
+	 * @return string Label
+	 */
+	private function get_log_action_label( string $action ): string {
+		$labels = $this->get_log_action_labels();
+
+		return $labels[ $action ] ?? ucfirst( str_replace( '_', ' ', $action ) );
+	}
+
+	/**
+	 * Get the labels of known log actions
+	 *
+	 * @return array Labels keyed by action
+	 */
+	private function get_log_action_labels(): array {
+		return [
+			'removed' => __( 'Removed', 'qala-plugin-manager' ),
+			'kept_allowlisted' => __( 'Kept (Allowlisted)', 'qala-plugin-manager' ),
+		];
+	}
+
+	/**
+	 * Build a wildcard content pattern from logged notice text
+	 *
+	 * Same as buildContentPattern() in the content matcher: the start of
+	 * the text, cut at a word boundary, wrapped in wildcards.
+	 *
+	 * @param string $text Notice text.
+	 *
+	 * @return string Wildcard pattern
+	 */
+	private function build_content_pattern( string $text ): string {
+		$max_length = 60;
+		$excerpt = $text;
+
+		if ( mb_strlen( $excerpt ) > $max_length ) {
+			$excerpt = mb_substr( $excerpt, 0, $max_length );
+			$last_space = mb_strrpos( $excerpt, ' ' );
+
+			if ( $last_space ) {
+				$excerpt = mb_substr( $excerpt, 0, $last_space );
+			}
+		}
+
+		return '*' . trim( $excerpt ) . '*';
+	}
+
+	/**
+	 * Render the "My patterns" tab
+	 *
+	 * Personal patterns work like site patterns, but only for the current
+	 * user (see PersonalAllowlist).
+	 *
+	 * @param array $patterns The current user's personal patterns.
+	 *
+	 * @return void
+	 */
+	private function render_personal_patterns( array $patterns ): void {
+		?>
+		<h2><?php esc_html_e( 'My Patterns', 'qala-plugin-manager' ); ?></h2>
+		<p class="description">
+			<?php esc_html_e( 'Notices matching these patterns are shown to you only, on top of the site allowlist. Other users are not affected.', 'qala-plugin-manager' ); ?>
+		</p>
+
+		<div class="qala-add-pattern-form">
+			<h3><?php esc_html_e( 'Add Personal Pattern', 'qala-plugin-manager' ); ?></h3>
+			<div class="qala-form-row">
+				<input
+					type="text"
+					id="qala-my-pattern"
+					class="regular-text"
+					placeholder="<?php esc_attr_e( 'e.g., *Query Monitor*', 'qala-plugin-manager' ); ?>"
+				/>
+				<select id="qala-my-pattern-type">
+					<option value="exact"><?php esc_html_e( 'Exact Match', 'qala-plugin-manager' ); ?></option>
+					<option value="wildcard" selected><?php esc_html_e( 'Wildcard (*)', 'qala-plugin-manager' ); ?></option>
+					<option value="regex"><?php esc_html_e( 'Regex', 'qala-plugin-manager' ); ?></option>
+					<option value="selector"><?php esc_html_e( 'CSS Selector', 'qala-plugin-manager' ); ?></option>
+				</select>
+				<select id="qala-my-pattern-severity">
+					<option value=""><?php esc_html_e( 'Any severity', 'qala-plugin-manager' ); ?></option>
+					<option value="error"><?php esc_html_e( 'Errors only', 'qala-plugin-manager' ); ?></option>
+					<option value="warning"><?php esc_html_e( 'Warnings only', 'qala-plugin-manager' ); ?></option>
+					<option value="success"><?php esc_html_e( 'Success only', 'qala-plugin-manager' ); ?></option>
+					<option value="info"><?php esc_html_e( 'Info only', 'qala-plugin-manager' ); ?></option>
+				</select>
+				<button type="button" id="qala-add-my-pattern-btn" class="button button-primary">
+					<?php esc_html_e( 'Add Pattern', 'qala-plugin-manager' ); ?>
+				</button>
 			</div>
+			<div class="qala-form-row qala-scope-row">
+				<label for="qala-my-pattern-screens"><?php esc_html_e( 'Screens', 'qala-plugin-manager' ); ?></label>
+				<input
+					type="text"
+					id="qala-my-pattern-screens"
+					class="regular-text"
+					list="qala-screen-suggestions"
+					placeholder="<?php esc_attr_e( 'All screens', 'qala-plugin-manager' ); ?>"
+				/>
+			</div>
+			<div id="qala-add-my-pattern-message" class="qala-message" style="display: none;"></div>
 		</div>
+
+		<p class="qala-my-patterns-empty"<?php echo empty( $patterns ) ? '' : ' hidden'; ?>>
+			<em><?php esc_html_e( 'You have no personal patterns.', 'qala-plugin-manager' ); ?></em>
+		</p>
+		<table class="wp-list-table widefat fixed striped qala-my-patterns-table"<?php echo empty( $patterns ) ? ' hidden' : ''; ?>>
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Pattern', 'qala-plugin-manager' ); ?></th>
+					<th><?php esc_html_e( 'Type', 'qala-plugin-manager' ); ?></th>
+					<th><?php esc_html_e( 'Screens', 'qala-plugin-manager' ); ?></th>
+					<th><?php esc_html_e( 'Actions', 'qala-plugin-manager' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php foreach ( $patterns as $pattern ) : ?>
+					<tr class="qala-my-pattern-row" data-pattern-id="<?php echo esc_attr( $pattern['id'] ); ?>">
+						<td><code class="qala-pattern-value"><?php echo esc_html( $pattern['pattern_value'] ); ?></code></td>
+						<td>
+							<span class="qala-pattern-type qala-type-<?php echo esc_attr( $pattern['pattern_type'] ); ?>">
+								<?php echo esc_html( ucfirst( $pattern['pattern_type'] ) ); ?>
+							</span>
+							<?php if ( ! empty( $pattern['severity'] ) ) : ?>
+								<span class="qala-pattern-severity qala-severity-<?php echo esc_attr( $pattern['severity'] ); ?>">
+									<?php echo esc_html( ucfirst( $pattern['severity'] ) ); ?>
+								</span>
+							<?php endif; ?>
+						</td>
+						<td class="qala-pattern-screens">
+							<?php if ( empty( $pattern['screens'] ) ) : ?>
+								<em><?php esc_html_e( 'All screens', 'qala-plugin-manager' ); ?></em>
+							<?php else : ?>
+								<?php foreach ( explode( ',', $pattern['screens'] ) as $screen ) : ?>
+									<code><?php echo esc_html( $screen ); ?></code>
+								<?php endforeach; ?>
+							<?php endif; ?>
+						</td>
+						<td class="qala-pattern-actions">
+							<button type="button" class="button qala-remove-my-pattern">
+								<?php esc_html_e( 'Remove', 'qala-plugin-manager' ); ?>
+							</button>
+						</td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
 		<?php
 	}
 
 	/**
 	 * Localize script for admin page
 	 *
-	 * Provides AJAX data and translations for the admin page JavaScript.
+	 * Provides settings and translations for the admin page JavaScript.
+	 * Requests go through the REST client, which brings its own nonce.
 	 * Note: The combined CSS/JS files are already loaded globally by other classes.
 	 *
 	 * Only localizes on the settings page to avoid unnecessary data on other pages.
@@ -535,17 +1064,18 @@ class AdminPage implements WithHooksInterface {
 			return;
 		}
 
-		// Localize script with AJAX data for admin page functionality
+		// Localize script with settings and strings for admin page functionality
 		wp_localize_script(
 			'qala-plugin-manager',
 			'qalaAdminPage',
 			[
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonces' => [
-					'addPattern' => wp_create_nonce( 'qala_add_pattern' ),
-					'removePattern' => wp_create_nonce( 'qala_remove_pattern' ),
-					'clearAllPatterns' => wp_create_nonce( 'qala_clear_all_patterns' ),
-					'toggle' => wp_create_nonce( 'qala_toggle_notices' ),
+				'logPerPage' => self::LOG_PER_PAGE,
+				'logActions' => $this->get_log_action_labels(),
+				'logGroupTypes' => [
+					'plugin' => __( 'Plugin', 'qala-plugin-manager' ),
+					'mu-plugin' => __( 'Must-use plugin', 'qala-plugin-manager' ),
+					'theme' => __( 'Theme', 'qala-plugin-manager' ),
+					'source' => __( 'Namespace or prefix', 'qala-plugin-manager' ),
 				],
 				'strings' => [
 					'addSuccess' => __( 'Pattern added to allowlist successfully', 'qala-plugin-manager' ),
@@ -554,9 +1084,95 @@ class AdminPage implements WithHooksInterface {
 					'removeError' => __( 'Failed to remove pattern from allowlist', 'qala-plugin-manager' ),
 					'clearAllSuccess' => __( 'All patterns cleared successfully', 'qala-plugin-manager' ),
 					'clearAllError' => __( 'Failed to clear patterns', 'qala-plugin-manager' ),
-					'confirmRemove' => __( 'Are you sure you want to remove this pattern?', 'qala-plugin-manager' ),
-					'confirmClearAll' => __( 'Are you sure you want to clear ALL patterns? This action cannot be undone.', 'qala-plugin-manager' ),
+					'toggleError' => __( 'Failed to update pattern status', 'qala-plugin-manager' ),
+					'debugError' => __( 'Failed to update debug mode', 'qala-plugin-manager' ),
+					'reload' => __( 'Reload', 'qala-plugin-manager' ),
+					'editError' => __( 'Failed to update pattern', 'qala-plugin-manager' ),
+					'editLabel' => __( 'Pattern', 'qala-plugin-manager' ),
+					'typeLabel' => __( 'Pattern type', 'qala-plugin-manager' ),
+					'save' => __( 'Save', 'qala-plugin-manager' ),
+					'cancel' => __( 'Cancel', 'qala-plugin-manager' ),
+					'exportError' => __( 'Failed to export patterns', 'qala-plugin-manager' ),
+					'importInvalidFile' => __( 'This file is not a pattern export.', 'qala-plugin-manager' ),
+					'importError' => __( 'Failed to import patterns', 'qala-plugin-manager' ),
+					/* translators: %d: number of patterns */
+					'importAdded' => __( 'New patterns (%d)', 'qala-plugin-manager' ),
+					/* translators: %d: number of patterns */
+					'importDuplicates' => __( 'Already in the allowlist, skipped (%d)', 'qala-plugin-manager' ),
+					/* translators: %d: number of patterns */
+					'importConflicts' => __( 'Different from the existing pattern (%d)', 'qala-plugin-manager' ),
+					/* translators: %d: number of entries */
+					'importInvalid' => __( '%d invalid entries will be ignored.', 'qala-plugin-manager' ),
+					/* translators: %s: type, severity and state of the existing pattern */
+					'importCurrent' => __( 'currently: %s', 'qala-plugin-manager' ),
+					'importReplace' => __( 'Replace conflicting patterns with the imported version', 'qala-plugin-manager' ),
+					'importReplaceTitle' => __( 'Replace existing patterns?', 'qala-plugin-manager' ),
+					/* translators: %d: number of existing patterns that will be overwritten */
+					'importReplaceConfirm' => __( '%d existing patterns will be overwritten with the imported version.', 'qala-plugin-manager' ),
+					'importReplaceButton' => __( 'Replace patterns', 'qala-plugin-manager' ),
+					'importApply' => __( 'Import', 'qala-plugin-manager' ),
+					'importNothing' => __( 'Nothing to import: every pattern is already in the allowlist.', 'qala-plugin-manager' ),
+					'inactive' => __( 'inactive', 'qala-plugin-manager' ),
+					'patternRemoved' => __( 'Pattern removed.', 'qala-plugin-manager' ),
+					/* translators: %d: number of removed patterns */
+					'patternsRemoved' => __( '%d patterns removed.', 'qala-plugin-manager' ),
+					'undo' => __( 'Undo', 'qala-plugin-manager' ),
+					'undoError' => __( 'Failed to restore patterns', 'qala-plugin-manager' ),
 					'emptyPattern' => __( 'Please enter a pattern', 'qala-plugin-manager' ),
+					'previewLog' => __( 'Hidden Notices Log', 'qala-plugin-manager' ),
+					'logError' => __( 'Failed to load the log', 'qala-plugin-manager' ),
+					'logEmpty' => __( 'No log entries match these filters.', 'qala-plugin-manager' ),
+					/* translators: 1: current page, 2: number of pages, 3: number of entries */
+					'logPage' => __( 'Page %1$d of %2$d (%3$d entries)', 'qala-plugin-manager' ),
+					/* translators: %s: notice severity (error, warning, success, info) */
+					'logContentSource' => __( 'Page content, %s', 'qala-plugin-manager' ),
+					'addToAllowlist' => __( 'Add to Allowlist', 'qala-plugin-manager' ),
+					'logGroupsError' => __( 'Failed to group the log by plugin', 'qala-plugin-manager' ),
+					/* translators: %d: number of log entries */
+					'logGroupEntries' => __( '%d entries', 'qala-plugin-manager' ),
+					'logGroupAllow' => __( 'Allowlist everything from this plugin', 'qala-plugin-manager' ),
+					/* translators: %s: pattern */
+					'logGroupAllowTitle' => __( 'Adds the pattern %s', 'qala-plugin-manager' ),
+					'logGroupNoPattern' => __( 'These notices cannot be allowlisted by plugin. Add them one by one.', 'qala-plugin-manager' ),
+					'statsLoading' => __( 'Loading...', 'qala-plugin-manager' ),
+					'statsError' => __( 'Failed to load statistics', 'qala-plugin-manager' ),
+					/* translators: %s: time the statistics were loaded */
+					'statsUpdated' => __( 'Updated %s', 'qala-plugin-manager' ),
+					'statsEmpty' => __( 'Nothing logged in this period.', 'qala-plugin-manager' ),
+					'statsLogged' => __( 'Log entries', 'qala-plugin-manager' ),
+					'statsRemoved' => __( 'Hidden', 'qala-plugin-manager' ),
+					'statsKept' => __( 'Kept by the allowlist', 'qala-plugin-manager' ),
+					'statsCallbacks' => __( 'Different callbacks', 'qala-plugin-manager' ),
+					/* translators: 1: number of hidden notices, 2: date */
+					'statsDay' => __( '%1$d on %2$s', 'qala-plugin-manager' ),
+					/* translators: %d: number of callbacks */
+					'statsPluginCallbacks' => __( '%d callbacks', 'qala-plugin-manager' ),
+					/* translators: %s: largest value on the chart axis */
+					'statsMax' => __( 'Max %s', 'qala-plugin-manager' ),
+					'previewNotices' => __( 'Notices on this page', 'qala-plugin-manager' ),
+					/* translators: %d: number of matching entries */
+					'previewMatches' => __( '%d matching', 'qala-plugin-manager' ),
+					'previewNoMatches' => __( 'Nothing matches this pattern.', 'qala-plugin-manager' ),
+					/* translators: %s: regex engine error message */
+					'invalidRegex' => __( 'Invalid regex: %s', 'qala-plugin-manager' ),
+					/* translators: %s: selector engine error message */
+					'invalidSelector' => __( 'Invalid CSS selector: %s', 'qala-plugin-manager' ),
+					'lintTitle' => __( 'Save this pattern?', 'qala-plugin-manager' ),
+					'lintSaveAnyway' => __( 'Save anyway', 'qala-plugin-manager' ),
+					'analyseError' => __( 'Failed to analyse the allowlist', 'qala-plugin-manager' ),
+					/* translators: %d: number of patterns checked */
+					'analyseClean' => __( 'No problems found in %d patterns.', 'qala-plugin-manager' ),
+					/* translators: 1: number of patterns with problems, 2: number of patterns checked */
+					'analyseSummary' => __( '%1$d of %2$d patterns need attention.', 'qala-plugin-manager' ),
+					'analyseShow' => __( 'Show in list', 'qala-plugin-manager' ),
+					'close' => __( 'Close', 'qala-plugin-manager' ),
+					'safetyEnabled' => __( 'Pattern re-enabled. It is disabled again if it keeps timing out.', 'qala-plugin-manager' ),
+					'safetyError' => __( 'Failed to re-enable pattern', 'qala-plugin-manager' ),
+					'myPatternAdded' => __( 'Personal pattern added', 'qala-plugin-manager' ),
+					'myPatternRemoved' => __( 'Personal pattern removed.', 'qala-plugin-manager' ),
+					'myPatternError' => __( 'Failed to update your patterns', 'qala-plugin-manager' ),
+					/* translators: %s: regex pattern */
+					'safetyDisabled' => __( 'The regex %s kept exceeding its time budget and was disabled for safety.', 'qala-plugin-manager' ),
 				],
 			]
 		);
@@ -590,6 +1206,8 @@ class AdminPage implements WithHooksInterface {
 		// Get and sanitize input
 		$pattern = isset( $_POST['pattern'] ) ? sanitize_text_field( wp_unslash( $_POST['pattern'] ) ) : '';
 		$pattern_type = isset( $_POST['pattern_type'] ) ? sanitize_text_field( wp_unslash( $_POST['pattern_type'] ) ) : 'exact';
+		$severity = isset( $_POST['severity'] ) ? sanitize_text_field( wp_unslash( $_POST['severity'] ) ) : '';
+		$screens = isset( $_POST['screens'] ) ? sanitize_text_field( wp_unslash( $_POST['screens'] ) ) : '';
 
 		// Validate pattern
 		if ( empty( $pattern ) ) {
@@ -597,17 +1215,21 @@ class AdminPage implements WithHooksInterface {
 			return;
 		}
 
-		// Validate pattern type
+		// Validate pattern type, severity and screen scope
 		$pattern_type = $this->validate_pattern_type( $pattern_type );
+		$severity = $this->validate_severity( $severity );
+		$screens = $this->sanitize_screens( $screens );
 
 		// Add pattern to allowlist
-		$result = $this->allowlist->add_pattern( $pattern, $pattern_type );
+		$result = $this->allowlist->add_pattern( $pattern, $pattern_type, $severity, $screens );
 
 		if ( $result ) {
 			wp_send_json_success( [
 				'message' => __( 'Pattern added to allowlist successfully', 'qala-plugin-manager' ),
 				'pattern' => $pattern,
 				'pattern_type' => $pattern_type,
+				'severity' => $severity,
+				'screens' => $screens,
 			] );
 		} else {
 			wp_send_json_error( [
@@ -725,32 +1347,136 @@ class AdminPage implements WithHooksInterface {
 
 		// Get and sanitize input
 		$enabled = isset( $_POST['enabled'] ) ? sanitize_text_field( wp_unslash( $_POST['enabled'] ) ) : 'no';
+
+		wp_send_json_success( $this->update_notices_enabled( $enabled ) );
+	}
+
+	/**
+	 * Update the global notice hiding toggle
+	 *
+	 * Shared by the legacy AJAX handler and the REST API.
+	 *
+	 * @param mixed $enabled 'yes' to enable notice hiding, anything else disables it.
+	 * @return array Response data: message and the stored value
+	 */
+	public function update_notices_enabled( $enabled ): array {
 		$enabled = $this->sanitize_yes_no( $enabled );
 
-		// Update option
-		$result = update_option( 'qala_notices_enabled', $enabled );
+		update_option( 'qala_notices_enabled', $enabled );
 
 		$message = ( $enabled === 'yes' )
 			? __( 'Notice hiding enabled', 'qala-plugin-manager' )
 			: __( 'Notice hiding disabled', 'qala-plugin-manager' );
 
-		wp_send_json_success( [
+		return [
 			'message' => $message,
 			'enabled' => $enabled,
-		] );
+		];
 	}
 
 	/**
 	 * Validate pattern type
 	 *
-	 * Ensures pattern type is one of: exact, wildcard, regex.
+	 * Ensures pattern type is one of: exact, wildcard, regex, selector.
 	 * Defaults to 'exact' if invalid.
 	 *
 	 * @param mixed $type Pattern type input.
 	 * @return string Valid pattern type
 	 */
 	public function validate_pattern_type( $type ): string {
-		$valid_types = [ 'exact', 'wildcard', 'regex' ];
-		return in_array( $type, $valid_types, true ) ? $type : 'exact';
+		return in_array( $type, AllowlistManager::TYPES, true ) ? $type : 'exact';
+	}
+
+	/**
+	 * Validate severity constraint
+	 *
+	 * Ensures severity is one of: error, warning, success, info.
+	 * Defaults to '' (any severity) if invalid.
+	 *
+	 * @param mixed $severity Severity input.
+	 * @return string Valid severity, or empty string for any
+	 */
+	public function validate_severity( $severity ): string {
+		return in_array( $severity, AllowlistManager::SEVERITIES, true ) ? $severity : '';
+	}
+
+	/**
+	 * Sanitize screen scope
+	 *
+	 * Splits a comma-separated list of screen ids or admin URLs, drops
+	 * entries with characters that cannot appear in either, and removes
+	 * duplicates.
+	 *
+	 * @param mixed $screens Screen scope input.
+	 * @return string Comma-separated screens, or empty string for all screens
+	 */
+	public function sanitize_screens( $screens ): string {
+		if ( ! is_string( $screens ) ) {
+			return '';
+		}
+
+		$entries = array_filter(
+			array_map( 'trim', explode( ',', $screens ) ),
+			function ( $entry ) {
+				return (bool) preg_match( '/^[A-Za-z0-9_\-.?=&]+$/', $entry );
+			}
+		);
+
+		return implode( ',', array_unique( $entries ) );
+	}
+
+	/**
+	 * Sanitize one pattern from an import file
+	 *
+	 * Accepts the export format (value, type, severity, screens, active)
+	 * and applies the same validation as patterns added one at a time.
+	 * Screens may be an array or a comma-separated string.
+	 *
+	 * @param mixed $entry Pattern entry from the import file.
+	 * @return array|null Pattern with pattern_value, pattern_type, severity, screens and is_active, or null if unusable
+	 */
+	public function sanitize_import_pattern( $entry ): ?array {
+		if ( ! is_array( $entry ) || ! isset( $entry['value'] ) || ! is_string( $entry['value'] ) ) {
+			return null;
+		}
+
+		$value = trim( sanitize_text_field( $entry['value'] ) );
+		if ( $value === '' ) {
+			return null;
+		}
+
+		$screens = $entry['screens'] ?? '';
+		if ( is_array( $screens ) ) {
+			$screens = implode( ',', array_filter( $screens, 'is_string' ) );
+		}
+
+		return [
+			'pattern_value' => $value,
+			'pattern_type' => $this->validate_pattern_type( $entry['type'] ?? 'exact' ),
+			'severity' => $this->validate_severity( $entry['severity'] ?? '' ),
+			'screens' => $this->sanitize_screens( $screens ),
+			'is_active' => ! isset( $entry['active'] ) || (bool) $entry['active'],
+		];
+	}
+
+	/**
+	 * Get screens suggested in the scope field
+	 *
+	 * @return array Admin URLs and screen ids
+	 */
+	private function get_screen_suggestions(): array {
+		return [
+			'dashboard',
+			'plugins.php',
+			'themes.php',
+			'update-core.php',
+			'edit.php',
+			'edit.php?post_type=page',
+			'edit.php?post_type=product',
+			'upload.php',
+			'users.php',
+			'options-general.php',
+			'settings_page_qala-hide-notices',
+		];
 	}
 }
@@ -15,15 +15,26 @@ namespace QalaPluginManager\NoticeManagement;
  * Class AllowlistManager
  *
  * Manages the allowlist database table and provides pattern matching capabilities.
- * Supports exact matches, wildcard patterns, and regular expressions.
+ * Supports exact matches, wildcard patterns, regular expressions and CSS selectors.
  *
  * Database table: wp_qala_notice_allowlist
- * Fields: id, pattern_value, pattern_type (exact/wildcard/regex), is_active, created_by, created_at, updated_at
+ * Fields: id, pattern_value, pattern_type (exact/wildcard/regex/selector), severity, screens, is_active, created_by, created_at, updated_at
  *
  * Pattern Types:
  * - exact: 'rocket_bad_deactivations' matches exactly
  * - wildcard: 'rocket_*' converts to regex /^rocket_.*$/
  * - regex: '/^rocket_.*$/' used as-is
+ * - selector: '.notice.woocommerce-message' matches notice markup in the browser only
+ *
+ * Severity:
+ * A pattern may be limited to notices of one severity (error, warning,
+ * success, info). Severity is read from the rendered notice's classes, so
+ * it is enforced in the browser; callback matching ignores it.
+ *
+ * Screen scope:
+ * A pattern may be limited to a comma-separated list of admin screens,
+ * given as screen ids ('plugins', 'edit-product') or admin URLs
+ * ('plugins.php', 'edit.php?post_type=product'). Empty means every screen.
  *
  * @since 1.0.0
  */
@@ -50,6 +61,29 @@ class AllowlistManager {
 	 */
 	private const CACHE_EXPIRATION = 3600;
 
+	/**
+	 * Notice severities a pattern can be limited to
+	 *
+	 * @var string[]
+	 */
+	public const SEVERITIES = [ 'error', 'warning', 'success', 'info' ];
+
+	/**
+	 * Supported pattern types
+	 *
+	 * @var string[]
+	 */
+	public const TYPES = [ 'exact', 'wildcard', 'regex', 'selector' ];
+
+	/**
+	 * Option holding the patterns disabled for safety
+	 *
+	 * Pattern ID => [ 'value' => pattern value when disabled, 'time' => timestamp ]
+	 *
+	 * @var string
+	 */
+	private const SAFETY_OPTION = 'qala_allowlist_disabled_for_safety';
+
 	/**
 	 * Get the full table name with WordPress prefix
 	 *
@@ -85,24 +119,21 @@ class AllowlistManager {
 	 * which notices should be shown despite global hiding.
 	 *
 	 * For regex patterns: automatically adds delimiters (/) if missing.
+	 * For selector patterns: rejects values that cannot be a CSS selector.
 	 *
-	 * @param string $pattern The pattern value (function name, wildcard, or regex).
-	 * @param string $type Pattern type: 'exact', 'wildcard', or 'regex'. Defaults to 'exact'.
+	 * @param string $pattern The pattern value (function name, wildcard, regex, or CSS selector).
+	 * @param string $type Pattern type: 'exact', 'wildcard', 'regex', or 'selector'. Defaults to 'exact'.
+	 * @param string $severity Limit the pattern to one notice severity. Empty for any severity.
+	 * @param string $screens Comma-separated screens the pattern applies to. Empty for all screens.
 	 *
 	 * @return bool True on success, false on failure.
 	 */
-	public function add_pattern( string $pattern, string $type = 'exact' ): bool {
+	public function add_pattern( string $pattern, string $type = 'exact', string $severity = '', string $screens = '' ): bool {
 		global $wpdb;
 
-		// Process regex patterns before adding
-		if ( $type === 'regex' ) {
-			// Add delimiters if missing
-			$pattern = $this->normalize_regex( $pattern );
-
-			// Validate regex pattern
-			if ( ! $this->is_valid_regex( $pattern ) ) {
-				return false;
-			}
+		$pattern = $this->prepare_pattern_value( $pattern, $type, $severity );
+		if ( $pattern === null ) {
+			return false;
 		}
 
 		$result = $wpdb->insert(
@@ -110,12 +141,14 @@ class AllowlistManager {
 			[
 				'pattern_value' => $pattern,
 				'pattern_type' => $type,
+				'severity' => $severity !== '' ? $severity : null,
+				'screens' => $screens !== '' ? $screens : null,
 				'is_active' => 1,
 				'created_by' => get_current_user_id(),
 				'created_at' => current_time( 'mysql', true ),
 				'updated_at' => current_time( 'mysql', true ),
 			],
-			[ '%s', '%s', '%d', '%d', '%s', '%s' ]
+			[ '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s' ]
 		);
 
 		// Clear cache after modification
@@ -124,6 +157,85 @@ class AllowlistManager {
 		return (bool) $result;
 	}
 
+	/**
+	 * Get the ID of the pattern inserted by the last add_pattern() call
+	 *
+	 * @return int Pattern ID, or 0 if nothing was inserted
+	 */
+	public function get_inserted_id(): int {
+		global $wpdb;
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Get a single pattern by ID, active or not
+	 *
+	 * Not cached: used for single-pattern API requests only.
+	 *
+	 * @param int $id Pattern ID.
+	 *
+	 * @return array|null Pattern record (same fields as get_all_patterns()), or null if not found.
+	 */
+	public function get_pattern( int $id ): ?array {
+		global $wpdb;
+
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT id, pattern_value, pattern_type, severity, screens, is_active
+				FROM {$this->get_table_name()}
+				WHERE id = %d",
+				$id
+			),
+			ARRAY_A
+		);
+
+		return $row ? $row : null;
+	}
+
+	/**
+	 * Update a pattern's value, type, severity and screen scope
+	 *
+	 * Applies the same normalization and validation as add_pattern().
+	 * Active status is changed with activate_pattern() / deactivate_pattern().
+	 *
+	 * @param int    $id Pattern ID to update.
+	 * @param string $pattern The pattern value.
+	 * @param string $type Pattern type: 'exact', 'wildcard', 'regex', or 'selector'.
+	 * @param string $severity Limit the pattern to one notice severity. Empty for any severity.
+	 * @param string $screens Comma-separated screens the pattern applies to. Empty for all screens.
+	 *
+	 * @return bool True on success (including no changes), false on failure.
+	 */
+	public function update_pattern( int $id, string $pattern, string $type = 'exact', string $severity = '', string $screens = '' ): bool {
+		global $wpdb;
+
+		$pattern = $this->prepare_pattern_value( $pattern, $type, $severity );
+		if ( $pattern === null ) {
+			return false;
+		}
+
+		$result = $wpdb->update(
+			$this->get_table_name(),
+			[
+				'pattern_value' => $pattern,
+				'pattern_type' => $type,
+				'severity' => $severity !== '' ? $severity : null,
+				'screens' => $screens !== '' ? $screens : null,
+				'updated_at' => current_time( 'mysql', true ),
+			],
+			[ 'id' => $id ],
+			[ '%s', '%s', '%s', '%s', '%s' ],
+			[ '%d' ]
+		);
+
+		// Clear cache after modification
+		$this->clear_cache();
+
+		// Returns number of rows affected (0 when unchanged), false on error
+		return $result !== false;
+	}
+
 	/**
 	 * Remove a pattern from the allowlist by ID
 	 *
@@ -201,22 +313,40 @@ class AllowlistManager {
 	 * Returns all patterns that are currently active. Results are cached
 	 * for performance using WordPress transients.
 	 *
+	 * Deactivated patterns are only included on request (for the settings
+	 * page list); that query is not cached.
+	 *
+	 * @param bool $include_inactive Also return deactivated patterns.
+	 *
 	 * @return array Array of pattern records, each containing:
 	 *               - id: Pattern ID
 	 *               - pattern_value: The pattern string
-	 *               - pattern_type: Type (exact/wildcard/regex)
-	 *               - is_active: Active status (always 1 for results)
+	 *               - pattern_type: Type (exact/wildcard/regex/selector)
+	 *               - severity: Severity constraint, or null for any
+	 *               - screens: Comma-separated screen scope, or null for all
+	 *               - is_active: Active status (always 1 unless $include_inactive)
 	 */
-	public function get_all_patterns(): array {
+	public function get_all_patterns( bool $include_inactive = false ): array {
+		global $wpdb;
+
+		if ( $include_inactive ) {
+			$results = $wpdb->get_results(
+				"SELECT id, pattern_value, pattern_type, severity, screens, is_active
+				FROM {$this->get_table_name()}
+				ORDER BY created_at DESC",
+				ARRAY_A
+			);
+
+			return $results ?? [];
+		}
+
 		// Check cache first
 		$cached = get_transient( $this->get_cache_key() );
 		if ( false !== $cached ) {
 			return $cached;
 		}
 
-		global $wpdb;
-
-		$query = "SELECT id, pattern_value, pattern_type, is_active
+		$query = "SELECT id, pattern_value, pattern_type, severity, screens, is_active
 		          FROM {$this->get_table_name()}
 		          WHERE is_active = 1
 		          ORDER BY created_at DESC";
@@ -238,7 +368,8 @@ class AllowlistManager {
 	 *
 	 * Iterates through all active patterns and checks if the given
 	 * callback name matches any of them. Supports exact matches,
-	 * wildcard patterns, and regular expressions.
+	 * wildcard patterns, and regular expressions. Patterns scoped to
+	 * other screens are skipped.
 	 *
 	 * @param string $callback_name The callback name to check.
 	 *
@@ -248,6 +379,10 @@ class AllowlistManager {
 		$patterns = $this->get_all_patterns();
 
 		foreach ( $patterns as $pattern ) {
+			if ( ! $this->matches_screen_scope( $pattern['screens'] ?? '' ) ) {
+				continue;
+			}
+
 			if ( $this->matches_pattern( $callback_name, $pattern['pattern_value'], $pattern['pattern_type'] ) ) {
 				return true;
 			}
@@ -256,12 +391,191 @@ class AllowlistManager {
 		return false;
 	}
 
+	/**
+	 * Count how often each active pattern matched a logged notice
+	 *
+	 * Each callback or notice text counts for the first pattern it
+	 * matches, the one matches_allowlist() and the browser stop at.
+	 * Callbacks are matched by name; the log has no screen for them, so
+	 * screen scopes are not checked. Notice texts are matched the way
+	 * NoticeContentMatcher does (see matches_content()), within the
+	 * pattern's severity and screen scope. Selectors need the notice
+	 * markup, which is not logged, and count 0.
+	 *
+	 * @param array $callback_counts Counts keyed by callback name (see NoticeLogger::get_callback_counts()).
+	 * @param array $content_counts Notice texts with their count (see NoticeLogger::get_content_counts()).
+	 *
+	 * @return array Active patterns with their count: id, pattern_value, pattern_type, matches
+	 */
+	public function count_pattern_matches( array $callback_counts, array $content_counts = [] ): array {
+		$patterns = $this->get_all_patterns();
+		$matches = array_fill( 0, count( $patterns ), 0 );
+
+		foreach ( $callback_counts as $callback_name => $count ) {
+			foreach ( $patterns as $index => $pattern ) {
+				if ( $this->matches_pattern( (string) $callback_name, $pattern['pattern_value'], $pattern['pattern_type'] ) ) {
+					$matches[ $index ] += (int) $count;
+					break;
+				}
+			}
+		}
+
+		foreach ( $content_counts as $entry ) {
+			foreach ( $patterns as $index => $pattern ) {
+				if ( ! empty( $pattern['severity'] ) && $pattern['severity'] !== $entry['severity'] ) {
+					continue;
+				}
+
+				if ( ! $this->matches_logged_screen( $pattern['screens'] ?? '', $entry['screen'] ) ) {
+					continue;
+				}
+
+				if ( $this->matches_content( $entry['text'], $pattern['pattern_value'], $pattern['pattern_type'] ) ) {
+					$matches[ $index ] += (int) $entry['count'];
+					break;
+				}
+			}
+		}
+
+		return array_map(
+			function ( $pattern, $count ) {
+				return [
+					'id' => (int) $pattern['id'],
+					'pattern_value' => $pattern['pattern_value'],
+					'pattern_type' => $pattern['pattern_type'],
+					'matches' => $count,
+				];
+			},
+			$patterns,
+			$matches
+		);
+	}
+
+	/**
+	 * Count the log entries each pattern would match
+	 *
+	 * Previews patterns before they are saved. Callback entries are matched
+	 * by callback name, like NoticeFilter does. Content entries are matched
+	 * by their text (the first 255 characters), like NoticeContentMatcher
+	 * does in the browser, where wildcards and regexes ignore case.
+	 * Selectors need the notice markup, which is not logged, and match
+	 * nothing.
+	 *
+	 * @param array $entries Entries from NoticeLogger::get_unique_notices().
+	 * @param array $patterns Patterns to count: { pattern, type }.
+	 *
+	 * @return int[] Number of matching entries per pattern, in the same order
+	 */
+	public function count_log_matches( array $entries, array $patterns ): array {
+		return array_map(
+			function ( $pattern ) use ( $entries ) {
+				$value = $pattern['type'] === 'regex' ? $this->normalize_regex( $pattern['pattern'] ) : $pattern['pattern'];
+				$matches = 0;
+
+				foreach ( $entries as $entry ) {
+					$name = (string) $entry['callback_name'];
+					$matched = ( $entry['source'] ?? 'callback' ) === 'content'
+						? $this->matches_content( $name, $value, $pattern['type'] )
+						: $this->matches_pattern( $name, $value, $pattern['type'] );
+
+					if ( $matched ) {
+						$matches++;
+					}
+				}
+
+				return $matches;
+			},
+			$patterns
+		);
+	}
+
+	/**
+	 * Check if the current admin screen is within a pattern's scope
+	 *
+	 * Each entry is either a screen id ('edit-product') or an admin URL
+	 * ('edit.php?post_type=product'). URL entries match when the current
+	 * file is the same and every query argument they list is present
+	 * with the same value.
+	 *
+	 * @param string|null $screens Comma-separated scope, empty for all screens.
+	 *
+	 * @return bool True if the pattern applies on the current screen.
+	 */
+	private function matches_screen_scope( ?string $screens ): bool {
+		if ( empty( $screens ) ) {
+			return true;
+		}
+
+		global $pagenow;
+
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+		$screen_id = $screen ? $screen->id : '';
+
+		foreach ( explode( ',', $screens ) as $entry ) {
+			if ( $entry === $screen_id || $this->matches_screen_url( $entry, (string) $pagenow ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check if a logged screen is within a pattern's scope
+	 *
+	 * The log keeps the screen id only, so admin URL scope entries
+	 * ('edit.php?post_type=product') cannot be checked and do not match.
+	 *
+	 * @param string|null $screens Comma-separated scope, empty for all screens.
+	 * @param string      $screen_id Screen id the notice was logged on.
+	 *
+	 * @return bool True if the pattern applies on the logged screen.
+	 */
+	private function matches_logged_screen( ?string $screens, string $screen_id ): bool {
+		if ( empty( $screens ) ) {
+			return true;
+		}
+
+		return $screen_id !== '' && in_array( $screen_id, explode( ',', $screens ), true );
+	}
+
+	/**
+	 * Check if an admin URL scope entry matches the current request
+	 *
+	 * @param string $entry Scope entry, e.g. 'edit.php?post_type=product'.
+	 * @param string $pagenow Current admin file, e.g. 'edit.php'.
+	 *
+	 * @return bool True if the file and listed query arguments match.
+	 */
+	private function matches_screen_url( string $entry, string $pagenow ): bool {
+		$parts = explode( '?', $entry, 2 );
+
+		if ( $parts[0] !== $pagenow ) {
+			return false;
+		}
+
+		if ( empty( $parts[1] ) ) {
+			return true;
+		}
+
+		parse_str( $parts[1], $args );
+
+		foreach ( $args as $key => $value ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only comparison.
+			if ( ! isset( $_GET[ $key ] ) || sanitize_text_field( wp_unslash( $_GET[ $key ] ) ) !== $value ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
 	/**
 	 * Check if a callback matches a specific pattern
 	 *
 	 * @param string $callback_name The callback name to check.
 	 * @param string $pattern The pattern to match against.
-	 * @param string $pattern_type The type of pattern (exact/wildcard/regex).
+	 * @param string $pattern_type The type of pattern (exact/wildcard/regex/selector).
 	 *
 	 * @return bool True if callback matches the pattern, false otherwise.
 	 */
@@ -276,11 +590,62 @@ class AllowlistManager {
 			case 'regex':
 				return $this->matches_regex( $callback_name, $pattern );
 
+			case 'selector':
+				// Selectors match rendered notice markup (see NoticeContentMatcher), never callbacks
+				return false;
+
 			default:
 				return false;
 		}
 	}
 
+	/**
+	 * Check if notice text matches a pattern the way the browser does
+	 *
+	 * Same as NoticeContentMatcher.matchesPattern() for text: wildcards are
+	 * anchored, and wildcards and regexes ignore case.
+	 *
+	 * @param string $text Notice text.
+	 * @param string $pattern The pattern (regex with delimiters).
+	 * @param string $pattern_type The type of pattern (exact/wildcard/regex/selector).
+	 *
+	 * @return bool True if the text matches the pattern, false otherwise.
+	 */
+	private function matches_content( string $text, string $pattern, string $pattern_type ): bool {
+		if ( $pattern_type === 'wildcard' ) {
+			$regex = '/^' . str_replace( '\*', '.*', preg_quote( $pattern, '/' ) ) . '$/iu';
+
+			return (bool) preg_match( $regex, $text );
+		}
+
+		if ( $pattern_type === 'regex' ) {
+			return $this->matches_regex( $text, $this->add_regex_modifier( $pattern, 'i' ) );
+		}
+
+		return $this->matches_pattern( $text, $pattern, $pattern_type );
+	}
+
+	/**
+	 * Add a modifier to a delimited regex
+	 *
+	 * The browser always compiles content regexes with the i flag (see
+	 * NoticeContentMatcher.compileRegex()), whatever flags were saved.
+	 *
+	 * @param string $regex Regex with delimiters.
+	 * @param string $modifier Single modifier, e.g. 'i'.
+	 *
+	 * @return string Regex with the modifier, or unchanged if it has no closing delimiter
+	 */
+	private function add_regex_modifier( string $regex, string $modifier ): string {
+		$end = $regex === '' ? false : strrpos( $regex, $regex[0] );
+
+		if ( ! $end || strpos( substr( $regex, $end + 1 ), $modifier ) !== false ) {
+			return $regex;
+		}
+
+		return $regex . $modifier;
+	}
+
 	/**
 	 * Check if callback matches a wildcard pattern
 	 *
@@ -332,7 +697,7 @@ class AllowlistManager {
 	 *
 	 * @return string Normalized regex with delimiters.
 	 */
-	private function normalize_regex( string $pattern ): string {
+	public function normalize_regex( string $pattern ): string {
 		$pattern = trim( $pattern );
 
 		// Check if pattern already has delimiters
@@ -363,6 +728,63 @@ class AllowlistManager {
 		return @preg_match( $pattern, null ) !== false;
 	}
 
+	/**
+	 * Validate if a string can be a CSS selector
+	 *
+	 * PHP has no selector parser, so this only rejects values that would
+	 * break out of a selector: declaration blocks, markup, and unbalanced
+	 * brackets or parentheses. Full validation happens in the browser.
+	 *
+	 * @param string $pattern The selector to validate.
+	 *
+	 * @return bool True if the value looks like a selector, false otherwise.
+	 */
+	private function is_valid_selector( string $pattern ): bool {
+		$pattern = trim( $pattern );
+
+		if ( $pattern === '' || preg_match( '/[{};<]/', $pattern ) ) {
+			return false;
+		}
+
+		return substr_count( $pattern, '[' ) === substr_count( $pattern, ']' )
+			&& substr_count( $pattern, '(' ) === substr_count( $pattern, ')' );
+	}
+
+	/**
+	 * Normalize and validate a pattern before it is stored
+	 *
+	 * For regex patterns: adds delimiters (/) if missing, then validates.
+	 * For selector patterns: rejects values that cannot be a CSS selector.
+	 *
+	 * @param string $pattern The pattern value.
+	 * @param string $type Pattern type.
+	 * @param string $severity Severity constraint, or empty for any.
+	 *
+	 * @return string|null Pattern value to store, or null if invalid.
+	 */
+	public function prepare_pattern_value( string $pattern, string $type, string $severity ): ?string {
+		// Process regex patterns before storing
+		if ( $type === 'regex' ) {
+			// Add delimiters if missing
+			$pattern = $this->normalize_regex( $pattern );
+
+			// Validate regex pattern
+			if ( ! $this->is_valid_regex( $pattern ) ) {
+				return null;
+			}
+		}
+
+		if ( $type === 'selector' && ! $this->is_valid_selector( $pattern ) ) {
+			return null;
+		}
+
+		if ( $severity !== '' && ! in_array( $severity, self::SEVERITIES, true ) ) {
+			return null;
+		}
+
+		return $pattern;
+	}
+
 	/**
 	 * Activate a pattern by ID
 	 *
@@ -423,4 +845,212 @@ class AllowlistManager {
 		// Returns number of rows affected, convert to boolean
 		return $result > 0;
 	}
+
+	/**
+	 * Disable a regex pattern that keeps timing out in the browser
+	 *
+	 * Reported by the notice matcher's worker. The pattern stays in the
+	 * allowlist but is no longer sent to the browser until it is edited
+	 * (the flag only holds for the value that timed out) or re-enabled.
+	 *
+	 * @param int $id Pattern ID.
+	 *
+	 * @return bool True if the pattern is disabled, false if it is not a regex pattern.
+	 */
+	public function disable_for_safety( int $id ): bool {
+		$pattern = $this->get_pattern( $id );
+
+		// Only regex patterns run in the worker, so only they can time out
+		if ( $pattern === null || $pattern['pattern_type'] !== 'regex' ) {
+			return false;
+		}
+
+		if ( $this->is_disabled_for_safety( $pattern ) ) {
+			return true;
+		}
+
+		$flags = $this->get_safety_flags();
+		$flags[ $id ] = [
+			'value' => $pattern['pattern_value'],
+			'time' => time(),
+		];
+
+		return update_option( self::SAFETY_OPTION, $flags, false );
+	}
+
+	/**
+	 * Re-enable a pattern that was disabled for safety
+	 *
+	 * @param int $id Pattern ID.
+	 *
+	 * @return bool True on success (including patterns that were not disabled).
+	 */
+	public function enable_after_safety( int $id ): bool {
+		$flags = $this->get_safety_flags();
+
+		if ( ! isset( $flags[ $id ] ) ) {
+			return true;
+		}
+
+		unset( $flags[ $id ] );
+
+		return update_option( self::SAFETY_OPTION, $flags, false );
+	}
+
+	/**
+	 * Check if a pattern is disabled for safety
+	 *
+	 * @param array $pattern Pattern record.
+	 *
+	 * @return bool True if the pattern's current value timed out in the browser
+	 */
+	public function is_disabled_for_safety( array $pattern ): bool {
+		$flags = $this->get_safety_flags();
+		$id = (int) ( $pattern['id'] ?? 0 );
+
+		return isset( $flags[ $id ]['value'] ) && $flags[ $id ]['value'] === $pattern['pattern_value'];
+	}
+
+	/**
+	 * Get the stored safety flags
+	 *
+	 * @return array Pattern ID => [ 'value', 'time' ]
+	 */
+	private function get_safety_flags(): array {
+		$flags = get_option( self::SAFETY_OPTION, [] );
+
+		return is_array( $flags ) ? $flags : [];
+	}
+
+	/**
+	 * Compare patterns against the allowlist
+	 *
+	 * Patterns are matched by value. A pattern is a duplicate when a pattern
+	 * with the same value, type, severity, screens and active state exists
+	 * (or appears earlier in the list), and a conflict when the value exists
+	 * with different settings.
+	 *
+	 * @param array $patterns Patterns with pattern_value, pattern_type, severity, screens and is_active.
+	 *
+	 * @return array {
+	 *     @type array $added      Patterns not in the allowlist yet.
+	 *     @type array $duplicates Patterns already in the allowlist unchanged.
+	 *     @type array $conflicts  Entries of [ 'pattern' => imported, 'existing' => stored record ].
+	 * }
+	 */
+	public function diff_patterns( array $patterns ): array {
+		$existing = [];
+		foreach ( $this->get_all_patterns( true ) as $record ) {
+			$existing[ $record['pattern_value'] ] = $record;
+		}
+
+		$diff = [
+			'added' => [],
+			'duplicates' => [],
+			'conflicts' => [],
+		];
+		$seen = [];
+
+		foreach ( $patterns as $pattern ) {
+			if ( $pattern['pattern_type'] === 'regex' ) {
+				$pattern['pattern_value'] = $this->normalize_regex( $pattern['pattern_value'] );
+			}
+
+			$value = $pattern['pattern_value'];
+
+			if ( isset( $seen[ $value ] ) ) {
+				$diff['duplicates'][] = $pattern;
+				continue;
+			}
+
+			$seen[ $value ] = true;
+
+			if ( ! isset( $existing[ $value ] ) ) {
+				$diff['added'][] = $pattern;
+			} elseif ( $this->is_same_pattern( $pattern, $existing[ $value ] ) ) {
+				$diff['duplicates'][] = $pattern;
+			} else {
+				$diff['conflicts'][] = [
+					'pattern' => $pattern,
+					'existing' => $existing[ $value ],
+				];
+			}
+		}
+
+		return $diff;
+	}
+
+	/**
+	 * Import patterns into the allowlist
+	 *
+	 * New patterns are added, duplicates are skipped and conflicting
+	 * patterns are overwritten only when $replace_conflicts is true.
+	 *
+	 * @param array $patterns Patterns with pattern_value, pattern_type, severity, screens and is_active.
+	 * @param bool  $replace_conflicts Overwrite existing patterns with the same value.
+	 *
+	 * @return array Counts: added, updated, skipped, failed
+	 */
+	public function import_patterns( array $patterns, bool $replace_conflicts = false ): array {
+		$diff = $this->diff_patterns( $patterns );
+		$result = [
+			'added' => 0,
+			'updated' => 0,
+			'skipped' => count( $diff['duplicates'] ),
+			'failed' => 0,
+		];
+
+		foreach ( $diff['added'] as $pattern ) {
+			if ( ! $this->add_pattern( $pattern['pattern_value'], $pattern['pattern_type'], $pattern['severity'], $pattern['screens'] ) ) {
+				$result['failed']++;
+				continue;
+			}
+
+			if ( ! $pattern['is_active'] ) {
+				$this->deactivate_pattern( $this->get_inserted_id() );
+			}
+
+			$result['added']++;
+		}
+
+		foreach ( $diff['conflicts'] as $conflict ) {
+			if ( ! $replace_conflicts ) {
+				$result['skipped']++;
+				continue;
+			}
+
+			$pattern = $conflict['pattern'];
+			$id = (int) $conflict['existing']['id'];
+
+			if ( ! $this->update_pattern( $id, $pattern['pattern_value'], $pattern['pattern_type'], $pattern['severity'], $pattern['screens'] ) ) {
+				$result['failed']++;
+				continue;
+			}
+
+			if ( $pattern['is_active'] ) {
+				$this->activate_pattern( $id );
+			} else {
+				$this->deactivate_pattern( $id );
+			}
+
+			$result['updated']++;
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Check whether an imported pattern matches a stored record exactly
+	 *
+	 * @param array $pattern Imported pattern.
+	 * @param array $record Stored pattern record.
+	 *
+	 * @return bool True if type, severity, screens and active state are equal
+	 */
+	private function is_same_pattern( array $pattern, array $record ): bool {
+		return $pattern['pattern_type'] === $record['pattern_type']
+			&& $pattern['severity'] === (string) $record['severity']
+			&& $pattern['screens'] === (string) $record['screens']
+			&& $pattern['is_active'] === (bool) $record['is_active'];
+	}
 }
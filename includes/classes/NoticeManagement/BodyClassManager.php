@@ -16,6 +16,7 @@
  * - qala-notices-visible: When notices should be visible
  * - qala-has-full-access: When user has qala_full_access capability
  * - qala-no-full-access: When user doesn't have capability
+ * - qala-show-errors: When error notices must never be hidden
  *
  * @package QalaPluginManager
  * @subpackage NoticeManagement
@@ -48,13 +49,22 @@ class BodyClassManager implements WithHooksInterface {
 	 */
 	private $allowlist;
 
+	/**
+	 * PersonalAllowlist instance for the current user's own patterns
+	 *
+	 * @var PersonalAllowlist
+	 */
+	private $personal;
+
 	/**
 	 * Constructor
 	 *
-	 * @param AllowlistManager $allowlist Allowlist manager instance.
+	 * @param AllowlistManager  $allowlist Allowlist manager instance.
+	 * @param PersonalAllowlist $personal Personal allowlist instance.
 	 */
-	public function __construct( AllowlistManager $allowlist ) {
+	public function __construct( AllowlistManager $allowlist, PersonalAllowlist $personal ) {
 		$this->allowlist = $allowlist;
+		$this->personal = $personal;
 	}
 
 	/**
@@ -95,6 +105,11 @@ class BodyClassManager implements WithHooksInterface {
 		$should_show = $this->should_show_notices();
 		$class_array[] = $should_show ? 'qala-notices-visible' : 'qala-notices-hidden';
 
+		// Error notices stay visible through the hider CSS when this is enabled
+		if ( get_option( 'qala_always_show_errors', 'no' ) === 'yes' ) {
+			$class_array[] = 'qala-show-errors';
+		}
+
 		// Add all classes
 		$classes .= ' ' . implode( ' ', $class_array );
 
@@ -142,14 +157,23 @@ class BodyClassManager implements WithHooksInterface {
 	 * This allows JavaScript to check notice text content against patterns and show
 	 * matching notices even when they're hidden by CSS.
 	 *
+	 * Users with qala_full_access get their personal patterns (see
+	 * PersonalAllowlist) after the site patterns. Every pattern carries its
+	 * source ('site' or 'personal') so matches can be told apart.
+	 *
+	 * The REST URL and nonce for reporting the notices left hidden to the
+	 * notice log are included too; the script only uses them while the body
+	 * has the qala-notices-hidden class.
+	 *
 	 * Priority 15 ensures this runs after script is enqueued (priority 5) and
 	 * after other localizations (priority 10).
 	 *
 	 * @return void
 	 */
 	public function localize_allowlist_patterns(): void {
-		// Only localize if notices are hidden
-		if ( ! $this->should_hide_notices() ) {
+		// Only localize if notices are hidden, or for users who can build
+		// patterns from the admin bar (inbox, notice picker) while notices show
+		if ( ! $this->should_hide_notices() && ! $this->can_manage_notices() ) {
 			return;
 		}
 
@@ -159,23 +183,69 @@ class BodyClassManager implements WithHooksInterface {
 		// Prepare patterns for JavaScript
 		$js_patterns = [];
 		foreach ( $patterns as $pattern ) {
-			$js_patterns[] = [
-				'value' => $pattern['pattern_value'],
-				'type' => $pattern['pattern_type'],
-			];
+			// Regexes that kept timing out in the browser are left out
+			if ( $this->allowlist->is_disabled_for_safety( $pattern ) ) {
+				continue;
+			}
+
+			$js_patterns[] = $this->prepare_js_pattern( $pattern, 'site' );
+		}
+
+		// Personal patterns only apply for users who can manage notices
+		if ( $this->can_manage_notices() ) {
+			foreach ( $this->personal->get_patterns() as $pattern ) {
+				$js_patterns[] = $this->prepare_js_pattern( $pattern, 'personal' );
+			}
+		}
+
+		// Screen id for scoped patterns (the screen is set up by admin_enqueue_scripts)
+		$screen = get_current_screen();
+
+		$data = [
+			'patterns' => $js_patterns,
+			'enabled' => true,
+			'screen' => $screen ? $screen->id : '',
+		];
+
+		// Users who can manage notices may add patterns from the admin bar (via the REST API)
+		if ( $this->can_manage_notices() ) {
+			$data['canManage'] = true;
 		}
 
+		// Notices left hidden are reported to the notice log (POST /notices/captured).
+		// Managers can hide notices without a reload, so JS checks the body class.
+		$data['capture'] = [
+			'url' => rest_url( RestController::REST_NAMESPACE . '/notices/captured' ),
+			'nonce' => wp_create_nonce( 'wp_rest' ),
+		];
+
 		// Localize for JavaScript
 		wp_localize_script(
 			'qala-plugin-manager',
 			'qalaAllowlistPatterns',
-			[
-				'patterns' => $js_patterns,
-				'enabled' => true,
-			]
+			$data
 		);
 	}
 
+	/**
+	 * Shape a pattern record for the content matcher
+	 *
+	 * @param array  $pattern Pattern record.
+	 * @param string $source 'site' or 'personal'.
+	 *
+	 * @return array Pattern: id, value, type, severity, screens, source
+	 */
+	private function prepare_js_pattern( array $pattern, string $source ): array {
+		return [
+			'id' => (int) $pattern['id'],
+			'value' => $pattern['pattern_value'],
+			'type' => $pattern['pattern_type'],
+			'severity' => $pattern['severity'] ?? '',
+			'screens' => empty( $pattern['screens'] ) ? [] : explode( ',', $pattern['screens'] ),
+			'source' => $source,
+		];
+	}
+
 	/**
 	 * Determine if notices should be hidden
 	 *
@@ -22,9 +22,15 @@ class DatabaseMigration {
 	/**
 	 * Current schema version
 	 *
+	 * 1.1.0: 'selector' added to the allowlist pattern_type enum.
+	 * 1.2.0: severity column added to the allowlist table.
+	 * 1.3.0: screens column added to the allowlist table.
+	 * 1.4.0: source, notice_text, severity and screen columns added to the log table.
+	 * 1.5.0: callback_file column added to the log table.
+	 *
 	 * @var string
 	 */
-	const SCHEMA_VERSION = '1.0.0';
+	const SCHEMA_VERSION = '1.5.0';
 
 	/**
 	 * WordPress option name for schema version tracking
@@ -72,6 +78,12 @@ class DatabaseMigration {
 	 * Table: {prefix}qala_hidden_notices_log
 	 * Purpose: Log all notice removals for analytics and allowlist management
 	 *
+	 * Rows come from two sources: 'callback' rows for notice callbacks
+	 * NoticeFilter removed from the hooks, and 'content' rows for notices
+	 * the browser reported hidden by the CSS (notice_hash holds the
+	 * fingerprint of their text). callback_file records where a callback
+	 * was defined, so the log can group entries by plugin.
+	 *
 	 * @return void
 	 */
 	public function create_notice_log_table(): void {
@@ -92,6 +104,11 @@ class DatabaseMigration {
 			priority int(11) NOT NULL DEFAULT 10 COMMENT 'Hook priority level',
 			action varchar(20) NOT NULL DEFAULT 'removed' COMMENT 'Action: removed, restored',
 			reason varchar(255) DEFAULT NULL COMMENT 'Reason: no_qala_full_access, user_preference, etc',
+			source varchar(20) NOT NULL DEFAULT 'callback' COMMENT 'Source: callback (removed hook) or content (hidden in the browser)',
+			notice_text text DEFAULT NULL COMMENT 'Notice text, for content entries',
+			severity varchar(20) DEFAULT NULL COMMENT 'Notice severity, for content entries: error, warning, success, info',
+			screen varchar(100) DEFAULT NULL COMMENT 'Admin screen id, for content entries',
+			callback_file varchar(255) DEFAULT NULL COMMENT 'File the callback is defined in, for callback entries',
 			user_id bigint(20) UNSIGNED DEFAULT NULL COMMENT 'User ID who triggered removal',
 			site_id bigint(20) UNSIGNED DEFAULT NULL COMMENT 'Site ID (multisite)',
 			created_at datetime NOT NULL COMMENT 'When notice was removed',
@@ -100,6 +117,7 @@ class DatabaseMigration {
 			KEY idx_hook_name (hook_name),
 			KEY idx_created_at (created_at),
 			KEY idx_site_id (site_id),
+			KEY idx_source (source),
 			UNIQUE KEY idx_dedup (notice_hash, hook_name, created_at)
 		) $charset_collate;";
 
@@ -129,8 +147,10 @@ class DatabaseMigration {
 		// SQL must follow dbDelta() requirements
 		$sql = "CREATE TABLE $table_name (
 			id bigint(20) UNSIGNED NOT NULL AUTO_INCREMENT,
-			pattern_value varchar(255) NOT NULL COMMENT 'Pattern to match (function name, regex, wildcard)',
-			pattern_type enum('exact','wildcard','regex') NOT NULL DEFAULT 'exact' COMMENT 'Pattern matching type',
+			pattern_value varchar(255) NOT NULL COMMENT 'Pattern to match (function name, regex, wildcard, CSS selector)',
+			pattern_type enum('exact','wildcard','regex','selector') NOT NULL DEFAULT 'exact' COMMENT 'Pattern matching type',
+			severity varchar(20) DEFAULT NULL COMMENT 'Only match notices of this severity: error, warning, success, info',
+			screens text DEFAULT NULL COMMENT 'Comma-separated screen ids or admin URLs the pattern applies to',
 			is_active tinyint(1) NOT NULL DEFAULT 1 COMMENT 'Is this pattern active',
 			created_by bigint(20) UNSIGNED DEFAULT NULL COMMENT 'User ID who created',
 			created_at datetime NOT NULL,
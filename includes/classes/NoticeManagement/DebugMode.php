@@ -0,0 +1,216 @@
+<?php
+/**
+ * DebugMode Class
+ *
+ * Per-user debug mode for notice hiding. While it is on, every notice the
+ * NoticeContentMatcher finds gets a badge saying why it is hidden or shown,
+ * a panel summarises the decisions for the page and the JavaScript logger
+ * prints its debug output.
+ *
+ * Off by default. Users with qala_full_access switch it on for themselves
+ * from the settings page (through the REST API, see RestController).
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+use QalaPluginManager\NoticeManagement\Traits\CapabilityChecker;
+use QalaPluginManager\Interfaces\WithHooksInterface;
+
+/**
+ * Class DebugMode
+ *
+ * Responsibilities:
+ * - Store the per-user debug mode preference
+ * - Add the debug mode field to the settings page
+ * - Add the qala-debug body class while it is on
+ * - Localize the debug overlay strings
+ *
+ * User Storage:
+ * - Meta key: qala_debug_mode
+ * - Value: 'yes' while debug mode is on (meta is deleted when it is off)
+ *
+ * @since 1.3.0
+ */
+class DebugMode implements WithHooksInterface {
+
+	use CapabilityChecker;
+
+	/**
+	 * User meta key for the debug mode preference
+	 *
+	 * @var string
+	 */
+	const META_KEY = 'qala_debug_mode';
+
+	/**
+	 * Initialize hooks
+	 *
+	 * Hooks registered:
+	 * - admin_init: Add the settings field (priority 20, after AdminPage adds its section)
+	 * - admin_body_class: Add the qala-debug class
+	 * - admin_enqueue_scripts: Localize overlay strings (priority 15, after enqueue)
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'admin_init', [ $this, 'register_settings_field' ], 20 );
+		add_filter( 'admin_body_class', [ $this, 'add_body_class' ] );
+		add_action( 'admin_enqueue_scripts', [ $this, 'localize_debug_overlay' ], 15 );
+	}
+
+	/**
+	 * Add the debug mode field to the settings page
+	 *
+	 * @return void
+	 */
+	public function register_settings_field(): void {
+		add_settings_field(
+			'qala_debug_mode',
+			__( 'Debug Mode', 'qala-plugin-manager' ),
+			[ $this, 'render_settings_field' ],
+			'qala-hide-notices',
+			'qala_notices_main'
+		);
+	}
+
+	/**
+	 * Render the debug mode field
+	 *
+	 * The checkbox has no name: it is a per-user preference, saved through
+	 * the REST API as soon as it changes rather than with the site options.
+	 *
+	 * @return void
+	 */
+	public function render_settings_field(): void {
+		?>
+		<label>
+			<input
+				type="checkbox"
+				id="qala-debug-mode"
+				<?php checked( $this->is_enabled() ); ?>
+			/>
+			<?php esc_html_e( 'Explain on every admin page why each notice is hidden or shown (only for you)', 'qala-plugin-manager' ); ?>
+		</label>
+		<p class="description">
+			<?php esc_html_e( 'Adds a badge to each notice and a summary panel, and writes debug output to the browser console.', 'qala-plugin-manager' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Check if a user has debug mode on
+	 *
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True if debug mode is on
+	 */
+	public function is_enabled( ?int $user_id = null ): bool {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		return get_user_meta( $user_id, self::META_KEY, true ) === 'yes';
+	}
+
+	/**
+	 * Switch debug mode on or off for a user
+	 *
+	 * @param bool     $enabled Whether debug mode should be on.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True on success
+	 */
+	public function set_enabled( bool $enabled, ?int $user_id = null ): bool {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		if ( ! $enabled ) {
+			// Missing meta already means off
+			delete_user_meta( $user_id, self::META_KEY );
+			return true;
+		}
+
+		// update_user_meta() returns false when the value does not change
+		if ( $this->is_enabled( $user_id ) ) {
+			return true;
+		}
+
+		return update_user_meta( $user_id, self::META_KEY, 'yes' ) !== false;
+	}
+
+	/**
+	 * Check if the overlay should run for the current request
+	 *
+	 * The preference is ignored for users who lost qala_full_access
+	 * after switching it on.
+	 *
+	 * @return bool True if debug mode applies
+	 */
+	public function is_active(): bool {
+		return $this->can_manage_notices() && $this->is_enabled();
+	}
+
+	/**
+	 * Add the qala-debug body class while debug mode is on
+	 *
+	 * @param string $classes Existing body classes.
+	 *
+	 * @return string Modified body classes.
+	 */
+	public function add_body_class( string $classes ): string {
+		if ( ! $this->is_active() ) {
+			return $classes;
+		}
+
+		return $classes . ' qala-debug';
+	}
+
+	/**
+	 * Localize the debug overlay strings for JavaScript
+	 *
+	 * @return void
+	 */
+	public function localize_debug_overlay(): void {
+		if ( ! $this->is_active() ) {
+			return;
+		}
+
+		wp_localize_script(
+			'qala-plugin-manager',
+			'qalaDebugOverlay',
+			[
+				'strings' => [
+					'title' => __( 'Notice debug', 'qala-plugin-manager' ),
+					'collapse' => __( 'Collapse', 'qala-plugin-manager' ),
+					'expand' => __( 'Expand', 'qala-plugin-manager' ),
+					/* translators: %d: number of notices found on the page */
+					'summary' => __( '%d notices on this page', 'qala-plugin-manager' ),
+					'empty' => __( 'No notices found on this page.', 'qala-plugin-manager' ),
+					'reasons' => [
+						'hidden' => __( 'Hidden', 'qala-plugin-manager' ),
+						/* translators: %s: allowlist pattern value */
+						'pattern' => __( 'Shown by pattern: %s', 'qala-plugin-manager' ),
+						/* translators: %s: personal allowlist pattern value */
+						'personal' => __( 'Shown by your pattern: %s', 'qala-plugin-manager' ),
+						'visible' => __( 'Shown: notices are visible for you', 'qala-plugin-manager' ),
+						'errors' => __( 'Shown: Always Show Errors is on', 'qala-plugin-manager' ),
+						'revealed' => __( 'Shown: revealed from the inbox', 'qala-plugin-manager' ),
+						'snoozed' => __( 'Hidden: snoozed', 'qala-plugin-manager' ),
+					],
+					'groups' => [
+						'hidden' => __( 'Hidden', 'qala-plugin-manager' ),
+						'pattern' => __( 'Shown by a pattern', 'qala-plugin-manager' ),
+						'visible' => __( 'Shown by visibility settings', 'qala-plugin-manager' ),
+						'errors' => __( 'Shown by Always Show Errors', 'qala-plugin-manager' ),
+						'revealed' => __( 'Revealed from the inbox', 'qala-plugin-manager' ),
+						'snoozed' => __( 'Snoozed', 'qala-plugin-manager' ),
+					],
+				],
+			]
+		);
+	}
+}
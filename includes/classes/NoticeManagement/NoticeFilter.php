@@ -310,13 +310,14 @@ class NoticeFilter implements WithHooksInterface {
 			? 'matches_allowlist_pattern'
 			: 'no_qala_full_access';
 
-		// Log to database
+		// Log to database, with the file the callback is defined in
 		$this->logger->log_removal(
 			$callback_name,
 			$hook_name,
 			$priority,
 			$action,
-			$reason
+			$reason,
+			$this->identifier->get_callback_file( $callback )
 		);
 	}
 
@@ -17,6 +17,7 @@ namespace QalaPluginManager\NoticeManagement;
  * Handles:
  * - Generating unique hashes for notice callbacks
  * - Extracting human-readable names from callbacks
+ * - Telling which plugin a callback comes from (by namespace, prefix or file)
  * - Pattern matching (exact, wildcard, regex)
  * - Closure detection
  * - Pattern sanitization
@@ -111,6 +112,110 @@ class NoticeIdentifier {
 		return 'Unknown';
 	}
 
+	/**
+	 * Get the source prefix of a callback name
+	 *
+	 * Plugins prefix their code, so the prefix tells which plugin a
+	 * callback comes from:
+	 * - Namespaced: the root namespace ('Yoast\WP\SEO\Notices::show' gives 'Yoast\')
+	 * - Prefixed class or function: up to the first underscore
+	 *   ('WC_Admin_Notices::add_notice' gives 'WC_', 'rocket_bad_deactivations' gives 'rocket_')
+	 * - Other classes: the class ('Jetpack::admin_notice' gives 'Jetpack::')
+	 *
+	 * @param string $callback_name Callback name from get_callback_name().
+	 *
+	 * @return string Source prefix, or '' for closures and unknown callbacks.
+	 */
+	public function get_callback_source( string $callback_name ): string {
+		if ( $callback_name === '' || $callback_name === 'Closure' || $callback_name === 'Unknown' ) {
+			return '';
+		}
+
+		$parts = explode( '::', $callback_name, 2 );
+		$name = ltrim( $parts[0], '\\' );
+
+		if ( strpos( $name, '\\' ) !== false ) {
+			return strstr( $name, '\\', true ) . '\\';
+		}
+
+		if ( strpos( $name, '_' ) > 0 ) {
+			return strstr( $name, '_', true ) . '_';
+		}
+
+		return count( $parts ) > 1 ? $name . '::' : $name;
+	}
+
+	/**
+	 * Get the file a callback is defined in
+	 *
+	 * Uses reflection, so closures have a file too. Nothing is executed.
+	 *
+	 * @param mixed $callback The callback (function name, array, Closure or invokable object).
+	 *
+	 * @return string Normalized file path, or '' for built-in and unknown callbacks.
+	 */
+	public function get_callback_file( $callback ): string {
+		try {
+			if ( is_string( $callback ) && strpos( $callback, '::' ) !== false ) {
+				$callback = explode( '::', $callback, 2 );
+			}
+
+			if ( is_array( $callback ) && count( $callback ) >= 2 ) {
+				$reflection = new \ReflectionMethod( $callback[0], $callback[1] );
+			} elseif ( is_string( $callback ) || $callback instanceof \Closure ) {
+				$reflection = new \ReflectionFunction( $callback );
+			} elseif ( is_object( $callback ) && method_exists( $callback, '__invoke' ) ) {
+				$reflection = new \ReflectionMethod( $callback, '__invoke' );
+			} else {
+				return '';
+			}
+		} catch ( \ReflectionException $e ) {
+			return '';
+		}
+
+		$file = $reflection->getFileName();
+
+		return $file ? wp_normalize_path( $file ) : '';
+	}
+
+	/**
+	 * Get the plugin, must-use plugin or theme a file belongs to
+	 *
+	 * The slug is the folder in the plugins, mu-plugins or themes
+	 * directory, or the file name for single-file plugins
+	 * ('.../plugins/wordpress-seo/src/main.php' gives plugin 'wordpress-seo').
+	 *
+	 * @param string $file File path from get_callback_file().
+	 *
+	 * @return array { type: 'plugin', 'mu-plugin' or 'theme', slug }, or [] for
+	 *               WordPress core and files outside these directories.
+	 */
+	public function get_file_plugin( string $file ): array {
+		if ( $file === '' ) {
+			return [];
+		}
+
+		$file = wp_normalize_path( $file );
+		$directories = [
+			'plugin' => WP_PLUGIN_DIR,
+			'mu-plugin' => WPMU_PLUGIN_DIR,
+			'theme' => get_theme_root(),
+		];
+
+		foreach ( $directories as $type => $directory ) {
+			$directory = rtrim( wp_normalize_path( $directory ), '/' ) . '/';
+
+			if ( strpos( $file, $directory ) === 0 ) {
+				return [
+					'type' => $type,
+					'slug' => strtok( substr( $file, strlen( $directory ) ), '/' ),
+				];
+			}
+		}
+
+		return [];
+	}
+
 	/**
 	 * Check if callback is a closure
 	 *
@@ -0,0 +1,255 @@
+<?php
+/**
+ * NoticeLogGroups Class
+ *
+ * Groups the Hidden Notices Log by the plugin each notice comes from, for
+ * the "Group by plugin" view of the settings page. Each group offers one
+ * pattern that allowlists every callback of the plugin. Served as JSON by
+ * RestController (GET /log/groups).
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+/**
+ * Class NoticeLogGroups
+ *
+ * A callback belongs to the plugin, must-use plugin or theme its file was
+ * recorded in at removal time (see NoticeIdentifier::get_file_plugin()).
+ * Entries logged without a file, or from files outside these directories,
+ * are grouped by the namespace or prefix of the callback name instead (see
+ * NoticeIdentifier::get_callback_source()).
+ *
+ * Content entries have no callback and share one "Page content" group;
+ * closures and unknown callbacks without a file share an "Other" group.
+ * Neither group has a pattern.
+ *
+ * @since 1.3.0
+ */
+class NoticeLogGroups {
+
+	/**
+	 * Key of the group for content entries
+	 *
+	 * @var string
+	 */
+	const CONTENT_GROUP = 'content';
+
+	/**
+	 * Key of the group for callbacks without a plugin or source
+	 *
+	 * @var string
+	 */
+	const OTHER_GROUP = 'other';
+
+	/**
+	 * NoticeLogger instance
+	 *
+	 * @var NoticeLogger
+	 */
+	private $logger;
+
+	/**
+	 * NoticeIdentifier instance
+	 *
+	 * @var NoticeIdentifier
+	 */
+	private $identifier;
+
+	/**
+	 * Installed plugin names keyed by slug, loaded on first use
+	 *
+	 * @var array|null
+	 */
+	private $plugin_names = null;
+
+	/**
+	 * Constructor
+	 *
+	 * @param NoticeLogger     $logger Notice logger instance.
+	 * @param NoticeIdentifier $identifier Notice identifier instance.
+	 */
+	public function __construct( NoticeLogger $logger, NoticeIdentifier $identifier ) {
+		$this->logger = $logger;
+		$this->identifier = $identifier;
+	}
+
+	/**
+	 * Get the log entries grouped by plugin
+	 *
+	 * Groups with the most entries come first; the content and other
+	 * groups come last.
+	 *
+	 * @param array $args Optional filter arguments (see NoticeLogger::get_unique_notices()).
+	 *
+	 * @return array[] {
+	 *     @type string     $key       Group key ('plugin:wordpress-seo', 'source:WC_', 'content', 'other').
+	 *     @type string     $type      plugin, mu-plugin, theme, source, content or other.
+	 *     @type string     $name      Plugin name, slug or source prefix.
+	 *     @type int        $count     Number of entries.
+	 *     @type string     $last_seen Most recent entry.
+	 *     @type array|null $pattern   { value, type } pattern allowlisting the whole group, or null.
+	 *     @type array      $entries   Entries from NoticeLogger::get_unique_notices(), newest first.
+	 * }
+	 */
+	public function get_groups( array $args = [] ): array {
+		$args['orderby'] = 'last_seen';
+		$args['order'] = 'desc';
+		$args['per_page'] = 0;
+
+		$groups = [];
+		foreach ( $this->logger->get_unique_notices( $args ) as $entry ) {
+			$group = $this->get_entry_group( $entry );
+			$key = $group['key'];
+
+			if ( ! isset( $groups[ $key ] ) ) {
+				$groups[ $key ] = $group + [
+					'count' => 0,
+					'last_seen' => $entry['last_seen'],
+					'pattern' => null,
+					'entries' => [],
+				];
+			}
+
+			$groups[ $key ]['count']++;
+			$groups[ $key ]['entries'][] = $entry;
+		}
+
+		foreach ( $groups as $key => $group ) {
+			if ( $key !== self::CONTENT_GROUP ) {
+				$groups[ $key ]['pattern'] = $this->get_group_pattern( $group['entries'] );
+			}
+		}
+
+		usort(
+			$groups,
+			function ( $a, $b ) {
+				$a_last = in_array( $a['key'], [ self::CONTENT_GROUP, self::OTHER_GROUP ], true );
+				$b_last = in_array( $b['key'], [ self::CONTENT_GROUP, self::OTHER_GROUP ], true );
+
+				return [ $a_last, $b['count'], $a['name'] ] <=> [ $b_last, $a['count'], $b['name'] ];
+			}
+		);
+
+		return $groups;
+	}
+
+	/**
+	 * Get the group a log entry belongs to
+	 *
+	 * @param array $entry Entry from NoticeLogger::get_unique_notices().
+	 *
+	 * @return array { key, type, name }
+	 */
+	private function get_entry_group( array $entry ): array {
+		if ( ( $entry['source'] ?? 'callback' ) === 'content' ) {
+			return [
+				'key' => self::CONTENT_GROUP,
+				'type' => 'content',
+				'name' => __( 'Page content', 'qala-plugin-manager' ),
+			];
+		}
+
+		$plugin = $this->identifier->get_file_plugin( (string) ( $entry['callback_file'] ?? '' ) );
+
+		if ( ! empty( $plugin ) ) {
+			$names = $plugin['type'] === 'plugin' ? $this->get_plugin_names() : [];
+
+			return [
+				'key' => $plugin['type'] . ':' . $plugin['slug'],
+				'type' => $plugin['type'],
+				'name' => $names[ $plugin['slug'] ] ?? $plugin['slug'],
+			];
+		}
+
+		$source = $this->identifier->get_callback_source( (string) $entry['callback_name'] );
+
+		if ( $source !== '' ) {
+			return [
+				'key' => 'source:' . $source,
+				'type' => 'source',
+				'name' => $source,
+			];
+		}
+
+		return [
+			'key' => self::OTHER_GROUP,
+			'type' => 'other',
+			'name' => __( 'Closures and unknown callbacks', 'qala-plugin-manager' ),
+		];
+	}
+
+	/**
+	 * Get the pattern that allowlists every callback in a group
+	 *
+	 * A wildcard on the shared namespace or prefix ('Yoast\*', 'rocket_*').
+	 * Plugins whose callbacks use more than one prefix get a regex
+	 * matching any of them. Closures cannot be allowlisted by name and are
+	 * left out.
+	 *
+	 * @param array $entries Entries of the group.
+	 *
+	 * @return array|null { value, type }, or null if no callback can be matched by name.
+	 */
+	private function get_group_pattern( array $entries ): ?array {
+		$sources = [];
+
+		foreach ( $entries as $entry ) {
+			$source = $this->identifier->get_callback_source( (string) $entry['callback_name'] );
+
+			if ( $source !== '' ) {
+				$sources[ $source ] = true;
+			}
+		}
+
+		if ( empty( $sources ) ) {
+			return null;
+		}
+
+		$sources = array_keys( $sources );
+
+		if ( count( $sources ) === 1 ) {
+			return [
+				'value' => $sources[0] . '*',
+				'type' => 'wildcard',
+			];
+		}
+
+		sort( $sources );
+
+		return [
+			'value' => '/^(?:' . implode(
+				'|',
+				array_map(
+					function ( $source ) {
+						return preg_quote( $source, '/' );
+					},
+					$sources
+				)
+			) . ')/',
+			'type' => 'regex',
+		];
+	}
+
+	/**
+	 * Get the names of the installed plugins
+	 *
+	 * @return array Plugin names keyed by slug (folder, or file for single-file plugins).
+	 */
+	private function get_plugin_names(): array {
+		if ( $this->plugin_names === null ) {
+			if ( ! function_exists( 'get_plugins' ) ) {
+				require_once ABSPATH . 'wp-admin/includes/plugin.php';
+			}
+
+			$this->plugin_names = [];
+			foreach ( get_plugins() as $plugin_file => $plugin ) {
+				$this->plugin_names[ strtok( $plugin_file, '/' ) ] = $plugin['Name'];
+			}
+		}
+
+		return $this->plugin_names;
+	}
+}
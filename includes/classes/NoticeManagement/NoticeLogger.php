@@ -16,18 +16,23 @@ namespace QalaPluginManager\NoticeManagement;
  *
  * Responsibilities:
  * - Insert records into qala_hidden_notices_log table
+ * - Record notices the browser reported hidden by the CSS (content entries)
  * - Deduplicate log entries (one per notice per day)
- * - Provide query methods for admin page
+ * - Provide query methods for admin page (filtered, sorted and paged for the log REST route)
  * - Clean old log entries (30-day retention by default)
  *
  * Database Table: wp_qala_hidden_notices_log
- * Fields:
+ * Fields (see DatabaseMigration::create_notice_log_table()):
  * - id: Auto-increment primary key
+ * - notice_hash: MD5 of the callback name, or the text fingerprint for content entries
  * - callback_name: Full callback name (function or Class::method)
  * - hook_name: Hook name (admin_notices, network_admin_notices, etc)
- * - hook_priority: Hook priority level
- * - action_taken: Action (removed, kept_allowlisted, etc)
+ * - priority: Hook priority level
+ * - action: Action (removed, kept_allowlisted, etc)
  * - reason: Reason (no_qala_full_access, matches_allowlist_pattern, etc)
+ * - source: 'callback' (removed hook) or 'content' (hidden in the browser)
+ * - notice_text, severity, screen: Notice details, for content entries
+ * - callback_file: File the callback is defined in, for callback entries
  * - user_id: User ID who triggered removal
  * - site_id: Site ID (multisite)
  * - created_at: Timestamp
@@ -43,6 +48,13 @@ class NoticeLogger {
 	 */
 	private const TABLE_NAME = 'qala_hidden_notices_log';
 
+	/**
+	 * Columns the unique notice list can be sorted by
+	 *
+	 * @var array
+	 */
+	const LOG_ORDERBY = [ 'callback_name', 'hook_name', 'action', 'last_seen' ];
+
 	/**
 	 * Get the full table name with WordPress prefix
 	 *
@@ -69,6 +81,7 @@ class NoticeLogger {
 	 * @param int    $priority The priority level.
 	 * @param string $action The action taken (removed, kept_allowlisted, etc).
 	 * @param string $reason The reason for action (no_qala_full_access, matches_allowlist_pattern, etc).
+	 * @param string $callback_file Optional. File the callback is defined in, to group the log by plugin.
 	 *
 	 * @return void
 	 */
@@ -77,7 +90,8 @@ class NoticeLogger {
 		string $hook_name,
 		int $priority,
 		string $action,
-		string $reason
+		string $reason,
+		string $callback_file = ''
 	): void {
 		global $wpdb;
 
@@ -104,19 +118,118 @@ class NoticeLogger {
 		$wpdb->insert(
 			$this->get_table_name(),
 			[
+				'notice_hash' => md5( $callback_name ),
 				'callback_name' => $callback_name,
 				'hook_name' => $hook_name,
-				'hook_priority' => $priority,
-				'action_taken' => $action,
+				'priority' => $priority,
+				'action' => $action,
 				'reason' => $reason,
+				'callback_file' => $callback_file,
 				'user_id' => get_current_user_id(),
 				'site_id' => get_current_blog_id(),
 				'created_at' => current_time( 'mysql', true ),
 			],
-			[ '%s', '%s', '%d', '%s', '%s', '%d', '%d', '%s' ]
+			[ '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%d', '%d', '%s' ]
 		);
 	}
 
+	/**
+	 * Log a notice the browser reported hidden by the CSS
+	 *
+	 * For notices no callback could be removed for: AJAX-injected notices,
+	 * notices printed outside the notice hooks and block editor notices.
+	 * The notice text stands in for the callback name, so content entries
+	 * list next to callback ones. Deduplicated per fingerprint per day,
+	 * like log_removal().
+	 *
+	 * @param string $text Notice text.
+	 * @param string $severity Notice severity (error, warning, success, info).
+	 * @param string $screen Admin screen id the notice was hidden on.
+	 *
+	 * @return bool True if a new entry was written
+	 */
+	public function log_content_notice( string $text, string $severity, string $screen ): bool {
+		global $wpdb;
+
+		$fingerprint = $this->get_content_fingerprint( $text );
+
+		// Check if already logged today (deduplication)
+		$today_start = gmdate( 'Y-m-d 00:00:00' );
+		$exists = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT id FROM {$this->get_table_name()}
+				 WHERE notice_hash = %s
+				 AND source = 'content'
+				 AND created_at >= %s
+				 LIMIT 1",
+				$fingerprint,
+				$today_start
+			)
+		);
+
+		if ( $exists ) {
+			return false; // Already logged today, skip
+		}
+
+		$inserted = $wpdb->insert(
+			$this->get_table_name(),
+			[
+				'notice_hash' => $fingerprint,
+				'callback_name' => mb_substr( $text, 0, 255 ),
+				'hook_name' => '',
+				'action' => 'removed',
+				'reason' => 'hidden_by_css',
+				'source' => 'content',
+				'notice_text' => $text,
+				'severity' => $severity,
+				'screen' => mb_substr( $screen, 0, 100 ),
+				'user_id' => get_current_user_id(),
+				'site_id' => get_current_blog_id(),
+				'created_at' => current_time( 'mysql', true ),
+			],
+			[ '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s' ]
+		);
+
+		return $inserted !== false;
+	}
+
+	/**
+	 * Count the content entries a user added to the log today
+	 *
+	 * @param int $user_id User ID.
+	 *
+	 * @return int Number of content entries since midnight (UTC)
+	 */
+	public function count_content_notices_today( int $user_id ): int {
+		global $wpdb;
+
+		return (int) $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT COUNT(*) FROM {$this->get_table_name()}
+				 WHERE source = 'content'
+				 AND user_id = %d
+				 AND created_at >= %s",
+				$user_id,
+				gmdate( 'Y-m-d 00:00:00' )
+			)
+		);
+	}
+
+	/**
+	 * Fingerprint notice text for the log
+	 *
+	 * Numbers are replaced and case is ignored, so "3 plugins need an
+	 * update" and "4 plugins need an update" count as the same notice.
+	 * Same normalization as getFingerprint() in the browser.
+	 *
+	 * @param string $text Notice text.
+	 *
+	 * @return string MD5 hash of the normalized text
+	 */
+	public function get_content_fingerprint( string $text ): string {
+		return md5( preg_replace( '/\d+([.,]\d+)*/', '#', mb_strtolower( $text ) ) );
+	}
+
 	/**
 	 * Get recent notice log entries
 	 *
@@ -145,25 +258,162 @@ class NoticeLogger {
 	/**
 	 * Get unique notices (deduplicated by callback name)
 	 *
-	 * Returns one entry per unique callback_name, showing the most recent
-	 * occurrence of each notice.
+	 * Returns one entry per unique callback_name and action, showing the
+	 * most recent occurrence of each notice. Content entries are grouped by
+	 * fingerprint instead, so a notice whose text only differs in numbers
+	 * is listed once.
+	 *
+	 * Optional arguments (see build_log_where() for the filters):
+	 * - orderby: One of LOG_ORDERBY (default: last_seen)
+	 * - order: asc or desc (default: desc)
+	 * - page: Page number, starting at 1 (default: 1)
+	 * - per_page: Entries per page, 0 for all (default: 0)
+	 *
+	 * @param array $args Optional filter, sort and paging arguments.
 	 *
-	 * @return array Array of unique notice records.
+	 * @return array Array of unique notice records (callback_name, hook_name, source, action, severity, screen, callback_file, last_seen).
 	 */
-	public function get_unique_notices(): array {
+	public function get_unique_notices( array $args = [] ): array {
 		global $wpdb;
 
-		$results = $wpdb->get_results(
-			"SELECT DISTINCT callback_name, hook_name, MAX(created_at) as last_seen
-			 FROM {$this->get_table_name()}
-			 GROUP BY callback_name, hook_name
-			 ORDER BY last_seen DESC",
-			ARRAY_A
-		);
+		list( $where, $params ) = $this->build_log_where( $args );
+
+		$orderby = in_array( $args['orderby'] ?? '', self::LOG_ORDERBY, true ) ? $args['orderby'] : 'last_seen';
+		$order = strtolower( $args['order'] ?? '' ) === 'asc' ? 'ASC' : 'DESC';
+		$per_page = max( 0, (int) ( $args['per_page'] ?? 0 ) );
+
+		$query = "SELECT MAX(callback_name) as callback_name, hook_name, source, action,
+		                 MAX(severity) as severity, MAX(screen) as screen, MAX(callback_file) as callback_file,
+		                 MAX(created_at) as last_seen
+		          FROM {$this->get_table_name()}
+		          WHERE {$where}
+		          GROUP BY {$this->get_unique_group_by()}
+		          ORDER BY {$orderby} {$order}, last_seen DESC";
+
+		if ( $per_page > 0 ) {
+			$page = max( 1, (int) ( $args['page'] ?? 1 ) );
+			$query .= ' LIMIT %d OFFSET %d';
+			$params[] = $per_page;
+			$params[] = ( $page - 1 ) * $per_page;
+		}
+
+		if ( ! empty( $params ) ) {
+			$query = $wpdb->prepare( $query, ...$params );
+		}
+
+		$results = $wpdb->get_results( $query, ARRAY_A );
 
 		return $results ?: [];
 	}
 
+	/**
+	 * Count unique notices
+	 *
+	 * Number of entries get_unique_notices() lists for the same filters,
+	 * for paging.
+	 *
+	 * @param array $args Optional filter arguments (see build_log_where()).
+	 *
+	 * @return int Number of unique notices
+	 */
+	public function count_unique_notices( array $args = [] ): int {
+		global $wpdb;
+
+		list( $where, $params ) = $this->build_log_where( $args );
+
+		$query = "SELECT COUNT(*) FROM (
+		              SELECT 1 FROM {$this->get_table_name()}
+		              WHERE {$where}
+		              GROUP BY {$this->get_unique_group_by()}
+		          ) AS unique_notices";
+
+		if ( ! empty( $params ) ) {
+			$query = $wpdb->prepare( $query, ...$params );
+		}
+
+		return (int) $wpdb->get_var( $query );
+	}
+
+	/**
+	 * Get the values the notice log can be filtered by
+	 *
+	 * @return array { hooks: hook names, actions: actions taken }
+	 */
+	public function get_log_filter_options(): array {
+		global $wpdb;
+		$table = $this->get_table_name();
+
+		$hooks = $wpdb->get_col(
+			"SELECT DISTINCT hook_name FROM {$table}
+			 WHERE hook_name != ''
+			 ORDER BY hook_name"
+		);
+
+		$actions = $wpdb->get_col( "SELECT DISTINCT action FROM {$table} ORDER BY action" );
+
+		return [
+			'hooks' => $hooks ?: [],
+			'actions' => $actions ?: [],
+		];
+	}
+
+	/**
+	 * Build the WHERE clause for the unique notice list
+	 *
+	 * Filters (all optional, empty values are ignored):
+	 * - search: Text in the callback name, notice text or hook name
+	 * - hook: Hook name
+	 * - action: Action taken (removed, kept_allowlisted, etc)
+	 * - date_from, date_to: First and last day (Y-m-d, UTC like created_at)
+	 *
+	 * @param array $args Filter arguments.
+	 *
+	 * @return array [ WHERE clause with placeholders, placeholder values ]
+	 */
+	private function build_log_where( array $args ): array {
+		global $wpdb;
+
+		$where = [ '1=1' ];
+		$params = [];
+
+		if ( ! empty( $args['search'] ) ) {
+			$like = '%' . $wpdb->esc_like( (string) $args['search'] ) . '%';
+			$where[] = '(callback_name LIKE %s OR notice_text LIKE %s OR hook_name LIKE %s)';
+			array_push( $params, $like, $like, $like );
+		}
+
+		if ( ! empty( $args['hook'] ) ) {
+			$where[] = 'hook_name = %s';
+			$params[] = (string) $args['hook'];
+		}
+
+		if ( ! empty( $args['action'] ) ) {
+			$where[] = 'action = %s';
+			$params[] = (string) $args['action'];
+		}
+
+		if ( ! empty( $args['date_from'] ) && preg_match( '/^\d{4}-\d{2}-\d{2}$/', $args['date_from'] ) ) {
+			$where[] = 'created_at >= %s';
+			$params[] = $args['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $args['date_to'] ) && preg_match( '/^\d{4}-\d{2}-\d{2}$/', $args['date_to'] ) ) {
+			$where[] = 'created_at <= %s';
+			$params[] = $args['date_to'] . ' 23:59:59';
+		}
+
+		return [ implode( ' AND ', $where ), $params ];
+	}
+
+	/**
+	 * GROUP BY clause listing each notice once
+	 *
+	 * @return string GROUP BY expression
+	 */
+	private function get_unique_group_by(): string {
+		return "source, CASE WHEN source = 'content' THEN notice_hash ELSE callback_name END, hook_name, action";
+	}
+
 	/**
 	 * Clean old log entries
 	 *
@@ -199,22 +449,30 @@ class NoticeLogger {
 	 * - Most common callbacks
 	 * - Actions breakdown (removed vs kept)
 	 *
+	 * @param int $days Only count the last number of days, 0 for all time (default: 0).
+	 *
 	 * @return array Statistics array.
 	 */
-	public function get_statistics(): array {
+	public function get_statistics( int $days = 0 ): array {
 		global $wpdb;
 		$table = $this->get_table_name();
 
+		$where = $days > 0
+			? $wpdb->prepare( 'WHERE created_at >= %s', $this->get_cutoff( $days ) )
+			: '';
+
 		// Total entries
-		$total = $wpdb->get_var( "SELECT COUNT(*) FROM {$table}" );
+		$total = $wpdb->get_var( "SELECT COUNT(*) FROM {$table} {$where}" );
 
-		// Unique callbacks
-		$unique = $wpdb->get_var( "SELECT COUNT(DISTINCT callback_name) FROM {$table}" );
+		// Unique callbacks (content entries hold notice text in callback_name)
+		$callback_where = $where === '' ? "WHERE source = 'callback'" : "{$where} AND source = 'callback'";
+		$unique = $wpdb->get_var( "SELECT COUNT(DISTINCT callback_name) FROM {$table} {$callback_where}" );
 
 		// Most common callbacks
 		$most_common = $wpdb->get_results(
 			"SELECT callback_name, COUNT(*) as count
 			 FROM {$table}
+			 {$where}
 			 GROUP BY callback_name
 			 ORDER BY count DESC
 			 LIMIT 10",
@@ -223,9 +481,10 @@ class NoticeLogger {
 
 		// Actions breakdown
 		$actions = $wpdb->get_results(
-			"SELECT action_taken, COUNT(*) as count
+			"SELECT action as action_taken, COUNT(*) as count
 			 FROM {$table}
-			 GROUP BY action_taken",
+			 {$where}
+			 GROUP BY action",
 			ARRAY_A
 		);
 
@@ -236,4 +495,118 @@ class NoticeLogger {
 			'actions' => $actions ?: [],
 		];
 	}
+
+	/**
+	 * Get the number of hidden notices per day
+	 *
+	 * Counts removed callbacks and content entries. Entries are logged
+	 * once a day per notice, so this is the number of different notices
+	 * hidden each day. Days without entries are left out.
+	 *
+	 * @param int $days Number of days, including today.
+	 *
+	 * @return array Counts keyed by day (Y-m-d, UTC).
+	 */
+	public function get_daily_counts( int $days ): array {
+		global $wpdb;
+
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT DATE(created_at) as day, COUNT(*) as count
+				 FROM {$this->get_table_name()}
+				 WHERE action = 'removed'
+				 AND created_at >= %s
+				 GROUP BY day
+				 ORDER BY day",
+				$this->get_cutoff( $days )
+			),
+			ARRAY_A
+		);
+
+		return array_map( 'intval', array_column( $results ?: [], 'count', 'day' ) );
+	}
+
+	/**
+	 * Get the number of days each callback was logged with an action
+	 *
+	 * Content entries are left out: they have no callback.
+	 *
+	 * @param string $action Action taken (removed, kept_allowlisted).
+	 * @param int    $days Number of days, including today.
+	 *
+	 * @return array Counts keyed by callback name.
+	 */
+	public function get_callback_counts( string $action, int $days ): array {
+		global $wpdb;
+
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT callback_name, COUNT(*) as count
+				 FROM {$this->get_table_name()}
+				 WHERE source = 'callback'
+				 AND action = %s
+				 AND created_at >= %s
+				 GROUP BY callback_name",
+				$action,
+				$this->get_cutoff( $days )
+			),
+			ARRAY_A
+		);
+
+		return array_map( 'intval', array_column( $results ?: [], 'count', 'callback_name' ) );
+	}
+
+	/**
+	 * Get the number of days each notice text was logged from the page
+	 *
+	 * Content entries are grouped by fingerprint and screen, so patterns
+	 * can be checked against the text, severity and screen the browser saw.
+	 * The most frequent come first.
+	 *
+	 * @param int $days Number of days, including today.
+	 * @param int $limit Most entries to return.
+	 *
+	 * @return array { text, severity, screen, count } per notice and screen.
+	 */
+	public function get_content_counts( int $days, int $limit ): array {
+		global $wpdb;
+
+		$results = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT MAX(notice_text) as text, MAX(severity) as severity, screen, COUNT(*) as count
+				 FROM {$this->get_table_name()}
+				 WHERE source = 'content'
+				 AND created_at >= %s
+				 GROUP BY notice_hash, screen
+				 ORDER BY count DESC
+				 LIMIT %d",
+				$this->get_cutoff( $days ),
+				$limit
+			),
+			ARRAY_A
+		);
+
+		return array_map(
+			function ( $row ) {
+				return [
+					'text' => (string) $row['text'],
+					'severity' => (string) $row['severity'],
+					'screen' => (string) $row['screen'],
+					'count' => (int) $row['count'],
+				];
+			},
+			$results ?: []
+		);
+	}
+
+	/**
+	 * Get the start of a period of days
+	 *
+	 * @param int $days Number of days, including today.
+	 *
+	 * @return string Midnight (UTC) of the first day, in MySQL format.
+	 */
+	private function get_cutoff( int $days ): string {
+		return gmdate( 'Y-m-d 00:00:00', strtotime( '-' . max( 0, $days - 1 ) . ' days' ) );
+	}
 }
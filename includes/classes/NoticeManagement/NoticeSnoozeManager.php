@@ -0,0 +1,231 @@
+<?php
+/**
+ * NoticeSnoozeManager Class
+ *
+ * Lets users snooze individual admin notices for a chosen period.
+ * A snoozed notice stays hidden for that user until the snooze expires
+ * or the user wakes it early from the hidden notice inbox.
+ *
+ * Notices are recognised and hidden client-side by the NoticeContentMatcher.
+ * This class only stores the snoozes and hands them to JavaScript.
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+use QalaPluginManager\Interfaces\WithHooksInterface;
+
+/**
+ * Class NoticeSnoozeManager
+ *
+ * Responsibilities:
+ * - Store and retrieve per-user notice snoozes
+ * - Drop snoozes once they have expired
+ * - Localize active snoozes for the content matcher
+ *
+ * User Snooze Storage:
+ * - Meta key: qala_snoozed_notices
+ * - Value: array of notice key => [ 'until' => timestamp, 'text' => excerpt ]
+ * - Notice keys are built client-side: "id:<element id>" or "text:<hash>"
+ *
+ * @since 1.3.0
+ */
+class NoticeSnoozeManager implements WithHooksInterface {
+
+	/**
+	 * User meta key for snoozed notices
+	 *
+	 * @var string
+	 */
+	const META_KEY = 'qala_snoozed_notices';
+
+	/**
+	 * Allowed snooze durations in seconds
+	 *
+	 * @var array
+	 */
+	const DURATIONS = [
+		'day' => 86400,
+		'week' => 604800,
+		'month' => 2592000,
+	];
+
+	/**
+	 * Maximum length of the stored notice excerpt
+	 *
+	 * @var int
+	 */
+	const EXCERPT_LENGTH = 120;
+
+	/**
+	 * Initialize hooks
+	 *
+	 * Hooks registered:
+	 * - admin_enqueue_scripts: Localize active snoozes (priority 15, after enqueue)
+	 *
+	 * Snoozing and waking go through the REST API (see RestController).
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'admin_enqueue_scripts', [ $this, 'localize_snoozed_notices' ], 15 );
+	}
+
+	/**
+	 * Localize active snoozes for JavaScript
+	 *
+	 * Snoozes are per user and hide notices whether or not notices are
+	 * hidden globally, so this runs for every admin page.
+	 *
+	 * @return void
+	 */
+	public function localize_snoozed_notices(): void {
+		wp_localize_script(
+			'qala-plugin-manager',
+			'qalaSnoozedNotices',
+			[
+				// Cast so an empty list is still a JS object keyed by notice key
+				'snoozed' => (object) $this->get_snoozed_notices(),
+				'strings' => [
+					'snooze' => __( 'Snooze', 'qala-plugin-manager' ),
+					'snoozeLabel' => __( 'Snooze this notice', 'qala-plugin-manager' ),
+					'snoozeError' => __( 'Failed to snooze notice', 'qala-plugin-manager' ),
+					'wake' => __( 'Wake', 'qala-plugin-manager' ),
+					'wakeError' => __( 'Failed to wake notice', 'qala-plugin-manager' ),
+					/* translators: %s: date and time the snooze ends */
+					'snoozedUntil' => __( 'Until %s', 'qala-plugin-manager' ),
+					'durations' => [
+						'day' => __( '1 day', 'qala-plugin-manager' ),
+						'week' => __( '1 week', 'qala-plugin-manager' ),
+						'month' => __( '30 days', 'qala-plugin-manager' ),
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Get a user's active snoozes
+	 *
+	 * Expired snoozes are left out; they are removed from user meta the
+	 * next time the snoozes are saved.
+	 *
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return array Notice key => [ 'until' => int, 'text' => string ]
+	 */
+	public function get_snoozed_notices( ?int $user_id = null ): array {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		$snoozed = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $snoozed ) ) {
+			return [];
+		}
+
+		$now = time();
+
+		return array_filter(
+			$snoozed,
+			function ( $snooze ) use ( $now ) {
+				return is_array( $snooze ) && isset( $snooze['until'] ) && (int) $snooze['until'] > $now;
+			}
+		);
+	}
+
+	/**
+	 * Snooze a notice for the given duration
+	 *
+	 * Snoozing an already snoozed notice restarts the snooze.
+	 *
+	 * @param string   $key Notice key.
+	 * @param string   $text Notice text (stored as an excerpt).
+	 * @param string   $duration One of the DURATIONS keys.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return array|null The stored snooze, or null if invalid or not saved
+	 */
+	public function snooze_notice( string $key, string $text, string $duration, ?int $user_id = null ): ?array {
+		if ( ! $this->is_valid_key( $key ) || ! isset( self::DURATIONS[ $duration ] ) ) {
+			return null;
+		}
+
+		$snoozed = $this->get_snoozed_notices( $user_id );
+
+		$snoozed[ $key ] = [
+			'until' => time() + self::DURATIONS[ $duration ],
+			'text' => wp_html_excerpt( $text, self::EXCERPT_LENGTH, '…' ),
+		];
+
+		if ( ! $this->save_snoozed_notices( $snoozed, $user_id ) ) {
+			return null;
+		}
+
+		return $snoozed[ $key ];
+	}
+
+	/**
+	 * End a snooze early
+	 *
+	 * @param string   $key Notice key.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True if the notice was snoozed and is now awake
+	 */
+	public function wake_notice( string $key, ?int $user_id = null ): bool {
+		$snoozed = $this->get_snoozed_notices( $user_id );
+
+		if ( ! isset( $snoozed[ $key ] ) ) {
+			return false;
+		}
+
+		unset( $snoozed[ $key ] );
+
+		return $this->save_snoozed_notices( $snoozed, $user_id );
+	}
+
+	/**
+	 * Validate a notice key
+	 *
+	 * Keys are "id:" followed by an element id, or "text:" followed by the
+	 * 8-digit hex hash of the notice text.
+	 *
+	 * @param string $key Notice key.
+	 *
+	 * @return bool True if the key has a known format
+	 */
+	public function is_valid_key( string $key ): bool {
+		if ( strlen( $key ) > 191 ) {
+			return false;
+		}
+
+		return (bool) preg_match( '/^(id:[A-Za-z0-9_\-:.]+|text:[0-9a-f]{8})$/', $key );
+	}
+
+	/**
+	 * Save snoozes to user meta
+	 *
+	 * Deletes the meta entirely once nothing is snoozed.
+	 *
+	 * @param array    $snoozed Notice key => snooze.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True on success, false on failure
+	 */
+	private function save_snoozed_notices( array $snoozed, ?int $user_id = null ): bool {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		if ( empty( $snoozed ) ) {
+			return (bool) delete_user_meta( $user_id, self::META_KEY );
+		}
+
+		// update_user_meta returns meta_id on success, false on failure
+		return ( update_user_meta( $user_id, self::META_KEY, $snoozed ) !== false );
+	}
+}
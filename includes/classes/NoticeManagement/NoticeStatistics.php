@@ -0,0 +1,233 @@
+<?php
+/**
+ * NoticeStatistics Class
+ *
+ * Builds the numbers behind the Statistics tab of the settings page from
+ * the notice log: hidden notices per day, the callbacks and plugins whose
+ * notices are hidden most, and how often each allowlist pattern matched a
+ * notice. Served as JSON by RestController (GET /statistics).
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+/**
+ * Class NoticeStatistics
+ *
+ * The log holds one entry per notice per day (see NoticeLogger), so the
+ * counts are days a notice was hidden or kept, not page views.
+ *
+ * Plugins are told apart by the namespace or prefix of their callbacks
+ * (see NoticeIdentifier::get_callback_source()).
+ *
+ * @since 1.3.0
+ */
+class NoticeStatistics {
+
+	/**
+	 * Longest period the statistics cover, in days
+	 *
+	 * @var int
+	 */
+	const MAX_DAYS = 365;
+
+	/**
+	 * Entries listed in the top callbacks and plugins
+	 *
+	 * @var int
+	 */
+	const TOP_LIMIT = 10;
+
+	/**
+	 * Most logged notice texts checked against the patterns
+	 *
+	 * @var int
+	 */
+	const MAX_CONTENT_ENTRIES = 1000;
+
+	/**
+	 * NoticeLogger instance
+	 *
+	 * @var NoticeLogger
+	 */
+	private $logger;
+
+	/**
+	 * AllowlistManager instance
+	 *
+	 * @var AllowlistManager
+	 */
+	private $allowlist;
+
+	/**
+	 * NoticeIdentifier instance
+	 *
+	 * @var NoticeIdentifier
+	 */
+	private $identifier;
+
+	/**
+	 * Constructor
+	 *
+	 * @param NoticeLogger     $logger Notice logger instance.
+	 * @param AllowlistManager $allowlist Allowlist manager instance.
+	 * @param NoticeIdentifier $identifier Notice identifier instance.
+	 */
+	public function __construct( NoticeLogger $logger, AllowlistManager $allowlist, NoticeIdentifier $identifier ) {
+		$this->logger = $logger;
+		$this->allowlist = $allowlist;
+		$this->identifier = $identifier;
+	}
+
+	/**
+	 * Get the statistics for a period
+	 *
+	 * @param int $days Number of days, including today (1 to MAX_DAYS).
+	 *
+	 * @return array {
+	 *     @type int   $days          Number of days covered.
+	 *     @type array $totals        logged, unique_callbacks, removed and kept entries.
+	 *     @type array $daily         { date, count } for every day, oldest first.
+	 *     @type array $top_callbacks { name, count } callbacks removed most.
+	 *     @type array $top_plugins   { name, count, callbacks } sources removed most.
+	 *     @type array $patterns      { id, value, type, matches } active patterns, most matches first.
+	 * }
+	 */
+	public function get_statistics( int $days ): array {
+		$days = min( self::MAX_DAYS, max( 1, $days ) );
+
+		$statistics = $this->logger->get_statistics( $days );
+		$actions = array_column( $statistics['actions'], 'count', 'action_taken' );
+		$removed = $this->logger->get_callback_counts( 'removed', $days );
+
+		return [
+			'days' => $days,
+			'totals' => [
+				'logged' => $statistics['total'],
+				'unique_callbacks' => $statistics['unique_callbacks'],
+				'removed' => (int) ( $actions['removed'] ?? 0 ),
+				'kept' => (int) ( $actions['kept_allowlisted'] ?? 0 ),
+			],
+			'daily' => $this->get_daily( $days ),
+			'top_callbacks' => $this->get_top( $removed ),
+			'top_plugins' => $this->get_top_plugins( $removed ),
+			'patterns' => $this->get_pattern_matches( $days ),
+		];
+	}
+
+	/**
+	 * Get the hidden notices per day, with empty days filled in
+	 *
+	 * @param int $days Number of days, including today.
+	 *
+	 * @return array { date, count } for every day, oldest first
+	 */
+	private function get_daily( int $days ): array {
+		$counts = $this->logger->get_daily_counts( $days );
+		$daily = [];
+
+		for ( $offset = $days - 1; $offset >= 0; $offset-- ) {
+			$date = gmdate( 'Y-m-d', strtotime( "-{$offset} days" ) );
+
+			$daily[] = [
+				'date' => $date,
+				'count' => $counts[ $date ] ?? 0,
+			];
+		}
+
+		return $daily;
+	}
+
+	/**
+	 * Get the highest counts
+	 *
+	 * @param array $counts Counts keyed by name.
+	 *
+	 * @return array { name, count }, highest first, at most TOP_LIMIT
+	 */
+	private function get_top( array $counts ): array {
+		arsort( $counts );
+
+		$top = [];
+		foreach ( array_slice( $counts, 0, self::TOP_LIMIT, true ) as $name => $count ) {
+			$top[] = [
+				'name' => (string) $name,
+				'count' => $count,
+			];
+		}
+
+		return $top;
+	}
+
+	/**
+	 * Get the plugins whose callbacks were removed most
+	 *
+	 * Closures and unknown callbacks have no source and are left out.
+	 *
+	 * @param array $removed Removal counts keyed by callback name.
+	 *
+	 * @return array { name, count, callbacks }, highest first, at most TOP_LIMIT
+	 */
+	private function get_top_plugins( array $removed ): array {
+		$counts = [];
+		$callbacks = [];
+
+		foreach ( $removed as $callback_name => $count ) {
+			$source = $this->identifier->get_callback_source( (string) $callback_name );
+
+			if ( $source === '' ) {
+				continue;
+			}
+
+			$counts[ $source ] = ( $counts[ $source ] ?? 0 ) + $count;
+			$callbacks[ $source ] = ( $callbacks[ $source ] ?? 0 ) + 1;
+		}
+
+		return array_map(
+			function ( $entry ) use ( $callbacks ) {
+				$entry['callbacks'] = $callbacks[ $entry['name'] ];
+				return $entry;
+			},
+			$this->get_top( $counts )
+		);
+	}
+
+	/**
+	 * Get how often each active pattern matched a logged notice
+	 *
+	 * Callbacks kept by the allowlist, plus the notice texts reported from
+	 * the page (the MAX_CONTENT_ENTRIES most frequent). Selector patterns
+	 * need the notice markup, which is not logged, and count 0.
+	 *
+	 * @param int $days Number of days, including today.
+	 *
+	 * @return array { id, value, type, matches }, most matches first
+	 */
+	private function get_pattern_matches( int $days ): array {
+		$patterns = $this->allowlist->count_pattern_matches(
+			$this->logger->get_callback_counts( 'kept_allowlisted', $days ),
+			$this->logger->get_content_counts( $days, self::MAX_CONTENT_ENTRIES )
+		);
+
+		usort(
+			$patterns,
+			function ( $a, $b ) {
+				return $b['matches'] <=> $a['matches'];
+			}
+		);
+
+		return array_map(
+			function ( $pattern ) {
+				return [
+					'id' => $pattern['id'],
+					'value' => $pattern['pattern_value'],
+					'type' => $pattern['pattern_type'],
+					'matches' => $pattern['matches'],
+				];
+			},
+			$patterns
+		);
+	}
+}
@@ -0,0 +1,621 @@
+<?php
+/**
+ * PatternLinter Class
+ *
+ * Checks allowlist patterns for mistakes that AllowlistManager's validation
+ * lets through: patterns that are already in the allowlist, patterns a
+ * broader wildcard already covers, catch-alls that show every notice and
+ * regexes that can backtrack catastrophically.
+ *
+ * The settings page lints a pattern before saving it and can analyse the
+ * whole saved allowlist (through the REST API, see RestController).
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+/**
+ * Class PatternLinter
+ *
+ * Issue codes:
+ * - duplicate: Same value, type, severity and screens as another pattern (warning)
+ * - shadowed: An active, broader pattern already shows these notices (warning)
+ * - catch_all: Matches every notice, so hiding has no effect (error)
+ * - unsafe_regex: Nested or overlapping repetition, can hang the browser (error)
+ *
+ * Content patterns are matched case-insensitively in the browser, so the
+ * coverage checks are case-insensitive too.
+ *
+ * @since 1.3.0
+ */
+class PatternLinter {
+
+	/**
+	 * Texts a regex must match to count as a catch-all
+	 *
+	 * @var string[]
+	 */
+	private const SAMPLE_TEXTS = [
+		'',
+		'x',
+		'Settings saved.',
+		'Warning: 3 plugins have updates available',
+		'Einstellungen gespeichert. Ошибка 42',
+	];
+
+	/**
+	 * Selectors that match every notice
+	 *
+	 * Mirrors the selectors the notice hiding CSS targets.
+	 *
+	 * @var string[]
+	 */
+	private const GENERIC_SELECTORS = [
+		'*',
+		'div',
+		'p',
+		'.notice',
+		'.updated',
+		'.error',
+		'.update-nag',
+		'.is-dismissible',
+		'div.notice',
+		'div.updated',
+		'div.error',
+	];
+
+	/**
+	 * Branches that overlap with any other alternative
+	 *
+	 * @var string[]
+	 */
+	private const MATCH_ANY_BRANCHES = [ '.', '\S', '[\s\S]', '[\w\W]', '[\d\D]', '[^]' ];
+
+	/**
+	 * Allowlist manager instance
+	 *
+	 * @var AllowlistManager
+	 */
+	private $allowlist;
+
+	/**
+	 * Constructor
+	 *
+	 * @param AllowlistManager $allowlist Allowlist manager instance.
+	 */
+	public function __construct( AllowlistManager $allowlist ) {
+		$this->allowlist = $allowlist;
+	}
+
+	/**
+	 * Check a pattern against the allowlist before it is saved
+	 *
+	 * @param string $value Pattern value.
+	 * @param string $type Pattern type.
+	 * @param string $severity Severity constraint, or empty for any.
+	 * @param string $screens Comma-separated screen scope, or empty for all.
+	 * @param int    $ignore_id ID of the pattern being edited (compared with nothing), 0 for a new pattern.
+	 *
+	 * @return array List of issues, each containing:
+	 *               - code: duplicate, shadowed, catch_all or unsafe_regex
+	 *               - level: error or warning
+	 *               - message: Translated explanation
+	 *               - related: Pattern record the issue refers to, or null
+	 */
+	public function lint_pattern( string $value, string $type, string $severity = '', string $screens = '', int $ignore_id = 0 ): array {
+		$pattern = [
+			'pattern_value' => $type === 'regex' ? $this->allowlist->normalize_regex( $value ) : trim( $value ),
+			'pattern_type' => $type,
+			'severity' => $severity,
+			'screens' => $screens,
+		];
+
+		$records = array_values(
+			array_filter(
+				$this->allowlist->get_all_patterns( true ),
+				function ( $record ) use ( $ignore_id ) {
+					return (int) $record['id'] !== $ignore_id;
+				}
+			)
+		);
+
+		return $this->lint( $pattern, $records, $records );
+	}
+
+	/**
+	 * Run the same checks on every saved pattern
+	 *
+	 * Of two identical patterns only the newer one is reported as a
+	 * duplicate, so removing the reported ones keeps one copy.
+	 *
+	 * @return array Entries of [ 'pattern' => record, 'issues' => list ] for patterns with issues.
+	 */
+	public function analyse_patterns(): array {
+		// Newest first, see AllowlistManager::get_all_patterns()
+		$records = $this->allowlist->get_all_patterns( true );
+		$results = [];
+
+		foreach ( $records as $index => $record ) {
+			$others = $records;
+			unset( $others[ $index ] );
+
+			$issues = $this->lint( $record, array_slice( $records, $index + 1 ), $others );
+
+			if ( ! empty( $issues ) ) {
+				$results[] = [
+					'pattern' => $record,
+					'issues' => $issues,
+				];
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Check whether a regex has a catastrophic-backtracking shape
+	 *
+	 * Flags unbounded repetition of a group that itself repeats, like
+	 * (a+)+ or (.*x)*, and of alternations whose branches overlap, like
+	 * (a|a)* or (.|\s)+. This is a heuristic: it also flags some
+	 * harmless patterns of the same shape.
+	 *
+	 * @param string $regex Regex with or without delimiters.
+	 *
+	 * @return bool True if the regex may take exponential time
+	 */
+	public function is_unsafe_regex( string $regex ): bool {
+		$body = $this->get_regex_body( $regex );
+		$length = strlen( $body );
+		$groups = [ $this->open_group( 0 ) ];
+		$i = 0;
+
+		while ( $i < $length ) {
+			$char = $body[ $i ];
+
+			if ( $char === '(' ) {
+				$i = $this->skip_group_prefix( $body, $i + 1 );
+				$groups[] = $this->open_group( $i );
+				continue;
+			}
+
+			if ( $char === '|' ) {
+				$top = count( $groups ) - 1;
+				$groups[ $top ]['branches'][] = substr( $body, $groups[ $top ]['start'], $i - $groups[ $top ]['start'] );
+				$groups[ $top ]['start'] = $i + 1;
+				$i++;
+				continue;
+			}
+
+			if ( $char === ')' ) {
+				if ( count( $groups ) < 2 ) {
+					// Unbalanced, the regex does not compile anyway
+					return false;
+				}
+
+				$group = array_pop( $groups );
+				$group['branches'][] = substr( $body, $group['start'], $i - $group['start'] );
+
+				list( $unbounded, $i ) = $this->read_quantifier( $body, $i + 1 );
+
+				if ( $unbounded && ( $group['repeats'] || $this->has_overlapping_branches( $group['branches'] ) ) ) {
+					return true;
+				}
+
+				if ( $unbounded || $group['repeats'] ) {
+					$groups[ count( $groups ) - 1 ]['repeats'] = true;
+				}
+				continue;
+			}
+
+			if ( $char === '\\' ) {
+				$i += 2;
+			} elseif ( $char === '[' ) {
+				$i = $this->skip_character_class( $body, $i );
+			} else {
+				$i++;
+			}
+
+			list( $unbounded, $i ) = $this->read_quantifier( $body, $i );
+
+			if ( $unbounded ) {
+				$groups[ count( $groups ) - 1 ]['repeats'] = true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check whether a pattern matches every notice
+	 *
+	 * @param string $value Pattern value (regexes normalized).
+	 * @param string $type Pattern type.
+	 *
+	 * @return bool True for catch-all patterns
+	 */
+	public function is_catch_all( string $value, string $type ): bool {
+		switch ( $type ) {
+			case 'wildcard':
+				return trim( $value, '*' ) === '';
+
+			case 'regex':
+				foreach ( self::SAMPLE_TEXTS as $text ) {
+					if ( @preg_match( $value, $text ) !== 1 ) {
+						return false;
+					}
+				}
+				return true;
+
+			case 'selector':
+				foreach ( explode( ',', strtolower( $value ) ) as $selector ) {
+					$selector = preg_replace( '/\s+/', ' ', trim( $selector ) );
+
+					if ( in_array( $selector, self::GENERIC_SELECTORS, true ) ) {
+						return true;
+					}
+				}
+				return false;
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Run all checks on one pattern
+	 *
+	 * @param array $pattern Pattern with pattern_value, pattern_type, severity and screens.
+	 * @param array $duplicate_of Records the pattern may duplicate.
+	 * @param array $covered_by Records that may cover the pattern.
+	 *
+	 * @return array List of issues
+	 */
+	private function lint( array $pattern, array $duplicate_of, array $covered_by ): array {
+		$value = $pattern['pattern_value'];
+		$type = $pattern['pattern_type'];
+		$issues = [];
+
+		if ( $type === 'regex' && @preg_match( $value, '' ) === false ) {
+			// Invalid regexes are rejected when saving, nothing to analyse
+			return [];
+		}
+
+		if ( $this->is_catch_all( $value, $type ) ) {
+			$issues[] = $this->issue(
+				'catch_all',
+				'error',
+				__( 'This pattern matches every notice, so no notice would be hidden.', 'qala-plugin-manager' )
+			);
+		}
+
+		if ( $type === 'regex' && $this->is_unsafe_regex( $value ) ) {
+			$issues[] = $this->issue(
+				'unsafe_regex',
+				'error',
+				__( 'This regex repeats a group that can itself repeat or match the same text in several ways, which can take extremely long on some notices. The notice matcher only runs it in a worker that stops it after a time budget, and skips it where workers are unavailable.', 'qala-plugin-manager' )
+			);
+		}
+
+		foreach ( $duplicate_of as $record ) {
+			if ( $this->is_duplicate( $pattern, $record ) ) {
+				$issues[] = $this->issue(
+					'duplicate',
+					'warning',
+					$record['is_active']
+						? __( 'This pattern is already in the allowlist.', 'qala-plugin-manager' )
+						: __( 'This pattern is already in the allowlist, deactivated.', 'qala-plugin-manager' ),
+					$record
+				);
+
+				return $issues;
+			}
+		}
+
+		foreach ( $covered_by as $record ) {
+			if ( $this->covers( $record, $pattern ) ) {
+				$issues[] = $this->issue(
+					'shadowed',
+					'warning',
+					sprintf(
+						/* translators: %s: the broader pattern */
+						__( 'The broader pattern "%s" already shows these notices.', 'qala-plugin-manager' ),
+						$record['pattern_value']
+					),
+					$record
+				);
+				break;
+			}
+		}
+
+		return $issues;
+	}
+
+	/**
+	 * Build an issue entry
+	 *
+	 * @param string     $code Issue code.
+	 * @param string     $level error or warning.
+	 * @param string     $message Translated explanation.
+	 * @param array|null $related Pattern record the issue refers to.
+	 *
+	 * @return array Issue
+	 */
+	private function issue( string $code, string $level, string $message, ?array $related = null ): array {
+		return [
+			'code' => $code,
+			'level' => $level,
+			'message' => $message,
+			'related' => $related,
+		];
+	}
+
+	/**
+	 * Check whether two patterns are identical
+	 *
+	 * @param array $pattern Pattern being checked.
+	 * @param array $record Stored pattern record.
+	 *
+	 * @return bool True if value, type, severity and screens are equal
+	 */
+	private function is_duplicate( array $pattern, array $record ): bool {
+		return $this->is_same_value( $pattern, $record )
+			&& (string) $pattern['severity'] === (string) $record['severity']
+			&& $this->parse_screens( $pattern['screens'] ) === $this->parse_screens( $record['screens'] );
+	}
+
+	/**
+	 * Check whether two patterns have the same type and value
+	 *
+	 * @param array $pattern Pattern being checked.
+	 * @param array $record Stored pattern record.
+	 *
+	 * @return bool True if type and value are equal
+	 */
+	private function is_same_value( array $pattern, array $record ): bool {
+		return $pattern['pattern_type'] === $record['pattern_type']
+			&& $pattern['pattern_value'] === $record['pattern_value'];
+	}
+
+	/**
+	 * Check whether a stored pattern already shows every notice a pattern would
+	 *
+	 * Only active patterns cover others. Catch-alls are left out: they are
+	 * reported on their own and would otherwise cover everything.
+	 *
+	 * @param array $broad Stored pattern record.
+	 * @param array $pattern Pattern being checked.
+	 *
+	 * @return bool True if the stored pattern covers the pattern
+	 */
+	private function covers( array $broad, array $pattern ): bool {
+		if ( ! $broad['is_active'] || $this->is_same_value( $pattern, $broad ) ) {
+			return false;
+		}
+
+		if ( $this->is_catch_all( $broad['pattern_value'], $broad['pattern_type'] ) || ! $this->scope_covers( $broad, $pattern ) ) {
+			return false;
+		}
+
+		$value = $pattern['pattern_value'];
+
+		if ( $broad['pattern_type'] === 'wildcard' ) {
+			$regex = $this->wildcard_to_regex( $broad['pattern_value'] );
+
+			if ( $pattern['pattern_type'] === 'exact' ) {
+				return (bool) preg_match( $regex, $value );
+			}
+
+			if ( $pattern['pattern_type'] === 'wildcard' ) {
+				// A wildcard covers another if it still matches when every
+				// asterisk of the other is a character neither contains
+				return (bool) preg_match( $regex, str_replace( '*', "\0", $value ) );
+			}
+
+			return false;
+		}
+
+		if ( $broad['pattern_type'] === 'regex' && $pattern['pattern_type'] === 'exact' ) {
+			return @preg_match( $broad['pattern_value'], $value ) === 1;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Check whether a stored pattern's severity and screens include a pattern's
+	 *
+	 * @param array $broad Stored pattern record.
+	 * @param array $pattern Pattern being checked.
+	 *
+	 * @return bool True if the stored pattern applies wherever the pattern does
+	 */
+	private function scope_covers( array $broad, array $pattern ): bool {
+		$severity = (string) $broad['severity'];
+
+		if ( $severity !== '' && $severity !== (string) $pattern['severity'] ) {
+			return false;
+		}
+
+		$broad_screens = $this->parse_screens( $broad['screens'] );
+
+		if ( empty( $broad_screens ) ) {
+			return true;
+		}
+
+		$screens = $this->parse_screens( $pattern['screens'] );
+
+		return ! empty( $screens ) && empty( array_diff( $screens, $broad_screens ) );
+	}
+
+	/**
+	 * Split a screen scope into a sorted list
+	 *
+	 * @param string|null $screens Comma-separated screen scope.
+	 *
+	 * @return string[] Screens, empty for all screens
+	 */
+	private function parse_screens( ?string $screens ): array {
+		$list = array_values( array_filter( array_map( 'trim', explode( ',', (string) $screens ) ) ) );
+		sort( $list );
+
+		return $list;
+	}
+
+	/**
+	 * Compile a wildcard the way the notice matcher does
+	 *
+	 * @param string $wildcard Wildcard pattern.
+	 *
+	 * @return string Anchored, case-insensitive regex
+	 */
+	private function wildcard_to_regex( string $wildcard ): string {
+		$escaped = preg_quote( $wildcard, '/' );
+
+		return '/^' . str_replace( '\*', '.*', $escaped ) . '$/is';
+	}
+
+	/**
+	 * Strip the delimiters and flags from a regex
+	 *
+	 * @param string $regex Regex with or without delimiters.
+	 *
+	 * @return string Regex body
+	 */
+	private function get_regex_body( string $regex ): string {
+		if ( preg_match( '/^([^a-zA-Z0-9\\\\\s])(.*)\1[a-zA-Z]*$/s', $regex, $matches ) ) {
+			return $matches[2];
+		}
+
+		return $regex;
+	}
+
+	/**
+	 * Start tracking a group (or the whole regex)
+	 *
+	 * @param int $start Offset of the group's first branch.
+	 *
+	 * @return array Group state
+	 */
+	private function open_group( int $start ): array {
+		return [
+			'start' => $start,
+			'branches' => [],
+			'repeats' => false,
+		];
+	}
+
+	/**
+	 * Skip the (?:, (?=, (?<name> ... prefix of a group
+	 *
+	 * @param string $body Regex body.
+	 * @param int    $i Offset after the opening parenthesis.
+	 *
+	 * @return int Offset of the group's content
+	 */
+	private function skip_group_prefix( string $body, int $i ): int {
+		if ( ( $body[ $i ] ?? '' ) !== '?' ) {
+			return $i;
+		}
+
+		$i++;
+		$char = $body[ $i ] ?? '';
+
+		if ( in_array( $char, [ ':', '=', '!', '>', '|' ], true ) ) {
+			return $i + 1;
+		}
+
+		if ( $char === '<' && in_array( $body[ $i + 1 ] ?? '', [ '=', '!' ], true ) ) {
+			return $i + 2;
+		}
+
+		if ( $char === '<' || $char === 'P' || $char === "'" ) {
+			$end = strpos( $body, $char === "'" ? "'" : '>', $i + 1 );
+
+			return $end === false ? strlen( $body ) : $end + 1;
+		}
+
+		// Inline flags: (?i) closes right away, (?i:...) has content
+		$i += strcspn( $body, ':)', $i );
+
+		return ( $body[ $i ] ?? '' ) === ':' ? $i + 1 : $i;
+	}
+
+	/**
+	 * Skip a [...] character class
+	 *
+	 * @param string $body Regex body.
+	 * @param int    $i Offset of the opening bracket.
+	 *
+	 * @return int Offset after the closing bracket
+	 */
+	private function skip_character_class( string $body, int $i ): int {
+		$length = strlen( $body );
+		$i++;
+
+		if ( ( $body[ $i ] ?? '' ) === '^' ) {
+			$i++;
+		}
+
+		// A leading ] is a literal
+		if ( ( $body[ $i ] ?? '' ) === ']' ) {
+			$i++;
+		}
+
+		while ( $i < $length && $body[ $i ] !== ']' ) {
+			$i += $body[ $i ] === '\\' ? 2 : 1;
+		}
+
+		return $i + 1;
+	}
+
+	/**
+	 * Read the quantifier after an atom, if any
+	 *
+	 * @param string $body Regex body.
+	 * @param int    $i Offset after the atom.
+	 *
+	 * @return array [ bool|null $unbounded (null without quantifier), int $next_offset ]
+	 */
+	private function read_quantifier( string $body, int $i ): array {
+		$char = $body[ $i ] ?? '';
+
+		if ( $char === '*' || $char === '+' ) {
+			$unbounded = true;
+			$i++;
+		} elseif ( $char === '?' ) {
+			$unbounded = false;
+			$i++;
+		} elseif ( $char === '{' && preg_match( '/\G\{\d+(,?)(\d*)\}/', $body, $matches, 0, $i ) ) {
+			$unbounded = $matches[1] === ',' && $matches[2] === '';
+			$i += strlen( $matches[0] );
+		} else {
+			return [ null, $i ];
+		}
+
+		// Lazy and possessive modifiers
+		if ( in_array( $body[ $i ] ?? '', [ '?', '+' ], true ) ) {
+			$i++;
+		}
+
+		return [ $unbounded, $i ];
+	}
+
+	/**
+	 * Check whether alternatives can match the same text
+	 *
+	 * @param string[] $branches Alternatives of one group.
+	 *
+	 * @return bool True if two branches are identical or one matches any character
+	 */
+	private function has_overlapping_branches( array $branches ): bool {
+		if ( count( $branches ) < 2 ) {
+			return false;
+		}
+
+		return count( array_unique( $branches ) ) < count( $branches )
+			|| ! empty( array_intersect( $branches, self::MATCH_ANY_BRANCHES ) );
+	}
+}
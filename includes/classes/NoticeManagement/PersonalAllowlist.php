@@ -0,0 +1,221 @@
+<?php
+/**
+ * PersonalAllowlist Class
+ *
+ * Per-user allowlist patterns, kept on top of the site allowlist. A
+ * developer can show e.g. every "*Query Monitor*" notice for themselves
+ * without forcing those notices on every editor.
+ *
+ * Patterns are validated like site patterns (see AllowlistManager) and
+ * matched client-side by the NoticeContentMatcher, which receives them
+ * merged with the site list (see BodyClassManager).
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+/**
+ * Class PersonalAllowlist
+ *
+ * Responsibilities:
+ * - Store and retrieve a user's personal patterns
+ * - Validate patterns with the same rules as the site allowlist
+ *
+ * User Pattern Storage:
+ * - Meta key: qala_personal_patterns
+ * - Value: list of [ 'id', 'pattern_value', 'pattern_type', 'severity', 'screens', 'is_active' ]
+ * - IDs are per user: they only identify a pattern within one user's list
+ *
+ * @since 1.3.0
+ */
+class PersonalAllowlist {
+
+	/**
+	 * User meta key for personal patterns
+	 *
+	 * @var string
+	 */
+	const META_KEY = 'qala_personal_patterns';
+
+	/**
+	 * Most patterns one user can keep
+	 *
+	 * Personal patterns are localized on every admin page, so the list is
+	 * kept short.
+	 *
+	 * @var int
+	 */
+	const MAX_PATTERNS = 50;
+
+	/**
+	 * Allowlist manager instance (pattern validation)
+	 *
+	 * @var AllowlistManager
+	 */
+	private $allowlist;
+
+	/**
+	 * Constructor
+	 *
+	 * @param AllowlistManager $allowlist Allowlist manager instance.
+	 */
+	public function __construct( AllowlistManager $allowlist ) {
+		$this->allowlist = $allowlist;
+	}
+
+	/**
+	 * Get a user's personal patterns
+	 *
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return array Pattern records, newest first (same fields as AllowlistManager::get_all_patterns())
+	 */
+	public function get_patterns( ?int $user_id = null ): array {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		$patterns = get_user_meta( $user_id, self::META_KEY, true );
+
+		if ( ! is_array( $patterns ) ) {
+			return [];
+		}
+
+		return array_values(
+			array_filter(
+				$patterns,
+				function ( $pattern ) {
+					return is_array( $pattern ) && isset( $pattern['id'], $pattern['pattern_value'], $pattern['pattern_type'] );
+				}
+			)
+		);
+	}
+
+	/**
+	 * Add a personal pattern
+	 *
+	 * Adding a pattern the user already has returns the existing one.
+	 *
+	 * @param string   $pattern The pattern value.
+	 * @param string   $type Pattern type: 'exact', 'wildcard', 'regex', or 'selector'.
+	 * @param string   $severity Limit the pattern to one notice severity. Empty for any severity.
+	 * @param string   $screens Comma-separated screens the pattern applies to. Empty for all screens.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return array|null The stored pattern, or null if invalid, over the limit or not saved
+	 */
+	public function add_pattern( string $pattern, string $type = 'exact', string $severity = '', string $screens = '', ?int $user_id = null ): ?array {
+		if ( ! in_array( $type, AllowlistManager::TYPES, true ) ) {
+			return null;
+		}
+
+		$value = $this->allowlist->prepare_pattern_value( $pattern, $type, $severity );
+		if ( $value === null ) {
+			return null;
+		}
+
+		$patterns = $this->get_patterns( $user_id );
+
+		foreach ( $patterns as $existing ) {
+			if ( $existing['pattern_value'] === $value
+				&& $existing['pattern_type'] === $type
+				&& (string) $existing['severity'] === $severity
+				&& (string) $existing['screens'] === $screens
+			) {
+				return $existing;
+			}
+		}
+
+		if ( count( $patterns ) >= self::MAX_PATTERNS ) {
+			return null;
+		}
+
+		$ids = array_map( 'intval', array_column( $patterns, 'id' ) );
+
+		$record = [
+			'id' => empty( $ids ) ? 1 : max( $ids ) + 1,
+			'pattern_value' => $value,
+			'pattern_type' => $type,
+			'severity' => $severity,
+			'screens' => $screens,
+			'is_active' => 1,
+		];
+
+		array_unshift( $patterns, $record );
+
+		if ( ! $this->save_patterns( $patterns, $user_id ) ) {
+			return null;
+		}
+
+		return $record;
+	}
+
+	/**
+	 * Get one personal pattern
+	 *
+	 * @param int      $id Pattern ID.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return array|null Pattern record, or null if the user has no such pattern
+	 */
+	public function get_pattern( int $id, ?int $user_id = null ): ?array {
+		foreach ( $this->get_patterns( $user_id ) as $pattern ) {
+			if ( (int) $pattern['id'] === $id ) {
+				return $pattern;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Remove a personal pattern
+	 *
+	 * @param int      $id Pattern ID.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True if the pattern existed and is now removed
+	 */
+	public function remove_pattern( int $id, ?int $user_id = null ): bool {
+		$patterns = $this->get_patterns( $user_id );
+		$remaining = array_values(
+			array_filter(
+				$patterns,
+				function ( $pattern ) use ( $id ) {
+					return (int) $pattern['id'] !== $id;
+				}
+			)
+		);
+
+		if ( count( $remaining ) === count( $patterns ) ) {
+			return false;
+		}
+
+		return $this->save_patterns( $remaining, $user_id );
+	}
+
+	/**
+	 * Save personal patterns to user meta
+	 *
+	 * Deletes the meta entirely once the list is empty.
+	 *
+	 * @param array    $patterns Pattern records.
+	 * @param int|null $user_id User ID (null = current user).
+	 *
+	 * @return bool True on success, false on failure
+	 */
+	private function save_patterns( array $patterns, ?int $user_id = null ): bool {
+		if ( $user_id === null ) {
+			$user_id = get_current_user_id();
+		}
+
+		if ( empty( $patterns ) ) {
+			return (bool) delete_user_meta( $user_id, self::META_KEY );
+		}
+
+		// update_user_meta returns meta_id on success, false on failure
+		return ( update_user_meta( $user_id, self::META_KEY, $patterns ) !== false );
+	}
+}
@@ -0,0 +1,1445 @@
+<?php
+/**
+ * RestController Class
+ *
+ * REST API for notice management, under the qala-plugin-manager/v1 namespace.
+ * Used by every part of the admin UI (through the QalaPluginManager.api JS
+ * client) and available to deployment scripts and other tools.
+ *
+ * Routes:
+ * - GET    /patterns             List allowlist patterns (active only unless include_inactive)
+ * - POST   /patterns             Create a pattern
+ * - DELETE /patterns             Remove all patterns
+ * - POST   /patterns/{id}        Update a pattern (PUT and PATCH also accepted)
+ * - DELETE /patterns/{id}        Remove a pattern
+ * - POST   /patterns/{id}/timeout  Report a regex that keeps timing out (disables it for safety)
+ * - DELETE /patterns/{id}/timeout  Re-enable a pattern disabled for safety
+ * - POST   /patterns/import      Preview (dry_run) or import an exported pattern list
+ * - POST   /patterns/lint        Check a pattern for problems before saving it
+ * - GET    /patterns/analysis    Check every saved pattern for problems
+ * - GET    /my-patterns          List the current user's personal patterns
+ * - POST   /my-patterns          Add a personal pattern
+ * - DELETE /my-patterns/{id}     Remove a personal pattern
+ * - POST   /toggle               Set the global notice hiding toggle
+ * - POST   /visibility           Toggle the current user's notice visibility
+ * - POST   /debug                Switch debug mode on or off for the current user
+ * - POST   /snoozes              Snooze a notice for the current user
+ * - DELETE /snoozes/{key}        Wake a snoozed notice
+ * - POST   /notices/captured     Log a batch of notices hidden in the browser (by the CSS, or removed from the block editor)
+ * - GET    /log                  Search, filter, sort and page the Hidden Notices Log
+ * - GET    /log/groups           The Hidden Notices Log grouped by plugin, with a pattern per plugin
+ * - POST   /log/matches          Count the logged notices each of a few patterns would match, before saving one
+ * - GET    /statistics           Notice statistics for the settings page Statistics tab
+ *
+ * @package QalaPluginManager
+ * @subpackage NoticeManagement
+ */
+
+namespace QalaPluginManager\NoticeManagement;
+
+use QalaPluginManager\Interfaces\WithHooksInterface;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Class RestController
+ *
+ * Responsibilities:
+ * - Register REST routes and their argument schemas
+ * - Check permissions (qala_full_access, or logged in for snoozes and notice logging)
+ * - Delegate to AllowlistManager, PersonalAllowlist, PatternLinter, AdminPage, AdminBarToggle, NoticeSnoozeManager, DebugMode, NoticeLogger, NoticeLogGroups and NoticeStatistics
+ *
+ * Authentication uses the standard REST cookie nonce (X-WP-Nonce), which
+ * wp.apiFetch sends automatically, or application passwords for tools.
+ *
+ * @since 1.3.0
+ */
+class RestController implements WithHooksInterface {
+
+	/**
+	 * REST namespace (versioned)
+	 *
+	 * @var string
+	 */
+	const REST_NAMESPACE = 'qala-plugin-manager/v1';
+
+	/**
+	 * Allowlist manager instance
+	 *
+	 * @var AllowlistManager
+	 */
+	private $allowlist;
+
+	/**
+	 * Admin page instance (input validation and the global toggle)
+	 *
+	 * @var AdminPage
+	 */
+	private $admin_page;
+
+	/**
+	 * Admin bar toggle instance (per-user visibility)
+	 *
+	 * @var AdminBarToggle
+	 */
+	private $admin_bar;
+
+	/**
+	 * Notice snooze manager instance
+	 *
+	 * @var NoticeSnoozeManager
+	 */
+	private $snooze;
+
+	/**
+	 * Debug mode instance (per-user preference)
+	 *
+	 * @var DebugMode
+	 */
+	private $debug;
+
+	/**
+	 * Pattern linter instance
+	 *
+	 * @var PatternLinter
+	 */
+	private $linter;
+
+	/**
+	 * Personal allowlist instance
+	 *
+	 * @var PersonalAllowlist
+	 */
+	private $personal;
+
+	/**
+	 * Notice logger instance
+	 *
+	 * @var NoticeLogger
+	 */
+	private $logger;
+
+	/**
+	 * Notice statistics instance
+	 *
+	 * @var NoticeStatistics
+	 */
+	private $statistics;
+
+	/**
+	 * Notice log groups instance
+	 *
+	 * @var NoticeLogGroups
+	 */
+	private $log_groups;
+
+	/**
+	 * Constructor
+	 *
+	 * @param AllowlistManager    $allowlist Allowlist manager instance.
+	 * @param AdminPage           $admin_page Admin page instance.
+	 * @param AdminBarToggle      $admin_bar Admin bar toggle instance.
+	 * @param NoticeSnoozeManager $snooze Notice snooze manager instance.
+	 * @param DebugMode           $debug Debug mode instance.
+	 * @param PatternLinter       $linter Pattern linter instance.
+	 * @param PersonalAllowlist   $personal Personal allowlist instance.
+	 * @param NoticeLogger        $logger Notice logger instance.
+	 * @param NoticeStatistics    $statistics Notice statistics instance.
+	 * @param NoticeLogGroups     $log_groups Notice log groups instance.
+	 */
+	public function __construct(
+		AllowlistManager $allowlist,
+		AdminPage $admin_page,
+		AdminBarToggle $admin_bar,
+		NoticeSnoozeManager $snooze,
+		DebugMode $debug,
+		PatternLinter $linter,
+		PersonalAllowlist $personal,
+		NoticeLogger $logger,
+		NoticeStatistics $statistics,
+		NoticeLogGroups $log_groups
+	) {
+		$this->allowlist = $allowlist;
+		$this->admin_page = $admin_page;
+		$this->admin_bar = $admin_bar;
+		$this->snooze = $snooze;
+		$this->debug = $debug;
+		$this->linter = $linter;
+		$this->personal = $personal;
+		$this->logger = $logger;
+		$this->statistics = $statistics;
+		$this->log_groups = $log_groups;
+	}
+
+	/**
+	 * Initialize hooks
+	 *
+	 * @return void
+	 */
+	public function init(): void {
+		add_action( 'rest_api_init', [ $this, 'register_routes' ] );
+	}
+
+	/**
+	 * Register REST routes
+	 *
+	 * @return void
+	 */
+	public function register_routes(): void {
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns',
+			[
+				[
+					'methods' => 'GET',
+					'callback' => [ $this, 'get_patterns' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+					'args' => [
+						'include_inactive' => [
+							'type' => 'boolean',
+							'default' => false,
+						],
+					],
+				],
+				[
+					'methods' => 'POST',
+					'callback' => [ $this, 'create_pattern' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+					'args' => $this->get_pattern_args( true ),
+				],
+				[
+					'methods' => 'DELETE',
+					'callback' => [ $this, 'delete_all_patterns' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns/(?P<id>\d+)',
+			[
+				[
+					'methods' => 'POST, PUT, PATCH',
+					'callback' => [ $this, 'update_pattern' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+					'args' => array_merge(
+						$this->get_pattern_args( false ),
+						[
+							'active' => [
+								'type' => 'boolean',
+							],
+						]
+					),
+				],
+				[
+					'methods' => 'DELETE',
+					'callback' => [ $this, 'delete_pattern' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns/(?P<id>\d+)/timeout',
+			[
+				[
+					// Disables the pattern for every user, so only managers may report;
+					// other users' matchers skip the pattern on their own page
+					'methods' => 'POST',
+					'callback' => [ $this, 'report_pattern_timeout' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+				],
+				[
+					'methods' => 'DELETE',
+					'callback' => [ $this, 'clear_pattern_timeout' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns/import',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'import_patterns' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => [
+					'patterns' => [
+						'type' => 'array',
+						'required' => true,
+					],
+					'dry_run' => [
+						'type' => 'boolean',
+						'default' => false,
+					],
+					'replace_conflicts' => [
+						'type' => 'boolean',
+						'default' => false,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns/lint',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'lint_pattern' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => array_merge(
+					$this->get_pattern_args( false ),
+					[
+						'id' => [
+							'type' => 'integer',
+							'default' => 0,
+						],
+					]
+				),
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/patterns/analysis',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'analyse_patterns' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/my-patterns',
+			[
+				[
+					'methods' => 'GET',
+					'callback' => [ $this, 'get_personal_patterns' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+				],
+				[
+					'methods' => 'POST',
+					'callback' => [ $this, 'create_personal_pattern' ],
+					'permission_callback' => [ $this, 'can_manage' ],
+					'args' => $this->get_pattern_args( true ),
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/my-patterns/(?P<id>\d+)',
+			[
+				'methods' => 'DELETE',
+				'callback' => [ $this, 'delete_personal_pattern' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/toggle',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'toggle_notices' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => [
+					'enabled' => [
+						'type' => 'string',
+						'enum' => [ 'yes', 'no' ],
+						'required' => true,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/visibility',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'toggle_visibility' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/debug',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'set_debug_mode' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => [
+					'enabled' => [
+						'type' => 'boolean',
+						'required' => true,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/snoozes',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'create_snooze' ],
+				'permission_callback' => 'is_user_logged_in',
+				'args' => [
+					'key' => [
+						'type' => 'string',
+						'required' => true,
+					],
+					'text' => [
+						'type' => 'string',
+						'default' => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'duration' => [
+						'type' => 'string',
+						'enum' => array_keys( NoticeSnoozeManager::DURATIONS ),
+						'required' => true,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/snoozes/(?P<key>[A-Za-z0-9_\-:.]+)',
+			[
+				'methods' => 'DELETE',
+				'callback' => [ $this, 'delete_snooze' ],
+				'permission_callback' => 'is_user_logged_in',
+			]
+		);
+
+		// Mostly sent with navigator.sendBeacon, which cannot set headers: the
+		// REST nonce comes as the _wpnonce field and the notices as a JSON string
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/notices/captured',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'log_captured_notices' ],
+				'permission_callback' => 'is_user_logged_in',
+				'args' => [
+					'notices' => [
+						'type' => 'string',
+						'required' => true,
+					],
+					'screen' => [
+						'type' => 'string',
+						'default' => '',
+						'sanitize_callback' => 'sanitize_key',
+					],
+				],
+			]
+		);
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/log',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_log' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => $this->get_log_filter_args() + [
+					'orderby' => [
+						'type' => 'string',
+						'enum' => NoticeLogger::LOG_ORDERBY,
+						'default' => 'last_seen',
+					],
+					'order' => [
+						'type' => 'string',
+						'enum' => [ 'asc', 'desc' ],
+						'default' => 'desc',
+					],
+					'page' => [
+						'type' => 'integer',
+						'minimum' => 1,
+						'default' => 1,
+					],
+					'per_page' => [
+						'type' => 'integer',
+						'minimum' => 1,
+						'maximum' => self::MAX_LOG_PER_PAGE,
+						'default' => AdminPage::LOG_PER_PAGE,
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/log/groups',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_log_groups' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => $this->get_log_filter_args(),
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/log/matches',
+			[
+				'methods' => 'POST',
+				'callback' => [ $this, 'count_log_matches' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => [
+					'patterns' => [
+						'type' => 'array',
+						'required' => true,
+						'minItems' => 1,
+						'maxItems' => self::MAX_MATCH_PATTERNS,
+						'items' => [
+							'type' => 'object',
+							'properties' => [
+								'pattern' => [
+									'type' => 'string',
+									'required' => true,
+								],
+								'type' => [
+									'type' => 'string',
+									'enum' => AllowlistManager::TYPES,
+									'required' => true,
+								],
+							],
+						],
+					],
+				],
+			]
+		);
+
+		register_rest_route(
+			self::REST_NAMESPACE,
+			'/statistics',
+			[
+				'methods' => 'GET',
+				'callback' => [ $this, 'get_statistics' ],
+				'permission_callback' => [ $this, 'can_manage' ],
+				'args' => [
+					'days' => [
+						'type' => 'integer',
+						'minimum' => 1,
+						'maximum' => NoticeStatistics::MAX_DAYS,
+						'default' => 30,
+					],
+				],
+			]
+		);
+	}
+
+	/**
+	 * Most notices accepted in one captured batch
+	 *
+	 * @var int
+	 */
+	const MAX_CAPTURED_NOTICES = 20;
+
+	/**
+	 * Most content entries one user can add to the notice log per day
+	 *
+	 * Any logged-in user can report notices, and the log is read by
+	 * managers only.
+	 *
+	 * @var int
+	 */
+	const MAX_CAPTURED_PER_DAY = 100;
+
+	/**
+	 * Most log entries returned in one page
+	 *
+	 * @var int
+	 */
+	const MAX_LOG_PER_PAGE = 100;
+
+	/**
+	 * Most patterns counted in one POST /log/matches request
+	 *
+	 * @var int
+	 */
+	const MAX_MATCH_PATTERNS = 10;
+
+	/**
+	 * Most recently seen log entries the patterns are counted against (POST /log/matches)
+	 *
+	 * @var int
+	 */
+	const MAX_MATCH_ENTRIES = 1000;
+
+	/**
+	 * Permission callback for allowlist and toggle routes
+	 *
+	 * Checks the capability directly: CapabilityChecker also requires
+	 * is_admin(), which is false for REST requests.
+	 *
+	 * @return bool True if the current user has qala_full_access
+	 */
+	public function can_manage(): bool {
+		return current_user_can( 'qala_full_access' );
+	}
+
+	/**
+	 * List allowlist patterns
+	 *
+	 * @param WP_REST_Request $request Request with include_inactive.
+	 *
+	 * @return WP_REST_Response|array Pattern list
+	 */
+	public function get_patterns( $request ) {
+		$patterns = $this->allowlist->get_all_patterns( (bool) $request->get_param( 'include_inactive' ) );
+
+		return rest_ensure_response( array_map( [ $this, 'prepare_pattern' ], $patterns ) );
+	}
+
+	/**
+	 * Create an allowlist pattern
+	 *
+	 * @param WP_REST_Request $request Request with pattern, pattern_type, severity and screens.
+	 *
+	 * @return WP_REST_Response|WP_Error Created pattern (201) or error
+	 */
+	public function create_pattern( $request ) {
+		$pattern = trim( (string) $request->get_param( 'pattern' ) );
+
+		if ( $pattern === '' ) {
+			return new WP_Error(
+				'qala_empty_pattern',
+				__( 'Pattern cannot be empty', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$added = $this->allowlist->add_pattern(
+			$pattern,
+			(string) $request->get_param( 'pattern_type' ),
+			(string) $request->get_param( 'severity' ),
+			(string) $request->get_param( 'screens' )
+		);
+
+		if ( ! $added ) {
+			return new WP_Error(
+				'qala_invalid_pattern',
+				__( 'Failed to add pattern to allowlist', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$created = $this->allowlist->get_pattern( $this->allowlist->get_inserted_id() );
+
+		$response = rest_ensure_response( $created ? $this->prepare_pattern( $created ) : [] );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+
+	/**
+	 * Update an allowlist pattern
+	 *
+	 * Fields that are not sent keep their current value. "active" switches
+	 * the pattern on or off without touching the other fields.
+	 *
+	 * @param WP_REST_Request $request Request with the pattern id and changed fields.
+	 *
+	 * @return WP_REST_Response|WP_Error Updated pattern or error
+	 */
+	public function update_pattern( $request ) {
+		$id = (int) $request->get_param( 'id' );
+		$current = $this->allowlist->get_pattern( $id );
+
+		if ( $current === null ) {
+			return $this->pattern_not_found();
+		}
+
+		$fields = [ 'pattern', 'pattern_type', 'severity', 'screens' ];
+		$changed = array_filter(
+			$fields,
+			function ( $field ) use ( $request ) {
+				return $request->get_param( $field ) !== null;
+			}
+		);
+
+		if ( ! empty( $changed ) ) {
+			$pattern = $request->get_param( 'pattern' ) ?? $current['pattern_value'];
+			$type = $request->get_param( 'pattern_type' ) ?? $current['pattern_type'];
+			$severity = $request->get_param( 'severity' ) ?? (string) $current['severity'];
+			$screens = $request->get_param( 'screens' ) ?? (string) $current['screens'];
+
+			if ( trim( $pattern ) === '' || ! $this->allowlist->update_pattern( $id, trim( $pattern ), $type, $severity, $screens ) ) {
+				return new WP_Error(
+					'qala_invalid_pattern',
+					__( 'Failed to update pattern', 'qala-plugin-manager' ),
+					[ 'status' => 400 ]
+				);
+			}
+		}
+
+		$active = $request->get_param( 'active' );
+
+		if ( $active !== null ) {
+			if ( $active ) {
+				$this->allowlist->activate_pattern( $id );
+			} else {
+				$this->allowlist->deactivate_pattern( $id );
+			}
+		}
+
+		return rest_ensure_response( $this->prepare_pattern( $this->allowlist->get_pattern( $id ) ?? $current ) );
+	}
+
+	/**
+	 * Remove an allowlist pattern
+	 *
+	 * The removed pattern is returned so the UI can offer to restore it.
+	 *
+	 * @param WP_REST_Request $request Request with the pattern id.
+	 *
+	 * @return WP_REST_Response|WP_Error Removed pattern or error
+	 */
+	public function delete_pattern( $request ) {
+		$id = (int) $request->get_param( 'id' );
+		$current = $this->allowlist->get_pattern( $id );
+
+		if ( $current === null ) {
+			return $this->pattern_not_found();
+		}
+
+		if ( ! $this->allowlist->remove_pattern( $id ) ) {
+			return new WP_Error(
+				'qala_remove_failed',
+				__( 'Failed to remove pattern from allowlist', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'previous' => $this->prepare_pattern( $current ),
+			]
+		);
+	}
+
+	/**
+	 * Disable a regex pattern that keeps timing out in the browser
+	 *
+	 * @param WP_REST_Request $request Request with the pattern id.
+	 *
+	 * @return WP_REST_Response|WP_Error Pattern id and safety state, or error
+	 */
+	public function report_pattern_timeout( $request ) {
+		$id = (int) $request->get_param( 'id' );
+
+		if ( ! $this->allowlist->disable_for_safety( $id ) ) {
+			return new WP_Error(
+				'qala_invalid_timeout',
+				__( 'Only regex patterns can be disabled for safety', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'id' => $id,
+				'disabled_for_safety' => true,
+			]
+		);
+	}
+
+	/**
+	 * Re-enable a pattern that was disabled for safety
+	 *
+	 * @param WP_REST_Request $request Request with the pattern id.
+	 *
+	 * @return WP_REST_Response|WP_Error Pattern id and safety state, or error
+	 */
+	public function clear_pattern_timeout( $request ) {
+		$id = (int) $request->get_param( 'id' );
+
+		if ( $this->allowlist->get_pattern( $id ) === null ) {
+			return $this->pattern_not_found();
+		}
+
+		if ( ! $this->allowlist->enable_after_safety( $id ) ) {
+			return new WP_Error(
+				'qala_enable_failed',
+				__( 'Failed to re-enable pattern', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'id' => $id,
+				'disabled_for_safety' => false,
+			]
+		);
+	}
+
+	/**
+	 * Remove all allowlist patterns
+	 *
+	 * The removed patterns are returned so the UI can offer to restore them
+	 * (through POST /patterns/import).
+	 *
+	 * @return WP_REST_Response|WP_Error Removed patterns or error
+	 */
+	public function delete_all_patterns() {
+		$previous = $this->allowlist->get_all_patterns( true );
+
+		if ( ! $this->allowlist->remove_all_patterns() ) {
+			return new WP_Error(
+				'qala_clear_failed',
+				__( 'Failed to clear patterns', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'previous' => array_map( [ $this, 'prepare_pattern' ], $previous ),
+			]
+		);
+	}
+
+	/**
+	 * Preview or import a list of exported patterns
+	 *
+	 * Each entry is validated like a single new pattern (see
+	 * AdminPage::sanitize_import_pattern()); invalid entries are counted
+	 * and left out. With dry_run the allowlist is not changed and the
+	 * response lists new, duplicate and conflicting patterns instead.
+	 *
+	 * @param WP_REST_Request $request Request with patterns, dry_run and replace_conflicts.
+	 *
+	 * @return WP_REST_Response|WP_Error Preview or import counts, or error
+	 */
+	public function import_patterns( $request ) {
+		$patterns = [];
+		$invalid = 0;
+
+		foreach ( (array) $request->get_param( 'patterns' ) as $entry ) {
+			$pattern = $this->admin_page->sanitize_import_pattern( $entry );
+
+			if ( $pattern === null ) {
+				$invalid++;
+				continue;
+			}
+
+			$patterns[] = $pattern;
+		}
+
+		if ( empty( $patterns ) ) {
+			return new WP_Error(
+				'qala_empty_import',
+				__( 'The file contains no valid patterns', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		if ( $request->get_param( 'dry_run' ) ) {
+			$diff = $this->allowlist->diff_patterns( $patterns );
+
+			return rest_ensure_response(
+				[
+					'added' => array_map( [ $this, 'prepare_pattern' ], $diff['added'] ),
+					'duplicates' => array_map( [ $this, 'prepare_pattern' ], $diff['duplicates'] ),
+					'conflicts' => array_map(
+						function ( $conflict ) {
+							return [
+								'pattern' => $this->prepare_pattern( $conflict['pattern'] ),
+								'existing' => $this->prepare_pattern( $conflict['existing'] ),
+							];
+						},
+						$diff['conflicts']
+					),
+					'invalid' => $invalid,
+				]
+			);
+		}
+
+		$result = $this->allowlist->import_patterns( $patterns, (bool) $request->get_param( 'replace_conflicts' ) );
+		$result['invalid'] = $invalid;
+		$result['message'] = sprintf(
+			/* translators: 1: added patterns, 2: updated patterns, 3: skipped patterns */
+			__( 'Imported patterns: %1$d added, %2$d updated, %3$d skipped.', 'qala-plugin-manager' ),
+			$result['added'],
+			$result['updated'],
+			$result['skipped']
+		);
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Check a pattern for problems before it is saved
+	 *
+	 * Nothing is stored. When editing, the id keeps the pattern from being
+	 * reported as a duplicate of itself and fields that are not sent keep
+	 * their current value, like update_pattern().
+	 *
+	 * @param WP_REST_Request $request Request with pattern, pattern_type, severity, screens and id.
+	 *
+	 * @return WP_REST_Response Issues (see PatternLinter::lint_pattern())
+	 */
+	public function lint_pattern( $request ) {
+		$id = (int) $request->get_param( 'id' );
+		$current = $id ? $this->allowlist->get_pattern( $id ) : null;
+
+		$issues = $this->linter->lint_pattern(
+			(string) $request->get_param( 'pattern' ),
+			$request->get_param( 'pattern_type' ) ?? ( $current['pattern_type'] ?? 'exact' ),
+			$request->get_param( 'severity' ) ?? (string) ( $current['severity'] ?? '' ),
+			$request->get_param( 'screens' ) ?? (string) ( $current['screens'] ?? '' ),
+			$id
+		);
+
+		return rest_ensure_response(
+			[
+				'issues' => array_map( [ $this, 'prepare_issue' ], $issues ),
+			]
+		);
+	}
+
+	/**
+	 * Check every saved pattern for problems
+	 *
+	 * @return WP_REST_Response Patterns with issues, and the number of patterns checked
+	 */
+	public function analyse_patterns() {
+		$results = $this->linter->analyse_patterns();
+
+		return rest_ensure_response(
+			[
+				'checked' => count( $this->allowlist->get_all_patterns( true ) ),
+				'patterns' => array_map(
+					function ( $result ) {
+						return [
+							'pattern' => $this->prepare_pattern( $result['pattern'] ),
+							'issues' => array_map( [ $this, 'prepare_issue' ], $result['issues'] ),
+						];
+					},
+					$results
+				),
+			]
+		);
+	}
+
+	/**
+	 * List the current user's personal patterns
+	 *
+	 * @return WP_REST_Response|array Pattern list
+	 */
+	public function get_personal_patterns() {
+		return rest_ensure_response( array_map( [ $this, 'prepare_pattern' ], $this->personal->get_patterns() ) );
+	}
+
+	/**
+	 * Add a personal pattern for the current user
+	 *
+	 * @param WP_REST_Request $request Request with pattern, pattern_type, severity and screens.
+	 *
+	 * @return WP_REST_Response|WP_Error Created pattern (201) or error
+	 */
+	public function create_personal_pattern( $request ) {
+		$pattern = trim( (string) $request->get_param( 'pattern' ) );
+
+		if ( $pattern === '' ) {
+			return new WP_Error(
+				'qala_empty_pattern',
+				__( 'Pattern cannot be empty', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$created = $this->personal->add_pattern(
+			$pattern,
+			(string) $request->get_param( 'pattern_type' ),
+			(string) $request->get_param( 'severity' ),
+			(string) $request->get_param( 'screens' )
+		);
+
+		if ( $created === null ) {
+			return new WP_Error(
+				'qala_invalid_pattern',
+				sprintf(
+					/* translators: %d: maximum number of personal patterns */
+					__( 'Failed to add pattern. Check the pattern, or remove one if you already have %d.', 'qala-plugin-manager' ),
+					PersonalAllowlist::MAX_PATTERNS
+				),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$response = rest_ensure_response( $this->prepare_pattern( $created ) );
+		$response->set_status( 201 );
+
+		return $response;
+	}
+
+	/**
+	 * Remove one of the current user's personal patterns
+	 *
+	 * @param WP_REST_Request $request Request with the pattern id.
+	 *
+	 * @return WP_REST_Response|WP_Error Removed pattern or error
+	 */
+	public function delete_personal_pattern( $request ) {
+		$id = (int) $request->get_param( 'id' );
+		$current = $this->personal->get_pattern( $id );
+
+		if ( $current === null ) {
+			return $this->pattern_not_found();
+		}
+
+		if ( ! $this->personal->remove_pattern( $id ) ) {
+			return new WP_Error(
+				'qala_remove_failed',
+				__( 'Failed to remove pattern', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'previous' => $this->prepare_pattern( $current ),
+			]
+		);
+	}
+
+	/**
+	 * Set the global notice hiding toggle
+	 *
+	 * @param WP_REST_Request $request Request with enabled ('yes' or 'no').
+	 *
+	 * @return WP_REST_Response Message and stored value
+	 */
+	public function toggle_notices( $request ) {
+		return rest_ensure_response( $this->admin_page->update_notices_enabled( $request->get_param( 'enabled' ) ) );
+	}
+
+	/**
+	 * Toggle the current user's notice visibility
+	 *
+	 * @return WP_REST_Response|WP_Error New state, message and admin bar title, or error
+	 */
+	public function toggle_visibility() {
+		$data = $this->admin_bar->toggle_user_preference();
+
+		if ( $data === null ) {
+			return new WP_Error(
+				'qala_toggle_failed',
+				__( 'Failed to update preference', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response( $data );
+	}
+
+	/**
+	 * Switch debug mode on or off for the current user
+	 *
+	 * @param WP_REST_Request $request Request with enabled (boolean).
+	 *
+	 * @return WP_REST_Response|WP_Error New state and message, or error
+	 */
+	public function set_debug_mode( $request ) {
+		$enabled = (bool) $request->get_param( 'enabled' );
+
+		if ( ! $this->debug->set_enabled( $enabled ) ) {
+			return new WP_Error(
+				'qala_debug_failed',
+				__( 'Failed to update debug mode', 'qala-plugin-manager' ),
+				[ 'status' => 500 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'enabled' => $enabled,
+				'message' => $enabled
+					? __( 'Debug mode is on. Reload a page to see why each notice is hidden or shown.', 'qala-plugin-manager' )
+					: __( 'Debug mode is off.', 'qala-plugin-manager' ),
+			]
+		);
+	}
+
+	/**
+	 * Snooze a notice for the current user
+	 *
+	 * @param WP_REST_Request $request Request with key, text and duration.
+	 *
+	 * @return WP_REST_Response|WP_Error Stored snooze or error
+	 */
+	public function create_snooze( $request ) {
+		$key = (string) $request->get_param( 'key' );
+		$snooze = $this->snooze->snooze_notice( $key, (string) $request->get_param( 'text' ), (string) $request->get_param( 'duration' ) );
+
+		if ( $snooze === null ) {
+			return new WP_Error(
+				'qala_snooze_failed',
+				__( 'Failed to snooze notice', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'key' => $key,
+				'snooze' => $snooze,
+			]
+		);
+	}
+
+	/**
+	 * Wake a snoozed notice early
+	 *
+	 * @param WP_REST_Request $request Request with the notice key.
+	 *
+	 * @return WP_REST_Response|WP_Error Confirmation or error
+	 */
+	public function delete_snooze( $request ) {
+		$key = (string) $request->get_param( 'key' );
+
+		if ( ! $this->snooze->wake_notice( $key ) ) {
+			return new WP_Error(
+				'qala_not_snoozed',
+				__( 'Notice is not snoozed', 'qala-plugin-manager' ),
+				[ 'status' => 404 ]
+			);
+		}
+
+		return rest_ensure_response(
+			[
+				'deleted' => true,
+				'key' => $key,
+			]
+		);
+	}
+
+	/**
+	 * Log a batch of notices the browser left hidden
+	 *
+	 * Each notice: { text, severity }. Malformed notices are skipped, and
+	 * at most MAX_CAPTURED_NOTICES are read. NoticeLogger fingerprints the
+	 * text and skips fingerprints already logged today. Once a user has
+	 * added MAX_CAPTURED_PER_DAY entries today, the rest are dropped.
+	 *
+	 * Notices hidden by the CSS come from the Content Matcher's beacons,
+	 * block editor notices from BlockEditorNotices.
+	 *
+	 * @param WP_REST_Request $request Request with notices (JSON) and screen.
+	 *
+	 * @return WP_REST_Response|WP_Error Number of entries written, or error
+	 */
+	public function log_captured_notices( $request ) {
+		$notices = json_decode( (string) $request->get_param( 'notices' ), true );
+
+		if ( ! is_array( $notices ) ) {
+			return new WP_Error(
+				'qala_invalid_notices',
+				__( 'Notices must be a JSON array', 'qala-plugin-manager' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		$screen = (string) $request->get_param( 'screen' );
+		$logged = 0;
+		$remaining = self::MAX_CAPTURED_PER_DAY - $this->logger->count_content_notices_today( get_current_user_id() );
+
+		foreach ( array_slice( $notices, 0, self::MAX_CAPTURED_NOTICES ) as $notice ) {
+			if ( $logged >= $remaining ) {
+				break;
+			}
+
+			if ( ! is_array( $notice ) || ! isset( $notice['text'] ) ) {
+				continue;
+			}
+
+			$text = sanitize_text_field( (string) $notice['text'] );
+			$severity = (string) ( $notice['severity'] ?? '' );
+
+			if ( $text === '' ) {
+				continue;
+			}
+
+			if ( ! in_array( $severity, [ 'error', 'warning', 'success', 'info' ], true ) ) {
+				$severity = 'info';
+			}
+
+			if ( $this->logger->log_content_notice( $text, $severity, $screen ) ) {
+				$logged++;
+			}
+		}
+
+		return rest_ensure_response( [ 'logged' => $logged ] );
+	}
+
+	/**
+	 * Search, filter, sort and page the Hidden Notices Log
+	 *
+	 * Lists unique notices like the settings page does (see
+	 * NoticeLogger::get_unique_notices()), with the total for paging.
+	 *
+	 * @param WP_REST_Request $request Request with search, hook, action, date_from, date_to, orderby, order, page and per_page.
+	 *
+	 * @return WP_REST_Response|array { items, total, page, per_page, total_pages }
+	 */
+	public function get_log( $request ) {
+		$args = $this->get_log_filters( $request ) + [
+			'orderby' => (string) $request->get_param( 'orderby' ),
+			'order' => (string) $request->get_param( 'order' ),
+			'page' => max( 1, (int) $request->get_param( 'page' ) ),
+			'per_page' => min( self::MAX_LOG_PER_PAGE, max( 1, (int) $request->get_param( 'per_page' ) ) ),
+		];
+
+		$total = $this->logger->count_unique_notices( $args );
+
+		return rest_ensure_response(
+			[
+				'items' => array_map( [ $this, 'prepare_log_entry' ], $this->logger->get_unique_notices( $args ) ),
+				'total' => $total,
+				'page' => $args['page'],
+				'per_page' => $args['per_page'],
+				'total_pages' => (int) ceil( $total / $args['per_page'] ),
+			]
+		);
+	}
+
+	/**
+	 * Get the Hidden Notices Log grouped by plugin
+	 *
+	 * Takes the same filters as GET /log. Lists every entry, so there is
+	 * no paging.
+	 *
+	 * @param WP_REST_Request $request Request with search, hook, action, date_from and date_to.
+	 *
+	 * @return WP_REST_Response|array { groups: { key, type, name, count, last_seen, pattern, items } }
+	 */
+	public function get_log_groups( $request ) {
+		$groups = array_map(
+			function ( $group ) {
+				$group['items'] = array_map( [ $this, 'prepare_log_entry' ], $group['entries'] );
+				unset( $group['entries'] );
+
+				return $group;
+			},
+			$this->log_groups->get_groups( $this->get_log_filters( $request ) )
+		);
+
+		return rest_ensure_response( [ 'groups' => $groups ] );
+	}
+
+	/**
+	 * Count the logged notices each pattern would match
+	 *
+	 * Lets the UI show how far a suggested pattern reaches before it is
+	 * saved. Counts the MAX_MATCH_ENTRIES most recently seen unique log
+	 * entries (see NoticeLogger::get_unique_notices()).
+	 *
+	 * @param WP_REST_Request $request Request with patterns ({ pattern, type } each).
+	 *
+	 * @return WP_REST_Response|array { total, matches } with one count per pattern, in order
+	 */
+	public function count_log_matches( $request ) {
+		$patterns = array_map(
+			function ( $pattern ) {
+				return [
+					'pattern' => (string) $pattern['pattern'],
+					'type' => (string) $pattern['type'],
+				];
+			},
+			(array) $request->get_param( 'patterns' )
+		);
+		$entries = $this->logger->get_unique_notices( [ 'per_page' => self::MAX_MATCH_ENTRIES ] );
+
+		return rest_ensure_response(
+			[
+				'total' => count( $entries ),
+				'matches' => $this->allowlist->count_log_matches( $entries, $patterns ),
+			]
+		);
+	}
+
+	/**
+	 * Get notice statistics for the Statistics tab
+	 *
+	 * @param WP_REST_Request $request Request with days.
+	 *
+	 * @return WP_REST_Response|array Statistics (see NoticeStatistics::get_statistics())
+	 */
+	public function get_statistics( $request ) {
+		return rest_ensure_response( $this->statistics->get_statistics( (int) $request->get_param( 'days' ) ) );
+	}
+
+	/**
+	 * Shape a pattern record for API responses
+	 *
+	 * Uses the same field names as the qalaAllowlistPatterns localization,
+	 * which is also the export file format. Imported patterns have no id yet.
+	 *
+	 * @param array $pattern Pattern record from AllowlistManager.
+	 *
+	 * @return array Pattern: id, value, type, severity, screens, active
+	 */
+	public function prepare_pattern( array $pattern ): array {
+		return [
+			'id' => (int) ( $pattern['id'] ?? 0 ),
+			'value' => $pattern['pattern_value'],
+			'type' => $pattern['pattern_type'],
+			'severity' => $pattern['severity'] ?? '',
+			'screens' => empty( $pattern['screens'] ) ? [] : explode( ',', $pattern['screens'] ),
+			'active' => (bool) $pattern['is_active'],
+		];
+	}
+
+	/**
+	 * Get the filters of a log request
+	 *
+	 * @param WP_REST_Request $request Request with search, hook, action, date_from and date_to.
+	 *
+	 * @return array Filter arguments for NoticeLogger::get_unique_notices()
+	 */
+	private function get_log_filters( $request ): array {
+		return [
+			'search' => (string) $request->get_param( 'search' ),
+			'hook' => (string) $request->get_param( 'hook' ),
+			'action' => (string) $request->get_param( 'action' ),
+			'date_from' => (string) $request->get_param( 'date_from' ),
+			'date_to' => (string) $request->get_param( 'date_to' ),
+		];
+	}
+
+	/**
+	 * Get the argument schema of the log filters
+	 *
+	 * Shared by GET /log and GET /log/groups.
+	 *
+	 * @return array Route arguments
+	 */
+	private function get_log_filter_args(): array {
+		return [
+			'search' => [
+				'type' => 'string',
+				'default' => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'hook' => [
+				'type' => 'string',
+				'default' => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'action' => [
+				'type' => 'string',
+				'default' => '',
+				'sanitize_callback' => 'sanitize_key',
+			],
+			'date_from' => [
+				'type' => 'string',
+				'default' => '',
+				'pattern' => '^\d{4}-\d{2}-\d{2}$',
+			],
+			'date_to' => [
+				'type' => 'string',
+				'default' => '',
+				'pattern' => '^\d{4}-\d{2}-\d{2}$',
+			],
+		];
+	}
+
+	/**
+	 * Shape a unique notice log entry for API responses
+	 *
+	 * @param array $entry Entry from NoticeLogger::get_unique_notices().
+	 *
+	 * @return array Entry: callback_name, hook_name, source, action, severity, screen, last_seen
+	 */
+	private function prepare_log_entry( array $entry ): array {
+		return [
+			'callback_name' => (string) $entry['callback_name'],
+			'hook_name' => (string) $entry['hook_name'],
+			'source' => (string) ( $entry['source'] ?? 'callback' ),
+			'action' => (string) ( $entry['action'] ?? 'removed' ),
+			'severity' => (string) ( $entry['severity'] ?? '' ),
+			'screen' => (string) ( $entry['screen'] ?? '' ),
+			'last_seen' => (string) $entry['last_seen'],
+		];
+	}
+
+	/**
+	 * Shape a lint issue for API responses
+	 *
+	 * @param array $issue Issue from PatternLinter.
+	 *
+	 * @return array Issue: code, level, message, related (pattern or null)
+	 */
+	private function prepare_issue( array $issue ): array {
+		$issue['related'] = $issue['related'] === null ? null : $this->prepare_pattern( $issue['related'] );
+
+		return $issue;
+	}
+
+	/**
+	 * Argument schema for creating and updating patterns
+	 *
+	 * Type and severity are validated against the enums; screens reuse the
+	 * settings page sanitizer so both entry points store the same values.
+	 *
+	 * @param bool $creating True for create (pattern required, defaults applied).
+	 *
+	 * @return array Route args
+	 */
+	private function get_pattern_args( bool $creating ): array {
+		$args = [
+			'pattern' => [
+				'type' => 'string',
+				'required' => $creating,
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'pattern_type' => [
+				'type' => 'string',
+				'enum' => AllowlistManager::TYPES,
+			],
+			'severity' => [
+				'type' => 'string',
+				'enum' => array_merge( [ '' ], AllowlistManager::SEVERITIES ),
+			],
+			'screens' => [
+				'type' => 'string',
+				'sanitize_callback' => [ $this->admin_page, 'sanitize_screens' ],
+			],
+		];
+
+		if ( $creating ) {
+			$args['pattern_type']['default'] = 'exact';
+			$args['severity']['default'] = '';
+			$args['screens']['default'] = '';
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Error for unknown pattern ids
+	 *
+	 * @return WP_Error 404 error
+	 */
+	private function pattern_not_found(): WP_Error {
+		return new WP_Error(
+			'qala_pattern_not_found',
+			__( 'Pattern not found', 'qala-plugin-manager' ),
+			[ 'status' => 404 ]
+		);
+	}
+}
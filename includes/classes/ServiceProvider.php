@@ -72,11 +72,18 @@ class ServiceProvider {
 	 * 2. NoticeIdentifier - No dependencies
 	 * 3. NoticeLogger - No dependencies
 	 * 4. AllowlistManager - No dependencies
-	 * 5. BodyClassManager - No dependencies (adds CSS classes to body tag)
-	 * 6. NoticeFilter - Depends on AllowlistManager, NoticeLogger, NoticeIdentifier
-	 * 7. AdminPage - Depends on AllowlistManager, NoticeLogger
-	 * 8. AdminBarToggle - No dependencies
-	 * 9. SiteHealthHider - No dependencies
+	 * 5. PatternLinter - Depends on AllowlistManager
+	 * 6. NoticeStatistics - Depends on NoticeLogger, AllowlistManager, NoticeIdentifier
+	 * 7. NoticeLogGroups - Depends on NoticeLogger, NoticeIdentifier
+	 * 8. PersonalAllowlist - Depends on AllowlistManager
+	 * 9. BodyClassManager - Depends on AllowlistManager, PersonalAllowlist (adds CSS classes to body tag)
+	 * 10. NoticeFilter - Depends on AllowlistManager, NoticeLogger, NoticeIdentifier
+	 * 11. AdminPage - Depends on AllowlistManager, NoticeLogger, PersonalAllowlist
+	 * 12. AdminBarToggle - No dependencies
+	 * 13. SiteHealthHider - No dependencies
+	 * 14. NoticeSnoozeManager - No dependencies
+	 * 15. DebugMode - No dependencies
+	 * 16. RestController - Depends on AllowlistManager, AdminPage, AdminBarToggle, NoticeSnoozeManager, DebugMode, PatternLinter, PersonalAllowlist, NoticeLogger, NoticeStatistics, NoticeLogGroups
 	 *
 	 * @return array Array of instantiated Notice Management components
 	 */
@@ -95,11 +102,18 @@ class ServiceProvider {
 		$allowlist = new NoticeManagement\AllowlistManager();
 
 		// Step 3: Create components with dependencies
-		$body_class = new NoticeManagement\BodyClassManager( $allowlist );
+		$linter = new NoticeManagement\PatternLinter( $allowlist );
+		$statistics = new NoticeManagement\NoticeStatistics( $logger, $allowlist, $identifier );
+		$log_groups = new NoticeManagement\NoticeLogGroups( $logger, $identifier );
+		$personal = new NoticeManagement\PersonalAllowlist( $allowlist );
+		$body_class = new NoticeManagement\BodyClassManager( $allowlist, $personal );
 		$filter = new NoticeManagement\NoticeFilter( $allowlist, $logger, $identifier );
-		$admin_page = new NoticeManagement\AdminPage( $allowlist, $logger );
+		$admin_page = new NoticeManagement\AdminPage( $allowlist, $logger, $personal );
 		$admin_bar = new NoticeManagement\AdminBarToggle();
 		$site_health = new NoticeManagement\SiteHealthHider();
+		$snooze = new NoticeManagement\NoticeSnoozeManager();
+		$debug = new NoticeManagement\DebugMode();
+		$rest = new NoticeManagement\RestController( $allowlist, $admin_page, $admin_bar, $snooze, $debug, $linter, $personal, $logger, $statistics, $log_groups );
 
 		// Store for reuse
 		$this->notice_components = [
@@ -108,6 +122,9 @@ class ServiceProvider {
 			$admin_page,
 			$admin_bar,
 			$site_health,
+			$snooze,
+			$debug,
+			$rest,
 		];
 
 		return $this->notice_components;
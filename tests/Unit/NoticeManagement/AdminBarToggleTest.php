@@ -13,6 +13,7 @@ namespace QalaPluginManager\Tests\Unit\NoticeManagement;
 use Brain\Monkey;
 use Brain\Monkey\Functions;
 use Brain\Monkey\Actions;
+use Brain\Monkey\Filters;
 use Mockery;
 use QalaPluginManager\NoticeManagement\AdminBarToggle;
 use QalaPluginManager\Tests\Unit\TestCase;
@@ -29,6 +30,7 @@ use QalaPluginManager\Tests\Unit\TestCase;
  * - Nonce verification
  * - Capability checking (qala_full_access)
  * - Asset enqueueing (JS/CSS)
+ * - Front-end toggle (assets, body class, notice selectors)
  * - Error handling
  *
  * @group notice-management
@@ -287,6 +289,34 @@ class AdminBarToggleTest extends TestCase {
 		$this->admin_bar_toggle->add_admin_bar_menu( $wp_admin_bar );
 	}
 
+	/**
+	 * Test: add_admin_bar_menu() renders the hidden notice inbox dropdown
+	 *
+	 * @return void
+	 */
+	public function test_add_admin_bar_menu_renders_hidden_notice_inbox(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_user_meta' )->justReturn( '' );
+
+		$wp_admin_bar = Mockery::mock( 'WP_Admin_Bar' );
+
+		$wp_admin_bar->shouldReceive( 'add_node' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $args ) {
+						return strpos( $args['meta']['class'], 'menupop' ) !== false
+						&& strpos( $args['meta']['html'], 'id="qala-hidden-inbox"' ) !== false
+						&& strpos( $args['meta']['html'], 'ab-sub-wrapper' ) !== false
+						&& strpos( $args['meta']['html'], 'qala-snoozed-list' ) !== false
+						&& strpos( $args['title'], 'qala-hidden-count' ) !== false;
+					}
+				)
+			);
+
+		$this->admin_bar_toggle->add_admin_bar_menu( $wp_admin_bar );
+	}
+
 	/**
 	 * Test: handle_toggle_ajax() verifies nonce
 	 *
@@ -634,11 +664,11 @@ class AdminBarToggleTest extends TestCase {
 	}
 
 	/**
-	 * Test: enqueue_assets() localizes script with AJAX data
+	 * Test: enqueue_assets() localizes the stylesheet URL without admin-ajax data
 	 *
 	 * @return void
 	 */
-	public function test_enqueue_assets_localizes_script_with_ajax_data(): void {
+	public function test_enqueue_assets_localizes_script_without_ajax_data(): void {
 		// Mock Plugin static methods
 		$plugin_path = '/path/to/plugin';
 		$plugin_url  = 'http://example.com/wp-content/mu-plugins/qala-plugin-manager';
@@ -650,15 +680,8 @@ class AdminBarToggleTest extends TestCase {
 		Functions\when( 'wp_enqueue_script' )->justReturn( true );
 		Functions\when( 'wp_enqueue_style' )->justReturn( true );
 
-		Functions\expect( 'wp_create_nonce' )
-			->once()
-			->with( 'qala_notice_toggle' )
-			->andReturn( 'test-nonce-12345' );
-
-		Functions\expect( 'admin_url' )
-			->once()
-			->with( 'admin-ajax.php' )
-			->andReturn( 'http://example.com/wp-admin/admin-ajax.php' );
+		Functions\expect( 'wp_create_nonce' )->never();
+		Functions\expect( 'admin_url' )->never();
 
 		Functions\expect( 'wp_localize_script' )
 			->once()
@@ -667,10 +690,10 @@ class AdminBarToggleTest extends TestCase {
 				'qalaAdminBarToggle',
 				Mockery::on(
 					function ( $data ) {
-						return isset( $data['ajaxUrl'] )
-						&& isset( $data['nonce'] )
-						&& isset( $data['action'] )
-						&& $data['action'] === 'qala_toggle_notice_visibility';
+						return isset( $data['stylesheetUrl'] )
+						&& ! isset( $data['ajaxUrl'] )
+						&& ! isset( $data['nonce'] )
+						&& ! isset( $data['action'] );
 					}
 				)
 			);
@@ -746,6 +769,234 @@ class AdminBarToggleTest extends TestCase {
 		$this->admin_bar_toggle->handle_toggle_ajax();
 	}
 
+	/**
+	 * Test: handle_toggle_ajax() returns the same title markup as the admin bar
+	 *
+	 * The title is swapped in place, so it must keep the hidden count badge.
+	 *
+	 * @return void
+	 */
+	public function test_handle_toggle_ajax_returns_full_admin_bar_title(): void {
+		$_POST['nonce'] = 'valid-nonce';
+
+		Functions\expect( 'check_ajax_referer' )->andReturn( true );
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_user_meta' )->justReturn( 'yes' );
+		Functions\when( 'update_user_meta' )->justReturn( true );
+
+		Functions\expect( 'wp_send_json_success' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $data ) {
+						return strpos( $data['new_title'], 'Hidden - Click to Show' ) !== false
+						&& strpos( $data['new_title'], 'dashicons-hidden' ) !== false
+						&& strpos( $data['new_title'], 'qala-hidden-count' ) !== false;
+					}
+				)
+			);
+
+		$this->admin_bar_toggle->handle_toggle_ajax();
+	}
+
+	/**
+	 * Test: enqueue_assets() localizes the notice hider stylesheet URL
+	 *
+	 * @return void
+	 */
+	public function test_enqueue_assets_localizes_stylesheet_url(): void {
+		$plugin_mock = Mockery::mock( 'alias:QalaPluginManager\Plugin' );
+		$plugin_mock->shouldReceive( 'get_path' )->andReturn( '/path/to/plugin' );
+		$plugin_mock->shouldReceive( 'get_url' )->andReturn( 'http://example.com/qala-plugin-manager' );
+
+		Functions\when( 'wp_enqueue_script' )->justReturn( true );
+		Functions\when( 'wp_create_nonce' )->justReturn( 'test-nonce' );
+		Functions\when( 'admin_url' )->justReturn( 'http://example.com/wp-admin/admin-ajax.php' );
+
+		Functions\expect( 'wp_localize_script' )
+			->once()
+			->with(
+				'qala-plugin-manager',
+				'qalaAdminBarToggle',
+				Mockery::on(
+					function ( $data ) {
+						return strpos(
+							$data['stylesheetUrl'],
+							'http://example.com/qala-plugin-manager/assets/dist/qala-plugin-manager.css?ver='
+						) === 0;
+					}
+				)
+			);
+
+		$this->admin_bar_toggle->enqueue_assets();
+	}
+
+	/**
+	 * Test: init() registers the front-end hooks
+	 *
+	 * @return void
+	 */
+	public function test_init_registers_frontend_hooks(): void {
+		Actions\expectAdded( 'wp_enqueue_scripts' )
+			->once()
+			->with( [ $this->admin_bar_toggle, 'enqueue_frontend_assets' ] );
+
+		Filters\expectAdded( 'body_class' )
+			->once()
+			->with( [ $this->admin_bar_toggle, 'add_frontend_body_class' ] );
+
+		$this->admin_bar_toggle->init();
+	}
+
+	/**
+	 * Test: add_admin_bar_menu() adds the toggle without the inbox on the front end
+	 *
+	 * @return void
+	 */
+	public function test_add_admin_bar_menu_skips_inbox_on_front_end(): void {
+		Functions\when( 'is_admin' )->justReturn( false );
+		Functions\when( 'get_user_meta' )->justReturn( '' );
+
+		$wp_admin_bar = Mockery::mock( 'WP_Admin_Bar' );
+
+		$wp_admin_bar->shouldReceive( 'add_node' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $args ) {
+						return $args['id'] === 'qala-notice-toggle'
+						&& strpos( $args['meta']['class'], 'menupop' ) === false
+						&& ! isset( $args['meta']['html'] )
+						&& strpos( $args['title'], 'qala-hidden-count' ) !== false;
+					}
+				)
+			);
+
+		$this->admin_bar_toggle->add_admin_bar_menu( $wp_admin_bar );
+	}
+
+	/**
+	 * Test: add_frontend_body_class() follows the stored preference
+	 *
+	 * @return void
+	 */
+	public function test_add_frontend_body_class_follows_preference(): void {
+		Functions\when( 'is_admin_bar_showing' )->justReturn( true );
+
+		Functions\expect( 'get_user_meta' )
+			->twice()
+			->with( 1, 'qala_show_notices', true )
+			->andReturn( '', 'yes' );
+
+		$this->assertSame( [ 'home', 'qala-notices-hidden' ], $this->admin_bar_toggle->add_frontend_body_class( [ 'home' ] ) );
+		$this->assertSame( [ 'home', 'qala-notices-visible' ], $this->admin_bar_toggle->add_frontend_body_class( [ 'home' ] ) );
+	}
+
+	/**
+	 * Test: add_frontend_body_class() leaves users without the toggle alone
+	 *
+	 * @return void
+	 */
+	public function test_add_frontend_body_class_skips_non_privileged_users(): void {
+		Functions\when( 'is_admin_bar_showing' )->justReturn( true );
+		Functions\when( 'current_user_can' )->justReturn( false );
+
+		$this->assertSame( [ 'home' ], $this->admin_bar_toggle->add_frontend_body_class( [ 'home' ] ) );
+	}
+
+	/**
+	 * Test: get_frontend_selectors() applies the filter and drops unusable selectors
+	 *
+	 * @return void
+	 */
+	public function test_get_frontend_selectors_filters_selectors(): void {
+		Filters\expectApplied( 'qala_plugin_manager/filter/frontend_notice_selectors' )
+			->once()
+			->with( AdminBarToggle::FRONTEND_SELECTORS )
+			->andReturn( [ '.woocommerce-message', ' .fl-builder-message ', '', '.a, .b', 42, '} body {' ] );
+
+		$this->assertSame(
+			[ '.woocommerce-message', '.fl-builder-message' ],
+			$this->admin_bar_toggle->get_frontend_selectors()
+		);
+	}
+
+	/**
+	 * Test: enqueue_frontend_assets() does nothing without the admin bar
+	 *
+	 * @return void
+	 */
+	public function test_enqueue_frontend_assets_skips_without_admin_bar(): void {
+		Functions\when( 'is_admin_bar_showing' )->justReturn( false );
+
+		Functions\expect( 'wp_enqueue_script' )->never();
+		Functions\expect( 'wp_enqueue_style' )->never();
+
+		$this->admin_bar_toggle->enqueue_frontend_assets();
+	}
+
+	/**
+	 * Test: enqueue_frontend_assets() loads the dependency-free script and scoped hider rules
+	 *
+	 * @return void
+	 */
+	public function test_enqueue_frontend_assets_enqueues_script_without_dependencies(): void {
+		$plugin_mock = Mockery::mock( 'alias:QalaPluginManager\Plugin' );
+		$plugin_mock->shouldReceive( 'get_path' )->andReturn( '/path/to/plugin' );
+		$plugin_mock->shouldReceive( 'get_url' )->andReturn( 'http://example.com/qala-plugin-manager' );
+
+		Functions\when( 'is_admin_bar_showing' )->justReturn( true );
+		Functions\when( 'wp_create_nonce' )->justReturn( 'rest-nonce' );
+
+		Functions\expect( 'wp_enqueue_style' )
+			->once()
+			->with(
+				'qala-frontend-toggle',
+				'http://example.com/qala-plugin-manager/assets/dist/frontend-toggle.css',
+				[ 'admin-bar', 'dashicons' ],
+				Mockery::any()
+			);
+		Functions\when( 'rest_url' )->returnArg();
+
+		Functions\expect( 'wp_enqueue_script' )
+			->once()
+			->with(
+				'qala-frontend-toggle',
+				'http://example.com/qala-plugin-manager/assets/dist/js/frontend-toggle.js',
+				[],
+				Mockery::any(),
+				true
+			);
+
+		Functions\expect( 'wp_add_inline_style' )
+			->once()
+			->with(
+				'qala-frontend-toggle',
+				Mockery::on(
+					function ( $css ) {
+						return strpos( $css, 'body.qala-notices-hidden .woocommerce-message' ) !== false
+						&& strpos( $css, 'display: none !important;' ) !== false;
+					}
+				)
+			);
+
+		Functions\expect( 'wp_localize_script' )
+			->once()
+			->with(
+				'qala-frontend-toggle',
+				'qalaFrontendToggle',
+				Mockery::on(
+					function ( $data ) {
+						return $data['restUrl'] === 'qala-plugin-manager/v1/visibility'
+						&& $data['nonce'] === 'rest-nonce'
+						&& $data['selectors'] === AdminBarToggle::FRONTEND_SELECTORS;
+					}
+				)
+			);
+
+		$this->admin_bar_toggle->enqueue_frontend_assets();
+	}
+
 	/**
 	 * Clean up after each test
 	 *
@@ -17,6 +17,7 @@ use Mockery;
 use QalaPluginManager\NoticeManagement\AdminPage;
 use QalaPluginManager\NoticeManagement\AllowlistManager;
 use QalaPluginManager\NoticeManagement\NoticeLogger;
+use QalaPluginManager\NoticeManagement\PersonalAllowlist;
 use QalaPluginManager\Tests\Unit\TestCase;
 
 /**
@@ -55,6 +56,13 @@ class AdminPageTest extends TestCase {
 	 */
 	private $logger_mock;
 
+	/**
+	 * Mock PersonalAllowlist instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $personal_mock;
+
 	/**
 	 * AdminPage instance for testing
 	 *
@@ -73,11 +81,27 @@ class AdminPageTest extends TestCase {
 		// Create mocks for dependencies
 		$this->allowlist_mock = Mockery::mock( AllowlistManager::class );
 		$this->logger_mock    = Mockery::mock( NoticeLogger::class );
+		$this->personal_mock  = Mockery::mock( PersonalAllowlist::class );
+
+		// Most tests render the page without personal patterns
+		$this->personal_mock->shouldReceive( 'get_patterns' )->andReturn( [] )->byDefault();
+
+		// Log paging and filter options, for tests rendering the page
+		$this->logger_mock->shouldReceive( 'count_unique_notices' )->andReturn( 1 )->byDefault();
+		$this->logger_mock->shouldReceive( 'get_log_filter_options' )
+			->andReturn(
+				[
+					'hooks' => [],
+					'actions' => [],
+				]
+			)
+			->byDefault();
 
 		// Create AdminPage instance with mocked dependencies
 		$this->admin_page = new AdminPage(
 			$this->allowlist_mock,
-			$this->logger_mock
+			$this->logger_mock,
+			$this->personal_mock
 		);
 
 		// Mock common WordPress functions
@@ -374,6 +398,87 @@ class AdminPageTest extends TestCase {
 		$this->assertStringContainsString( 'Hide Notices Settings', $output );
 	}
 
+	/**
+	 * Test: render_page() outputs the live pattern preview container
+	 *
+	 * @return void
+	 */
+	public function test_render_page_renders_pattern_preview_container(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->returnArg();
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn( [] );
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->andReturn( [] );
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="qala-pattern-preview"', $output );
+		$this->assertStringContainsString( 'aria-live="polite"', $output );
+	}
+
+	/**
+	 * Test: render_page() outputs the Statistics tab with its chart containers
+	 *
+	 * @return void
+	 */
+	public function test_render_page_renders_statistics_tab(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->returnArg();
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn( [] );
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->andReturn( [] );
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="qala-tab-statistics"', $output );
+		$this->assertStringContainsString( 'data-hash="statistics"', $output );
+		$this->assertStringContainsString( 'id="qala-panel-statistics"', $output );
+		$this->assertStringContainsString( 'id="qala-stats-days"', $output );
+		$this->assertStringContainsString( 'id="qala-stats-daily"', $output );
+		$this->assertStringContainsString( 'id="qala-stats-plugins"', $output );
+		$this->assertStringContainsString( 'id="qala-stats-patterns"', $output );
+	}
+
 	/**
 	 * Test: enqueue_assets() only enqueues on settings page
 	 *
@@ -399,21 +504,20 @@ class AdminPageTest extends TestCase {
 				'qalaAdminPage',
 				Mockery::on(
 					function ( $data ) {
-						return isset( $data['ajaxUrl'] )
-						&& isset( $data['nonces'] )
-						&& isset( $data['nonces']['addPattern'] );
+						return isset( $data['logPerPage'] )
+						&& isset( $data['strings'] )
+						&& isset( $data['strings']['addSuccess'] );
 					}
 				)
 			);
 
-		Functions\when( 'wp_create_nonce' )->justReturn( 'test-nonce' );
-		Functions\when( 'admin_url' )->justReturn( 'http://example.com/wp-admin/admin-ajax.php' );
-
 		$this->admin_page->localize_script( 'settings_page_qala-hide-notices' );
 	}
 
 	/**
-	 * Test: localize_script() includes all required nonces
+	 * Test: localize_script() leaves out the admin-ajax URL and nonces
+	 *
+	 * The scripts use the REST client, which sends its own nonce.
 	 *
 	 * @return void
 	 */
@@ -425,17 +529,14 @@ class AdminPageTest extends TestCase {
 				'qalaAdminPage',
 				Mockery::on(
 					function ( $data ) {
-						return isset( $data['ajaxUrl'] )
-						&& isset( $data['nonces'] )
-						&& isset( $data['nonces']['addPattern'] )
-						&& isset( $data['nonces']['removePattern'] )
-						&& isset( $data['nonces']['toggle'] );
+						return ! isset( $data['ajaxUrl'] )
+						&& ! isset( $data['nonces'] );
 					}
 				)
 			);
 
-		Functions\when( 'wp_create_nonce' )->justReturn( 'test-nonce' );
-		Functions\when( 'admin_url' )->justReturn( 'http://example.com/wp-admin/admin-ajax.php' );
+		Functions\expect( 'wp_create_nonce' )->never();
+		Functions\expect( 'admin_url' )->never();
 
 		$this->admin_page->localize_script( 'settings_page_qala-hide-notices' );
 	}
@@ -501,7 +602,7 @@ class AdminPageTest extends TestCase {
 
 		$this->allowlist_mock->shouldReceive( 'add_pattern' )
 			->once()
-			->with( '<script>alert("xss")</script>rocket_*', 'wildcard' )
+			->with( '<script>alert("xss")</script>rocket_*', 'wildcard', '', '' )
 			->andReturn( true );
 
 		Functions\expect( 'wp_send_json_success' )
@@ -549,7 +650,37 @@ class AdminPageTest extends TestCase {
 
 		$this->allowlist_mock->shouldReceive( 'add_pattern' )
 			->once()
-			->with( 'rocket_*', 'wildcard' )
+			->with( 'rocket_*', 'wildcard', '', '' )
+			->andReturn( true );
+
+		Functions\expect( 'wp_send_json_success' )
+			->once()
+			->andThrow( new \Exception( 'wp_send_json_success called' ) );
+
+		try {
+			$this->admin_page->handle_add_pattern_ajax();
+		} catch ( \Exception $e ) {
+			$this->assertEquals( 'wp_send_json_success called', $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Test: handle_add_pattern_ajax() passes the severity constraint
+	 *
+	 * @return void
+	 */
+	public function test_handle_add_pattern_ajax_passes_severity(): void {
+		$_POST['nonce']        = 'valid-nonce';
+		$_POST['pattern']      = '*';
+		$_POST['pattern_type'] = 'wildcard';
+		$_POST['severity']     = 'error';
+
+		Functions\expect( 'check_ajax_referer' )->andReturn( true );
+		Functions\when( 'current_user_can' )->justReturn( true );
+
+		$this->allowlist_mock->shouldReceive( 'add_pattern' )
+			->once()
+			->with( '*', 'wildcard', 'error', '' )
 			->andReturn( true );
 
 		Functions\expect( 'wp_send_json_success' )
@@ -717,6 +848,53 @@ class AdminPageTest extends TestCase {
 		$this->assertEquals( 'exact', $this->admin_page->validate_pattern_type( 'exact' ) );
 		$this->assertEquals( 'wildcard', $this->admin_page->validate_pattern_type( 'wildcard' ) );
 		$this->assertEquals( 'regex', $this->admin_page->validate_pattern_type( 'regex' ) );
+		$this->assertEquals( 'selector', $this->admin_page->validate_pattern_type( 'selector' ) );
+	}
+
+	/**
+	 * Test: validate_severity() accepts known severities
+	 *
+	 * @return void
+	 */
+	public function test_validate_severity_accepts_valid_severities(): void {
+		$this->assertEquals( 'error', $this->admin_page->validate_severity( 'error' ) );
+		$this->assertEquals( 'warning', $this->admin_page->validate_severity( 'warning' ) );
+		$this->assertEquals( 'success', $this->admin_page->validate_severity( 'success' ) );
+		$this->assertEquals( 'info', $this->admin_page->validate_severity( 'info' ) );
+	}
+
+	/**
+	 * Test: validate_severity() defaults to any severity for invalid input
+	 *
+	 * @return void
+	 */
+	public function test_validate_severity_defaults_to_any(): void {
+		$this->assertEquals( '', $this->admin_page->validate_severity( 'critical' ) );
+		$this->assertEquals( '', $this->admin_page->validate_severity( '' ) );
+		$this->assertEquals( '', $this->admin_page->validate_severity( null ) );
+	}
+
+	/**
+	 * Test: sanitize_screens() normalizes a comma-separated screen list
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_screens_normalizes_list(): void {
+		$this->assertEquals(
+			'plugins.php,edit.php?post_type=product,settings_page_qala-hide-notices',
+			$this->admin_page->sanitize_screens( ' plugins.php , edit.php?post_type=product,,settings_page_qala-hide-notices, plugins.php' )
+		);
+	}
+
+	/**
+	 * Test: sanitize_screens() drops invalid entries
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_screens_drops_invalid_entries(): void {
+		$this->assertEquals( 'plugins.php', $this->admin_page->sanitize_screens( 'plugins.php, <script>, edit php' ) );
+		$this->assertEquals( '', $this->admin_page->sanitize_screens( '' ) );
+		$this->assertEquals( '', $this->admin_page->sanitize_screens( null ) );
 	}
 
 	/**
@@ -730,6 +908,58 @@ class AdminPageTest extends TestCase {
 		$this->assertEquals( 'exact', $this->admin_page->validate_pattern_type( null ) );
 	}
 
+	/**
+	 * Test: sanitize_import_pattern() converts an export entry with the usual validation
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_import_pattern_validates_entry(): void {
+		$this->assertSame(
+			[
+				'pattern_value' => 'rocket_*',
+				'pattern_type' => 'exact',
+				'severity' => 'warning',
+				'screens' => 'plugins.php',
+				'is_active' => false,
+			],
+			$this->admin_page->sanitize_import_pattern(
+				[
+					'value' => ' rocket_* ',
+					'type' => 'unknown',
+					'severity' => 'warning',
+					'screens' => [ 'plugins.php', '<script>' ],
+					'active' => false,
+				]
+			)
+		);
+	}
+
+	/**
+	 * Test: sanitize_import_pattern() defaults missing fields and keeps patterns active
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_import_pattern_defaults_missing_fields(): void {
+		$pattern = $this->admin_page->sanitize_import_pattern( [ 'value' => 'Settings saved' ] );
+
+		$this->assertSame( 'exact', $pattern['pattern_type'] );
+		$this->assertSame( '', $pattern['severity'] );
+		$this->assertSame( '', $pattern['screens'] );
+		$this->assertTrue( $pattern['is_active'] );
+	}
+
+	/**
+	 * Test: sanitize_import_pattern() rejects entries without a usable value
+	 *
+	 * @return void
+	 */
+	public function test_sanitize_import_pattern_rejects_invalid_entries(): void {
+		$this->assertNull( $this->admin_page->sanitize_import_pattern( 'rocket_*' ) );
+		$this->assertNull( $this->admin_page->sanitize_import_pattern( [ 'type' => 'exact' ] ) );
+		$this->assertNull( $this->admin_page->sanitize_import_pattern( [ 'value' => '   ' ] ) );
+		$this->assertNull( $this->admin_page->sanitize_import_pattern( [ 'value' => [ 'nested' ] ] ) );
+	}
+
 	/**
 	 * Test: render_page() displays notice log table
 	 *
@@ -777,6 +1007,127 @@ class AdminPageTest extends TestCase {
 		$this->assertStringContainsString( 'admin_notices', $output );
 	}
 
+	/**
+	 * Test: render_page() lists content entries with a wildcard allowlist action
+	 *
+	 * @return void
+	 */
+	public function test_render_page_displays_content_log_entries(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->returnArg();
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->andReturn(
+				[
+					[
+						'callback_name' => 'Category added.',
+						'hook_name'     => '',
+						'source'        => 'content',
+						'severity'      => 'success',
+						'screen'        => 'edit-category',
+						'last_seen'     => '2025-10-25 10:00:00',
+					],
+				]
+			);
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->andReturn( [] );
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'class="qala-log-content"', $output );
+		$this->assertStringContainsString( 'Page content, success', $output );
+		$this->assertStringContainsString( 'edit-category', $output );
+		$this->assertStringContainsString( 'data-pattern="*Category added.*"', $output );
+		$this->assertStringContainsString( 'data-pattern-type="wildcard"', $output );
+		$this->assertStringContainsString( 'data-value="Category added."', $output );
+		$this->assertStringContainsString( 'data-source="content"', $output );
+	}
+
+	/**
+	 * Test: render_page() renders the first log page with search, filters, sorting and paging
+	 *
+	 * @return void
+	 */
+	public function test_render_page_renders_log_controls_and_first_page(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->returnArg();
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->with( [ 'per_page' => AdminPage::LOG_PER_PAGE ] )
+			->andReturn(
+				[
+					[
+						'callback_name' => 'test_function',
+						'hook_name'     => 'admin_notices',
+						'action'        => 'kept_allowlisted',
+						'last_seen'     => '2025-10-25 10:00:00',
+					],
+				]
+			);
+
+		$this->logger_mock->shouldReceive( 'count_unique_notices' )->andReturn( 45 );
+		$this->logger_mock->shouldReceive( 'get_log_filter_options' )
+			->andReturn(
+				[
+					'hooks' => [ 'admin_notices', 'network_admin_notices' ],
+					'actions' => [ 'kept_allowlisted', 'removed' ],
+				]
+			);
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->andReturn( [] );
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="qala-log-search"', $output );
+		$this->assertStringContainsString( '<option value="network_admin_notices">network_admin_notices</option>', $output );
+		$this->assertStringContainsString( '<option value="kept_allowlisted">Kept (Allowlisted)</option>', $output );
+		$this->assertStringContainsString( 'id="qala-log-from"', $output );
+		$this->assertStringContainsString( 'data-orderby="last_seen" aria-sort="descending"', $output );
+		$this->assertStringContainsString( 'Page 1 of 3 (45 entries)', $output );
+		$this->assertStringContainsString( '<td>Kept (Allowlisted)</td>', $output );
+		$this->assertStringNotContainsString( 'data-page="next" disabled', $output );
+		$this->assertStringContainsString( 'id="qala-log-group-by-plugin"', $output );
+		$this->assertStringContainsString( 'id="qala-log-groups" class="qala-log-groups" hidden', $output );
+	}
+
 	/**
 	 * Test: render_page() displays allowlist patterns
 	 *
@@ -809,6 +1160,7 @@ class AdminPageTest extends TestCase {
 			->andReturn(
 				[
 					[
+						'id'            => 1,
 						'pattern_value' => 'rocket_*',
 						'pattern_type'  => 'wildcard',
 					],
@@ -823,6 +1175,168 @@ class AdminPageTest extends TestCase {
 		$this->assertStringContainsString( 'wildcard', $output );
 	}
 
+	/**
+	 * Test: render_page() lists deactivated patterns with their switch off
+	 *
+	 * @return void
+	 */
+	public function test_render_page_lists_inactive_patterns_with_switch(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->alias(
+			function ( $checked ) {
+				echo $checked ? 'checked="checked"' : '';
+			}
+		);
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn( [] );
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->once()
+			->with( true )
+			->andReturn(
+				[
+					[
+						'id'            => 3,
+						'pattern_value' => 'rocket_*',
+						'pattern_type'  => 'wildcard',
+						'is_active'     => '0',
+					],
+				]
+			);
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'qala-pattern-inactive', $output );
+		$this->assertStringContainsString( 'data-pattern-id="3"', $output );
+		$this->assertStringContainsString( 'qala-toggle-pattern', $output );
+		$this->assertStringNotContainsString( 'checked="checked"', $output );
+		$this->assertStringContainsString( 'qala-edit-pattern', $output );
+	}
+
+	/**
+	 * Test: render_page() marks regex patterns disabled for safety and offers to re-enable them
+	 *
+	 * @return void
+	 */
+	public function test_render_page_marks_patterns_disabled_for_safety(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'checked' )->returnArg();
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn( [] );
+
+		$pattern = [
+			'id'            => 4,
+			'pattern_value' => '(a+)+$',
+			'pattern_type'  => 'regex',
+			'is_active'     => '1',
+		];
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->once()
+			->andReturn( [ $pattern ] );
+
+		$this->allowlist_mock->shouldReceive( 'is_disabled_for_safety' )
+			->once()
+			->with( $pattern )
+			->andReturn( true );
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'qala-pattern-unsafe', $output );
+		$this->assertStringContainsString( 'Disabled for safety', $output );
+		$this->assertStringContainsString( 'qala-enable-pattern-safety', $output );
+	}
+
+	/**
+	 * Test: render_page() lists the current user's personal patterns in the "My patterns" tab
+	 *
+	 * @return void
+	 */
+	public function test_render_page_lists_personal_patterns(): void {
+		Functions\when( 'current_user_can' )->justReturn( true );
+		Functions\when( 'get_option' )->justReturn( 'yes' );
+		Functions\when( 'settings_fields' )->justReturn( null );
+		Functions\when( 'do_settings_sections' )->justReturn( null );
+		Functions\when( 'submit_button' )->justReturn( null );
+		Functions\when( 'wp_nonce_field' )->justReturn( null );
+		Functions\when( 'esc_html_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+		Functions\when( 'esc_attr_e' )->alias(
+			function ( $text ) {
+				echo $text;
+			}
+		);
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn( [] );
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->andReturn( [] );
+
+		$this->personal_mock->shouldReceive( 'get_patterns' )
+			->once()
+			->andReturn(
+				[
+					[
+						'id'            => 2,
+						'pattern_value' => '*Query Monitor*',
+						'pattern_type'  => 'wildcard',
+						'severity'      => '',
+						'screens'       => '',
+						'is_active'     => 1,
+					],
+				]
+			);
+
+		ob_start();
+		$this->admin_page->render_page();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="qala-tab-mine"', $output );
+		$this->assertStringContainsString( 'qala-my-pattern-row', $output );
+		$this->assertStringContainsString( '*Query Monitor*', $output );
+		$this->assertStringContainsString( 'qala-remove-my-pattern', $output );
+	}
+
 	/**
 	 * Test: init() registers all hooks correctly
 	 *
@@ -854,7 +1368,7 @@ class AdminPageTest extends TestCase {
 
 		$this->allowlist_mock->shouldReceive( 'add_pattern' )
 			->once()
-			->with( 'test<script>alert("xss")</script>pattern', 'exact' )
+			->with( 'test<script>alert("xss")</script>pattern', 'exact', '', '' )
 			->andReturn( true );
 
 		Functions\expect( 'wp_send_json_success' )
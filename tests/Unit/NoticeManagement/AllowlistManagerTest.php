@@ -104,7 +104,7 @@ class AllowlistManagerTest extends TestCase {
 						&& isset( $data['updated_at'] );
 					}
 				),
-				[ '%s', '%s', '%d', '%d', '%s', '%s' ]
+				[ '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s' ]
 			)
 			->andReturn( 1 );
 
@@ -208,6 +208,102 @@ class AllowlistManagerTest extends TestCase {
 		$this->assertFalse( $result, 'Should reject invalid regex patterns' );
 	}
 
+	/**
+	 * Test add_pattern() successfully adds a selector pattern
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_adds_selector_pattern_successfully(): void {
+		$this->wpdb_mock->shouldReceive( 'insert' )
+			->once()
+			->with(
+				'wp_qala_notice_allowlist',
+				Mockery::on(
+					function ( $data ) {
+						return $data['pattern_type'] === 'selector'
+							&& $data['pattern_value'] === '.notice.woocommerce-message';
+					}
+				),
+				Mockery::any()
+			)
+			->andReturn( 1 );
+
+		$result = $this->manager->add_pattern( '.notice.woocommerce-message', 'selector' );
+
+		$this->assertTrue( $result, 'Should successfully add selector pattern' );
+	}
+
+	/**
+	 * Test add_pattern() rejects values that cannot be CSS selectors
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_rejects_invalid_selector(): void {
+		$this->wpdb_mock->shouldNotReceive( 'insert' );
+
+		$this->assertFalse( $this->manager->add_pattern( '.notice { display: block }', 'selector' ) );
+		$this->assertFalse( $this->manager->add_pattern( 'div[data-id="1"', 'selector' ) );
+	}
+
+	/**
+	 * Test add_pattern() stores a severity constraint
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_stores_severity(): void {
+		$this->wpdb_mock->shouldReceive( 'insert' )
+			->once()
+			->with(
+				'wp_qala_notice_allowlist',
+				Mockery::on(
+					function ( $data ) {
+						return $data['severity'] === 'error';
+					}
+				),
+				Mockery::any()
+			)
+			->andReturn( 1 );
+
+		$result = $this->manager->add_pattern( '*', 'wildcard', 'error' );
+
+		$this->assertTrue( $result, 'Should store severity constraint' );
+	}
+
+	/**
+	 * Test add_pattern() stores NULL severity when none is given
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_stores_null_severity_by_default(): void {
+		$this->wpdb_mock->shouldReceive( 'insert' )
+			->once()
+			->with(
+				'wp_qala_notice_allowlist',
+				Mockery::on(
+					function ( $data ) {
+						return array_key_exists( 'severity', $data ) && $data['severity'] === null;
+					}
+				),
+				Mockery::any()
+			)
+			->andReturn( 1 );
+
+		$this->assertTrue( $this->manager->add_pattern( 'rocket_*', 'wildcard' ) );
+	}
+
+	/**
+	 * Test add_pattern() rejects unknown severities
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_rejects_invalid_severity(): void {
+		$this->wpdb_mock->shouldNotReceive( 'insert' );
+
+		$result = $this->manager->add_pattern( 'rocket_*', 'wildcard', 'critical' );
+
+		$this->assertFalse( $result, 'Should reject unknown severity' );
+	}
+
 	/**
 	 * Test add_pattern() prevents SQL injection attempts
 	 *
@@ -292,6 +388,74 @@ class AllowlistManagerTest extends TestCase {
 		$this->assertFalse( $result, 'Should handle database errors gracefully' );
 	}
 
+	/**
+	 * Test update_pattern() updates value, type, severity and screens by ID
+	 *
+	 * @return void
+	 */
+	public function test_update_pattern_updates_fields_by_id(): void {
+		$this->wpdb_mock->shouldReceive( 'update' )
+			->once()
+			->with(
+				'wp_qala_notice_allowlist',
+				Mockery::on(
+					function ( $data ) {
+						return $data['pattern_value'] === 'Please update *'
+							&& $data['pattern_type'] === 'wildcard'
+							&& $data['severity'] === 'warning'
+							&& $data['screens'] === 'plugins';
+					}
+				),
+				[ 'id' => 42 ],
+				[ '%s', '%s', '%s', '%s', '%s' ],
+				[ '%d' ]
+			)
+			->andReturn( 1 );
+
+		$result = $this->manager->update_pattern( 42, 'Please update *', 'wildcard', 'warning', 'plugins' );
+
+		$this->assertTrue( $result, 'Should successfully update pattern by ID' );
+	}
+
+	/**
+	 * Test update_pattern() treats an unchanged row as success
+	 *
+	 * @return void
+	 */
+	public function test_update_pattern_succeeds_without_changes(): void {
+		$this->wpdb_mock->shouldReceive( 'update' )
+			->once()
+			->andReturn( 0 );
+
+		$this->assertTrue( $this->manager->update_pattern( 42, 'rocket_bad_deactivations' ) );
+	}
+
+	/**
+	 * Test update_pattern() rejects invalid regex patterns without touching the database
+	 *
+	 * @return void
+	 */
+	public function test_update_pattern_rejects_invalid_regex(): void {
+		$this->wpdb_mock->shouldNotReceive( 'update' );
+
+		$this->assertFalse( $this->manager->update_pattern( 42, '/[unclosed/', 'regex' ) );
+	}
+
+	/**
+	 * Test get_pattern() returns null for unknown IDs
+	 *
+	 * @return void
+	 */
+	public function test_get_pattern_returns_null_when_not_found(): void {
+		$this->wpdb_mock->shouldReceive( 'prepare' )->once()->andReturn( 'SELECT ...' );
+		$this->wpdb_mock->shouldReceive( 'get_row' )
+			->once()
+			->with( 'SELECT ...', ARRAY_A )
+			->andReturn( null );
+
+		$this->assertNull( $this->manager->get_pattern( 999 ) );
+	}
+
 	/**
 	 * Test get_all_patterns() returns all active patterns from database
 	 *
@@ -392,6 +556,38 @@ class AllowlistManagerTest extends TestCase {
 		$this->assertEquals( $cached_patterns, $result, 'Should return cached patterns' );
 	}
 
+	/**
+	 * Test get_all_patterns() includes deactivated patterns on request, bypassing the cache
+	 *
+	 * @return void
+	 */
+	public function test_get_all_patterns_includes_inactive_on_request(): void {
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => 'rocket_*',
+				'pattern_type'  => 'wildcard',
+				'is_active'     => 0,
+			],
+		];
+
+		Functions\expect( 'get_transient' )->never();
+
+		$this->wpdb_mock->shouldReceive( 'get_results' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $query ) {
+						return strpos( $query, 'is_active = 1' ) === false;
+					}
+				),
+				ARRAY_A
+			)
+			->andReturn( $patterns );
+
+		$this->assertEquals( $patterns, $this->manager->get_all_patterns( true ) );
+	}
+
 	/**
 	 * Test get_all_patterns() only returns active patterns
 	 *
@@ -493,6 +689,292 @@ class AllowlistManagerTest extends TestCase {
 		$this->assertTrue( $result, 'Should match regex pattern' );
 	}
 
+	/**
+	 * Test matches_allowlist() never matches callbacks against selector patterns
+	 *
+	 * @return void
+	 */
+	public function test_matches_allowlist_ignores_selector_patterns(): void {
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => '#rocket_notice',
+				'pattern_type'  => 'selector',
+				'is_active'     => 1,
+			],
+		];
+
+		Functions\expect( 'get_transient' )
+			->once()
+			->andReturn( $patterns );
+
+		$result = $this->manager->matches_allowlist( 'rocket_notice' );
+
+		$this->assertFalse( $result, 'Selector patterns only apply to notice markup' );
+	}
+
+	/**
+	 * Test matches_allowlist() skips patterns scoped to other screens
+	 *
+	 * @return void
+	 */
+	public function test_matches_allowlist_skips_patterns_scoped_to_other_screens(): void {
+		global $pagenow;
+		$pagenow = 'index.php';
+
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => 'rocket_*',
+				'pattern_type'  => 'wildcard',
+				'screens'       => 'plugins.php,edit-product',
+				'is_active'     => 1,
+			],
+		];
+
+		Functions\expect( 'get_transient' )
+			->once()
+			->andReturn( $patterns );
+
+		Functions\when( 'get_current_screen' )->justReturn( (object) [ 'id' => 'dashboard' ] );
+
+		$this->assertFalse( $this->manager->matches_allowlist( 'rocket_notice' ) );
+	}
+
+	/**
+	 * Test count_pattern_matches() counts each callback for the first pattern it matches
+	 *
+	 * @return void
+	 */
+	public function test_count_pattern_matches_counts_first_matching_pattern(): void {
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => 'rocket_*',
+				'pattern_type'  => 'wildcard',
+				'is_active'     => 1,
+			],
+			[
+				'id'            => 2,
+				'pattern_value' => '/^rocket_bad/',
+				'pattern_type'  => 'regex',
+				'is_active'     => 1,
+			],
+			[
+				'id'            => 3,
+				'pattern_value' => '.notice-warning',
+				'pattern_type'  => 'selector',
+				'is_active'     => 1,
+			],
+		];
+
+		Functions\expect( 'get_transient' )
+			->once()
+			->andReturn( $patterns );
+
+		$result = $this->manager->count_pattern_matches(
+			[
+				'rocket_bad_deactivations' => 4,
+				'rocket_notice'            => 2,
+				'WC_Admin_Notices::show'   => 7,
+			]
+		);
+
+		$this->assertSame( [ 1, 2, 3 ], array_column( $result, 'id' ) );
+		$this->assertSame( [ 6, 0, 0 ], array_column( $result, 'matches' ) );
+	}
+
+	/**
+	 * Test count_pattern_matches() counts notice texts within severity and screen scope
+	 *
+	 * @return void
+	 */
+	public function test_count_pattern_matches_counts_content_within_scope(): void {
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => '*products updated*',
+				'pattern_type'  => 'wildcard',
+				'severity'      => '',
+				'screens'       => 'edit-product',
+				'is_active'     => 1,
+			],
+			[
+				'id'            => 2,
+				'pattern_value' => '/^category/i',
+				'pattern_type'  => 'regex',
+				'severity'      => 'success',
+				'screens'       => '',
+				'is_active'     => 1,
+			],
+			[
+				'id'            => 3,
+				'pattern_value' => '.notice-success',
+				'pattern_type'  => 'selector',
+				'severity'      => '',
+				'screens'       => '',
+				'is_active'     => 1,
+			],
+		];
+
+		Functions\expect( 'get_transient' )
+			->once()
+			->andReturn( $patterns );
+
+		$result = $this->manager->count_pattern_matches(
+			[],
+			[
+				[
+					'text'     => 'Category "Shoes" added. 3 Products updated.',
+					'severity' => 'success',
+					'screen'   => 'edit-product',
+					'count'    => 4,
+				],
+				[
+					'text'     => 'Category "Hats" added. 12 products updated.',
+					'severity' => 'success',
+					'screen'   => 'edit-product_cat',
+					'count'    => 2,
+				],
+				[
+					'text'     => 'Category "Hats" could not be added.',
+					'severity' => 'error',
+					'screen'   => 'edit-product_cat',
+					'count'    => 3,
+				],
+			]
+		);
+
+		$this->assertSame( [ 1, 2, 3 ], array_column( $result, 'id' ) );
+		$this->assertSame( [ 4, 2, 0 ], array_column( $result, 'matches' ) );
+	}
+
+	/**
+	 * Test count_log_matches() matches callbacks by name and page content by text
+	 *
+	 * @return void
+	 */
+	public function test_count_log_matches_counts_callback_and_content_entries(): void {
+		$entries = [
+			[
+				'callback_name' => 'WC_Admin_Notices::add_notice',
+				'source'        => 'callback',
+			],
+			[
+				'callback_name' => 'WC_Admin_Notices::output_custom_notices',
+				'source'        => 'callback',
+			],
+			[
+				'callback_name' => 'Category "Shoes" added. 3 products updated.',
+				'source'        => 'content',
+			],
+			[
+				'callback_name' => 'Category "Hats" added. 12 products updated.',
+				'source'        => 'content',
+			],
+		];
+
+		$result = $this->manager->count_log_matches(
+			$entries,
+			[
+				[
+					'pattern' => 'WC_Admin_Notices::add_notice',
+					'type'    => 'exact',
+				],
+				[
+					'pattern' => 'WC_Admin_Notices::*',
+					'type'    => 'wildcard',
+				],
+				[
+					'pattern' => '*category * added. * products*',
+					'type'    => 'wildcard',
+				],
+				[
+					'pattern' => '^Category "\w+" added',
+					'type'    => 'regex',
+				],
+				[
+					'pattern' => '.woocommerce-message',
+					'type'    => 'selector',
+				],
+			]
+		);
+
+		$this->assertSame( [ 1, 2, 2, 2, 0 ], $result );
+	}
+
+	/**
+	 * Test count_log_matches() ignores case in regexes for page content only
+	 *
+	 * The browser compiles content regexes with the i flag; NoticeFilter
+	 * matches callback names as saved.
+	 *
+	 * @return void
+	 */
+	public function test_count_log_matches_ignores_regex_case_for_content(): void {
+		$entries = [
+			[
+				'callback_name' => 'WC_Admin_Notices::add_notice',
+				'source'        => 'callback',
+			],
+			[
+				'callback_name' => 'Category "Shoes" added.',
+				'source'        => 'content',
+			],
+		];
+
+		$result = $this->manager->count_log_matches(
+			$entries,
+			[
+				[
+					'pattern' => '/^wc_admin_notices::/',
+					'type'    => 'regex',
+				],
+				[
+					'pattern' => '/^category "\w+" ADDED/',
+					'type'    => 'regex',
+				],
+				[
+					'pattern' => '#^category#m',
+					'type'    => 'regex',
+				],
+			]
+		);
+
+		$this->assertSame( [ 0, 1, 1 ], $result );
+	}
+
+	/**
+	 * Test matches_allowlist() honours screen ids and admin URLs in the scope
+	 *
+	 * @return void
+	 */
+	public function test_matches_allowlist_matches_pattern_scoped_to_current_screen(): void {
+		global $pagenow;
+		$pagenow = 'edit.php';
+		$_GET['post_type'] = 'product';
+
+		$patterns = [
+			[
+				'id'            => 1,
+				'pattern_value' => 'rocket_*',
+				'pattern_type'  => 'wildcard',
+				'screens'       => 'plugins.php,edit.php?post_type=product',
+				'is_active'     => 1,
+			],
+		];
+
+		Functions\expect( 'get_transient' )
+			->once()
+			->andReturn( $patterns );
+
+		Functions\when( 'get_current_screen' )->justReturn( (object) [ 'id' => 'edit-product' ] );
+
+		$this->assertTrue( $this->manager->matches_allowlist( 'rocket_notice' ) );
+
+		unset( $_GET['post_type'] );
+	}
+
 	/**
 	 * Test matches_allowlist() returns false when no patterns match
 	 *
@@ -1015,4 +1497,275 @@ class AllowlistManagerTest extends TestCase {
 		$result2 = $this->manager->add_pattern( 'duplicate_pattern' );
 		$this->assertFalse( $result2, 'Duplicate pattern should fail' );
 	}
+
+	/**
+	 * Build an imported pattern entry
+	 *
+	 * @param string $value Pattern value.
+	 * @param string $type Pattern type.
+	 * @param bool   $active Active state.
+	 *
+	 * @return array
+	 */
+	private function importEntry( string $value, string $type = 'exact', bool $active = true ): array {
+		return [
+			'pattern_value' => $value,
+			'pattern_type' => $type,
+			'severity' => '',
+			'screens' => '',
+			'is_active' => $active,
+		];
+	}
+
+	/**
+	 * Test diff_patterns() sorts imported patterns into added, duplicates and conflicts
+	 *
+	 * @return void
+	 */
+	public function test_diff_patterns_classifies_imported_patterns(): void {
+		$this->wpdb_mock->shouldReceive( 'get_results' )
+			->once()
+			->andReturn(
+				[
+					[
+						'id' => '1',
+						'pattern_value' => 'rocket_*',
+						'pattern_type' => 'wildcard',
+						'severity' => null,
+						'screens' => null,
+						'is_active' => '1',
+					],
+					[
+						'id' => '2',
+						'pattern_value' => 'Settings saved',
+						'pattern_type' => 'exact',
+						'severity' => null,
+						'screens' => null,
+						'is_active' => '1',
+					],
+				]
+			);
+
+		$diff = $this->manager->diff_patterns(
+			[
+				$this->importEntry( 'rocket_*', 'wildcard' ),
+				$this->importEntry( 'Settings saved', 'exact', false ),
+				$this->importEntry( 'new_notice' ),
+				$this->importEntry( 'new_notice' ),
+			]
+		);
+
+		$this->assertCount( 1, $diff['added'] );
+		$this->assertSame( 'new_notice', $diff['added'][0]['pattern_value'] );
+		$this->assertCount( 2, $diff['duplicates'], 'Unchanged and repeated patterns are duplicates' );
+		$this->assertCount( 1, $diff['conflicts'] );
+		$this->assertSame( '2', $diff['conflicts'][0]['existing']['id'] );
+	}
+
+	/**
+	 * Test import_patterns() adds new patterns and keeps conflicts unless asked to replace
+	 *
+	 * @return void
+	 */
+	public function test_import_patterns_skips_conflicts_by_default(): void {
+		$this->wpdb_mock->shouldReceive( 'get_results' )
+			->once()
+			->andReturn(
+				[
+					[
+						'id' => '2',
+						'pattern_value' => 'Settings saved',
+						'pattern_type' => 'exact',
+						'severity' => null,
+						'screens' => null,
+						'is_active' => '1',
+					],
+				]
+			);
+
+		$this->wpdb_mock->shouldReceive( 'insert' )->once()->andReturn( 1 );
+		$this->wpdb_mock->shouldNotReceive( 'update' );
+
+		$result = $this->manager->import_patterns(
+			[
+				$this->importEntry( 'Settings saved', 'wildcard' ),
+				$this->importEntry( 'new_notice' ),
+			]
+		);
+
+		$this->assertSame(
+			[
+				'added' => 1,
+				'updated' => 0,
+				'skipped' => 1,
+				'failed' => 0,
+			],
+			$result
+		);
+	}
+
+	/**
+	 * Test import_patterns() replaces conflicts and keeps imported patterns inactive
+	 *
+	 * @return void
+	 */
+	public function test_import_patterns_replaces_conflicts_and_applies_active_state(): void {
+		$this->wpdb_mock->shouldReceive( 'get_results' )
+			->once()
+			->andReturn(
+				[
+					[
+						'id' => '2',
+						'pattern_value' => 'Settings saved',
+						'pattern_type' => 'exact',
+						'severity' => null,
+						'screens' => null,
+						'is_active' => '1',
+					],
+				]
+			);
+
+		$this->wpdb_mock->insert_id = 9;
+		$this->wpdb_mock->shouldReceive( 'insert' )->once()->andReturn( 1 );
+
+		// Pattern update for the conflict, then deactivation of both patterns
+		$this->wpdb_mock->shouldReceive( 'update' )
+			->once()
+			->with( 'wp_qala_notice_allowlist', Mockery::hasKey( 'pattern_value' ), [ 'id' => 2 ], Mockery::any(), [ '%d' ] )
+			->andReturn( 1 );
+		$this->wpdb_mock->shouldReceive( 'update' )
+			->once()
+			->with( 'wp_qala_notice_allowlist', Mockery::subset( [ 'is_active' => 0 ] ), [ 'id' => 9 ], Mockery::any(), [ '%d' ] )
+			->andReturn( 1 );
+		$this->wpdb_mock->shouldReceive( 'update' )
+			->once()
+			->with( 'wp_qala_notice_allowlist', Mockery::subset( [ 'is_active' => 0 ] ), [ 'id' => 2 ], Mockery::any(), [ '%d' ] )
+			->andReturn( 1 );
+
+		$result = $this->manager->import_patterns(
+			[
+				$this->importEntry( 'Settings saved', 'wildcard', false ),
+				$this->importEntry( 'new_notice', 'exact', false ),
+			],
+			true
+		);
+
+		$this->assertSame( 1, $result['added'] );
+		$this->assertSame( 1, $result['updated'] );
+	}
+
+	/**
+	 * Test disable_for_safety() flags a regex pattern with its current value
+	 *
+	 * @return void
+	 */
+	public function test_disable_for_safety_flags_regex_pattern(): void {
+		$this->wpdb_mock->shouldReceive( 'prepare' )->andReturn( 'SELECT ...' );
+		$this->wpdb_mock->shouldReceive( 'get_row' )
+			->andReturn(
+				[
+					'id' => '5',
+					'pattern_value' => '/^(a+)+$/',
+					'pattern_type' => 'regex',
+					'severity' => null,
+					'screens' => null,
+					'is_active' => '1',
+				]
+			);
+
+		Functions\when( 'get_option' )->justReturn( [] );
+		Functions\expect( 'update_option' )
+			->once()
+			->with(
+				'qala_allowlist_disabled_for_safety',
+				Mockery::on(
+					function ( $flags ) {
+						return $flags[5]['value'] === '/^(a+)+$/';
+					}
+				),
+				false
+			)
+			->andReturn( true );
+
+		$this->assertTrue( $this->manager->disable_for_safety( 5 ) );
+	}
+
+	/**
+	 * Test disable_for_safety() ignores patterns that never run in the worker
+	 *
+	 * @return void
+	 */
+	public function test_disable_for_safety_rejects_non_regex_pattern(): void {
+		$this->wpdb_mock->shouldReceive( 'prepare' )->andReturn( 'SELECT ...' );
+		$this->wpdb_mock->shouldReceive( 'get_row' )
+			->andReturn(
+				[
+					'id' => '5',
+					'pattern_value' => 'rocket_*',
+					'pattern_type' => 'wildcard',
+					'severity' => null,
+					'screens' => null,
+					'is_active' => '1',
+				]
+			);
+
+		Functions\expect( 'update_option' )->never();
+
+		$this->assertFalse( $this->manager->disable_for_safety( 5 ) );
+	}
+
+	/**
+	 * Test is_disabled_for_safety() only holds for the value that timed out
+	 *
+	 * @return void
+	 */
+	public function test_is_disabled_for_safety_checks_value(): void {
+		Functions\when( 'get_option' )->justReturn(
+			[
+				5 => [
+					'value' => '/^(a+)+$/',
+					'time' => 1700000000,
+				],
+			]
+		);
+
+		$this->assertTrue(
+			$this->manager->is_disabled_for_safety(
+				[
+					'id' => '5',
+					'pattern_value' => '/^(a+)+$/',
+				]
+			)
+		);
+		$this->assertFalse(
+			$this->manager->is_disabled_for_safety(
+				[
+					'id' => '5',
+					'pattern_value' => '/^a+$/',
+				]
+			)
+		);
+	}
+
+	/**
+	 * Test enable_after_safety() removes the flag
+	 *
+	 * @return void
+	 */
+	public function test_enable_after_safety_removes_flag(): void {
+		Functions\when( 'get_option' )->justReturn(
+			[
+				5 => [
+					'value' => '/^(a+)+$/',
+					'time' => 1700000000,
+				],
+			]
+		);
+		Functions\expect( 'update_option' )
+			->once()
+			->with( 'qala_allowlist_disabled_for_safety', [], false )
+			->andReturn( true );
+
+		$this->assertTrue( $this->manager->enable_after_safety( 5 ) );
+	}
 }
@@ -152,7 +152,7 @@ class DatabaseMigrationTest extends TestCase {
 		Monkey\Functions\expect( 'get_option' )
 			->once()
 			->with( 'qala_notice_db_version', '0.0.0' )
-			->andReturn( '1.0.0' );
+			->andReturn( '1.5.0' );
 
 		$needs_migration = $this->migration->needs_migration();
 		$this->assertFalse( $needs_migration );
@@ -344,6 +344,91 @@ class DatabaseMigrationTest extends TestCase {
 		$this->assertTrue( true );
 	}
 
+	/**
+	 * Test create_allowlist_table allows selector pattern type
+	 *
+	 * @test
+	 * @return void
+	 */
+	public function create_allowlist_table_allows_selector_pattern_type(): void {
+		$migration = \Mockery::mock( DatabaseMigration::class )->makePartial();
+		$migration->shouldAllowMockingProtectedMethods();
+		$migration->shouldReceive( 'load_upgrade_functions' )->andReturnNull();
+
+		// Capture the SQL passed to dbDelta
+		Monkey\Functions\expect( 'dbDelta' )
+			->once()
+			->with( \Mockery::on(
+				function ( $sql ) {
+					return strpos( $sql, "enum('exact','wildcard','regex','selector')" ) !== false;
+				}
+			) )
+			->andReturn( [] );
+
+		$this->wpdb->shouldReceive( 'get_var' )
+			->once()
+			->andReturn( 'wp_qala_notice_allowlist' );
+
+		$migration->create_allowlist_table();
+	}
+
+	/**
+	 * Test create_allowlist_table adds severity column
+	 *
+	 * @test
+	 * @return void
+	 */
+	public function create_allowlist_table_adds_severity_column(): void {
+		$migration = \Mockery::mock( DatabaseMigration::class )->makePartial();
+		$migration->shouldAllowMockingProtectedMethods();
+		$migration->shouldReceive( 'load_upgrade_functions' )->andReturnNull();
+
+		Monkey\Functions\expect( 'dbDelta' )
+			->once()
+			->with( \Mockery::on(
+				function ( $sql ) {
+					return strpos( $sql, 'severity varchar(20) DEFAULT NULL' ) !== false;
+				}
+			) )
+			->andReturn( [] );
+
+		$this->wpdb->shouldReceive( 'get_var' )
+			->once()
+			->andReturn( 'wp_qala_notice_allowlist' );
+
+		$migration->create_allowlist_table();
+	}
+
+	/**
+	 * Test create_notice_log_table adds the content entry and callback file columns
+	 *
+	 * @test
+	 * @return void
+	 */
+	public function create_notice_log_table_adds_content_columns(): void {
+		$migration = \Mockery::mock( DatabaseMigration::class )->makePartial();
+		$migration->shouldAllowMockingProtectedMethods();
+		$migration->shouldReceive( 'load_upgrade_functions' )->andReturnNull();
+
+		Monkey\Functions\expect( 'dbDelta' )
+			->once()
+			->with( \Mockery::on(
+				function ( $sql ) {
+					return strpos( $sql, "source varchar(20) NOT NULL DEFAULT 'callback'" ) !== false
+						&& strpos( $sql, 'notice_text text DEFAULT NULL' ) !== false
+						&& strpos( $sql, 'screen varchar(100) DEFAULT NULL' ) !== false
+						&& strpos( $sql, 'callback_file varchar(255) DEFAULT NULL' ) !== false;
+				}
+			) )
+			->andReturn( [] );
+
+		$this->wpdb->shouldReceive( 'get_var' )
+			->once()
+			->andReturn( 'wp_qala_hidden_notices_log' );
+
+		$migration->create_notice_log_table();
+	}
+
 	/**
 	 * Test run_migrations skips when version is current
 	 *
@@ -354,7 +439,7 @@ class DatabaseMigrationTest extends TestCase {
 		Monkey\Functions\expect( 'get_option' )
 			->once()
 			->with( 'qala_notice_db_version', '0.0.0' )
-			->andReturn( '1.0.0' );
+			->andReturn( '1.5.0' );
 
 		// dbDelta should NOT be called
 		Monkey\Functions\expect( 'dbDelta' )->never();
@@ -392,7 +477,7 @@ class DatabaseMigrationTest extends TestCase {
 		// Mock version update
 		Monkey\Functions\expect( 'update_option' )
 			->once()
-			->with( 'qala_notice_db_version', '1.0.0', false )
+			->with( 'qala_notice_db_version', '1.5.0', false )
 			->andReturn( true );
 
 		$migration->run_migrations();
@@ -508,7 +593,7 @@ class DatabaseMigrationTest extends TestCase {
 	 * @return void
 	 */
 	public function schema_version_constant_is_accessible(): void {
-		$this->assertEquals( '1.0.0', DatabaseMigration::SCHEMA_VERSION );
+		$this->assertEquals( '1.5.0', DatabaseMigration::SCHEMA_VERSION );
 	}
 
 	/**
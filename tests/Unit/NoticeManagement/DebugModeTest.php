@@ -0,0 +1,222 @@
+<?php
+/**
+ * DebugMode Test
+ *
+ * Tests for the DebugMode class - the per-user notice debug overlay.
+ * Tests hook registration, preference storage, the body class and localization.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use Brain\Monkey\Filters;
+use Mockery;
+use QalaPluginManager\NoticeManagement\DebugMode;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for DebugMode class
+ *
+ * Covers:
+ * - Hook registration (admin_init, admin_body_class, admin_enqueue_scripts)
+ * - Preference storage in user meta
+ * - qala-debug body class (qala_full_access required)
+ * - Overlay string localization
+ *
+ * @group notice-management
+ * @group debug-mode
+ * @group unit
+ */
+class DebugModeTest extends TestCase {
+
+	/**
+	 * DebugMode instance for testing
+	 *
+	 * @var DebugMode
+	 */
+	private $debug;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->debug = new DebugMode();
+
+		$this->mockGetCurrentUserId( 1 );
+	}
+
+	/**
+	 * Test: DebugMode implements WithHooksInterface
+	 *
+	 * @return void
+	 */
+	public function test_implements_with_hooks_interface(): void {
+		$this->assertInstanceOf(
+			\QalaPluginManager\Interfaces\WithHooksInterface::class,
+			$this->debug
+		);
+	}
+
+	/**
+	 * Test: init() registers the settings field, body class and localization hooks
+	 *
+	 * @return void
+	 */
+	public function test_init_registers_hooks(): void {
+		Actions\expectAdded( 'admin_init' )
+			->once()
+			->with( [ $this->debug, 'register_settings_field' ], 20 );
+
+		Filters\expectAdded( 'admin_body_class' )
+			->once()
+			->with( [ $this->debug, 'add_body_class' ] );
+
+		Actions\expectAdded( 'admin_enqueue_scripts' )
+			->once()
+			->with( [ $this->debug, 'localize_debug_overlay' ], 15 );
+
+		$this->debug->init();
+	}
+
+	/**
+	 * Test: is_enabled() is false without a stored preference
+	 *
+	 * @return void
+	 */
+	public function test_is_enabled_defaults_to_off(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', '' );
+
+		$this->assertFalse( $this->debug->is_enabled() );
+	}
+
+	/**
+	 * Test: is_enabled() reads the stored preference
+	 *
+	 * @return void
+	 */
+	public function test_is_enabled_reads_user_meta(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', 'yes' );
+
+		$this->assertTrue( $this->debug->is_enabled() );
+	}
+
+	/**
+	 * Test: set_enabled() stores 'yes' when switching debug mode on
+	 *
+	 * @return void
+	 */
+	public function test_set_enabled_stores_preference(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', '' );
+
+		Functions\expect( 'update_user_meta' )
+			->once()
+			->with( 1, 'qala_debug_mode', 'yes' )
+			->andReturn( 5 );
+
+		$this->assertTrue( $this->debug->set_enabled( true ) );
+	}
+
+	/**
+	 * Test: set_enabled() succeeds when debug mode is already on
+	 *
+	 * @return void
+	 */
+	public function test_set_enabled_succeeds_when_already_on(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', 'yes' );
+
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertTrue( $this->debug->set_enabled( true ) );
+	}
+
+	/**
+	 * Test: set_enabled() deletes the meta when switching debug mode off
+	 *
+	 * @return void
+	 */
+	public function test_set_enabled_deletes_preference_when_off(): void {
+		Functions\expect( 'delete_user_meta' )
+			->once()
+			->with( 1, 'qala_debug_mode' )
+			->andReturn( true );
+
+		$this->assertTrue( $this->debug->set_enabled( false ) );
+	}
+
+	/**
+	 * Test: add_body_class() adds qala-debug while debug mode is on
+	 *
+	 * @return void
+	 */
+	public function test_add_body_class_when_enabled(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', 'yes' );
+
+		$this->assertSame( 'folded qala-debug', $this->debug->add_body_class( 'folded' ) );
+	}
+
+	/**
+	 * Test: add_body_class() leaves the classes alone while debug mode is off
+	 *
+	 * @return void
+	 */
+	public function test_add_body_class_when_disabled(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', '' );
+
+		$this->assertSame( 'folded', $this->debug->add_body_class( 'folded' ) );
+	}
+
+	/**
+	 * Test: add_body_class() ignores the preference without qala_full_access
+	 *
+	 * @return void
+	 */
+	public function test_add_body_class_requires_capability(): void {
+		$this->mockCurrentUserCan( 'qala_full_access', false );
+		Functions\when( 'get_user_meta' )->justReturn( 'yes' );
+
+		$this->assertSame( 'folded', $this->debug->add_body_class( 'folded' ) );
+	}
+
+	/**
+	 * Test: localize_debug_overlay() passes the overlay strings while debug mode is on
+	 *
+	 * @return void
+	 */
+	public function test_localize_debug_overlay_when_enabled(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', 'yes' );
+
+		Functions\expect( 'wp_localize_script' )
+			->once()
+			->with(
+				'qala-plugin-manager',
+				'qalaDebugOverlay',
+				Mockery::on(
+					function ( $data ) {
+						return isset( $data['strings']['reasons']['pattern'], $data['strings']['groups']['hidden'] );
+					}
+				)
+			);
+
+		$this->debug->localize_debug_overlay();
+	}
+
+	/**
+	 * Test: localize_debug_overlay() does nothing while debug mode is off
+	 *
+	 * @return void
+	 */
+	public function test_localize_debug_overlay_skipped_when_disabled(): void {
+		$this->mockGetUserMeta( 1, 'qala_debug_mode', '' );
+
+		Functions\expect( 'wp_localize_script' )->never();
+
+		$this->debug->localize_debug_overlay();
+	}
+}
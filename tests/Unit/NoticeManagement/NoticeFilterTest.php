@@ -105,6 +105,9 @@ class NoticeFilterTest extends TestCase {
 
 		// Mock get_user_meta for per-user toggle
 		Functions\when( 'get_user_meta' )->justReturn( '' );
+
+		// Callback files are only checked where a test needs them
+		$this->identifier_mock->shouldReceive( 'get_callback_file' )->andReturn( '' )->byDefault();
 	}
 
 	/**
@@ -261,6 +264,7 @@ class NoticeFilterTest extends TestCase {
 				'admin_notices',
 				10,
 				'removed',
+				Mockery::any(),
 				Mockery::any()
 			);
 
@@ -314,6 +318,7 @@ class NoticeFilterTest extends TestCase {
 				'admin_notices',
 				10,
 				'kept_allowlisted',
+				Mockery::any(),
 				Mockery::any()
 			);
 
@@ -375,6 +380,7 @@ class NoticeFilterTest extends TestCase {
 					$hook_name,
 					10,
 					'removed',
+					Mockery::any(),
 					Mockery::any()
 				);
 		}
@@ -540,6 +546,7 @@ class NoticeFilterTest extends TestCase {
 				'admin_notices',
 				10,
 				'removed',
+				Mockery::any(),
 				Mockery::any()
 			);
 
@@ -597,6 +604,7 @@ class NoticeFilterTest extends TestCase {
 				'admin_notices',
 				10,
 				'removed',
+				Mockery::any(),
 				Mockery::any()
 			);
 
@@ -609,6 +617,47 @@ class NoticeFilterTest extends TestCase {
 		);
 	}
 
+	/**
+	 * Test: filter_notices() logs the file the callback is defined in
+	 *
+	 * @return void
+	 */
+	public function test_filter_notices_logs_callback_file(): void {
+		Functions\when( 'current_user_can' )->justReturn( false );
+
+		global $wp_filter;
+		$wp_filter                  = [];
+		$wp_filter['admin_notices'] = $this->createMockWpFilterHook(
+			[
+				10 => [
+					'seo_callback' => [
+						'function'      => 'wpseo_admin_notice',
+						'accepted_args' => 1,
+					],
+				],
+			]
+		);
+
+		$this->allowlist_mock->shouldReceive( 'matches_allowlist' )->andReturn( false );
+		$this->identifier_mock->shouldReceive( 'get_callback_name' )->andReturn( 'wpseo_admin_notice' );
+		$this->identifier_mock->shouldReceive( 'get_callback_file' )
+			->with( 'wpseo_admin_notice' )
+			->andReturn( '/var/www/wp-content/plugins/wordpress-seo/admin/notices.php' );
+
+		$this->logger_mock->shouldReceive( 'log_removal' )
+			->once()
+			->with(
+				'wpseo_admin_notice',
+				'admin_notices',
+				10,
+				'removed',
+				Mockery::any(),
+				'/var/www/wp-content/plugins/wordpress-seo/admin/notices.php'
+			);
+
+		$this->filter->filter_notices();
+	}
+
 	/**
 	 * Test: filter_notices() removes some callbacks but keeps others based on allowlist
 	 *
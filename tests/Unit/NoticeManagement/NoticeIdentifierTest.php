@@ -255,6 +255,115 @@ class NoticeIdentifierTest extends TestCase {
 		$this->assertEquals( 'Unknown', $name );
 	}
 
+	/**
+	 * Data provider for callback source tests
+	 *
+	 * @return array
+	 */
+	public function provide_callback_source_scenarios() {
+		return [
+			'namespaced class method' => [ 'Yoast\WP\SEO\Integrations\Admin\Notices::show', 'Yoast\\' ],
+			'namespaced function'     => [ 'Automattic\Jetpack\show_notice', 'Automattic\\' ],
+			'prefixed class method'   => [ 'WC_Admin_Notices::add_notice', 'WC_' ],
+			'prefixed function'       => [ 'rocket_bad_deactivations', 'rocket_' ],
+			'unprefixed class method' => [ 'Jetpack::admin_notice', 'Jetpack::' ],
+			'unprefixed function'     => [ 'akismetnotice', 'akismetnotice' ],
+			'closure'                 => [ 'Closure', '' ],
+			'unknown'                 => [ 'Unknown', '' ],
+		];
+	}
+
+	/**
+	 * Test: get_callback_source returns the namespace or prefix of a callback
+	 *
+	 * @dataProvider provide_callback_source_scenarios
+	 *
+	 * @param string $callback_name The callback name.
+	 * @param string $expected Expected source prefix.
+	 *
+	 * @return void
+	 */
+	public function test_get_callback_source( $callback_name, $expected ) {
+		$this->assertSame( $expected, $this->identifier->get_callback_source( $callback_name ) );
+	}
+
+	/**
+	 * Test: get_callback_file returns the file a callback is defined in
+	 *
+	 * @return void
+	 */
+	public function test_get_callback_file() {
+		Monkey\Functions\when( 'wp_normalize_path' )->returnArg();
+
+		$closure = function () {
+			return 'test';
+		};
+		$identifier_file = ( new \ReflectionClass( NoticeIdentifier::class ) )->getFileName();
+
+		$this->assertSame( __FILE__, $this->identifier->get_callback_file( $closure ) );
+		$this->assertSame( $identifier_file, $this->identifier->get_callback_file( [ $this->identifier, 'get_callback_name' ] ) );
+		$this->assertSame( $identifier_file, $this->identifier->get_callback_file( NoticeIdentifier::class . '::get_callback_name' ) );
+		$this->assertSame( '', $this->identifier->get_callback_file( 'strlen' ) );
+		$this->assertSame( '', $this->identifier->get_callback_file( 'qala_undefined_notice_function' ) );
+	}
+
+	/**
+	 * Data provider for get_file_plugin scenarios
+	 *
+	 * @return array
+	 */
+	public function provide_file_plugin_scenarios() {
+		return [
+			'plugin folder'      => [
+				WP_PLUGIN_DIR . '/wordpress-seo/src/integrations/admin/notices.php',
+				[
+					'type' => 'plugin',
+					'slug' => 'wordpress-seo',
+				],
+			],
+			'single-file plugin' => [
+				WP_PLUGIN_DIR . '/hello.php',
+				[
+					'type' => 'plugin',
+					'slug' => 'hello.php',
+				],
+			],
+			'must-use plugin'    => [
+				WPMU_PLUGIN_DIR . '/qala-plugin-manager/index.php',
+				[
+					'type' => 'mu-plugin',
+					'slug' => 'qala-plugin-manager',
+				],
+			],
+			'theme'              => [
+				'/tmp/wordpress/wp-content/themes/twentytwentyfour/functions.php',
+				[
+					'type' => 'theme',
+					'slug' => 'twentytwentyfour',
+				],
+			],
+			'core'               => [ '/tmp/wordpress/wp-admin/includes/update.php', [] ],
+			'no file'            => [ '', [] ],
+		];
+	}
+
+	/**
+	 * Test: get_file_plugin returns the plugin or theme a file belongs to
+	 *
+	 * @dataProvider provide_file_plugin_scenarios
+	 *
+	 * @param string $file The file path.
+	 * @param array  $expected Expected plugin.
+	 *
+	 * @return void
+	 */
+	public function test_get_file_plugin( $file, $expected ) {
+		Monkey\Functions\when( 'wp_normalize_path' )->returnArg();
+		Monkey\Functions\when( 'get_theme_root' )->justReturn( '/tmp/wordpress/wp-content/themes' );
+
+		$this->assertSame( $expected, $this->identifier->get_file_plugin( $file ) );
+	}
+
 	/**
 	 * Test: is_closure returns true for closures
 	 *
@@ -0,0 +1,210 @@
+<?php
+/**
+ * NoticeLogGroups Test
+ *
+ * Tests for the NoticeLogGroups class - the "Group by plugin" view of
+ * the Hidden Notices Log.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Mockery;
+use QalaPluginManager\NoticeManagement\NoticeIdentifier;
+use QalaPluginManager\NoticeManagement\NoticeLogger;
+use QalaPluginManager\NoticeManagement\NoticeLogGroups;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for NoticeLogGroups class
+ *
+ * Covers:
+ * - Grouping by the plugin recorded at removal time
+ * - Falling back to the namespace or prefix of the callback
+ * - Page content and other entries, listed last without a pattern
+ * - The pattern that allowlists a whole group
+ *
+ * @group notice-management
+ * @group notice-log-groups
+ * @group unit
+ */
+class NoticeLogGroupsTest extends TestCase {
+
+	/**
+	 * Mock NoticeLogger instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $logger_mock;
+
+	/**
+	 * NoticeLogGroups instance for testing (with a real NoticeIdentifier)
+	 *
+	 * @var NoticeLogGroups
+	 */
+	private $log_groups;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->logger_mock = Mockery::mock( NoticeLogger::class );
+		$this->log_groups = new NoticeLogGroups( $this->logger_mock, new NoticeIdentifier() );
+
+		Functions\when( 'wp_normalize_path' )->returnArg();
+		Functions\when( 'get_theme_root' )->justReturn( WP_CONTENT_DIR . '/themes' );
+		Functions\when( 'get_plugins' )->justReturn(
+			[
+				'wordpress-seo/wp-seo.php' => [ 'Name' => 'Yoast SEO' ],
+				'hello.php' => [ 'Name' => 'Hello Dolly' ],
+			]
+		);
+	}
+
+	/**
+	 * Build a log entry as returned by NoticeLogger::get_unique_notices()
+	 *
+	 * @param string $callback_name Callback name, or notice text for content entries.
+	 * @param string $callback_file File the callback is defined in.
+	 * @param string $source callback or content.
+	 *
+	 * @return array
+	 */
+	private function entry( string $callback_name, string $callback_file = '', string $source = 'callback' ): array {
+		return [
+			'callback_name' => $callback_name,
+			'hook_name' => $source === 'content' ? '' : 'admin_notices',
+			'source' => $source,
+			'action' => 'removed',
+			'severity' => null,
+			'screen' => null,
+			'callback_file' => $callback_file ?: null,
+			'last_seen' => '2026-10-19 08:00:00',
+		];
+	}
+
+	/**
+	 * Test: get_groups() groups entries by the plugin their callback file is in
+	 *
+	 * @return void
+	 */
+	public function test_get_groups_groups_by_plugin_file(): void {
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $args ) {
+						return $args['search'] === 'seo' && $args['per_page'] === 0;
+					}
+				)
+			)
+			->andReturn(
+				[
+					$this->entry( 'Yoast\WP\SEO\Integrations\Admin\Notices::show', WP_PLUGIN_DIR . '/wordpress-seo/src/notices.php' ),
+					$this->entry( 'Yoast\WP\SEO\Presenters\Admin\Alert::present', WP_PLUGIN_DIR . '/wordpress-seo/src/alert.php' ),
+					$this->entry( 'theme_setup_notice', WP_CONTENT_DIR . '/themes/astra/functions.php' ),
+				]
+			);
+
+		$groups = $this->log_groups->get_groups( [ 'search' => 'seo' ] );
+
+		$this->assertCount( 2, $groups );
+		$this->assertSame( 'plugin:wordpress-seo', $groups[0]['key'] );
+		$this->assertSame( 'plugin', $groups[0]['type'] );
+		$this->assertSame( 'Yoast SEO', $groups[0]['name'] );
+		$this->assertSame( 2, $groups[0]['count'] );
+		$this->assertCount( 2, $groups[0]['entries'] );
+		$this->assertSame(
+			[
+				'value' => 'Yoast\*',
+				'type' => 'wildcard',
+			],
+			$groups[0]['pattern']
+		);
+		$this->assertSame( 'theme:astra', $groups[1]['key'] );
+		$this->assertSame( 'astra', $groups[1]['name'] );
+		$this->assertSame( 'theme_*', $groups[1]['pattern']['value'] );
+	}
+
+	/**
+	 * Test: get_groups() groups entries logged without a file by namespace or prefix
+	 *
+	 * @return void
+	 */
+	public function test_get_groups_falls_back_to_callback_source(): void {
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn(
+				[
+					$this->entry( 'rocket_bad_deactivations' ),
+					$this->entry( 'rocket_warning_plugins' ),
+					$this->entry( 'Jetpack::admin_notice' ),
+				]
+			);
+
+		$groups = $this->log_groups->get_groups();
+
+		$this->assertSame( 'source:rocket_', $groups[0]['key'] );
+		$this->assertSame( 'rocket_', $groups[0]['name'] );
+		$this->assertSame( 'rocket_*', $groups[0]['pattern']['value'] );
+		$this->assertSame( 'source:Jetpack::', $groups[1]['key'] );
+		$this->assertSame( 'Jetpack::*', $groups[1]['pattern']['value'] );
+	}
+
+	/**
+	 * Test: get_groups() lists page content and other callbacks last, without a pattern
+	 *
+	 * @return void
+	 */
+	public function test_get_groups_lists_content_and_other_last(): void {
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn(
+				[
+					$this->entry( 'Closure' ),
+					$this->entry( 'Category added.', '', 'content' ),
+					$this->entry( 'Closure', WPMU_PLUGIN_DIR . '/loader.php' ),
+				]
+			);
+
+		$groups = $this->log_groups->get_groups();
+
+		$this->assertSame(
+			[ 'mu-plugin:loader.php', NoticeLogGroups::OTHER_GROUP, NoticeLogGroups::CONTENT_GROUP ],
+			array_column( $groups, 'key' )
+		);
+		$this->assertNull( $groups[0]['pattern'] );
+		$this->assertNull( $groups[1]['pattern'] );
+		$this->assertNull( $groups[2]['pattern'] );
+	}
+
+	/**
+	 * Test: get_groups() matches a plugin with several prefixes with one regex
+	 *
+	 * @return void
+	 */
+	public function test_get_groups_uses_regex_for_several_prefixes(): void {
+		$file = WP_PLUGIN_DIR . '/wordpress-seo/admin/class-admin.php';
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->andReturn(
+				[
+					$this->entry( 'wpseo_admin_notice', $file ),
+					$this->entry( 'Yoast\WP\SEO\Notices::show', $file ),
+					$this->entry( 'Closure', $file ),
+				]
+			);
+
+		$pattern = $this->log_groups->get_groups()[0]['pattern'];
+
+		$this->assertSame( 'regex', $pattern['type'] );
+		$this->assertSame( '/^(?:Yoast\\\\|wpseo_)/', $pattern['value'] );
+		$this->assertSame( 1, preg_match( $pattern['value'], 'wpseo_admin_notice' ) );
+		$this->assertSame( 1, preg_match( $pattern['value'], 'Yoast\WP\SEO\Notices::show' ) );
+		$this->assertSame( 0, preg_match( $pattern['value'], 'rocket_notice' ) );
+	}
+}
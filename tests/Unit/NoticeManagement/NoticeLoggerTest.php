@@ -0,0 +1,324 @@
+<?php
+/**
+ * NoticeLogger Test
+ *
+ * Tests for the NoticeLogger class - writing the Hidden Notices Log.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Mockery;
+use QalaPluginManager\NoticeManagement\DatabaseMigration;
+use QalaPluginManager\NoticeManagement\NoticeLogger;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for NoticeLogger class
+ *
+ * Inserts are checked against the table DatabaseMigration creates, so a
+ * renamed or missing column fails here instead of on a live site.
+ *
+ * Covers:
+ * - Callback entries: schema columns the statistics and plugin groups read
+ * - Content entries: server-side fingerprint, schema columns, daily count per user
+ * - Statistics: unique callbacks and content counts
+ *
+ * @group notice-management
+ * @group notice-logger
+ * @group unit
+ */
+class NoticeLoggerTest extends TestCase {
+
+	/**
+	 * Mock wpdb object
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $wpdb;
+
+	/**
+	 * NoticeLogger instance for testing
+	 *
+	 * @var NoticeLogger
+	 */
+	private $logger;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->wpdb = $this->createWpdbMock();
+
+		global $wpdb;
+		$wpdb = $this->wpdb;
+
+		$this->mockGetCurrentUserId( 3 );
+		$this->mockGetCurrentBlogId( 1 );
+		Functions\when( 'current_time' )->justReturn( '2026-10-19 08:00:00' );
+
+		$this->logger = new NoticeLogger();
+	}
+
+	/**
+	 * Get the log table columns from the CREATE TABLE statement
+	 *
+	 * @return array {
+	 *     @type string[] $columns  Every column name.
+	 *     @type string[] $required NOT NULL columns without a default (the id aside).
+	 * }
+	 */
+	private function get_log_table_schema(): array {
+		global $wpdb;
+
+		$logger_wpdb = $wpdb;
+		$sql = '';
+
+		$wpdb = $this->createWpdbMock();
+		$wpdb->shouldReceive( 'get_charset_collate' )->andReturn( '' );
+		$wpdb->shouldReceive( 'get_var' )->andReturn( 'wp_qala_hidden_notices_log' );
+
+		Functions\when( 'dbDelta' )->alias(
+			function ( $query ) use ( &$sql ) {
+				$sql = $query;
+				return [];
+			}
+		);
+
+		$migration = Mockery::mock( DatabaseMigration::class )->makePartial();
+		$migration->shouldAllowMockingProtectedMethods();
+		$migration->shouldReceive( 'load_upgrade_functions' )->andReturnNull();
+		$migration->create_notice_log_table();
+
+		$wpdb = $logger_wpdb;
+
+		preg_match_all( '/^\s*([a-z_]+) [a-z]+(?:\(\d+\))?([^\n]*),$/m', $sql, $matches, PREG_SET_ORDER );
+
+		$schema = [
+			'columns' => [],
+			'required' => [],
+		];
+
+		foreach ( $matches as $match ) {
+			$schema['columns'][] = $match[1];
+
+			if ( strpos( $match[2], 'NOT NULL' ) !== false
+				&& strpos( $match[2], 'DEFAULT' ) === false
+				&& strpos( $match[2], 'AUTO_INCREMENT' ) === false
+			) {
+				$schema['required'][] = $match[1];
+			}
+		}
+
+		return $schema;
+	}
+
+	/**
+	 * Assert that an insert only writes schema columns and sets every required one
+	 *
+	 * @param array $data Column values passed to $wpdb->insert().
+	 * @param array $format Formats passed to $wpdb->insert().
+	 *
+	 * @return void
+	 */
+	private function assertInsertMatchesSchema( array $data, array $format ): void {
+		$schema = $this->get_log_table_schema();
+
+		$this->assertContains( 'created_at', $schema['columns'] );
+		$this->assertSame( [], array_diff( array_keys( $data ), $schema['columns'] ), 'Insert writes columns the table does not have' );
+		$this->assertSame( [], array_diff( $schema['required'], array_keys( $data ) ), 'Insert leaves NOT NULL columns unset' );
+		$this->assertCount( count( $data ), $format );
+	}
+
+	/**
+	 * Test: log_removal() writes a callback entry into the columns the log and statistics read
+	 *
+	 * @return void
+	 */
+	public function test_log_removal_inserts_schema_columns(): void {
+		$inserted = null;
+
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( null );
+		$this->wpdb->shouldReceive( 'insert' )
+			->once()
+			->andReturnUsing(
+				function ( $table, $data, $format ) use ( &$inserted ) {
+					$inserted = [ $table, $data, $format ];
+					return 1;
+				}
+			);
+
+		$this->logger->log_removal(
+			'rocket_bad_deactivations',
+			'admin_notices',
+			20,
+			'removed',
+			'no_qala_full_access',
+			WP_PLUGIN_DIR . '/wp-rocket/inc/admin.php'
+		);
+
+		list( $table, $data, $format ) = $inserted;
+
+		$this->assertSame( 'wp_qala_hidden_notices_log', $table );
+		$this->assertSame( md5( 'rocket_bad_deactivations' ), $data['notice_hash'] );
+		$this->assertSame( 20, $data['priority'] );
+		$this->assertSame( 'removed', $data['action'] );
+		$this->assertSame( WP_PLUGIN_DIR . '/wp-rocket/inc/admin.php', $data['callback_file'] );
+		$this->assertInsertMatchesSchema( $data, $format );
+	}
+
+	/**
+	 * Test: log_removal() skips a callback already logged today
+	 *
+	 * @return void
+	 */
+	public function test_log_removal_skips_duplicate(): void {
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( '12' );
+		$this->wpdb->shouldReceive( 'insert' )->never();
+
+		$this->logger->log_removal( 'rocket_bad_deactivations', 'admin_notices', 20, 'removed', 'no_qala_full_access' );
+	}
+
+	/**
+	 * Test: get_content_fingerprint() ignores numbers and case
+	 *
+	 * @return void
+	 */
+	public function test_get_content_fingerprint_ignores_numbers_and_case(): void {
+		$fingerprint = $this->logger->get_content_fingerprint( '3 plugins need an update to 1.2.3' );
+
+		$this->assertSame( md5( '# plugins need an update to #' ), $fingerprint );
+		$this->assertSame( $fingerprint, $this->logger->get_content_fingerprint( '4 Plugins need an update to 2.0' ) );
+		$this->assertNotSame( $fingerprint, $this->logger->get_content_fingerprint( '3 themes need an update to 1.2.3' ) );
+	}
+
+	/**
+	 * Test: log_content_notice() writes a content entry into existing columns
+	 *
+	 * @return void
+	 */
+	public function test_log_content_notice_inserts_schema_columns(): void {
+		$inserted = null;
+
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( null );
+		$this->wpdb->shouldReceive( 'insert' )
+			->once()
+			->andReturnUsing(
+				function ( $table, $data, $format ) use ( &$inserted ) {
+					$inserted = [ $table, $data, $format ];
+					return 1;
+				}
+			);
+
+		$this->assertTrue( $this->logger->log_content_notice( 'Post published.', 'success', 'post' ) );
+
+		list( $table, $data, $format ) = $inserted;
+
+		$this->assertSame( 'wp_qala_hidden_notices_log', $table );
+		$this->assertSame( md5( 'post published.' ), $data['notice_hash'] );
+		$this->assertSame( 'Post published.', $data['callback_name'] );
+		$this->assertSame( 'removed', $data['action'] );
+		$this->assertSame( 'content', $data['source'] );
+		$this->assertSame( 'success', $data['severity'] );
+		$this->assertSame( 'post', $data['screen'] );
+		$this->assertInsertMatchesSchema( $data, $format );
+	}
+
+	/**
+	 * Test: log_content_notice() skips a fingerprint already logged today
+	 *
+	 * @return void
+	 */
+	public function test_log_content_notice_skips_duplicate(): void {
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( '12' );
+		$this->wpdb->shouldReceive( 'insert' )->never();
+
+		$this->assertFalse( $this->logger->log_content_notice( 'Post published.', 'success', 'post' ) );
+	}
+
+	/**
+	 * Test: get_statistics() counts unique callbacks from callback entries only
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_counts_unique_callbacks_without_content(): void {
+		$this->wpdb->shouldReceive( 'get_var' )
+			->with( Mockery::pattern( '/^SELECT COUNT\(\*\)/' ) )
+			->andReturn( '12' );
+		$this->wpdb->shouldReceive( 'get_var' )
+			->once()
+			->with( Mockery::pattern( "/COUNT\(DISTINCT callback_name\).* AND source = 'callback'/" ) )
+			->andReturn( '4' );
+		$this->wpdb->shouldReceive( 'get_results' )->andReturn( [] );
+
+		$this->assertSame( 4, $this->logger->get_statistics( 30 )['unique_callbacks'] );
+	}
+
+	/**
+	 * Test: get_content_counts() groups content entries and casts their counts
+	 *
+	 * @return void
+	 */
+	public function test_get_content_counts_returns_content_entries(): void {
+		$this->wpdb->shouldReceive( 'get_results' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $query ) {
+						return strpos( $query, "source = 'content'" ) !== false
+							&& strpos( $query, 'LIMIT %d' ) !== false;
+					}
+				),
+				ARRAY_A
+			)
+			->andReturn(
+				[
+					[
+						'text' => 'Settings saved.',
+						'severity' => 'success',
+						'screen' => 'options-general',
+						'count' => '3',
+					],
+				]
+			);
+
+		$this->assertSame(
+			[
+				[
+					'text' => 'Settings saved.',
+					'severity' => 'success',
+					'screen' => 'options-general',
+					'count' => 3,
+				],
+			],
+			$this->logger->get_content_counts( 30, 1000 )
+		);
+	}
+
+	/**
+	 * Test: count_content_notices_today() counts the user's content entries
+	 *
+	 * @return void
+	 */
+	public function test_count_content_notices_today_counts_user_entries(): void {
+		$this->wpdb->shouldReceive( 'get_var' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $query ) {
+						return strpos( $query, "source = 'content'" ) !== false
+							&& strpos( $query, 'user_id = %d' ) !== false;
+					}
+				)
+			)
+			->andReturn( '7' );
+
+		$this->assertSame( 7, $this->logger->count_content_notices_today( 5 ) );
+	}
+}
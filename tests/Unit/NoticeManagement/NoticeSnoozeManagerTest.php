@@ -0,0 +1,263 @@
+<?php
+/**
+ * NoticeSnoozeManager Test
+ *
+ * Tests for the NoticeSnoozeManager class - per-user notice snoozes.
+ * Tests hook registration, snooze storage and expiry and key validation.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use Mockery;
+use QalaPluginManager\NoticeManagement\NoticeSnoozeManager;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for NoticeSnoozeManager class
+ *
+ * Covers:
+ * - Hook registration (admin_enqueue_scripts)
+ * - Active snooze retrieval (expired snoozes dropped)
+ * - Snoozing and waking notices (user meta storage)
+ * - Notice key and duration validation
+ *
+ * @group notice-management
+ * @group notice-snooze
+ * @group unit
+ */
+class NoticeSnoozeManagerTest extends TestCase {
+
+	/**
+	 * NoticeSnoozeManager instance for testing
+	 *
+	 * @var NoticeSnoozeManager
+	 */
+	private $snooze;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->snooze = new NoticeSnoozeManager();
+
+		$this->mockGetCurrentUserId( 1 );
+
+		Functions\when( 'wp_html_excerpt' )->alias(
+			function ( $text, $length, $more = '' ) {
+				return strlen( $text ) > $length ? substr( $text, 0, $length ) . $more : $text;
+			}
+		);
+	}
+
+	/**
+	 * Test: NoticeSnoozeManager implements WithHooksInterface
+	 *
+	 * @return void
+	 */
+	public function test_implements_with_hooks_interface(): void {
+		$this->assertInstanceOf(
+			\QalaPluginManager\Interfaces\WithHooksInterface::class,
+			$this->snooze
+		);
+	}
+
+	/**
+	 * Test: init() registers the localization hook
+	 *
+	 * @return void
+	 */
+	public function test_init_registers_hooks(): void {
+		Actions\expectAdded( 'admin_enqueue_scripts' )
+			->once()
+			->with( [ $this->snooze, 'localize_snoozed_notices' ], 15 );
+
+		$this->snooze->init();
+	}
+
+	/**
+	 * Test: get_snoozed_notices() leaves out expired snoozes
+	 *
+	 * @return void
+	 */
+	public function test_get_snoozed_notices_drops_expired_snoozes(): void {
+		$this->mockGetUserMeta(
+			1,
+			'qala_snoozed_notices',
+			[
+				'text:0a1b2c3d' => [
+					'until' => time() + 3600,
+					'text' => 'Active snooze',
+				],
+				'id:old-notice' => [
+					'until' => time() - 60,
+					'text' => 'Expired snooze',
+				],
+			]
+		);
+
+		$snoozed = $this->snooze->get_snoozed_notices();
+
+		$this->assertArrayHasKey( 'text:0a1b2c3d', $snoozed );
+		$this->assertArrayNotHasKey( 'id:old-notice', $snoozed );
+	}
+
+	/**
+	 * Test: get_snoozed_notices() returns an empty array for missing meta
+	 *
+	 * @return void
+	 */
+	public function test_get_snoozed_notices_returns_empty_array_without_meta(): void {
+		$this->mockGetUserMeta( 1, 'qala_snoozed_notices', '' );
+
+		$this->assertSame( [], $this->snooze->get_snoozed_notices() );
+	}
+
+	/**
+	 * Test: snooze_notice() stores the expiry and an excerpt in user meta
+	 *
+	 * @return void
+	 */
+	public function test_snooze_notice_stores_snooze_for_duration(): void {
+		$this->mockGetUserMeta( 1, 'qala_snoozed_notices', '' );
+
+		$before = time();
+
+		Functions\expect( 'update_user_meta' )
+			->once()
+			->with(
+				1,
+				'qala_snoozed_notices',
+				Mockery::on(
+					function ( $snoozed ) use ( $before ) {
+						return isset( $snoozed['text:0a1b2c3d'] )
+						&& $snoozed['text:0a1b2c3d']['until'] >= $before + 604800
+						&& $snoozed['text:0a1b2c3d']['text'] === 'Please update the plugin';
+					}
+				)
+			)
+			->andReturn( true );
+
+		$result = $this->snooze->snooze_notice( 'text:0a1b2c3d', 'Please update the plugin', 'week' );
+
+		$this->assertIsArray( $result );
+		$this->assertSame( 'Please update the plugin', $result['text'] );
+	}
+
+	/**
+	 * Test: snooze_notice() shortens long notice text
+	 *
+	 * @return void
+	 */
+	public function test_snooze_notice_stores_excerpt_of_long_text(): void {
+		$this->mockGetUserMeta( 1, 'qala_snoozed_notices', '' );
+		Functions\when( 'update_user_meta' )->justReturn( true );
+
+		$result = $this->snooze->snooze_notice( 'id:my-notice', str_repeat( 'a', 300 ), 'day' );
+
+		$this->assertLessThanOrEqual( 120 + strlen( '…' ), strlen( $result['text'] ) );
+	}
+
+	/**
+	 * Test: snooze_notice() rejects unknown durations
+	 *
+	 * @return void
+	 */
+	public function test_snooze_notice_rejects_invalid_duration(): void {
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertNull( $this->snooze->snooze_notice( 'text:0a1b2c3d', 'Notice', 'forever' ) );
+	}
+
+	/**
+	 * Test: snooze_notice() rejects malformed keys
+	 *
+	 * @return void
+	 */
+	public function test_snooze_notice_rejects_invalid_key(): void {
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertNull( $this->snooze->snooze_notice( '<script>', 'Notice', 'day' ) );
+	}
+
+	/**
+	 * Test: is_valid_key() accepts id and text keys only
+	 *
+	 * @return void
+	 */
+	public function test_is_valid_key(): void {
+		$this->assertTrue( $this->snooze->is_valid_key( 'id:wc-admin-notice' ) );
+		$this->assertTrue( $this->snooze->is_valid_key( 'text:0a1b2c3d' ) );
+		$this->assertFalse( $this->snooze->is_valid_key( 'text:not-a-hash' ) );
+		$this->assertFalse( $this->snooze->is_valid_key( 'id:' ) );
+		$this->assertFalse( $this->snooze->is_valid_key( 'id:' . str_repeat( 'a', 200 ) ) );
+		$this->assertFalse( $this->snooze->is_valid_key( '' ) );
+	}
+
+	/**
+	 * Test: wake_notice() removes the snooze and keeps the others
+	 *
+	 * @return void
+	 */
+	public function test_wake_notice_removes_snooze(): void {
+		$until = time() + 3600;
+
+		$this->mockGetUserMeta(
+			1,
+			'qala_snoozed_notices',
+			[
+				'text:0a1b2c3d' => [ 'until' => $until, 'text' => 'First' ],
+				'id:my-notice' => [ 'until' => $until, 'text' => 'Second' ],
+			]
+		);
+
+		Functions\expect( 'update_user_meta' )
+			->once()
+			->with(
+				1,
+				'qala_snoozed_notices',
+				[ 'id:my-notice' => [ 'until' => $until, 'text' => 'Second' ] ]
+			)
+			->andReturn( true );
+
+		$this->assertTrue( $this->snooze->wake_notice( 'text:0a1b2c3d' ) );
+	}
+
+	/**
+	 * Test: wake_notice() deletes the meta when the last snooze ends
+	 *
+	 * @return void
+	 */
+	public function test_wake_notice_deletes_meta_when_nothing_left(): void {
+		$this->mockGetUserMeta(
+			1,
+			'qala_snoozed_notices',
+			[ 'text:0a1b2c3d' => [ 'until' => time() + 3600, 'text' => 'Only' ] ]
+		);
+
+		Functions\expect( 'delete_user_meta' )
+			->once()
+			->with( 1, 'qala_snoozed_notices' )
+			->andReturn( true );
+
+		$this->assertTrue( $this->snooze->wake_notice( 'text:0a1b2c3d' ) );
+	}
+
+	/**
+	 * Test: wake_notice() returns false for notices that are not snoozed
+	 *
+	 * @return void
+	 */
+	public function test_wake_notice_returns_false_when_not_snoozed(): void {
+		$this->mockGetUserMeta( 1, 'qala_snoozed_notices', '' );
+
+		$this->assertFalse( $this->snooze->wake_notice( 'text:0a1b2c3d' ) );
+	}
+}
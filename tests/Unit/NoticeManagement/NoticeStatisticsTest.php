@@ -0,0 +1,250 @@
+<?php
+/**
+ * NoticeStatistics Test
+ *
+ * Tests for the NoticeStatistics class - the numbers behind the
+ * Statistics tab of the settings page.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Mockery;
+use QalaPluginManager\NoticeManagement\AllowlistManager;
+use QalaPluginManager\NoticeManagement\NoticeIdentifier;
+use QalaPluginManager\NoticeManagement\NoticeLogger;
+use QalaPluginManager\NoticeManagement\NoticeStatistics;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for NoticeStatistics class
+ *
+ * Covers:
+ * - Totals and the removed vs kept split
+ * - Hidden notices per day, with empty days filled in
+ * - Top callbacks and plugins
+ * - Pattern match counts, most matches first
+ * - Period limits
+ *
+ * @group notice-management
+ * @group notice-statistics
+ * @group unit
+ */
+class NoticeStatisticsTest extends TestCase {
+
+	/**
+	 * Mock NoticeLogger instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $logger_mock;
+
+	/**
+	 * Mock AllowlistManager instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $allowlist_mock;
+
+	/**
+	 * NoticeStatistics instance for testing (with a real NoticeIdentifier)
+	 *
+	 * @var NoticeStatistics
+	 */
+	private $statistics;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->logger_mock = Mockery::mock( NoticeLogger::class );
+		$this->allowlist_mock = Mockery::mock( AllowlistManager::class );
+
+		$this->statistics = new NoticeStatistics(
+			$this->logger_mock,
+			$this->allowlist_mock,
+			new NoticeIdentifier()
+		);
+
+		$this->logger_mock->shouldReceive( 'get_statistics' )
+			->andReturn(
+				[
+					'total' => 12,
+					'unique_callbacks' => 4,
+					'most_common' => [],
+					'actions' => [
+						[
+							'action_taken' => 'removed',
+							'count' => '9',
+						],
+						[
+							'action_taken' => 'kept_allowlisted',
+							'count' => '3',
+						],
+					],
+				]
+			)
+			->byDefault();
+		$this->logger_mock->shouldReceive( 'get_daily_counts' )->andReturn( [] )->byDefault();
+		$this->logger_mock->shouldReceive( 'get_callback_counts' )->andReturn( [] )->byDefault();
+		$this->logger_mock->shouldReceive( 'get_content_counts' )->andReturn( [] )->byDefault();
+		$this->allowlist_mock->shouldReceive( 'count_pattern_matches' )->andReturn( [] )->byDefault();
+	}
+
+	/**
+	 * Test: get_statistics() returns the totals and the removed vs kept split
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_returns_totals(): void {
+		$result = $this->statistics->get_statistics( 30 );
+
+		$this->assertSame( 30, $result['days'] );
+		$this->assertSame(
+			[
+				'logged' => 12,
+				'unique_callbacks' => 4,
+				'removed' => 9,
+				'kept' => 3,
+			],
+			$result['totals']
+		);
+	}
+
+	/**
+	 * Test: get_statistics() lists every day of the period, oldest first
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_fills_in_empty_days(): void {
+		$today = gmdate( 'Y-m-d' );
+		$two_days_ago = gmdate( 'Y-m-d', strtotime( '-2 days' ) );
+
+		$this->logger_mock->shouldReceive( 'get_daily_counts' )
+			->with( 7 )
+			->andReturn(
+				[
+					$two_days_ago => 5,
+					$today => 2,
+				]
+			);
+
+		$daily = $this->statistics->get_statistics( 7 )['daily'];
+
+		$this->assertCount( 7, $daily );
+		$this->assertSame( $today, $daily[6]['date'] );
+		$this->assertSame( 2, $daily[6]['count'] );
+		$this->assertSame( 0, $daily[5]['count'] );
+		$this->assertSame( 5, $daily[4]['count'] );
+	}
+
+	/**
+	 * Test: get_statistics() ranks removed callbacks and groups them by plugin
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_ranks_callbacks_and_plugins(): void {
+		$this->logger_mock->shouldReceive( 'get_callback_counts' )
+			->with( 'removed', 30 )
+			->andReturn(
+				[
+					'rocket_bad_deactivations' => 3,
+					'rocket_warning_plugins' => 4,
+					'WC_Admin_Notices::add_notice' => 5,
+					'Closure' => 9,
+				]
+			);
+
+		$result = $this->statistics->get_statistics( 30 );
+
+		$this->assertSame( 'Closure', $result['top_callbacks'][0]['name'] );
+		$this->assertSame( 'WC_Admin_Notices::add_notice', $result['top_callbacks'][1]['name'] );
+		$this->assertSame(
+			[
+				[
+					'name' => 'rocket_',
+					'count' => 7,
+					'callbacks' => 2,
+				],
+				[
+					'name' => 'WC_',
+					'count' => 5,
+					'callbacks' => 1,
+				],
+			],
+			$result['top_plugins']
+		);
+	}
+
+	/**
+	 * Test: get_statistics() lists pattern matches, most first
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_sorts_pattern_matches(): void {
+		$kept = [ 'rocket_notice' => 2 ];
+		$content = [
+			[
+				'text' => 'Settings saved.',
+				'severity' => 'success',
+				'screen' => 'options-general',
+				'count' => 5,
+			],
+		];
+
+		$this->logger_mock->shouldReceive( 'get_callback_counts' )
+			->with( 'kept_allowlisted', 30 )
+			->andReturn( $kept );
+
+		$this->logger_mock->shouldReceive( 'get_content_counts' )
+			->with( 30, NoticeStatistics::MAX_CONTENT_ENTRIES )
+			->andReturn( $content );
+
+		$this->allowlist_mock->shouldReceive( 'count_pattern_matches' )
+			->with( $kept, $content )
+			->andReturn(
+				[
+					[
+						'id' => 1,
+						'pattern_value' => '.notice-warning',
+						'pattern_type' => 'selector',
+						'matches' => 0,
+					],
+					[
+						'id' => 2,
+						'pattern_value' => 'rocket_*',
+						'pattern_type' => 'wildcard',
+						'matches' => 2,
+					],
+				]
+			);
+
+		$patterns = $this->statistics->get_statistics( 30 )['patterns'];
+
+		$this->assertSame(
+			[
+				'id' => 2,
+				'value' => 'rocket_*',
+				'type' => 'wildcard',
+				'matches' => 2,
+			],
+			$patterns[0]
+		);
+		$this->assertSame( 1, $patterns[1]['id'] );
+	}
+
+	/**
+	 * Test: get_statistics() keeps the period between 1 day and MAX_DAYS
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_limits_period(): void {
+		$this->assertSame( NoticeStatistics::MAX_DAYS, $this->statistics->get_statistics( 5000 )['days'] );
+		$this->assertCount( 1, $this->statistics->get_statistics( 0 )['daily'] );
+	}
+}
@@ -0,0 +1,465 @@
+<?php
+/**
+ * PatternLinter Test
+ *
+ * Tests for the PatternLinter class - allowlist pattern checks.
+ * Tests duplicate, shadowed, catch-all and unsafe regex detection.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Mockery;
+use QalaPluginManager\NoticeManagement\AllowlistManager;
+use QalaPluginManager\NoticeManagement\PatternLinter;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for PatternLinter class
+ *
+ * Covers:
+ * - Catch-all wildcards, regexes and selectors
+ * - Catastrophic-backtracking regex shapes
+ * - Duplicates (ignoring the pattern being edited)
+ * - Patterns covered by broader wildcards and regexes, within their scope
+ * - Analysis of the saved allowlist
+ *
+ * @group notice-management
+ * @group pattern-linter
+ * @group unit
+ */
+class PatternLinterTest extends TestCase {
+
+	/**
+	 * Mock AllowlistManager instance (regex normalization is real)
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $allowlist_mock;
+
+	/**
+	 * PatternLinter instance for testing
+	 *
+	 * @var PatternLinter
+	 */
+	private $linter;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->allowlist_mock = Mockery::mock( AllowlistManager::class )->makePartial();
+		$this->linter = new PatternLinter( $this->allowlist_mock );
+	}
+
+	/**
+	 * Store patterns in the mocked allowlist
+	 *
+	 * @param array $records Pattern records (missing fields get defaults).
+	 *
+	 * @return void
+	 */
+	private function mockPatterns( array $records ): void {
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->with( true )
+			->andReturn(
+				array_map(
+					function ( $record ) {
+						return array_merge(
+							[
+								'severity' => null,
+								'screens' => null,
+								'is_active' => '1',
+							],
+							$record
+						);
+					},
+					$records
+				)
+			);
+	}
+
+	/**
+	 * Get the issue codes from a list of issues
+	 *
+	 * @param array $issues Issues from the linter.
+	 *
+	 * @return string[] Codes
+	 */
+	private function getCodes( array $issues ): array {
+		return array_column( $issues, 'code' );
+	}
+
+	/**
+	 * Test: an unremarkable pattern has no issues
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_accepts_specific_pattern(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '1',
+					'pattern_value' => 'rocket_*',
+					'pattern_type' => 'wildcard',
+				],
+			]
+		);
+
+		$this->assertSame( [], $this->linter->lint_pattern( '^Settings saved', 'regex' ) );
+	}
+
+	/**
+	 * Test: catch-all wildcards, regexes and selectors are errors
+	 *
+	 * @dataProvider catchAllProvider
+	 *
+	 * @param string $value Pattern value.
+	 * @param string $type Pattern type.
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_flags_catch_all( string $value, string $type ): void {
+		$this->mockPatterns( [] );
+
+		$issues = $this->linter->lint_pattern( $value, $type );
+
+		$this->assertSame( [ 'catch_all' ], $this->getCodes( $issues ) );
+		$this->assertSame( 'error', $issues[0]['level'] );
+	}
+
+	/**
+	 * Catch-all patterns
+	 *
+	 * @return array
+	 */
+	public function catchAllProvider(): array {
+		return [
+			'asterisk' => [ '*', 'wildcard' ],
+			'asterisks' => [ '**', 'wildcard' ],
+			'regex any' => [ '/.*/', 'regex' ],
+			'regex without delimiters' => [ '^', 'regex' ],
+			'notice class' => [ '.notice', 'selector' ],
+			'selector list' => [ '.my-plugin-notice, DIV.Updated', 'selector' ],
+		];
+	}
+
+	/**
+	 * Test: is_unsafe_regex() flags nested and overlapping repetition
+	 *
+	 * @dataProvider unsafeRegexProvider
+	 *
+	 * @param string $regex Regex.
+	 *
+	 * @return void
+	 */
+	public function test_is_unsafe_regex_flags_catastrophic_shapes( string $regex ): void {
+		$this->assertTrue( $this->linter->is_unsafe_regex( $regex ) );
+	}
+
+	/**
+	 * Regexes with catastrophic-backtracking shapes
+	 *
+	 * @return array
+	 */
+	public function unsafeRegexProvider(): array {
+		return [
+			'nested plus' => [ '/(a+)+$/' ],
+			'nested star' => [ '/^(.*x)*y/' ],
+			'non-capturing group' => [ '(?:\d+)*' ],
+			'outer group' => [ '/((ab)*c)+/i' ],
+			'counted repetition' => [ '/(\w+\s?){2,}$/' ],
+			'identical branches' => [ '/(a|a)*b/' ],
+			'any character branch' => [ '/(.|\s)+$/' ],
+		];
+	}
+
+	/**
+	 * Test: is_unsafe_regex() accepts common safe regexes
+	 *
+	 * @dataProvider safeRegexProvider
+	 *
+	 * @param string $regex Regex.
+	 *
+	 * @return void
+	 */
+	public function test_is_unsafe_regex_accepts_safe_regexes( string $regex ): void {
+		$this->assertFalse( $this->linter->is_unsafe_regex( $regex ) );
+	}
+
+	/**
+	 * Regexes without catastrophic-backtracking shapes
+	 *
+	 * @return array
+	 */
+	public function safeRegexProvider(): array {
+		return [
+			'alternation' => [ '/^(update|upgrade)+ available$/' ],
+			'optional group' => [ '/(\d+ )?plugins? need/' ],
+			'bounded group' => [ '/(a+){1,3}/' ],
+			'escaped parentheses' => [ '/\(a+\)+/' ],
+			'character class' => [ '/[(+)]+ done/' ],
+			'named group' => [ '/(?<count>\d+) updates?/' ],
+			'inline flags' => [ '(?i)rocket.*cache' ],
+		];
+	}
+
+	/**
+	 * Test: unsafe regexes are reported as errors
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_flags_unsafe_regex(): void {
+		$this->mockPatterns( [] );
+
+		$issues = $this->linter->lint_pattern( '^(\w+\s?)+$', 'regex' );
+
+		$this->assertSame( [ 'unsafe_regex' ], $this->getCodes( $issues ) );
+		$this->assertSame( 'error', $issues[0]['level'] );
+	}
+
+	/**
+	 * Test: invalid regexes are left to validation
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_skips_invalid_regex(): void {
+		$this->mockPatterns( [] );
+
+		$this->assertSame( [], $this->linter->lint_pattern( '/(a+/', 'regex' ) );
+	}
+
+	/**
+	 * Test: identical patterns are reported as duplicates
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_flags_duplicate(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '4',
+					'pattern_value' => '/^Settings saved/',
+					'pattern_type' => 'regex',
+					'screens' => 'plugins,dashboard',
+				],
+			]
+		);
+
+		$issues = $this->linter->lint_pattern( '^Settings saved', 'regex', '', 'dashboard,plugins' );
+
+		$this->assertSame( [ 'duplicate' ], $this->getCodes( $issues ) );
+		$this->assertSame( 'warning', $issues[0]['level'] );
+		$this->assertSame( '4', $issues[0]['related']['id'] );
+	}
+
+	/**
+	 * Test: the pattern being edited is not its own duplicate
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_ignores_edited_pattern(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '4',
+					'pattern_value' => 'Settings saved.',
+					'pattern_type' => 'exact',
+				],
+			]
+		);
+
+		$this->assertSame( [], $this->linter->lint_pattern( 'Settings saved.', 'exact', '', '', 4 ) );
+	}
+
+	/**
+	 * Test: patterns a broader wildcard already matches are reported as shadowed
+	 *
+	 * @dataProvider shadowedProvider
+	 *
+	 * @param string $value Pattern value.
+	 * @param string $type Pattern type.
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_flags_shadowed( string $value, string $type ): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '2',
+					'pattern_value' => 'Please update *',
+					'pattern_type' => 'wildcard',
+				],
+				[
+					'id' => '3',
+					'pattern_value' => '/^WooCommerce \d+/',
+					'pattern_type' => 'regex',
+				],
+			]
+		);
+
+		$issues = $this->linter->lint_pattern( $value, $type, 'warning', 'plugins' );
+
+		$this->assertSame( [ 'shadowed' ], $this->getCodes( $issues ) );
+		$this->assertSame( 'warning', $issues[0]['level'] );
+	}
+
+	/**
+	 * Patterns covered by the patterns in test_lint_pattern_flags_shadowed()
+	 *
+	 * @return array
+	 */
+	public function shadowedProvider(): array {
+		return [
+			'exact by wildcard' => [ 'please update Yoast SEO', 'exact' ],
+			'narrower wildcard' => [ 'Please update * now*', 'wildcard' ],
+			'exact by regex' => [ 'WooCommerce 9.1 is available', 'exact' ],
+		];
+	}
+
+	/**
+	 * Test: wildcards that only overlap are not shadowed
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_accepts_overlapping_wildcard(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '2',
+					'pattern_value' => 'Please update *',
+					'pattern_type' => 'wildcard',
+				],
+			]
+		);
+
+		$this->assertSame( [], $this->linter->lint_pattern( '* update WooCommerce', 'wildcard' ) );
+	}
+
+	/**
+	 * Test: a broader pattern limited to a narrower scope does not shadow
+	 *
+	 * @dataProvider narrowerScopeProvider
+	 *
+	 * @param array $scope Severity, screens and is_active of the broader pattern.
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_respects_scope( array $scope ): void {
+		$this->mockPatterns(
+			[
+				array_merge(
+					[
+						'id' => '2',
+						'pattern_value' => 'Please update *',
+						'pattern_type' => 'wildcard',
+					],
+					$scope
+				),
+			]
+		);
+
+		$this->assertSame( [], $this->linter->lint_pattern( 'Please update Yoast SEO', 'exact', 'warning', 'plugins' ) );
+	}
+
+	/**
+	 * Broader patterns that do not cover a warning on the plugins screen
+	 *
+	 * @return array
+	 */
+	public function narrowerScopeProvider(): array {
+		return [
+			'other severity' => [ [ 'severity' => 'error' ] ],
+			'other screens' => [ [ 'screens' => 'dashboard' ] ],
+			'inactive' => [ [ 'is_active' => '0' ] ],
+		];
+	}
+
+	/**
+	 * Test: catch-alls do not shadow other patterns
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_catch_all_does_not_shadow(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '2',
+					'pattern_value' => '*',
+					'pattern_type' => 'wildcard',
+				],
+			]
+		);
+
+		$this->assertSame( [], $this->linter->lint_pattern( 'Please update Yoast SEO', 'exact' ) );
+	}
+
+	/**
+	 * Test: analyse_patterns() reports only the newer of two identical patterns
+	 *
+	 * @return void
+	 */
+	public function test_analyse_patterns_reports_newer_duplicate(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '9',
+					'pattern_value' => 'Settings saved.',
+					'pattern_type' => 'exact',
+				],
+				[
+					'id' => '5',
+					'pattern_value' => 'Settings saved.',
+					'pattern_type' => 'exact',
+				],
+			]
+		);
+
+		$results = $this->linter->analyse_patterns();
+
+		$this->assertCount( 1, $results );
+		$this->assertSame( '9', $results[0]['pattern']['id'] );
+		$this->assertSame( [ 'duplicate' ], $this->getCodes( $results[0]['issues'] ) );
+		$this->assertSame( '5', $results[0]['issues'][0]['related']['id'] );
+	}
+
+	/**
+	 * Test: analyse_patterns() reports catch-alls and shadowed patterns
+	 *
+	 * @return void
+	 */
+	public function test_analyse_patterns_reports_each_problem(): void {
+		$this->mockPatterns(
+			[
+				[
+					'id' => '3',
+					'pattern_value' => 'rocket_cache_notice',
+					'pattern_type' => 'exact',
+				],
+				[
+					'id' => '2',
+					'pattern_value' => '/.*/',
+					'pattern_type' => 'regex',
+				],
+				[
+					'id' => '1',
+					'pattern_value' => 'rocket_*',
+					'pattern_type' => 'wildcard',
+				],
+			]
+		);
+
+		$results = $this->linter->analyse_patterns();
+
+		$this->assertCount( 2, $results );
+		$this->assertSame( [ 'shadowed' ], $this->getCodes( $results[0]['issues'] ) );
+		$this->assertSame( '1', $results[0]['issues'][0]['related']['id'] );
+		$this->assertSame( '2', $results[1]['pattern']['id'] );
+		$this->assertSame( [ 'catch_all' ], $this->getCodes( $results[1]['issues'] ) );
+	}
+}
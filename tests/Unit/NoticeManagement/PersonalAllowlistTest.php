@@ -0,0 +1,240 @@
+<?php
+/**
+ * PersonalAllowlist Test
+ *
+ * Tests for the PersonalAllowlist class - per-user allowlist patterns.
+ * Tests pattern storage in user meta, validation and removal.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Mockery;
+use QalaPluginManager\NoticeManagement\AllowlistManager;
+use QalaPluginManager\NoticeManagement\PersonalAllowlist;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for PersonalAllowlist class
+ *
+ * Covers:
+ * - Pattern retrieval (malformed entries dropped)
+ * - Adding patterns (validation, duplicates, limit, ids)
+ * - Removing patterns (user meta deleted when the list is empty)
+ *
+ * @group notice-management
+ * @group personal-allowlist
+ * @group unit
+ */
+class PersonalAllowlistTest extends TestCase {
+
+	/**
+	 * PersonalAllowlist instance for testing
+	 *
+	 * @var PersonalAllowlist
+	 */
+	private $personal;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->personal = new PersonalAllowlist( new AllowlistManager() );
+
+		$this->mockGetCurrentUserId( 1 );
+	}
+
+	/**
+	 * Build a stored pattern record
+	 *
+	 * @param int    $id Pattern ID.
+	 * @param string $value Pattern value.
+	 * @param string $type Pattern type.
+	 *
+	 * @return array Pattern record
+	 */
+	private function record( int $id, string $value, string $type = 'wildcard' ): array {
+		return [
+			'id' => $id,
+			'pattern_value' => $value,
+			'pattern_type' => $type,
+			'severity' => '',
+			'screens' => '',
+			'is_active' => 1,
+		];
+	}
+
+	/**
+	 * Test: get_patterns() returns an empty array for missing meta
+	 *
+	 * @return void
+	 */
+	public function test_get_patterns_returns_empty_array_without_meta(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', '' );
+
+		$this->assertSame( [], $this->personal->get_patterns() );
+	}
+
+	/**
+	 * Test: get_patterns() leaves out malformed entries
+	 *
+	 * @return void
+	 */
+	public function test_get_patterns_drops_malformed_entries(): void {
+		$this->mockGetUserMeta(
+			1,
+			'qala_personal_patterns',
+			[
+				$this->record( 2, '*Query Monitor*' ),
+				[ 'pattern_value' => 'no id' ],
+				'not a pattern',
+			]
+		);
+
+		$this->assertSame( [ $this->record( 2, '*Query Monitor*' ) ], $this->personal->get_patterns() );
+	}
+
+	/**
+	 * Test: add_pattern() stores the new pattern first, with the next id
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_stores_pattern_with_next_id(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', [ $this->record( 4, 'rocket_*' ) ] );
+
+		Functions\expect( 'update_user_meta' )
+			->once()
+			->with(
+				1,
+				'qala_personal_patterns',
+				Mockery::on(
+					function ( $patterns ) {
+						return count( $patterns ) === 2
+							&& $patterns[0]['id'] === 5
+							&& $patterns[0]['pattern_value'] === '*Query Monitor*'
+							&& $patterns[1]['id'] === 4;
+					}
+				)
+			)
+			->andReturn( 7 );
+
+		$result = $this->personal->add_pattern( '*Query Monitor*', 'wildcard' );
+
+		$this->assertSame( 5, $result['id'] );
+		$this->assertSame( 'wildcard', $result['pattern_type'] );
+	}
+
+	/**
+	 * Test: add_pattern() adds delimiters to regex patterns like the site allowlist
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_normalizes_regex(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', '' );
+		Functions\when( 'update_user_meta' )->justReturn( 1 );
+
+		$result = $this->personal->add_pattern( '^Query Monitor', 'regex' );
+
+		$this->assertSame( '/^Query Monitor/', $result['pattern_value'] );
+		$this->assertSame( 1, $result['id'] );
+	}
+
+	/**
+	 * Test: add_pattern() rejects invalid patterns
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_rejects_invalid_pattern(): void {
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertNull( $this->personal->add_pattern( '/[unclosed/', 'regex' ) );
+		$this->assertNull( $this->personal->add_pattern( 'rocket_*', 'glob' ) );
+		$this->assertNull( $this->personal->add_pattern( 'rocket_*', 'wildcard', 'fatal' ) );
+	}
+
+	/**
+	 * Test: add_pattern() returns the existing pattern for duplicates
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_returns_existing_duplicate(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', [ $this->record( 3, 'rocket_*' ) ] );
+
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertSame( $this->record( 3, 'rocket_*' ), $this->personal->add_pattern( 'rocket_*', 'wildcard' ) );
+	}
+
+	/**
+	 * Test: add_pattern() refuses patterns over the limit
+	 *
+	 * @return void
+	 */
+	public function test_add_pattern_enforces_limit(): void {
+		$patterns = [];
+		for ( $id = 1; $id <= PersonalAllowlist::MAX_PATTERNS; $id++ ) {
+			$patterns[] = $this->record( $id, 'pattern_' . $id );
+		}
+
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', $patterns );
+
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertNull( $this->personal->add_pattern( 'one_too_many', 'exact' ) );
+	}
+
+	/**
+	 * Test: remove_pattern() keeps the other patterns
+	 *
+	 * @return void
+	 */
+	public function test_remove_pattern_keeps_others(): void {
+		$this->mockGetUserMeta(
+			1,
+			'qala_personal_patterns',
+			[ $this->record( 2, 'rocket_*' ), $this->record( 1, '*Query Monitor*' ) ]
+		);
+
+		Functions\expect( 'update_user_meta' )
+			->once()
+			->with( 1, 'qala_personal_patterns', [ $this->record( 1, '*Query Monitor*' ) ] )
+			->andReturn( true );
+
+		$this->assertTrue( $this->personal->remove_pattern( 2 ) );
+	}
+
+	/**
+	 * Test: remove_pattern() deletes the meta when the last pattern goes
+	 *
+	 * @return void
+	 */
+	public function test_remove_pattern_deletes_meta_when_nothing_left(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', [ $this->record( 1, 'rocket_*' ) ] );
+
+		Functions\expect( 'delete_user_meta' )
+			->once()
+			->with( 1, 'qala_personal_patterns' )
+			->andReturn( true );
+
+		$this->assertTrue( $this->personal->remove_pattern( 1 ) );
+	}
+
+	/**
+	 * Test: remove_pattern() returns false for unknown ids
+	 *
+	 * @return void
+	 */
+	public function test_remove_pattern_returns_false_when_missing(): void {
+		$this->mockGetUserMeta( 1, 'qala_personal_patterns', [ $this->record( 1, 'rocket_*' ) ] );
+
+		Functions\expect( 'update_user_meta' )->never();
+
+		$this->assertFalse( $this->personal->remove_pattern( 9 ) );
+	}
+}
@@ -0,0 +1,1217 @@
+<?php
+/**
+ * RestController Test
+ *
+ * Tests for the RestController class - the notice management REST API.
+ * Tests route registration, permissions and the route callbacks.
+ *
+ * @package QalaPluginManager\Tests\Unit\NoticeManagement
+ */
+
+namespace QalaPluginManager\Tests\Unit\NoticeManagement;
+
+use Brain\Monkey\Functions;
+use Brain\Monkey\Actions;
+use Mockery;
+use QalaPluginManager\NoticeManagement\AdminBarToggle;
+use QalaPluginManager\NoticeManagement\AdminPage;
+use QalaPluginManager\NoticeManagement\AllowlistManager;
+use QalaPluginManager\NoticeManagement\DebugMode;
+use QalaPluginManager\NoticeManagement\NoticeLogger;
+use QalaPluginManager\NoticeManagement\NoticeLogGroups;
+use QalaPluginManager\NoticeManagement\NoticeSnoozeManager;
+use QalaPluginManager\NoticeManagement\NoticeStatistics;
+use QalaPluginManager\NoticeManagement\PatternLinter;
+use QalaPluginManager\NoticeManagement\PersonalAllowlist;
+use QalaPluginManager\NoticeManagement\RestController;
+use QalaPluginManager\Tests\Unit\TestCase;
+
+/**
+ * Test case for RestController class
+ *
+ * Covers:
+ * - Hook registration (rest_api_init)
+ * - Route registration under the versioned namespace
+ * - Permission callback (qala_full_access)
+ * - Pattern list, create, update and delete callbacks
+ * - Pattern lint and allowlist analysis callbacks
+ * - Personal pattern list, create and delete callbacks
+ * - Global toggle, visibility, debug mode and snooze callbacks
+ * - Logging batches of notices hidden in the browser
+ * - Searching, filtering, sorting and paging the notice log
+ * - Notice statistics
+ * - Log grouped by plugin
+ * - Log match counts for pattern suggestions
+ *
+ * @group notice-management
+ * @group rest-controller
+ * @group unit
+ */
+class RestControllerTest extends TestCase {
+
+	/**
+	 * Mock AllowlistManager instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $allowlist_mock;
+
+	/**
+	 * Mock AdminPage instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $admin_page_mock;
+
+	/**
+	 * Mock AdminBarToggle instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $admin_bar_mock;
+
+	/**
+	 * Mock NoticeSnoozeManager instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $snooze_mock;
+
+	/**
+	 * Mock DebugMode instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $debug_mock;
+
+	/**
+	 * Mock PatternLinter instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $linter_mock;
+
+	/**
+	 * Mock PersonalAllowlist instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $personal_mock;
+
+	/**
+	 * Mock NoticeLogger instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $logger_mock;
+
+	/**
+	 * Mock NoticeStatistics instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $statistics_mock;
+
+	/**
+	 * Mock NoticeLogGroups instance
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $log_groups_mock;
+
+	/**
+	 * RestController instance for testing
+	 *
+	 * @var RestController
+	 */
+	private $controller;
+
+	/**
+	 * Set up test environment before each test
+	 *
+	 * @return void
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->allowlist_mock = Mockery::mock( AllowlistManager::class );
+		$this->admin_page_mock = Mockery::mock( AdminPage::class );
+		$this->admin_bar_mock = Mockery::mock( AdminBarToggle::class );
+		$this->snooze_mock = Mockery::mock( NoticeSnoozeManager::class );
+		$this->debug_mock = Mockery::mock( DebugMode::class );
+		$this->linter_mock = Mockery::mock( PatternLinter::class );
+		$this->personal_mock = Mockery::mock( PersonalAllowlist::class );
+		$this->logger_mock = Mockery::mock( NoticeLogger::class );
+		$this->statistics_mock = Mockery::mock( NoticeStatistics::class );
+		$this->log_groups_mock = Mockery::mock( NoticeLogGroups::class );
+
+		$this->controller = new RestController(
+			$this->allowlist_mock,
+			$this->admin_page_mock,
+			$this->admin_bar_mock,
+			$this->snooze_mock,
+			$this->debug_mock,
+			$this->linter_mock,
+			$this->personal_mock,
+			$this->logger_mock,
+			$this->statistics_mock,
+			$this->log_groups_mock
+		);
+
+		// Responses are passed through unchanged so tests can inspect the data
+		Functions\when( 'rest_ensure_response' )->returnArg();
+	}
+
+	/**
+	 * Build a mock REST request
+	 *
+	 * @param array $params Request parameters (missing ones are null).
+	 *
+	 * @return Mockery\MockInterface
+	 */
+	private function mockRequest( array $params ) {
+		$request = Mockery::mock( 'WP_REST_Request' );
+		$request->shouldReceive( 'get_param' )->andReturnUsing(
+			function ( $key ) use ( $params ) {
+				return $params[ $key ] ?? null;
+			}
+		);
+
+		return $request;
+	}
+
+	/**
+	 * Sample pattern record as returned by AllowlistManager
+	 *
+	 * @return array
+	 */
+	private function getPatternRecord(): array {
+		return [
+			'id' => '7',
+			'pattern_value' => 'Please update *',
+			'pattern_type' => 'wildcard',
+			'severity' => 'warning',
+			'screens' => 'dashboard,plugins',
+			'is_active' => '1',
+		];
+	}
+
+	/**
+	 * Test: RestController implements WithHooksInterface
+	 *
+	 * @return void
+	 */
+	public function test_implements_with_hooks_interface(): void {
+		$this->assertInstanceOf(
+			\QalaPluginManager\Interfaces\WithHooksInterface::class,
+			$this->controller
+		);
+	}
+
+	/**
+	 * Test: init() registers the routes on rest_api_init
+	 *
+	 * @return void
+	 */
+	public function test_init_registers_rest_api_init_hook(): void {
+		Actions\expectAdded( 'rest_api_init' )
+			->once()
+			->with( [ $this->controller, 'register_routes' ] );
+
+		$this->controller->init();
+	}
+
+	/**
+	 * Test: register_routes() registers every route under the versioned namespace
+	 *
+	 * @return void
+	 */
+	public function test_register_routes_uses_versioned_namespace(): void {
+		$routes = [];
+
+		Functions\expect( 'register_rest_route' )
+			->times( 18 )
+			->andReturnUsing(
+				function ( $namespace, $route ) use ( &$routes ) {
+					$this->assertSame( 'qala-plugin-manager/v1', $namespace );
+					$routes[] = $route;
+					return true;
+				}
+			);
+
+		$this->controller->register_routes();
+
+		$this->assertContains( '/patterns', $routes );
+		$this->assertContains( '/patterns/(?P<id>\d+)', $routes );
+		$this->assertContains( '/patterns/(?P<id>\d+)/timeout', $routes );
+		$this->assertContains( '/patterns/import', $routes );
+		$this->assertContains( '/patterns/lint', $routes );
+		$this->assertContains( '/patterns/analysis', $routes );
+		$this->assertContains( '/my-patterns', $routes );
+		$this->assertContains( '/my-patterns/(?P<id>\d+)', $routes );
+		$this->assertContains( '/toggle', $routes );
+		$this->assertContains( '/visibility', $routes );
+		$this->assertContains( '/debug', $routes );
+		$this->assertContains( '/notices/captured', $routes );
+		$this->assertContains( '/log', $routes );
+		$this->assertContains( '/log/groups', $routes );
+		$this->assertContains( '/log/matches', $routes );
+		$this->assertContains( '/statistics', $routes );
+	}
+
+	/**
+	 * Test: only managers can report a pattern timeout, which disables it for everyone
+	 *
+	 * @return void
+	 */
+	public function test_register_routes_timeout_report_needs_manage_capability(): void {
+		$timeout_route = null;
+
+		Functions\when( 'register_rest_route' )->alias(
+			function ( $namespace, $route, $args ) use ( &$timeout_route ) {
+				if ( $route === '/patterns/(?P<id>\d+)/timeout' ) {
+					$timeout_route = $args;
+				}
+				return true;
+			}
+		);
+
+		$this->controller->register_routes();
+
+		$this->assertSame( 'POST', $timeout_route[0]['methods'] );
+		$this->assertSame( [ $this->controller, 'can_manage' ], $timeout_route[0]['permission_callback'] );
+		$this->assertSame( [ $this->controller, 'can_manage' ], $timeout_route[1]['permission_callback'] );
+	}
+
+	/**
+	 * Test: can_manage() checks qala_full_access directly
+	 *
+	 * @return void
+	 */
+	public function test_can_manage_checks_capability(): void {
+		$this->mockCurrentUserCan( 'qala_full_access', true );
+		$this->assertTrue( $this->controller->can_manage() );
+	}
+
+	/**
+	 * Test: can_manage() denies users without qala_full_access
+	 *
+	 * @return void
+	 */
+	public function test_can_manage_denies_without_capability(): void {
+		$this->mockCurrentUserCan( 'qala_full_access', false );
+		$this->assertFalse( $this->controller->can_manage() );
+	}
+
+	/**
+	 * Test: get_patterns() returns patterns in the API shape
+	 *
+	 * @return void
+	 */
+	public function test_get_patterns_returns_formatted_patterns(): void {
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->once()
+			->with( false )
+			->andReturn( [ $this->getPatternRecord() ] );
+
+		$result = $this->controller->get_patterns( $this->mockRequest( [ 'include_inactive' => false ] ) );
+
+		$this->assertSame(
+			[
+				[
+					'id' => 7,
+					'value' => 'Please update *',
+					'type' => 'wildcard',
+					'severity' => 'warning',
+					'screens' => [ 'dashboard', 'plugins' ],
+					'active' => true,
+				],
+			],
+			$result
+		);
+	}
+
+	/**
+	 * Test: get_patterns() includes deactivated patterns on request
+	 *
+	 * @return void
+	 */
+	public function test_get_patterns_includes_inactive_on_request(): void {
+		$record = $this->getPatternRecord();
+		$record['is_active'] = '0';
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->once()
+			->with( true )
+			->andReturn( [ $record ] );
+
+		$result = $this->controller->get_patterns( $this->mockRequest( [ 'include_inactive' => true ] ) );
+
+		$this->assertFalse( $result[0]['active'] );
+	}
+
+	/**
+	 * Test: create_pattern() adds the pattern and responds with 201
+	 *
+	 * @return void
+	 */
+	public function test_create_pattern_adds_pattern(): void {
+		$response = Mockery::mock( 'WP_REST_Response' );
+		$response->shouldReceive( 'set_status' )->once()->with( 201 );
+
+		Functions\when( 'rest_ensure_response' )->justReturn( $response );
+
+		$this->allowlist_mock->shouldReceive( 'add_pattern' )
+			->once()
+			->with( 'Please update *', 'wildcard', 'warning', 'dashboard,plugins' )
+			->andReturn( true );
+
+		$this->allowlist_mock->shouldReceive( 'get_inserted_id' )->once()->andReturn( 7 );
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->once()
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$request = $this->mockRequest(
+			[
+				'pattern' => 'Please update *',
+				'pattern_type' => 'wildcard',
+				'severity' => 'warning',
+				'screens' => 'dashboard,plugins',
+			]
+		);
+
+		$this->assertSame( $response, $this->controller->create_pattern( $request ) );
+	}
+
+	/**
+	 * Test: update_pattern() keeps unchanged fields and toggles activation
+	 *
+	 * @return void
+	 */
+	public function test_update_pattern_merges_changed_fields(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->allowlist_mock->shouldReceive( 'update_pattern' )
+			->once()
+			->with( 7, 'Please update now', 'wildcard', 'warning', 'dashboard,plugins' )
+			->andReturn( true );
+
+		$this->allowlist_mock->shouldReceive( 'deactivate_pattern' )->once()->with( 7 )->andReturn( true );
+
+		$request = $this->mockRequest(
+			[
+				'id' => '7',
+				'pattern' => 'Please update now',
+				'active' => false,
+			]
+		);
+
+		$result = $this->controller->update_pattern( $request );
+
+		$this->assertSame( 7, $result['id'] );
+	}
+
+	/**
+	 * Test: update_pattern() only toggles activation when no fields change
+	 *
+	 * @return void
+	 */
+	public function test_update_pattern_only_activates(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->allowlist_mock->shouldReceive( 'update_pattern' )->never();
+		$this->allowlist_mock->shouldReceive( 'activate_pattern' )->once()->with( 7 )->andReturn( true );
+
+		$this->controller->update_pattern( $this->mockRequest( [ 'id' => '7', 'active' => true ] ) );
+	}
+
+	/**
+	 * Test: delete_pattern() removes the pattern and returns it
+	 *
+	 * @return void
+	 */
+	public function test_delete_pattern_removes_pattern(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->once()
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->allowlist_mock->shouldReceive( 'remove_pattern' )->once()->with( 7 )->andReturn( true );
+
+		$result = $this->controller->delete_pattern( $this->mockRequest( [ 'id' => '7' ] ) );
+
+		$this->assertTrue( $result['deleted'] );
+		$this->assertSame( 'Please update *', $result['previous']['value'] );
+	}
+
+	/**
+	 * Test: delete_all_patterns() clears the allowlist
+	 *
+	 * @return void
+	 */
+	public function test_delete_all_patterns_clears_allowlist(): void {
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->once()
+			->with( true )
+			->andReturn( [ $this->getPatternRecord() ] );
+
+		$this->allowlist_mock->shouldReceive( 'remove_all_patterns' )->once()->andReturn( true );
+
+		$result = $this->controller->delete_all_patterns();
+
+		$this->assertTrue( $result['deleted'] );
+		$this->assertCount( 1, $result['previous'], 'Removed patterns are returned for undo' );
+		$this->assertSame( 'wildcard', $result['previous'][0]['type'] );
+		$this->assertTrue( $result['previous'][0]['active'] );
+	}
+
+	/**
+	 * Test: import_patterns() with dry_run previews without changing the allowlist
+	 *
+	 * @return void
+	 */
+	public function test_import_patterns_dry_run_returns_preview(): void {
+		$pattern = [
+			'pattern_value' => 'rocket_*',
+			'pattern_type' => 'wildcard',
+			'severity' => '',
+			'screens' => '',
+			'is_active' => true,
+		];
+
+		$this->admin_page_mock->shouldReceive( 'sanitize_import_pattern' )
+			->twice()
+			->andReturn( $pattern, null );
+
+		$this->allowlist_mock->shouldReceive( 'diff_patterns' )
+			->once()
+			->with( [ $pattern ] )
+			->andReturn(
+				[
+					'added' => [ $pattern ],
+					'duplicates' => [],
+					'conflicts' => [],
+				]
+			);
+
+		$this->allowlist_mock->shouldReceive( 'import_patterns' )->never();
+
+		$request = $this->mockRequest(
+			[
+				'patterns' => [
+					[ 'value' => 'rocket_*', 'type' => 'wildcard' ],
+					[ 'type' => 'exact' ],
+				],
+				'dry_run' => true,
+			]
+		);
+
+		$result = $this->controller->import_patterns( $request );
+
+		$this->assertSame( 'rocket_*', $result['added'][0]['value'] );
+		$this->assertSame( 0, $result['added'][0]['id'] );
+		$this->assertSame( 1, $result['invalid'] );
+	}
+
+	/**
+	 * Test: import_patterns() applies the import and reports the counts
+	 *
+	 * @return void
+	 */
+	public function test_import_patterns_applies_import(): void {
+		$pattern = [
+			'pattern_value' => 'rocket_*',
+			'pattern_type' => 'wildcard',
+			'severity' => '',
+			'screens' => '',
+			'is_active' => false,
+		];
+
+		$this->admin_page_mock->shouldReceive( 'sanitize_import_pattern' )
+			->once()
+			->andReturn( $pattern );
+
+		$this->allowlist_mock->shouldReceive( 'import_patterns' )
+			->once()
+			->with( [ $pattern ], true )
+			->andReturn(
+				[
+					'added' => 0,
+					'updated' => 1,
+					'skipped' => 0,
+					'failed' => 0,
+				]
+			);
+
+		$request = $this->mockRequest(
+			[
+				'patterns' => [ [ 'value' => 'rocket_*', 'type' => 'wildcard', 'active' => false ] ],
+				'replace_conflicts' => true,
+			]
+		);
+
+		$result = $this->controller->import_patterns( $request );
+
+		$this->assertSame( 1, $result['updated'] );
+		$this->assertSame( 0, $result['invalid'] );
+		$this->assertArrayHasKey( 'message', $result );
+	}
+
+	/**
+	 * Test: report_pattern_timeout() disables the pattern for safety
+	 *
+	 * @return void
+	 */
+	public function test_report_pattern_timeout_disables_pattern(): void {
+		$this->allowlist_mock->shouldReceive( 'disable_for_safety' )
+			->once()
+			->with( 7 )
+			->andReturn( true );
+
+		$result = $this->controller->report_pattern_timeout( $this->mockRequest( [ 'id' => '7' ] ) );
+
+		$this->assertSame( 7, $result['id'] );
+		$this->assertTrue( $result['disabled_for_safety'] );
+	}
+
+	/**
+	 * Test: clear_pattern_timeout() re-enables the pattern
+	 *
+	 * @return void
+	 */
+	public function test_clear_pattern_timeout_enables_pattern(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->allowlist_mock->shouldReceive( 'enable_after_safety' )
+			->once()
+			->with( 7 )
+			->andReturn( true );
+
+		$result = $this->controller->clear_pattern_timeout( $this->mockRequest( [ 'id' => '7' ] ) );
+
+		$this->assertFalse( $result['disabled_for_safety'] );
+	}
+
+	/**
+	 * Test: lint_pattern() returns the linter's issues with related patterns shaped
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_returns_issues(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->with( 3 )
+			->andReturn( null );
+
+		$this->linter_mock->shouldReceive( 'lint_pattern' )
+			->once()
+			->with( 'Please update WooCommerce', 'exact', 'warning', 'plugins', 3 )
+			->andReturn(
+				[
+					[
+						'code' => 'shadowed',
+						'level' => 'warning',
+						'message' => 'Covered',
+						'related' => $this->getPatternRecord(),
+					],
+				]
+			);
+
+		$result = $this->controller->lint_pattern(
+			$this->mockRequest(
+				[
+					'pattern' => 'Please update WooCommerce',
+					'pattern_type' => 'exact',
+					'severity' => 'warning',
+					'screens' => 'plugins',
+					'id' => 3,
+				]
+			)
+		);
+
+		$this->assertCount( 1, $result['issues'] );
+		$this->assertSame( 'shadowed', $result['issues'][0]['code'] );
+		$this->assertSame( 7, $result['issues'][0]['related']['id'] );
+		$this->assertSame( 'Please update *', $result['issues'][0]['related']['value'] );
+	}
+
+	/**
+	 * Test: lint_pattern() fills fields that are not sent from the edited pattern
+	 *
+	 * @return void
+	 */
+	public function test_lint_pattern_keeps_scope_of_edited_pattern(): void {
+		$this->allowlist_mock->shouldReceive( 'get_pattern' )
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->linter_mock->shouldReceive( 'lint_pattern' )
+			->once()
+			->with( 'Please update now', 'exact', 'warning', 'dashboard,plugins', 7 )
+			->andReturn( [] );
+
+		$result = $this->controller->lint_pattern(
+			$this->mockRequest(
+				[
+					'pattern' => 'Please update now',
+					'pattern_type' => 'exact',
+					'id' => 7,
+				]
+			)
+		);
+
+		$this->assertSame( [], $result['issues'] );
+	}
+
+	/**
+	 * Test: analyse_patterns() returns flagged patterns and the number checked
+	 *
+	 * @return void
+	 */
+	public function test_analyse_patterns_returns_flagged_patterns(): void {
+		$record = $this->getPatternRecord();
+
+		$this->allowlist_mock->shouldReceive( 'get_all_patterns' )
+			->with( true )
+			->andReturn( [ $record, $record ] );
+
+		$this->linter_mock->shouldReceive( 'analyse_patterns' )
+			->once()
+			->andReturn(
+				[
+					[
+						'pattern' => $record,
+						'issues' => [
+							[
+								'code' => 'duplicate',
+								'level' => 'warning',
+								'message' => 'Duplicate',
+								'related' => $record,
+							],
+						],
+					],
+				]
+			);
+
+		$result = $this->controller->analyse_patterns();
+
+		$this->assertSame( 2, $result['checked'] );
+		$this->assertCount( 1, $result['patterns'] );
+		$this->assertSame( 7, $result['patterns'][0]['pattern']['id'] );
+		$this->assertSame( 'duplicate', $result['patterns'][0]['issues'][0]['code'] );
+	}
+
+	/**
+	 * Test: get_personal_patterns() lists the current user's patterns
+	 *
+	 * @return void
+	 */
+	public function test_get_personal_patterns_returns_formatted_patterns(): void {
+		$this->personal_mock->shouldReceive( 'get_patterns' )
+			->once()
+			->andReturn( [ $this->getPatternRecord() ] );
+
+		$result = $this->controller->get_personal_patterns();
+
+		$this->assertCount( 1, $result );
+		$this->assertSame( 'Please update *', $result[0]['value'] );
+		$this->assertSame( [ 'dashboard', 'plugins' ], $result[0]['screens'] );
+	}
+
+	/**
+	 * Test: create_personal_pattern() stores the pattern for the current user
+	 *
+	 * @return void
+	 */
+	public function test_create_personal_pattern_adds_pattern(): void {
+		$response = Mockery::mock( 'WP_REST_Response' );
+		$response->shouldReceive( 'set_status' )->once()->with( 201 );
+
+		Functions\when( 'rest_ensure_response' )->justReturn( $response );
+
+		$this->personal_mock->shouldReceive( 'add_pattern' )
+			->once()
+			->with( 'Please update *', 'wildcard', 'warning', 'dashboard,plugins' )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->allowlist_mock->shouldReceive( 'add_pattern' )->never();
+
+		$request = $this->mockRequest(
+			[
+				'pattern' => ' Please update * ',
+				'pattern_type' => 'wildcard',
+				'severity' => 'warning',
+				'screens' => 'dashboard,plugins',
+			]
+		);
+
+		$this->assertSame( $response, $this->controller->create_personal_pattern( $request ) );
+	}
+
+	/**
+	 * Test: delete_personal_pattern() removes the pattern and returns it
+	 *
+	 * @return void
+	 */
+	public function test_delete_personal_pattern_removes_pattern(): void {
+		$this->personal_mock->shouldReceive( 'get_pattern' )
+			->once()
+			->with( 7 )
+			->andReturn( $this->getPatternRecord() );
+
+		$this->personal_mock->shouldReceive( 'remove_pattern' )->once()->with( 7 )->andReturn( true );
+
+		$result = $this->controller->delete_personal_pattern( $this->mockRequest( [ 'id' => '7' ] ) );
+
+		$this->assertTrue( $result['deleted'] );
+		$this->assertSame( 'Please update *', $result['previous']['value'] );
+	}
+
+	/**
+	 * Test: toggle_notices() stores the global setting through AdminPage
+	 *
+	 * @return void
+	 */
+	public function test_toggle_notices_updates_setting(): void {
+		$this->admin_page_mock->shouldReceive( 'update_notices_enabled' )
+			->once()
+			->with( 'no' )
+			->andReturn(
+				[
+					'message' => 'Notice hiding disabled',
+					'enabled' => 'no',
+				]
+			);
+
+		$result = $this->controller->toggle_notices( $this->mockRequest( [ 'enabled' => 'no' ] ) );
+
+		$this->assertSame( 'no', $result['enabled'] );
+	}
+
+	/**
+	 * Test: toggle_visibility() returns the new state and title
+	 *
+	 * @return void
+	 */
+	public function test_toggle_visibility_returns_new_state(): void {
+		$this->admin_bar_mock->shouldReceive( 'toggle_user_preference' )
+			->once()
+			->andReturn(
+				[
+					'showing' => true,
+					'message' => 'Notices are now visible',
+					'new_title' => '<span class="qala-notice-toggle-wrapper"></span>',
+				]
+			);
+
+		$result = $this->controller->toggle_visibility();
+
+		$this->assertTrue( $result['showing'] );
+	}
+
+	/**
+	 * Test: set_debug_mode() switches debug mode for the current user
+	 *
+	 * @return void
+	 */
+	public function test_set_debug_mode_updates_preference(): void {
+		$this->debug_mock->shouldReceive( 'set_enabled' )
+			->once()
+			->with( true )
+			->andReturn( true );
+
+		$result = $this->controller->set_debug_mode( $this->mockRequest( [ 'enabled' => true ] ) );
+
+		$this->assertTrue( $result['enabled'] );
+		$this->assertArrayHasKey( 'message', $result );
+	}
+
+	/**
+	 * Test: create_snooze() stores the snooze and returns it with its key
+	 *
+	 * @return void
+	 */
+	public function test_create_snooze_returns_snooze(): void {
+		$snooze = [
+			'until' => time() + 86400,
+			'text' => 'Please update the plugin',
+		];
+
+		$this->snooze_mock->shouldReceive( 'snooze_notice' )
+			->once()
+			->with( 'text:0a1b2c3d', 'Please update the plugin', 'day' )
+			->andReturn( $snooze );
+
+		$request = $this->mockRequest(
+			[
+				'key' => 'text:0a1b2c3d',
+				'text' => 'Please update the plugin',
+				'duration' => 'day',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'key' => 'text:0a1b2c3d',
+				'snooze' => $snooze,
+			],
+			$this->controller->create_snooze( $request )
+		);
+	}
+
+	/**
+	 * Test: delete_snooze() wakes the notice
+	 *
+	 * @return void
+	 */
+	public function test_delete_snooze_wakes_notice(): void {
+		$this->snooze_mock->shouldReceive( 'wake_notice' )
+			->once()
+			->with( 'id:my-notice' )
+			->andReturn( true );
+
+		$result = $this->controller->delete_snooze( $this->mockRequest( [ 'key' => 'id:my-notice' ] ) );
+
+		$this->assertTrue( $result['deleted'] );
+	}
+
+	/**
+	 * Test: log_captured_notices() logs valid notices and skips malformed ones
+	 *
+	 * @return void
+	 */
+	public function test_log_captured_notices_skips_malformed_notices(): void {
+		$this->mockGetCurrentUserId( 5 );
+		$this->logger_mock->shouldReceive( 'count_content_notices_today' )
+			->once()
+			->with( 5 )
+			->andReturn( 0 );
+
+		$this->logger_mock->shouldReceive( 'log_content_notice' )
+			->once()
+			->with( 'Category added.', 'success', 'edit-category' )
+			->andReturn( true );
+
+		$this->logger_mock->shouldReceive( 'log_content_notice' )
+			->once()
+			->with( 'Settings saved.', 'info', 'edit-category' )
+			->andReturn( false );
+
+		$request = $this->mockRequest(
+			[
+				'screen' => 'edit-category',
+				'notices' => json_encode(
+					[
+						[
+							'text' => 'Category added.',
+							'severity' => 'success',
+						],
+						[
+							'text' => 'Settings saved.',
+							'severity' => 'fatal',
+						],
+						[
+							'severity' => 'error',
+						],
+						[
+							'text' => '',
+						],
+						'not a notice',
+					]
+				),
+			]
+		);
+
+		$this->assertSame( [ 'logged' => 1 ], $this->controller->log_captured_notices( $request ) );
+	}
+
+	/**
+	 * Test: log_captured_notices() reads at most MAX_CAPTURED_NOTICES notices
+	 *
+	 * @return void
+	 */
+	public function test_log_captured_notices_limits_batch_size(): void {
+		$notices = [];
+		for ( $i = 0; $i < RestController::MAX_CAPTURED_NOTICES + 5; $i++ ) {
+			$notices[] = [
+				'text' => 'Notice ' . $i,
+				'severity' => 'info',
+			];
+		}
+
+		$this->mockGetCurrentUserId( 5 );
+		$this->logger_mock->shouldReceive( 'count_content_notices_today' )
+			->andReturn( 0 );
+		$this->logger_mock->shouldReceive( 'log_content_notice' )
+			->times( RestController::MAX_CAPTURED_NOTICES )
+			->andReturn( true );
+
+		$request = $this->mockRequest(
+			[
+				'screen' => 'dashboard',
+				'notices' => json_encode( $notices ),
+			]
+		);
+
+		$this->assertSame(
+			[ 'logged' => RestController::MAX_CAPTURED_NOTICES ],
+			$this->controller->log_captured_notices( $request )
+		);
+	}
+
+	/**
+	 * Test: log_captured_notices() stops at the per-user daily limit
+	 *
+	 * @return void
+	 */
+	public function test_log_captured_notices_stops_at_daily_limit(): void {
+		$this->mockGetCurrentUserId( 5 );
+		$this->logger_mock->shouldReceive( 'count_content_notices_today' )
+			->once()
+			->with( 5 )
+			->andReturn( RestController::MAX_CAPTURED_PER_DAY - 2 );
+
+		$this->logger_mock->shouldReceive( 'log_content_notice' )
+			->times( 3 )
+			->andReturn( true, false, true );
+
+		$request = $this->mockRequest(
+			[
+				'screen' => 'dashboard',
+				'notices' => json_encode(
+					[
+						[ 'text' => 'First notice' ],
+						[ 'text' => 'Already logged today' ],
+						[ 'text' => 'Second notice' ],
+						[ 'text' => 'Over the limit' ],
+					]
+				),
+			]
+		);
+
+		$this->assertSame( [ 'logged' => 2 ], $this->controller->log_captured_notices( $request ) );
+	}
+
+	/**
+	 * Test: get_log() passes the query to the logger and returns a page with the total
+	 *
+	 * @return void
+	 */
+	public function test_get_log_returns_page_and_total(): void {
+		$expected_args = [
+			'search' => 'woo',
+			'hook' => 'admin_notices',
+			'action' => 'removed',
+			'date_from' => '2025-10-01',
+			'date_to' => '2025-10-31',
+			'orderby' => 'callback_name',
+			'order' => 'asc',
+			'page' => 2,
+			'per_page' => 20,
+		];
+
+		$this->logger_mock->shouldReceive( 'count_unique_notices' )
+			->once()
+			->with( $expected_args )
+			->andReturn( 45 );
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->with( $expected_args )
+			->andReturn(
+				[
+					[
+						'callback_name' => 'woocommerce_admin_notice',
+						'hook_name' => 'admin_notices',
+						'source' => 'callback',
+						'action' => 'removed',
+						'severity' => null,
+						'screen' => null,
+						'last_seen' => '2025-10-25 10:00:00',
+					],
+				]
+			);
+
+		$request = $this->mockRequest( $expected_args );
+
+		$result = $this->controller->get_log( $request );
+
+		$this->assertSame( 45, $result['total'] );
+		$this->assertSame( 2, $result['page'] );
+		$this->assertSame( 3, $result['total_pages'] );
+		$this->assertCount( 1, $result['items'] );
+		$this->assertSame( 'woocommerce_admin_notice', $result['items'][0]['callback_name'] );
+		$this->assertSame( '', $result['items'][0]['screen'] );
+	}
+
+	/**
+	 * Test: get_log() caps the page size at MAX_LOG_PER_PAGE
+	 *
+	 * @return void
+	 */
+	public function test_get_log_caps_page_size(): void {
+		$this->logger_mock->shouldReceive( 'count_unique_notices' )->andReturn( 0 );
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->with(
+				Mockery::on(
+					function ( $args ) {
+						return $args['per_page'] === RestController::MAX_LOG_PER_PAGE && $args['page'] === 1;
+					}
+				)
+			)
+			->andReturn( [] );
+
+		$request = $this->mockRequest( [ 'per_page' => 500 ] );
+
+		$result = $this->controller->get_log( $request );
+
+		$this->assertSame( [], $result['items'] );
+		$this->assertSame( 0, $result['total_pages'] );
+	}
+
+	/**
+	 * Test: get_log_groups() passes the filters on and shapes the entries of each group
+	 *
+	 * @return void
+	 */
+	public function test_get_log_groups_returns_groups_with_items(): void {
+		$this->log_groups_mock->shouldReceive( 'get_groups' )
+			->once()
+			->with(
+				[
+					'search' => 'seo',
+					'hook' => '',
+					'action' => 'removed',
+					'date_from' => '',
+					'date_to' => '',
+				]
+			)
+			->andReturn(
+				[
+					[
+						'key' => 'plugin:wordpress-seo',
+						'type' => 'plugin',
+						'name' => 'Yoast SEO',
+						'count' => 1,
+						'last_seen' => '2026-10-19 08:00:00',
+						'pattern' => [
+							'value' => 'Yoast\\*',
+							'type' => 'wildcard',
+						],
+						'entries' => [
+							[
+								'callback_name' => 'Yoast\\WP\\SEO\\Notices::show',
+								'hook_name' => 'admin_notices',
+								'source' => 'callback',
+								'action' => 'removed',
+								'severity' => null,
+								'screen' => null,
+								'callback_file' => '/var/www/wp-content/plugins/wordpress-seo/src/notices.php',
+								'last_seen' => '2026-10-19 08:00:00',
+							],
+						],
+					],
+				]
+			);
+
+		$request = $this->mockRequest(
+			[
+				'search' => 'seo',
+				'action' => 'removed',
+			]
+		);
+
+		$groups = $this->controller->get_log_groups( $request )['groups'];
+
+		$this->assertCount( 1, $groups );
+		$this->assertSame( 'Yoast\\*', $groups[0]['pattern']['value'] );
+		$this->assertArrayNotHasKey( 'entries', $groups[0] );
+		$this->assertSame(
+			[
+				'callback_name' => 'Yoast\\WP\\SEO\\Notices::show',
+				'hook_name' => 'admin_notices',
+				'source' => 'callback',
+				'action' => 'removed',
+				'severity' => '',
+				'screen' => '',
+				'last_seen' => '2026-10-19 08:00:00',
+			],
+			$groups[0]['items'][0]
+		);
+	}
+
+	/**
+	 * Test: count_log_matches() counts each pattern against the most recent unique log entries
+	 *
+	 * @return void
+	 */
+	public function test_count_log_matches_returns_count_per_pattern(): void {
+		$entries = [
+			[
+				'callback_name' => 'WC_Admin_Notices::add_notice',
+				'source' => 'callback',
+			],
+			[
+				'callback_name' => 'Category added.',
+				'source' => 'content',
+			],
+		];
+		$patterns = [
+			[
+				'pattern' => 'WC_Admin_Notices::*',
+				'type' => 'wildcard',
+			],
+			[
+				'pattern' => '*added*',
+				'type' => 'wildcard',
+			],
+		];
+
+		$this->logger_mock->shouldReceive( 'get_unique_notices' )
+			->once()
+			->with( [ 'per_page' => RestController::MAX_MATCH_ENTRIES ] )
+			->andReturn( $entries );
+		$this->allowlist_mock->shouldReceive( 'count_log_matches' )
+			->once()
+			->with( $entries, $patterns )
+			->andReturn( [ 1, 1 ] );
+
+		$request = $this->mockRequest( [ 'patterns' => $patterns ] );
+
+		$this->assertSame(
+			[
+				'total' => 2,
+				'matches' => [ 1, 1 ],
+			],
+			$this->controller->count_log_matches( $request )
+		);
+	}
+
+	/**
+	 * Test: get_statistics() returns the statistics for the requested period
+	 *
+	 * @return void
+	 */
+	public function test_get_statistics_returns_statistics_for_period(): void {
+		$statistics = [
+			'days' => 7,
+			'totals' => [ 'logged' => 3 ],
+		];
+
+		$this->statistics_mock->shouldReceive( 'get_statistics' )
+			->once()
+			->with( 7 )
+			->andReturn( $statistics );
+
+		$request = $this->mockRequest( [ 'days' => 7 ] );
+
+		$this->assertSame( $statistics, $this->controller->get_statistics( $request ) );
+	}
+}
@@ -0,0 +1,28 @@
+/**
+ * Webpack configuration for Qala Plugin Manager
+ *
+ * Extends the @wordpress/scripts defaults with the plugin's entry points:
+ *
+ * - qala-plugin-manager: the wp-admin bundle (assets/src/js/index.js)
+ * - frontend-toggle: the admin bar toggle on the public site, without
+ *   dependencies (assets/src/js/frontend-toggle.js)
+ *
+ * Scripts are written to assets/dist/js/, extracted stylesheets (with
+ * their RTL versions) to assets/dist/.
+ */
+
+const path = require( 'path' );
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+module.exports = {
+	...defaultConfig,
+	entry: {
+		'qala-plugin-manager': path.resolve( __dirname, 'assets/src/js/index.js' ),
+		'frontend-toggle': path.resolve( __dirname, 'assets/src/js/frontend-toggle.js' ),
+	},
+	output: {
+		...defaultConfig.output,
+		path: path.resolve( __dirname, 'assets/dist' ),
+		filename: 'js/[name].js',
+	},
+};